@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+import { runCli } from '../src/cli.js';
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+process.exitCode = await runCli(process.argv.slice(2), {
+  readStdin,
+  writeStdout: (data) => process.stdout.write(data),
+  writeStderr: (text) => process.stderr.write(text),
+});
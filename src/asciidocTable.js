@@ -0,0 +1,414 @@
+import {
+  createCell,
+  createCellFromParagraphs,
+  createCoveredCell,
+  createParagraph,
+  createRow,
+  createRun,
+  createTable,
+  getCellParagraphs,
+  markRowHeaders,
+  normalizeTable,
+} from './tableModel.js';
+import { mergeRuns, numberListItems, serializeRuns } from './inlineFormat.js';
+import { blockLines, linesToBlocks } from './gridTable.js';
+
+/**
+ * AsciiDoc tables:
+ *
+ *   [cols="<,>",options="header"]
+ *   |===
+ *   |Name |Score
+ *
+ *   |Ann |1
+ *   |===
+ *
+ * Spans use cell specifiers (`2+|` spans two columns, `.2+|` two rows,
+ * `2.3+|` both) and alignment comes from the `cols` attribute. Cells holding
+ * lists use the `a` (AsciiDoc) style so the list markup is interpreted.
+ */
+
+const ALIGN_BY_MARK = { '<': 'left', '^': 'center', '>': 'right' };
+const MARK_BY_ALIGN = { left: '<', center: '^', right: '>' };
+const DELIMITER_RE = /^\|===\s*$/;
+// Cell specifier written just before a `|`: duplication or span, alignment, style
+const CELL_SPEC_RE = /(?:^|\s)((?:\d+\*)?(?:\d*(?:\.\d+)?\+)?(?:\.?[<^>])*[adehlmsv]?)$/;
+const ITEM_RE = /^(\*+|-|\.+|\d+\.) +(.*)$/;
+const ITEM_START_RE = /^(\*+|-|\.+|\d+\.) +/;
+const WORD_RE = /[\p{L}\p{N}_]/u;
+const ESCAPABLE_RE = /[\\*_`#+|[\]]/;
+
+// --- Inline markup ---
+
+/**
+ * Find the closing `delimiter` for inline markup opened just before `from`,
+ * skipping backslash escapes. Returns its index or -1.
+ */
+function findClosing(src, from, delimiter) {
+  for (let i = from; i < src.length; i++) {
+    if (src[i] === '\\') {
+      i++;
+    } else if (src.startsWith(delimiter, i) && i > from) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+const INLINE_RULES = [
+  // [open, close, marks, literal content, constrained]
+  ['`+', '+`', { code: true }, true, false],
+  ['``', '``', { code: true }, false, false],
+  ['`', '`', { code: true }, false, true],
+  ['**', '**', { bold: true }, false, false],
+  ['*', '*', { bold: true }, false, true],
+  ['__', '__', { italic: true }, false, false],
+  ['_', '_', { italic: true }, false, true],
+  ['[.line-through]##', '##', { strike: true }, false, false],
+  ['[.line-through]#', '#', { strike: true }, false, true],
+  ['+', '+', {}, true, true],
+];
+
+/**
+ * Parse AsciiDoc inline markup into runs: *strong*, _emphasis_, `monospace`,
+ * [.line-through]#strike#, +passthrough+ and link:url[text] / url[text]
+ * links, constrained or unconstrained. Marks may nest.
+ */
+export function parseInlineAsciidoc(src, marks = {}) {
+  const runs = [];
+  let text = '';
+  const flush = () => {
+    if (text) runs.push(createRun(text, marks));
+    text = '';
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === '\\' && ESCAPABLE_RE.test(src[i + 1] || '')) {
+      text += src[i + 1];
+      i += 2;
+      continue;
+    }
+
+    const link = src.slice(i).match(/^(?:link:)?((?:https?|ftp|mailto):[^\s[\]]+)\[((?:\\.|[^\]\\])*)\]/);
+    if (link && (i === 0 || !/[\p{L}\p{N}]/u.test(src[i - 1]))) {
+      flush();
+      const label = link[2] || link[1];
+      runs.push(...parseInlineAsciidoc(label, { ...marks, href: link[1] }));
+      i += link[0].length;
+      continue;
+    }
+
+    let matched = false;
+    for (const [open, close, added, literal, constrained] of INLINE_RULES) {
+      if (!src.startsWith(open, i)) continue;
+      // Constrained markup only applies at word boundaries
+      if (constrained && i > 0 && WORD_RE.test(src[i - 1])) continue;
+      const end = findClosing(src, i + open.length, close);
+      if (end === -1) continue;
+      if (constrained && WORD_RE.test(src[end + close.length] || '')) continue;
+      const inner = src.slice(i + open.length, end);
+      if (!inner.trim()) continue;
+      flush();
+      if (literal) {
+        runs.push(createRun(inner, { ...marks, ...added }));
+      } else if (added.code) {
+        runs.push(...parseInlineAsciidoc(inner, { ...marks, code: true }));
+      } else {
+        runs.push(...parseInlineAsciidoc(inner, { ...marks, ...added }));
+      }
+      i = end + close.length;
+      matched = true;
+      break;
+    }
+    if (!matched) {
+      text += c;
+      i++;
+    }
+  }
+  flush();
+  return mergeRuns(runs);
+}
+
+/**
+ * Escape markup characters where they could start or end inline markup:
+ * doubled, or single at a word boundary. Intraword characters (snake_case)
+ * are left alone.
+ */
+function escapeAsciidocText(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const prev = text[i - 1] || '';
+    const next = text[i + 1] || '';
+    if (c === '|' || c === '[' || (c === '\\' && ESCAPABLE_RE.test(next))) {
+      out += '\\' + c;
+    } else if (/[*_`#+]/.test(c) && (next === c || prev === c || !WORD_RE.test(prev) || !WORD_RE.test(next))) {
+      out += '\\' + c;
+    } else {
+      out += c;
+    }
+  }
+  return out;
+}
+
+const ASCIIDOC_SYNTAX = {
+  open(mark) {
+    if (mark.key === 'href') return `link:${mark.href.replace(/[\s[\]]/g, encodeURIComponent)}[`;
+    if (mark.key === 'strike') return '[.line-through]##';
+    if (mark.key === 'bold') return '**';
+    if (mark.key === 'italic') return '__';
+    return '`+';
+  },
+  close(mark) {
+    if (mark.key === 'href') return ']';
+    if (mark.key === 'strike') return '##';
+    if (mark.key === 'bold') return '**';
+    if (mark.key === 'italic') return '__';
+    return '+`';
+  },
+  text(text, run) {
+    if (run.code) return text.replace(/\|/g, '\\|');
+    const escaped = escapeAsciidocText(text);
+    return run.href ? escaped.replace(/\]/g, '\\]') : escaped;
+  },
+};
+
+/**
+ * Write runs as AsciiDoc inline markup, using the unconstrained forms
+ * (`**bold**`) so markup works inside words too.
+ */
+export function runsToAsciidoc(runs) {
+  return serializeRuns(runs, ASCIIDOC_SYNTAX);
+}
+
+// --- Cell content ---
+
+function parseAsciidocCell(source, style) {
+  const lines = source.split('\n');
+  if (style === 'l' || style === 'm' || style === 'v') {
+    return lines.filter((line) => line.trim()).map((line) => createParagraph([createRun(line.trim(), { code: style !== 'v' })]));
+  }
+
+  const levels = []; // marker per nesting level
+  return linesToBlocks(lines.map((line) => line.trim()), ITEM_START_RE).map((block) => {
+    const match = style === 'a' && block.match(ITEM_RE);
+    if (!match) {
+      levels.length = 0;
+      return createParagraph(parseInlineAsciidoc(block.trim().replace(/^\{empty\}/, '').replace(/ \+$/, '')));
+    }
+    const marker = /^\d+\.$/.test(match[1]) ? '.' : match[1];
+    let level = levels.indexOf(marker);
+    if (level === -1) level = levels.push(marker) - 1;
+    levels.length = level + 1;
+    return createParagraph(parseInlineAsciidoc(match[2]), { ordered: marker.startsWith('.'), level });
+  });
+}
+
+/**
+ * Write a cell's paragraphs. Returns { style, lines } where style is 'a' when
+ * the cell holds list items.
+ */
+function writeAsciidocCell(paragraphs) {
+  const hasList = paragraphs.some((p) => p.list);
+  const numbers = numberListItems(paragraphs);
+  const lines = paragraphs.map((paragraph, i) => {
+    const text = runsToAsciidoc(paragraph.runs);
+    const { list } = paragraph;
+    if (!list) return hasList ? text.replace(/^(\*+|-|\.+|\d+\.)(?= )/, '{empty}$1') : text;
+    const marker = (list.ordered ? '.' : '*').repeat(list.level + 1);
+    return numbers[i] && `${marker} ${text}`;
+  });
+  return { style: hasList ? 'a' : '', lines: blockLines(paragraphs, lines) };
+}
+
+// --- Tables ---
+
+function parseAttributes(line) {
+  const attrs = { cols: null, header: null };
+  const body = line.trim().slice(1, -1);
+  const cols = body.match(/cols\s*=\s*"([^"]*)"/) || body.match(/cols\s*=\s*([^,\s]+)/);
+  if (cols) attrs.cols = cols[1];
+  if (/%header|options\s*=\s*"?[^"]*\bheader/.test(body)) attrs.header = true;
+  if (/%noheader|options\s*=\s*"?[^"]*\bnoheader/.test(body)) attrs.header = false;
+  return attrs;
+}
+
+/**
+ * Expand a `cols` attribute ("3*", "1,2,1", "<,^,>", "2*>a") into one
+ * alignment per column.
+ */
+function parseCols(cols) {
+  const alignments = [];
+  for (const raw of cols.split(/[,;]/)) {
+    const spec = raw.trim();
+    const repeat = spec.match(/^(\d+)\*/);
+    const count = repeat ? parseInt(repeat[1], 10) : 1;
+    const mark = (repeat ? spec.slice(repeat[0].length) : spec).match(/^[<^>]/);
+    for (let i = 0; i < count; i++) alignments.push(mark ? ALIGN_BY_MARK[mark[0]] : 'left');
+  }
+  return alignments;
+}
+
+/**
+ * Split the table body into cells: each unescaped `|` starts a cell, taking
+ * the specifier written right before it.
+ */
+function splitCells(body) {
+  const cells = [];
+  let current = null;
+  let buffer = '';
+  const finish = (spec) => {
+    if (current) current.source = buffer.slice(0, buffer.length - spec.length);
+    else if (cells.length === 0 && buffer.trim() && buffer.trim() !== spec) return false;
+    buffer = '';
+    return true;
+  };
+
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '\\' && body[i + 1] === '|') {
+      buffer += '|';
+      i++;
+      continue;
+    }
+    if (c !== '|') {
+      buffer += c;
+      continue;
+    }
+    const spec = (buffer.match(CELL_SPEC_RE) || ['', ''])[1];
+    const lineStart = buffer.lastIndexOf('\n') + 1;
+    const firstOnLine = !buffer.slice(lineStart, buffer.length - spec.length).trim();
+    if (!finish(spec)) return null;
+    current = { spec, source: '', firstOnLine };
+    cells.push(current);
+  }
+  if (current) current.source = buffer;
+  return cells;
+}
+
+function parseSpec(spec) {
+  const span = spec.match(/^(\d*)(?:\.(\d+))?\+/);
+  const dup = spec.match(/^(\d+)\*/);
+  const style = spec.match(/([adehlmsv])$/);
+  return {
+    colspan: span && span[1] ? parseInt(span[1], 10) : 1,
+    rowspan: span && span[2] ? parseInt(span[2], 10) : 1,
+    repeat: dup ? parseInt(dup[1], 10) : 1,
+    style: style ? style[1] : '',
+  };
+}
+
+/**
+ * Parse the first AsciiDoc `|===` table in `text`, or return null. Without a
+ * `cols` attribute the column count comes from the first line of cells; the
+ * first row is a header when options="header" is set or when it sits alone
+ * on the first line followed by a blank line.
+ */
+export function parseAsciidocTable(text) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex((line) => DELIMITER_RE.test(line));
+  if (start === -1) return null;
+  let end = lines.findIndex((line, i) => i > start && DELIMITER_RE.test(line));
+  if (end === -1) end = lines.length;
+
+  const attrLine = start > 0 && /^\[.*\]\s*$/.test(lines[start - 1]) ? lines[start - 1] : null;
+  const attrs = attrLine ? parseAttributes(attrLine) : { cols: null, header: null };
+  const bodyLines = lines.slice(start + 1, end);
+  const cells = splitCells(bodyLines.join('\n'));
+  if (!cells || cells.length === 0) return null;
+
+  let alignments = attrs.cols ? parseCols(attrs.cols) : null;
+  if (!alignments) {
+    const firstLine = cells.filter((cell, i) => i === 0 || !cell.firstOnLine);
+    const firstLineEnd = cells.findIndex((cell, i) => i > 0 && cell.firstOnLine);
+    const onFirstLine = firstLineEnd === -1 ? cells : cells.slice(0, firstLineEnd);
+    const count = onFirstLine.reduce((sum, cell) => sum + parseSpec(cell.spec).colspan, 0) || firstLine.length;
+    alignments = new Array(count).fill('left');
+  }
+  const colCount = alignments.length;
+
+  // Implicit header: the first line holds exactly one row and a blank line follows
+  let header = attrs.header;
+  if (header === null) {
+    const firstNonBlank = bodyLines.findIndex((line) => line.trim());
+    const firstLineCells = splitCells(bodyLines[firstNonBlank] || '') || [];
+    const spanned = firstLineCells.reduce((sum, cell) => sum + parseSpec(cell.spec).colspan, 0);
+    header = spanned === colCount && firstNonBlank + 1 < bodyLines.length && !bodyLines[firstNonBlank + 1].trim();
+  }
+
+  // Place cells on the grid, skipping slots covered by earlier row spans
+  const grid = [];
+  let r = 0;
+  let c = 0;
+  const occupied = (row, col) => grid[row] && grid[row][col];
+  for (const cell of cells) {
+    const spec = parseSpec(cell.spec);
+    for (let n = 0; n < spec.repeat; n++) {
+      while (occupied(r, c) || c >= colCount) {
+        c++;
+        if (c >= colCount) {
+          r++;
+          c = 0;
+        }
+      }
+      const colspan = Math.min(spec.colspan, colCount - c);
+      const anchor = createCellFromParagraphs(parseAsciidocCell(cell.source.trim(), spec.style), colspan, spec.rowspan);
+      for (let dr = 0; dr < spec.rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) {
+          grid[r + dr][c + dc] = dr || dc ? createCoveredCell() : anchor;
+        }
+      }
+      c += colspan;
+    }
+  }
+
+  const rows = grid.map((cellsOfRow, rowIdx) =>
+    createRow(Array.from({ length: colCount }, (_, col) => cellsOfRow[col] || createCell()), header && rowIdx === 0),
+  );
+  const table = normalizeTable(createTable(rows, alignments));
+  // The header style (h) on the first column makes its cells row headers
+  return attrs.cols && /h$/.test(attrs.cols.split(/[,;]/)[0].trim()) ? markRowHeaders(table) : table;
+}
+
+/**
+ * Write a table model as an AsciiDoc table. AsciiDoc has a single header row;
+ * further header rows are written as body rows. Row headers get the header
+ * style (h) on the first column.
+ */
+export function tableModelToAsciidoc(table) {
+  if (!table || table.rows.length === 0) return '';
+  const cols = table.alignments
+    .map((align, c) => (MARK_BY_ALIGN[align] || '<') + (c === 0 && table.rowHeaders ? 'h' : ''))
+    .join(',');
+  const hasHeader = table.rows[0].isHeader;
+  const lines = [`[cols="${cols}"${hasHeader ? ',options="header"' : ''}]`, '|==='];
+
+  table.rows.forEach((row, r) => {
+    const written = [];
+    for (const cell of row.cells) {
+      if (cell.covered) continue;
+      const { style, lines: cellLines } = writeAsciidocCell(getCellParagraphs(cell));
+      let span = '';
+      if (cell.colspan > 1 || cell.rowspan > 1) {
+        span = `${cell.colspan > 1 ? cell.colspan : ''}${cell.rowspan > 1 ? `.${cell.rowspan}` : ''}+`;
+      }
+      written.push({ prefix: `${span}${style}|`, lines: cellLines });
+    }
+
+    if (written.every((cell) => cell.lines.length <= 1)) {
+      lines.push(written.map((cell) => cell.prefix + (cell.lines[0] || '')).join(' '));
+    } else {
+      for (const cell of written) {
+        lines.push(cell.prefix + (cell.lines[0] || ''));
+        lines.push(...cell.lines.slice(1));
+      }
+    }
+    if (r < table.rows.length - 1) lines.push('');
+  });
+
+  lines.push('|===');
+  return lines.join('\n');
+}
@@ -0,0 +1,173 @@
+/**
+ * Reading numbers and dates in cell text, as written in any common locale.
+ * Column typing (columnTypes.js) and sorting (sortRows in tableModel.js) both
+ * read cells through here, so they agree on what a column holds.
+ *
+ * NumberFormat: {
+ *   type: 'integer'|'decimal'|'currency'|'percentage', value,
+ *   currency,    the symbol or ISO code, or null
+ *   thousands,   the group separator, null for none, or undefined when the
+ *                number is too short to need one
+ *   decimal,     the decimal separator, or null for none
+ *   decimals,    the number of decimal places
+ *   percent,     whether it ends in a % sign
+ *   negative,    '-', '()' or null
+ * }
+ *
+ * Dates are read as a time value (see Date.UTC) and must exist: "2024-13-45"
+ * or "31/04/2024" are not dates. Numeric dates are read day first or month
+ * first (the date order, 'dmy' or 'mdy').
+ */
+
+const CURRENCY_RE = /^(?:[$€£¥₹₩₽₺₪฿]|(?:USD|EUR|GBP|JPY|CHF|CAD|AUD|CNY|INR|SEK|NOK|DKK|PLN|CZK)\b)/;
+const CURRENCY_SUFFIX_RE = /(?:[$€£¥₹₩₽₺₪฿]|\b(?:USD|EUR|GBP|JPY|CHF|CAD|AUD|CNY|INR|SEK|NOK|DKK|PLN|CZK|kr|zł|Kč))$/;
+// Digits with an optional group separator every three digits and a decimal
+// part. The separators are told apart in parseNumberFormat.
+const BODY_RE = /^(\d{1,3}(?:([,. '\u00a0\u202f’])\d{3})(?:\2\d{3})*|\d+)(?:([.,])(\d+))?$/;
+
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const NUMERIC_DATE_RE = /^(\d{1,2})([./-])(\d{1,2})\2(\d{2}|\d{4})$/;
+const MONTH_DATE_RE = /^(?:(\d{1,2})\.?\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s+(\d{1,2}),?)?\s+(\d{4})$/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function stripAffix(text, re, atStart) {
+  const match = text.match(re);
+  if (!match) return { text, affix: null };
+  const rest = atStart ? text.slice(match[0].length) : text.slice(0, -match[0].length);
+  return { text: rest.trim(), affix: match[0] };
+}
+
+/**
+ * Read a number and its format from a cell's text: thousands separators
+ * (`,` `.` space, apostrophe), either decimal separator, a currency symbol or
+ * code before or after it, a trailing `%` and a leading minus or
+ * parentheses for negatives. A single `,` or `.` followed by three digits is
+ * read as the decimal separator when it is `decimal` (by default the point),
+ * else as a thousands separator. Returns a NumberFormat, or null for text
+ * that isn't a number.
+ */
+export function parseNumberFormat(text, { decimal: decimalSeparator = '.' } = {}) {
+  let rest = text.trim();
+  let negative = null;
+  if (/^\(.*\)$/.test(rest)) {
+    negative = '()';
+    rest = rest.slice(1, -1).trim();
+  }
+  if (!negative && /^[-−]/.test(rest)) {
+    negative = '-';
+    rest = rest.slice(1).trim();
+  }
+
+  let currency = null;
+  ({ text: rest, affix: currency } = stripAffix(rest, CURRENCY_RE, true));
+  if (!negative && /^[-−]/.test(rest)) {
+    negative = '-';
+    rest = rest.slice(1).trim();
+  }
+  const percent = rest.endsWith('%');
+  if (percent) rest = rest.slice(0, -1).trim();
+  if (!currency && !percent) ({ text: rest, affix: currency } = stripAffix(rest, CURRENCY_SUFFIX_RE, false));
+
+  const match = rest.match(BODY_RE);
+  if (!match) return null;
+  let [, integer, thousands = null, decimal = null, fraction = ''] = match;
+  // "1.234" (or "1,234" with a decimal comma): a single separator before
+  // three digits is the decimal separator
+  if (thousands === decimalSeparator && !decimal && integer.split(thousands).length === 2) {
+    [integer, fraction] = integer.split(thousands);
+    thousands = null;
+    decimal = decimalSeparator;
+  }
+  if (thousands && decimal === thousands) return null;
+
+  const digits = integer.replace(/\D/g, '');
+  if (!thousands && digits.length < 4) thousands = undefined;
+  const magnitude = Number(`${digits}.${fraction || 0}`);
+  const value = negative ? -magnitude : magnitude;
+  let type = fraction ? 'decimal' : 'integer';
+  if (currency) type = 'currency';
+  if (percent) type = 'percentage';
+  return { type, value, currency, thousands, decimal, decimals: fraction.length, percent, negative };
+}
+
+/**
+ * The decimal separator the numbers in `texts` (say, a column) are written
+ * with: the comma when any of them can only be read with a decimal comma
+ * ("1,5", "1.234,56 €"), else the point.
+ */
+export function decimalSeparator(texts) {
+  return texts.some((text) => parseNumberFormat(text)?.decimal === ',') ? ',' : '.';
+}
+
+// The time value of a date, or NaN when there is no such day
+function toTime(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  if (hours > 23 || minutes > 59 || seconds > 59) return NaN;
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return NaN;
+  return date.getTime();
+}
+
+function fullYear(text) {
+  const year = Number(text);
+  if (text.length > 2) return year;
+  return year < 70 ? 2000 + year : 1900 + year;
+}
+
+// The date order of the browser's locale
+function localeDateOrder() {
+  const parts = new Intl.DateTimeFormat().formatToParts(new Date(2000, 11, 31));
+  const first = parts.find((part) => part.type === 'day' || part.type === 'month');
+  return first && first.type === 'day' ? 'dmy' : 'mdy';
+}
+
+/**
+ * Read a date: ISO ("2024-03-01", with an optional time), numeric
+ * ("03/01/2024", "1.3.24", in date order `order`) or with a month name
+ * ("1 March 2024", "Mar 1, 2024", "March 2024"). Returns its time value, or
+ * NaN when the text isn't a date or names a day that doesn't exist.
+ */
+export function parseDate(text, order = localeDateOrder()) {
+  const trimmed = text.trim();
+  let match = trimmed.match(ISO_DATE_RE);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds] = match.map((part) => Number(part || 0));
+    return toTime(year, month, day, hours, minutes, seconds);
+  }
+
+  match = trimmed.match(NUMERIC_DATE_RE);
+  if (match) {
+    const [, first, , second, year] = match;
+    const [day, month] = order === 'dmy' ? [first, second] : [second, first];
+    return toTime(fullYear(year), Number(month), Number(day));
+  }
+
+  match = trimmed.match(MONTH_DATE_RE);
+  if (match) {
+    const [, dayBefore, month, dayAfter, year] = match;
+    if (dayBefore && dayAfter) return NaN;
+    return toTime(Number(year), MONTHS.indexOf(month.toLowerCase()) + 1, Number(dayBefore || dayAfter || 1));
+  }
+  return NaN;
+}
+
+/**
+ * Whether `text` is a date read either day first or month first.
+ */
+export function isDate(text) {
+  return !Number.isNaN(parseDate(text, 'dmy')) || !Number.isNaN(parseDate(text, 'mdy'));
+}
+
+/**
+ * The date order the numeric dates in `texts` (say, a column) are written
+ * in: the one every date exists in when only one does ("13/05/2024" can
+ * only be day first), day first for dates with points, else the locale's.
+ */
+export function dateOrder(texts) {
+  const numeric = texts.map((text) => text.trim()).filter((text) => NUMERIC_DATE_RE.test(text));
+  const fits = (order) => numeric.every((text) => !Number.isNaN(parseDate(text, order)));
+  const dmy = fits('dmy');
+  const mdy = fits('mdy');
+  if (dmy !== mdy) return dmy ? 'dmy' : 'mdy';
+  if (numeric.some((text) => text.includes('.'))) return 'dmy';
+  return localeDateOrder();
+}
@@ -0,0 +1,304 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { MERGED_CELLS_WARNING, htmlToMarkdown } from './htmlToMarkdown.js';
+import { TABLE_LAYOUTS, tableModelToHtml } from './markdownToHtml.js';
+import { readDocxTables, tableModelToDocx } from './docx.js';
+import { DIALECTS, detectDialect, diagnoseTableText, parseTableText, writeTableText } from './tableDialects.js';
+import { blockingDiagnostics, formatDiagnostic } from './tableDiagnostics.js';
+import { overrideHeaders } from './tableModel.js';
+import { metadataWarnings, restoreFromMetadata } from './tableMetadata.js';
+import { THEMES } from './tableThemes.js';
+import { parseCsvTable, tableModelToCsv } from './csvTable.js';
+import { NUMBER_ALIGNMENTS } from './columnTypes.js';
+import { RECORD_SHAPES } from './recordsTable.js';
+
+/**
+ * Command-line entry point: the same conversions as the browser page, reading
+ * files or stdin and writing files or stdout. Warnings go to stderr.
+ *
+ * Exit codes: 0 success, 1 no table could be converted, 2 usage or I/O error.
+ */
+
+export const USAGE = `Usage: word-md-table <command> [options] [input]
+
+Commands:
+  to-markdown   Convert a .docx file, an HTML table (e.g. Word "Save as Web
+                Page"), CSV/TSV data or JSON/YAML records to Markdown (or,
+                with --dialect json or yaml, to records)
+  to-html       Convert a Markdown table to Word-compatible HTML
+  to-docx       Convert a Markdown table to a .docx file (needs -o)
+  to-csv        Convert a Markdown table to CSV (or TSV with --delimiter tab)
+
+Reads [input] or stdin when it is omitted or "-". to-html and to-docx detect
+the table's format: ${Object.keys(DIALECTS).join(', ')}.
+
+Options:
+  -o, --output <file>       Write to <file> instead of stdout
+  --preserve-merges         to-markdown: keep merged cells as << / ^^ markers
+  --preserve-alignment      to-markdown: keep the alignment of cells aligned
+                            unlike their column as {align=… valign=…}
+  --collapse-line-breaks    to-markdown: join paragraphs in a cell with spaces
+  --metadata                to-markdown: end the table with a round-trip
+                            comment holding its styling, merges and column
+                            widths; to-html, to-docx: warn when the input's
+                            comment is missing
+  --column-widths           Write column widths as the lengths of the Markdown
+                            separator dashes (to-markdown), or read them
+                            from there (to-html, to-docx)
+  --dialect <name>          Table format to write (to-markdown, default gfm)
+                            or to read instead of detecting it
+  --records <shape>         JSON and YAML output: objects keyed by header
+                            (default), arrays, or columns (objects plus the
+                            column order and alignment)
+  --table <n>               Convert the n-th table when the input (e.g. an LLM
+                            reply) holds several; default 1
+  --header-rows <n>         Number of header rows, 0 for none; detected when
+                            omitted (Markdown input: as written)
+  --row-headers <yes|no>    Whether the first column holds row headers;
+                            detected when omitted
+  --strict                  Refuse to convert a Markdown table that would lose
+                            data (rows cut off, cells without a header)
+  --save-style <file>       to-markdown: save the table's styling as JSON (HTML input)
+  --style <file>            to-html: apply styling saved with --save-style
+                            instead of the round-trip comment's
+  --theme <name>            to-html: look of the table, one of
+                            ${Object.keys(THEMES).join(', ')}
+  --layout <name>           to-html: layout of a table with column widths,
+                            one of ${Object.keys(TABLE_LAYOUTS).join(', ')} (default fixed)
+  --number-alignment <name> Align numeric columns: none (default), right, or
+                            decimal to also line up decimal points
+                            (to-markdown, to-html, to-docx)
+  --delimiter <char>        CSV field delimiter ("tab" for TSV); detected on
+                            input when omitted, "," for to-csv
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  'preserve-merges': { type: 'boolean' },
+  'preserve-alignment': { type: 'boolean' },
+  'collapse-line-breaks': { type: 'boolean' },
+  metadata: { type: 'boolean' },
+  'column-widths': { type: 'boolean' },
+  dialect: { type: 'string' },
+  records: { type: 'string' },
+  table: { type: 'string' },
+  strict: { type: 'boolean' },
+  'header-rows': { type: 'string' },
+  'row-headers': { type: 'string' },
+  'save-style': { type: 'string' },
+  style: { type: 'string' },
+  theme: { type: 'string' },
+  layout: { type: 'string' },
+  'number-alignment': { type: 'string' },
+  delimiter: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {}
+
+async function ensureDomParser() {
+  if (typeof globalThis.DOMParser !== 'undefined') return;
+  const { JSDOM } = await import('jsdom');
+  globalThis.DOMParser = new JSDOM('').window.DOMParser;
+}
+
+async function readInput(file, io) {
+  if (!file || file === '-') return io.readStdin();
+  return readFile(file);
+}
+
+async function writeOutput(file, data, io) {
+  if (file) await writeFile(file, data);
+  else io.writeStdout(data);
+}
+
+// .docx files are ZIP archives, which start with "PK\x03\x04"
+function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+// Write the table in the dialect chosen with --dialect. `warnings` are the
+// converter's own; the merged-cells warning depends on the dialect.
+function writeMarkdown(table, warnings, values, options) {
+  const result = writeTableText(table, values.dialect, options);
+  return {
+    output: result.text + '\n',
+    warnings: [...warnings.filter((warning) => warning !== MERGED_CELLS_WARNING), ...result.warnings],
+  };
+}
+
+// The headerRows / rowHeaders options from --header-rows and --row-headers
+function headerOptions(values) {
+  return {
+    headerRows: values['header-rows'] === undefined ? 'auto' : parseInt(values['header-rows'], 10),
+    rowHeaders: values['row-headers'] === undefined ? 'auto' : values['row-headers'] === 'yes',
+  };
+}
+
+function csvDelimiter(values) {
+  return values.delimiter === 'tab' ? '\t' : values.delimiter;
+}
+
+async function docxToMarkdown(input, values, options) {
+  const tables = await readDocxTables(input, options);
+  if (tables.length === 0) return { error: 'No table found in the .docx file.' };
+  const warnings = [];
+  if (tables.length > 1) {
+    warnings.push(`Found ${tables.length} tables — only the first was converted.`);
+  }
+  const metadata = options.metadata && { source: 'word' };
+  return writeMarkdown(tables[0], warnings, values, { ...options, metadata });
+}
+
+async function toMarkdown(input, values) {
+  const options = {
+    preserveMerges: !!values['preserve-merges'],
+    preserveAlignment: !!values['preserve-alignment'],
+    collapseLineBreaks: !!values['collapse-line-breaks'],
+    columnWidths: !!values['column-widths'],
+    numberAlignment: values['number-alignment'],
+    recordShape: values.records,
+    metadata: !!values.metadata,
+    ...headerOptions(values),
+  };
+  if (isZip(input)) return docxToMarkdown(input, values, options);
+
+  const text = input.toString('utf8');
+  const result = htmlToMarkdown(text, options);
+  if (!result) {
+    const dialect = detectDialect(text);
+    if (dialect === 'json' || dialect === 'yaml') {
+      return writeMarkdown(parseTableText(text, dialect, 0, headerOptions(values)).table, [], values, options);
+    }
+    const table = parseCsvTable(text, { delimiter: csvDelimiter(values), ...headerOptions(values) });
+    if (table) return writeMarkdown(table, [], values, options);
+    return { error: 'No table found in the input.' };
+  }
+  if (values['save-style']) {
+    await writeFile(values['save-style'], JSON.stringify(result.style, null, 2) + '\n');
+  }
+  const metadata = options.metadata && { source: result.source, style: result.style };
+  return writeMarkdown(result.table, result.warnings, values, { ...options, metadata });
+}
+
+// Parse the table picked with --table from a text input. Problems found in
+// it are warnings, or with --strict errors when data would be lost. Returns
+// { table, warnings } or { error }.
+function readTextTable(input, values) {
+  const text = input.toString('utf8');
+  const index = values.table ? parseInt(values.table, 10) - 1 : 0;
+  const parsed = parseTableText(text, values.dialect, index, { columnWidths: !!values['column-widths'] });
+  const diagnostics = diagnoseTableText(text, values.dialect).filter((d) => d.table === index || d.table === null);
+  const details = (list) => list.map((d) => `\n  ${formatDiagnostic(d)}`).join('');
+  if (!parsed) {
+    if (index > 0) return { error: `The input has no table ${index + 1}.` };
+    return { error: 'Could not parse a valid table from the input.' + details(diagnostics) };
+  }
+  const blocking = values.strict ? blockingDiagnostics(diagnostics, index) : [];
+  if (blocking.length > 0) {
+    return { error: 'The table was not converted because data would be lost (--strict):' + details(blocking) };
+  }
+  const warnings = diagnostics.map(formatDiagnostic);
+  if (parsed.tableCount > 1) {
+    warnings.push(`Found ${parsed.tableCount} tables — table ${index + 1} was converted.`);
+  }
+  const table = restoreFromMetadata(overrideHeaders(parsed.table, headerOptions(values)));
+  if (table.roundTrip || values.metadata) warnings.push(...metadataWarnings(table));
+  return { table, warnings };
+}
+
+async function toHtml(input, values) {
+  // Without --style, the styling in the table's round-trip comment is used
+  const style = values.style ? JSON.parse(await readFile(values.style, 'utf8')) : undefined;
+  const { table, warnings, error } = readTextTable(input, values);
+  if (error) return { error };
+  return { output: tableModelToHtml(table, {
+    style,
+    theme: THEMES[values.theme],
+    layout: values.layout,
+    numberAlignment: values['number-alignment'],
+  }) + '\n', warnings };
+}
+
+async function toDocx(input, values) {
+  if (!values.output) return { error: 'to-docx writes a binary file: give it with -o.' };
+  const { table, warnings, error } = readTextTable(input, values);
+  if (error) return { error };
+  return { output: tableModelToDocx(table, { numberAlignment: values['number-alignment'] }), warnings };
+}
+
+async function toCsv(input, values) {
+  const { table, warnings, error } = readTextTable(input, values);
+  if (error) return { error };
+  return { output: tableModelToCsv(table, { delimiter: csvDelimiter(values) }), warnings };
+}
+
+const COMMANDS = { 'to-markdown': toMarkdown, 'to-html': toHtml, 'to-docx': toDocx, 'to-csv': toCsv };
+
+/**
+ * Run the CLI with the given arguments (without the node and script paths).
+ * `io` provides readStdin(): Promise<Buffer>, writeStdout(data) and
+ * writeStderr(text). Resolves to the exit code.
+ */
+export async function runCli(args, io) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+      io.writeStdout(USAGE);
+      return 0;
+    }
+
+    const [command, file, ...extra] = positionals;
+    if (!command) throw new UsageError('Missing command.');
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".`);
+    if (extra.length > 0) throw new UsageError('Only one input file can be given.');
+    if (values.dialect && !DIALECTS[values.dialect]) throw new UsageError(`Unknown dialect "${values.dialect}".`);
+    if (values.records && !RECORD_SHAPES[values.records]) throw new UsageError(`Unknown record shape "${values.records}".`);
+    if (values.theme && !THEMES[values.theme]) throw new UsageError(`Unknown theme "${values.theme}".`);
+    if (values.layout && !TABLE_LAYOUTS[values.layout]) throw new UsageError(`Unknown layout "${values.layout}".`);
+    if (values['number-alignment'] && !NUMBER_ALIGNMENTS[values['number-alignment']]) {
+      throw new UsageError(`Unknown number alignment "${values['number-alignment']}".`);
+    }
+    if (values.table !== undefined && !/^[1-9]\d*$/.test(values.table)) {
+      throw new UsageError('--table takes a table number, starting at 1.');
+    }
+    if (values['header-rows'] !== undefined && !/^\d+$/.test(values['header-rows'])) {
+      throw new UsageError('--header-rows takes a number of rows (0 for none).');
+    }
+    if (values['row-headers'] !== undefined && !['yes', 'no'].includes(values['row-headers'])) {
+      throw new UsageError('--row-headers takes "yes" or "no".');
+    }
+    if (values.delimiter !== undefined && csvDelimiter(values).length !== 1) {
+      throw new UsageError('--delimiter takes a single character or "tab".');
+    }
+
+    await ensureDomParser();
+    const input = await readInput(file, io);
+    const { output, warnings, error } = await COMMANDS[command](input, values);
+
+    if (error) {
+      io.writeStderr(`error: ${error}\n`);
+      return 1;
+    }
+    for (const warning of warnings) {
+      io.writeStderr(`warning: ${warning}\n`);
+    }
+    await writeOutput(values.output, output, io);
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      io.writeStderr(`error: ${err.message}\n\n${USAGE}`);
+    } else {
+      io.writeStderr(`error: ${err.message}\n`);
+    }
+    return 2;
+  }
+}
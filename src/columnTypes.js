@@ -0,0 +1,187 @@
+import { createRun } from './tableModel.js';
+import { isDate, parseNumberFormat } from './cellValues.js';
+
+/**
+ * Number-aware columns: reads the numbers in cells along with how they are
+ * written, infers each column's type from its body cells, right- or
+ * decimal-aligns numeric columns, and lists how the format of a number
+ * changed (for checking an LLM's edit against the original table). Numbers
+ * and dates are read as in cellValues.js.
+ */
+
+export const COLUMN_TYPES = ['integer', 'decimal', 'currency', 'percentage', 'date', 'text'];
+
+// How numeric columns are aligned on output
+export const NUMBER_ALIGNMENTS = {
+  none: 'As written',
+  right: 'Right',
+  decimal: 'Decimal point',
+};
+
+const NUMERIC_TYPES = new Set(['integer', 'decimal', 'currency', 'percentage']);
+
+// Cells that stand for a missing value and don't decide a column's type
+const PLACEHOLDER_RE = /^(?:[-–—]|n\/?a|tbd|none)$/i;
+
+/**
+ * The type of a single cell's text: one of COLUMN_TYPES, or null for an
+ * empty cell or a placeholder such as "n/a" or "—".
+ */
+export function cellType(text) {
+  const trimmed = text.trim();
+  if (!trimmed || PLACEHOLDER_RE.test(trimmed)) return null;
+  if (isDate(trimmed)) return 'date';
+  const format = parseNumberFormat(trimmed);
+  return format ? format.type : 'text';
+}
+
+// The type of a column from the types of its filled cells: numbers of
+// different kinds combine (integers with decimals are decimal, any currency
+// or percentage sign makes the column that kind, unless it has both)
+function combineTypes(types) {
+  if (types.length === 0 || types.includes('text')) return 'text';
+  if (types.every((type) => type === 'date')) return 'date';
+  if (types.includes('date')) return 'text';
+  const currency = types.includes('currency');
+  const percentage = types.includes('percentage');
+  if (currency && !percentage) return 'currency';
+  if (percentage && !currency) return 'percentage';
+  return types.every((type) => type === 'integer') ? 'integer' : 'decimal';
+}
+
+/**
+ * Infer the type of each column (one of COLUMN_TYPES) from its body cells.
+ * Header rows, cells covered by a merge, empty cells and placeholders are
+ * left out; a column of row headers is text.
+ */
+export function inferColumnTypes(table) {
+  return table.alignments.map((_, c) => {
+    if (table.rowHeaders && c === 0) return 'text';
+    const types = table.rows
+      .filter((row) => !row.isHeader && row.cells[c] && !row.cells[c].covered)
+      .map((row) => cellType(row.cells[c].content))
+      .filter(Boolean);
+    return combineTypes(types);
+  });
+}
+
+/**
+ * The column types a table carries (restored from round-trip metadata, see
+ * tableMetadata.js), or else the inferred ones.
+ */
+export function getColumnTypes(table) {
+  const { columnTypes } = table;
+  return columnTypes && columnTypes.length === table.alignments.length ? columnTypes : inferColumnTypes(table);
+}
+
+export function isNumericType(type) {
+  return NUMERIC_TYPES.has(type);
+}
+
+/**
+ * Return a copy of the table with its numeric columns right-aligned.
+ */
+export function alignNumberColumns(table, types = getColumnTypes(table)) {
+  return { ...table, alignments: table.alignments.map((align, c) => (isNumericType(types[c]) ? 'right' : align)) };
+}
+
+/**
+ * For the texts of a right-aligned column, the number of characters to add
+ * after each one so their decimal points (or where the point would be)
+ * line up. Texts that aren't numbers get none.
+ */
+export function decimalPadding(texts) {
+  // The characters after the last digit of the integer part
+  const tails = texts.map((text) => {
+    const format = parseNumberFormat(text);
+    if (!format) return null;
+    const trimmed = text.trim();
+    if (format.decimal) return trimmed.length - trimmed.lastIndexOf(format.decimal);
+    return trimmed.length - trimmed.search(/\d\D*$/) - 1;
+  });
+  const longest = Math.max(0, ...tails.filter((tail) => tail !== null));
+  return tails.map((tail) => (tail === null ? 0 : longest - tail));
+}
+
+// Figure spaces are as wide as a digit
+const FIGURE_SPACE = '\u2007';
+
+/**
+ * Return a copy of the table whose numeric body cells end in figure spaces
+ * (see decimalPadding), so their decimal points line up when the numeric
+ * columns are right-aligned.
+ */
+export function padDecimals(table, types = getColumnTypes(table)) {
+  const rows = table.rows.map((row) => ({ ...row, cells: [...row.cells] }));
+  types.forEach((type, c) => {
+    if (!isNumericType(type)) return;
+    const body = rows.filter((row) => !row.isHeader && row.cells[c] && !row.cells[c].covered);
+    const padding = decimalPadding(body.map((row) => row.cells[c].content));
+    body.forEach((row, i) => {
+      const cell = row.cells[c];
+      const paragraphs = cell.paragraphs || [];
+      if (padding[i] === 0 || paragraphs.length !== 1) return;
+      const [paragraph] = paragraphs;
+      row.cells[c] = {
+        ...cell,
+        paragraphs: [{ ...paragraph, runs: [...paragraph.runs, createRun(FIGURE_SPACE.repeat(padding[i]))] }],
+      };
+    });
+  });
+  return { ...table, rows };
+}
+
+/**
+ * Apply a number alignment ('none', 'right' or 'decimal', see
+ * NUMBER_ALIGNMENTS) to a table written as HTML or .docx. Returns the table
+ * itself for 'none'.
+ */
+export function applyNumberAlignment(table, alignment = 'none') {
+  if (alignment === 'none') return table;
+  const types = getColumnTypes(table);
+  const aligned = alignNumberColumns(table, types);
+  return alignment === 'decimal' ? padDecimals(aligned, types) : aligned;
+}
+
+function describeSeparator(separator) {
+  if (/\s/.test(separator)) return 'space';
+  return `"${separator}"`;
+}
+
+/**
+ * Describe how the format of the number in `after` differs from the one in
+ * `before`: thousands separators, decimal places, the decimal separator (a
+ * sign the number was rewritten for another locale), the currency, the
+ * percent sign and how negatives are written. Returns a list of short
+ * descriptions, empty when either text isn't a number or nothing changed.
+ */
+export function numberFormatChanges(before, after) {
+  const from = parseNumberFormat(before);
+  const to = parseNumberFormat(after);
+  if (!from || !to) return [];
+
+  const changes = [];
+  if (from.thousands !== undefined && to.thousands !== undefined && from.thousands !== to.thousands) {
+    if (!to.thousands) changes.push('thousands separators removed');
+    else if (!from.thousands) changes.push('thousands separators added');
+    else changes.push(`thousands separator ${describeSeparator(from.thousands)} → ${describeSeparator(to.thousands)}`);
+  }
+  if (from.decimal && to.decimal && from.decimal !== to.decimal) {
+    changes.push(`decimal separator ${describeSeparator(from.decimal)} → ${describeSeparator(to.decimal)} (another locale)`);
+  }
+  if (from.decimals !== to.decimals) {
+    changes.push(`decimal places ${from.decimals} → ${to.decimals}`);
+  }
+  if (from.currency !== to.currency) {
+    if (!to.currency) changes.push(`currency ${from.currency} removed`);
+    else if (!from.currency) changes.push(`currency ${to.currency} added`);
+    else changes.push(`currency ${from.currency} → ${to.currency}`);
+  }
+  if (from.percent !== to.percent) {
+    changes.push(to.percent ? 'percent sign added' : 'percent sign removed');
+  }
+  if (from.negative && to.negative && from.negative !== to.negative) {
+    changes.push(`negative written as ${to.negative === '()' ? '(…)' : '-…'}`);
+  }
+  return changes;
+}
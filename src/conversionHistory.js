@@ -0,0 +1,157 @@
+/**
+ * Conversion history: every conversion the page made, kept in localStorage
+ * so a page reload or a second paste doesn't lose the input, the output or
+ * the original Word table the edit is compared with.
+ *
+ * Entry: {
+ *   id, name,      a generated ID and a name the user can change
+ *   pinned,        pinned entries are listed first and never evicted
+ *   time,          when the conversion was made, in ms since the epoch
+ *   direction,     'to-markdown' or 'to-word'
+ *   input,         the text of the input panel
+ *   sourceHtml,    the pasted HTML, or null
+ *   markdown,      the Markdown written (to-markdown) or read (to-word)
+ *   source,        the label of the application the table came from, or null
+ *   warnings,      the warnings shown
+ *   original,      { id, table, style, source } of the original Word table
+ *                  (see main.js), or null
+ * }
+ *
+ * The history is newest first. The functions here return new arrays and
+ * leave the entries they are given alone.
+ */
+
+export const HISTORY_STORAGE_KEY = 'conversionHistory';
+
+// Limits of the stored history, in entries and in characters of JSON
+// (localStorage holds about 5 million characters per site)
+export const HISTORY_MAX_ENTRIES = 100;
+export const HISTORY_MAX_SIZE = 2_000_000;
+
+export const DIRECTIONS = {
+  'to-markdown': 'Word → Markdown',
+  'to-word': 'Markdown → Word',
+};
+
+function createEntryId() {
+  return `h-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * A name for an entry of `table`: the text of its first row, shortened.
+ */
+export function entryName(table) {
+  const header = table ? table.rows[0].cells.map((cell) => cell.content).filter(Boolean).join(', ') : '';
+  if (!header) return 'Table';
+  return header.length > 40 ? header.slice(0, 39) + '…' : header;
+}
+
+/**
+ * Create an entry from the given fields (see above); missing ones are
+ * empty. `time` defaults to now.
+ */
+export function createEntry(fields, time = Date.now()) {
+  return {
+    id: createEntryId(),
+    name: 'Table',
+    pinned: false,
+    time,
+    direction: 'to-markdown',
+    input: '',
+    sourceHtml: null,
+    markdown: '',
+    source: null,
+    warnings: [],
+    original: null,
+    ...fields,
+  };
+}
+
+function isSameConversion(a, b) {
+  return a.direction === b.direction && a.input === b.input && a.sourceHtml === b.sourceHtml;
+}
+
+function entrySize(entry) {
+  return JSON.stringify(entry).length;
+}
+
+/**
+ * Drop the oldest entries that aren't pinned until the history has at most
+ * `maxEntries` entries of at most `maxSize` characters in all. The newest
+ * entry is always kept.
+ */
+export function evictEntries(history, { maxEntries = HISTORY_MAX_ENTRIES, maxSize = HISTORY_MAX_SIZE } = {}) {
+  const kept = [...history];
+  let size = kept.reduce((sum, entry) => sum + entrySize(entry), 0);
+  for (let i = kept.length - 1; i > 0 && (kept.length > maxEntries || size > maxSize); i--) {
+    if (kept[i].pinned) continue;
+    size -= entrySize(kept[i]);
+    kept.splice(i, 1);
+  }
+  return kept;
+}
+
+/**
+ * Add an entry to the front of the history and evict what no longer fits
+ * (see evictEntries). Converting the same input again (with other options)
+ * replaces the newest entry, keeping its ID, name and pin.
+ */
+export function addEntry(history, entry, limits) {
+  const [newest, ...rest] = history;
+  if (newest && isSameConversion(newest, entry)) {
+    return evictEntries([{ ...entry, id: newest.id, name: newest.name, pinned: newest.pinned }, ...rest], limits);
+  }
+  return evictEntries([entry, ...history], limits);
+}
+
+export function updateEntry(history, id, changes) {
+  return history.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+}
+
+export function deleteEntry(history, id) {
+  return history.filter((entry) => entry.id !== id);
+}
+
+/**
+ * The entries whose name, input or Markdown contain every word of `query`
+ * (ignoring case), pinned first and then newest first.
+ */
+export function searchHistory(history, query = '') {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = history.filter((entry) => {
+    const text = `${entry.name}\n${entry.input}\n${entry.markdown}`.toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+  return [...matches.filter((entry) => entry.pinned), ...matches.filter((entry) => !entry.pinned)];
+}
+
+/**
+ * Read the history from `storage`; an unreadable one counts as empty.
+ */
+export function loadHistory(storage) {
+  try {
+    const history = JSON.parse(storage.getItem(HISTORY_STORAGE_KEY));
+    return Array.isArray(history) ? history : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Write the history to `storage`. When the storage is full, older entries
+ * that aren't pinned are evicted until it fits. Returns the history as
+ * stored (or as far as it could be trimmed when nothing fits).
+ */
+export function saveHistory(storage, history) {
+  let kept = history;
+  for (;;) {
+    try {
+      storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+      return kept;
+    } catch {
+      const trimmed = evictEntries(kept, { maxEntries: kept.length - 1 });
+      if (trimmed.length === kept.length) return kept;
+      kept = trimmed;
+    }
+  }
+}
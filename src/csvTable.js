@@ -0,0 +1,127 @@
+import {
+  applyHeaders,
+  createCell,
+  createRow,
+  createTable,
+  getCellParagraphs,
+  normalizeTable,
+  paragraphsToText,
+} from './tableModel.js';
+
+/**
+ * CSV and TSV (RFC 4180): fields separated by a delimiter, records by line
+ * breaks. Fields holding the delimiter, quotes or line breaks are wrapped in
+ * double quotes, with quotes doubled. This is also what Excel and Google
+ * Sheets put on the clipboard as plain text (tab-delimited).
+ */
+
+// Candidates in order of preference when several split the text evenly:
+// tabs and semicolons rarely appear in comma-separated data, while commas
+// are common inside semicolon-separated data (decimal commas).
+const SNIFF_DELIMITERS = ['\t', ';', ','];
+const SNIFF_RECORDS = 20;
+
+/**
+ * Split delimited text into records of fields. Quoted fields may contain the
+ * delimiter, doubled quotes and line breaks; a quote inside an unquoted field
+ * is kept literally. Blank lines are skipped.
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (c === delimiter) {
+      endField();
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += c;
+      fieldStarted = true;
+    }
+  }
+  if (fieldStarted || record.length > 0) endRecord();
+  return records;
+}
+
+/**
+ * Guess the delimiter of CSV/TSV text: the first candidate that splits the
+ * leading records into the same number (at least two) of fields. Returns null
+ * when none does, e.g. for prose or a single line.
+ */
+export function sniffDelimiter(text) {
+  for (const delimiter of SNIFF_DELIMITERS) {
+    if (!text.includes(delimiter)) continue;
+    const records = parseDelimited(text, delimiter).slice(0, SNIFF_RECORDS);
+    if (records.length < 2) continue;
+    const width = records[0].length;
+    if (width >= 2 && records.every((record) => record.length === width)) return delimiter;
+  }
+  return null;
+}
+
+/**
+ * Parse CSV/TSV text into a table model, the first record being the header
+ * unless the headerRows / rowHeaders options (see applyHeaders) say
+ * otherwise. The delimiter is sniffed unless given. Returns null if the text
+ * doesn't look like delimited data. Line breaks inside a field become
+ * paragraphs.
+ */
+export function parseCsvTable(text, options = {}) {
+  const delimiter = options.delimiter || sniffDelimiter(text);
+  if (!delimiter) return null;
+  const records = parseDelimited(text, delimiter);
+  if (records.length === 0) return null;
+
+  const rows = records.map((record) => createRow(record.map((field) => createCell(field.replace(/\r\n?/g, '\n')))));
+  return applyHeaders(normalizeTable(createTable(rows)), { headerRows: 1, rowHeaders: false }, options);
+}
+
+function quoteField(text, delimiter) {
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+/**
+ * Write a table model as CSV (or TSV with delimiter '\t'), records ending in
+ * CRLF. Formatting is dropped, paragraphs become line breaks within the field
+ * and slots covered by a merge are left empty.
+ */
+export function tableModelToCsv(table, options = {}) {
+  if (!table || table.rows.length === 0) return '';
+  const { delimiter = ',' } = options;
+  const lines = table.rows.map((row) =>
+    row.cells
+      .map((cell) => (cell.covered ? '' : quoteField(paragraphsToText(getCellParagraphs(cell)), delimiter)))
+      .join(delimiter),
+  );
+  return lines.map((line) => line + '\r\n').join('');
+}
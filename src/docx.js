@@ -0,0 +1,603 @@
+import {
+  applyHeaders,
+  createCell,
+  createCellFromParagraphs,
+  createCoveredCell,
+  createParagraph,
+  createRow,
+  createRun,
+  createTable,
+  getCellAlignment,
+  getCellParagraphs,
+  getMergeOwners,
+  isBoldRow,
+  normalizeTable,
+  TEXT_WIDTH_POINTS,
+  voteColumnAlignments,
+} from './tableModel.js';
+import { collapseRunWhitespace, escapeHtml } from './inlineFormat.js';
+import { createZip, readZip } from './zip.js';
+import { applyNumberAlignment } from './columnTypes.js';
+
+/**
+ * Reads tables straight from a .docx file (word/document.xml) into the table
+ * model, and writes a table model out as a minimal .docx containing just that
+ * table. Everything runs locally on the file's bytes.
+ */
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const MONOSPACE_FONT_RE = /^(courier|consolas|menlo|monaco|lucida console|source code|fira code|cascadia)/i;
+const UNSAFE_URL_RE = /^\s*(javascript|vbscript|data):/i;
+const JC_ALIGNMENTS = { left: 'left', start: 'left', both: 'left', center: 'center', right: 'right', end: 'right' };
+const VALIGN_VALUES = { top: 'top', center: 'middle', bottom: 'bottom' };
+
+// --- Reading ---
+
+function attr(el, name) {
+  return el.getAttributeNS(W_NS, name) ?? el.getAttribute(`w:${name}`);
+}
+
+/**
+ * Child elements in the w: namespace with the given local name. Content
+ * controls (w:sdt) are see-through, so rows, cells and runs inside them count
+ * as direct children.
+ */
+function wChildren(el, localName) {
+  const result = [];
+  for (const child of el.children) {
+    if (child.namespaceURI !== W_NS) continue;
+    if (child.localName === 'sdt') {
+      const content = wChild(child, 'sdtContent');
+      if (content) result.push(...wChildren(content, localName));
+    } else if (child.localName === localName) {
+      result.push(child);
+    }
+  }
+  return result;
+}
+
+function wChild(el, localName) {
+  if (!el) return null;
+  for (const child of el.children) {
+    if (child.namespaceURI === W_NS && child.localName === localName) return child;
+  }
+  return null;
+}
+
+/** An on/off property such as <w:b/>: present and not switched off. */
+function isOn(el) {
+  if (!el) return false;
+  const val = attr(el, 'val');
+  return !val || !['0', 'false', 'off', 'none'].includes(val.toLowerCase());
+}
+
+function parseXml(bytes) {
+  const text = typeof bytes === 'string' ? bytes : new TextDecoder().decode(bytes);
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  return doc.getElementsByTagName('parsererror').length > 0 ? null : doc;
+}
+
+/**
+ * Map relationship ids (r:id on hyperlinks) to their targets.
+ */
+function parseRelationships(doc) {
+  const targets = new Map();
+  if (!doc) return targets;
+  for (const rel of doc.getElementsByTagNameNS(REL_NS, 'Relationship')) {
+    targets.set(rel.getAttribute('Id'), rel.getAttribute('Target'));
+  }
+  return targets;
+}
+
+/**
+ * Map each list instance (numId) to its number format per level ('bullet',
+ * 'decimal', ...), from word/numbering.xml.
+ */
+function parseNumbering(doc) {
+  const formatsByNum = new Map();
+  if (!doc) return formatsByNum;
+
+  const abstractFormats = new Map();
+  for (const abstractNum of doc.getElementsByTagNameNS(W_NS, 'abstractNum')) {
+    const formats = [];
+    for (const lvl of wChildren(abstractNum, 'lvl')) {
+      const numFmt = wChild(lvl, 'numFmt');
+      formats[parseInt(attr(lvl, 'ilvl') || '0', 10)] = numFmt ? attr(numFmt, 'val') : 'decimal';
+    }
+    abstractFormats.set(attr(abstractNum, 'abstractNumId'), formats);
+  }
+
+  for (const num of doc.getElementsByTagNameNS(W_NS, 'num')) {
+    const abstractId = wChild(num, 'abstractNumId');
+    const formats = (abstractId && abstractFormats.get(attr(abstractId, 'val'))) || [];
+    formatsByNum.set(attr(num, 'numId'), formats);
+  }
+  return formatsByNum;
+}
+
+function runMarks(rPr, inherited) {
+  const marks = { ...inherited };
+  if (!rPr) return marks;
+  if (wChild(rPr, 'b')) marks.bold = isOn(wChild(rPr, 'b'));
+  if (wChild(rPr, 'i')) marks.italic = isOn(wChild(rPr, 'i'));
+  if (wChild(rPr, 'strike') || wChild(rPr, 'dstrike')) {
+    marks.strike = isOn(wChild(rPr, 'strike')) || isOn(wChild(rPr, 'dstrike'));
+  }
+  const fonts = wChild(rPr, 'rFonts');
+  const style = wChild(rPr, 'rStyle');
+  if ((fonts && MONOSPACE_FONT_RE.test(attr(fonts, 'ascii') || '')) || (style && /code|html/i.test(attr(style, 'val')))) {
+    marks.code = true;
+  }
+  return marks;
+}
+
+/**
+ * Read one w:p into paragraphs: the paragraph itself plus one more for each
+ * line break (w:br) inside it, matching how <br> is read from HTML.
+ */
+function readParagraph(pEl, context) {
+  const pPr = wChild(pEl, 'pPr');
+  const numPr = wChild(pPr, 'numPr');
+  let list = null;
+  if (numPr) {
+    const numId = wChild(numPr, 'numId') && attr(wChild(numPr, 'numId'), 'val');
+    const level = parseInt((wChild(numPr, 'ilvl') && attr(wChild(numPr, 'ilvl'), 'val')) || '0', 10);
+    if (numId && numId !== '0') {
+      const formats = context.numbering.get(numId) || [];
+      const format = formats[level] || 'bullet';
+      list = { ordered: format !== 'bullet' && format !== 'none', level };
+    }
+  }
+
+  const lines = [[]];
+  const walk = (el, marks) => {
+    for (const child of el.children) {
+      if (child.namespaceURI !== W_NS) continue;
+      switch (child.localName) {
+        case 'r': {
+          const marksForRun = runMarks(wChild(child, 'rPr'), marks);
+          for (const part of child.children) {
+            if (part.namespaceURI !== W_NS) continue;
+            if (part.localName === 't') {
+              lines[lines.length - 1].push(createRun(part.textContent, marksForRun));
+            } else if (part.localName === 'tab') {
+              lines[lines.length - 1].push(createRun(' ', marksForRun));
+            } else if (part.localName === 'noBreakHyphen') {
+              lines[lines.length - 1].push(createRun('-', marksForRun));
+            } else if (part.localName === 'cr' || (part.localName === 'br' && !attr(part, 'type'))) {
+              lines.push([]);
+            }
+          }
+          break;
+        }
+        case 'hyperlink': {
+          const id = child.getAttributeNS(R_NS, 'id') ?? child.getAttribute('r:id');
+          const href = id ? context.relationships.get(id) : null;
+          walk(child, href && !UNSAFE_URL_RE.test(href) ? { ...marks, href } : marks);
+          break;
+        }
+        case 'pPr':
+        case 'del':
+        case 'moveFrom':
+          break;
+        default:
+          // w:ins, w:smartTag, w:fldSimple, w:sdtContent and similar wrappers
+          walk(child, marks);
+      }
+    }
+  };
+  walk(pEl, {});
+
+  const jc = wChild(pPr, 'jc');
+  return {
+    align: jc ? JC_ALIGNMENTS[attr(jc, 'val')] || null : null,
+    paragraphs: lines.map((runs, i) => createParagraph(collapseRunWhitespace(runs), i === 0 ? list : null)),
+  };
+}
+
+const CELL_CONTAINERS = new Set(['tbl', 'tr', 'tc', 'sdt', 'sdtContent']);
+
+/**
+ * Read a cell's paragraphs (and the alignment of its first paragraph).
+ * Nested tables are read as plain paragraphs.
+ */
+function readCell(tcEl, context, options) {
+  let paragraphs = [];
+  let align = null;
+  const walk = (el) => {
+    for (const child of el.children) {
+      if (child.namespaceURI !== W_NS) continue;
+      if (child.localName === 'p') {
+        const result = readParagraph(child, context);
+        if (align === null) align = result.align;
+        paragraphs.push(...result.paragraphs);
+      } else if (CELL_CONTAINERS.has(child.localName)) {
+        walk(child);
+      }
+    }
+  };
+  walk(tcEl);
+
+  if (options.collapseLineBreaks) {
+    const runs = [];
+    for (const paragraph of paragraphs) {
+      if (runs.length > 0) runs.push(createRun(' '));
+      runs.push(...paragraph.runs);
+    }
+    paragraphs = [createParagraph(collapseRunWhitespace(runs))];
+  }
+
+  // Drop blank paragraphs at the start and end of the cell
+  while (paragraphs.length > 0 && paragraphs[0].runs.length === 0) paragraphs.shift();
+  while (paragraphs.length > 0 && paragraphs[paragraphs.length - 1].runs.length === 0) paragraphs.pop();
+  return { paragraphs, align };
+}
+
+function intVal(el, fallback) {
+  const value = el ? parseInt(attr(el, 'val'), 10) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// The table style options ("Header Row", "First Column") of a w:tblLook, as
+// attributes or as the bits of a hex w:val. Options that aren't given are on,
+// as in a new Word table.
+function tableLook(tblLook) {
+  const look = { firstRow: true, firstColumn: true };
+  if (!tblLook) return look;
+  const val = parseInt(attr(tblLook, 'val'), 16);
+  for (const [name, bit] of [['firstRow', 0x0020], ['firstColumn', 0x0080]]) {
+    const flag = attr(tblLook, name);
+    if (flag) look[name] = !['0', 'false', 'off'].includes(flag.toLowerCase());
+    else if (Number.isFinite(val)) look[name] = (val & bit) !== 0;
+  }
+  return look;
+}
+
+function isShaded(tc) {
+  const shd = wChild(wChild(tc, 'tcPr'), 'shd');
+  const fill = shd ? (attr(shd, 'fill') || '').toLowerCase() : '';
+  return fill !== '' && fill !== 'auto' && fill !== 'ffffff';
+}
+
+/**
+ * Convert a w:tbl element into the table model. Horizontal merges come from
+ * w:gridSpan, vertical ones from w:vMerge (restart, then continue in the rows
+ * below), and column widths from the w:gridCol elements. Rows flagged
+ * w:tblHeader are header rows. Cells keep the alignment of their first
+ * paragraph and their w:vAlign, and columns are aligned as most of their
+ * body cells are (see voteColumnAlignments). Without header rows, the first
+ * row is, as for HTML tables, unless the table's "Header Row" style option is
+ * off and the row is neither bold nor shaded. With the "First Column" option
+ * on, shaded first cells of the body rows are row headers.
+ */
+function docxTableToModel(tblEl, context, options) {
+  const trElements = wChildren(tblEl, 'tr');
+  if (trElements.length === 0) return null;
+
+  const flagged = trElements.map((tr) => isOn(wChild(wChild(tr, 'trPr'), 'tblHeader')));
+  const look = tableLook(wChild(wChild(tblEl, 'tblPr'), 'tblLook'));
+  const shadedFirstCells = trElements.map((tr) => {
+    const [first, second] = wChildren(tr, 'tc');
+    return !!first && isShaded(first) && !(second && isShaded(second));
+  });
+
+  const rows = [];
+  // Anchor cell of an open vertical merge, by grid column
+  const verticalAnchors = [];
+
+  trElements.forEach((tr) => {
+    const trPr = wChild(tr, 'trPr');
+    const cells = [];
+    for (let i = intVal(wChild(trPr, 'gridBefore'), 0); i > 0; i--) cells.push(createCell());
+
+    for (const tc of wChildren(tr, 'tc')) {
+      const col = cells.length;
+      const tcPr = wChild(tc, 'tcPr');
+      const colspan = intVal(wChild(tcPr, 'gridSpan'), 1);
+      const vMerge = wChild(tcPr, 'vMerge');
+      const vMergeVal = vMerge ? attr(vMerge, 'val') || 'continue' : null;
+
+      const anchor = verticalAnchors[col];
+      if (vMergeVal === 'continue' && anchor && anchor.colspan === colspan) {
+        anchor.rowspan++;
+        for (let c = 0; c < colspan; c++) cells.push(createCoveredCell());
+        continue;
+      }
+
+      const { paragraphs, align } = readCell(tc, context, options);
+      const cell = createCellFromParagraphs(paragraphs, colspan, 1);
+      const vAlign = wChild(tcPr, 'vAlign');
+      if (align) cell.align = align;
+      if (vAlign && VALIGN_VALUES[attr(vAlign, 'val')]) cell.valign = VALIGN_VALUES[attr(vAlign, 'val')];
+      cells.push(cell);
+      for (let c = 1; c < colspan; c++) cells.push(createCoveredCell());
+      for (let c = 0; c < colspan; c++) verticalAnchors[col + c] = vMergeVal === 'restart' && c === 0 ? cell : null;
+    }
+
+    // Columns not reached by this row can't continue a vertical merge
+    for (let c = cells.length; c < verticalAnchors.length; c++) verticalAnchors[c] = null;
+    rows.push(createRow(cells));
+  });
+
+  const table = createTable(rows);
+  const tblGrid = wChild(tblEl, 'tblGrid');
+  const gridCols = tblGrid ? wChildren(tblGrid, 'gridCol').map((col) => parseInt(attr(col, 'w'), 10)) : [];
+  if (gridCols.length > 0 && gridCols.every((width) => width > 0)) table.columnWidths = gridCols.map((width) => width / 20);
+  normalizeTable(table);
+  let headerRows = flagged.indexOf(false);
+  if (headerRows === -1) headerRows = flagged.length;
+  if (headerRows === 0) {
+    const firstRowShaded = wChildren(trElements[0], 'tc').every(isShaded);
+    headerRows = look.firstRow || firstRowShaded || isBoldRow(rows[0]) ? 1 : 0;
+  }
+  const bodyShaded = shadedFirstCells.slice(headerRows);
+  const rowHeaders = look.firstColumn && bodyShaded.length > 0 && bodyShaded.every(Boolean) ? true : null;
+  return voteColumnAlignments(applyHeaders(table, { headerRows, rowHeaders }, options));
+}
+
+/**
+ * Read every top-level table of a .docx file into table models, in document
+ * order. `data` is the file's bytes (ArrayBuffer or Uint8Array). Throws if
+ * the file is not a Word document.
+ *
+ * Options:
+ *   collapseLineBreaks, headerRows, rowHeaders — as for htmlTableToModel.
+ */
+export async function readDocxTables(data, options = {}) {
+  let entries;
+  try {
+    entries = await readZip(data);
+  } catch {
+    throw new Error('Not a .docx file.');
+  }
+  const documentXml = entries.get('word/document.xml');
+  const doc = documentXml && parseXml(documentXml);
+  if (!doc) throw new Error('Not a .docx file: word/document.xml is missing or invalid.');
+
+  const context = {
+    relationships: parseRelationships(
+      entries.has('word/_rels/document.xml.rels') ? parseXml(entries.get('word/_rels/document.xml.rels')) : null,
+    ),
+    numbering: parseNumbering(entries.has('word/numbering.xml') ? parseXml(entries.get('word/numbering.xml')) : null),
+  };
+
+  const tables = [];
+  for (const tbl of doc.getElementsByTagNameNS(W_NS, 'tbl')) {
+    let nested = false;
+    for (let el = tbl.parentElement; el; el = el.parentElement) {
+      if (el.namespaceURI === W_NS && el.localName === 'tbl') nested = true;
+    }
+    if (nested) continue;
+    const model = docxTableToModel(tbl, context, options);
+    if (model) tables.push(model);
+  }
+  return tables;
+}
+
+// --- Writing ---
+
+// Text width of the page, in twentieths of a point
+const TEXT_WIDTH_TWIPS = TEXT_WIDTH_POINTS * 20;
+const LIST_INDENT_TWIPS = 360;
+const JC_VALUES = { left: 'left', center: 'center', right: 'right' };
+const V_ALIGN_VALUES = { top: 'top', middle: 'center', bottom: 'bottom' };
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${REL_NS}">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+function abstractNumXml(id, ordered) {
+  let levels = '';
+  for (let level = 0; level < 9; level++) {
+    const text = ordered ? `%${level + 1}.` : ['•', '◦', '▪'][level % 3];
+    levels +=
+      `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${ordered ? 'decimal' : 'bullet'}"/>` +
+      `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+      `<w:pPr><w:ind w:left="${LIST_INDENT_TWIPS * (level + 1)}" w:hanging="${LIST_INDENT_TWIPS}"/></w:pPr></w:lvl>`;
+  }
+  return `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${levels}</w:abstractNum>`;
+}
+
+/**
+ * Collects hyperlink relationships and list instances while the document is
+ * written. Each cell gets its own numbered-list instance so numbering starts
+ * at 1 in every cell, as it does in Markdown.
+ */
+function createWriter() {
+  const links = [];
+  const orderedLists = [];
+  return {
+    linkId(href) {
+      let index = links.indexOf(href);
+      if (index === -1) index = links.push(href) - 1;
+      return `rIdLink${index + 1}`;
+    },
+    // numId 1 is the shared bullet list; numbered lists start at 2
+    newOrderedList() {
+      return orderedLists.push(true) + 1;
+    },
+    relationshipsXml() {
+      const rels = links.map(
+        (href, i) =>
+          `  <Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(href)}" TargetMode="External"/>`,
+      );
+      rels.unshift(
+        '  <Relationship Id="rIdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>',
+      );
+      return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="${REL_NS}">\n${rels.join('\n')}\n</Relationships>`;
+    },
+    numberingXml() {
+      let nums = '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>';
+      orderedLists.forEach((_, i) => {
+        let overrides = '';
+        for (let level = 0; level < 9; level++) {
+          overrides += `<w:lvlOverride w:ilvl="${level}"><w:startOverride w:val="1"/></w:lvlOverride>`;
+        }
+        nums += `<w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/>${overrides}</w:num>`;
+      });
+      return (
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:numbering xmlns:w="${W_NS}">` +
+        abstractNumXml(0, false) +
+        abstractNumXml(1, true) +
+        nums +
+        '</w:numbering>'
+      );
+    },
+  };
+}
+
+// Characters XML 1.0 doesn't allow. Vertical tabs and form feeds (Word's
+// line and page breaks in pasted text) are written as line breaks instead.
+const XML_ILLEGAL_RE = /[\u0000-\u0008\u000E-\u001F\uFFFE\uFFFF]/g;
+const BREAK_CHARS_RE = /[\v\f]/;
+
+function escapeXml(text) {
+  return escapeHtml(text.replace(XML_ILLEGAL_RE, ''));
+}
+
+function textXml(text) {
+  return text
+    .split(BREAK_CHARS_RE)
+    .map((part) => `<w:t xml:space="preserve">${escapeXml(part)}</w:t>`)
+    .join('<w:br/>');
+}
+
+function runXml(run, bold) {
+  let rPr = '';
+  if (run.code) rPr += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/>';
+  if (run.bold || bold) rPr += '<w:b/>';
+  if (run.italic) rPr += '<w:i/>';
+  if (run.strike) rPr += '<w:strike/>';
+  if (run.href) rPr += '<w:color w:val="0563C1"/><w:u w:val="single"/>';
+  return `<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}${textXml(run.text)}</w:r>`;
+}
+
+function paragraphXml(paragraph, align, bold, numId, writer) {
+  let pPr = '';
+  if (paragraph.list) {
+    pPr += `<w:numPr><w:ilvl w:val="${paragraph.list.level}"/><w:numId w:val="${numId}"/></w:numPr>`;
+  }
+  pPr += '<w:spacing w:after="0"/>';
+  pPr += `<w:jc w:val="${JC_VALUES[align] || 'left'}"/>`;
+
+  let runs = '';
+  for (const run of paragraph.runs) {
+    const xml = runXml(run, bold);
+    runs += run.href ? `<w:hyperlink r:id="${writer.linkId(run.href)}">${xml}</w:hyperlink>` : xml;
+  }
+  return `<w:p><w:pPr>${pPr}</w:pPr>${runs}</w:p>`;
+}
+
+function cellXml(cell, props, align, bold, writer) {
+  const paragraphs = cell ? getCellParagraphs(cell) : [];
+  const orderedNumId = paragraphs.some((p) => p.list && p.list.ordered) ? writer.newOrderedList() : null;
+  const body = paragraphs.length
+    ? paragraphs
+        .map((p) => paragraphXml(p, align, bold, p.list && p.list.ordered ? orderedNumId : 1, writer))
+        .join('')
+    : '<w:p><w:pPr><w:spacing w:after="0"/></w:pPr></w:p>';
+  return `<w:tc><w:tcPr>${props}</w:tcPr>${body}</w:tc>`;
+}
+
+// The "Header Row" and "First Column" table style options, so Word (and
+// readDocxTables) know whether the table has them
+function tblLookXml(table) {
+  const firstRow = table.rows.some((row) => row.isHeader);
+  const firstColumn = !!table.rowHeaders;
+  const val = (firstRow ? 0x0020 : 0) | (firstColumn ? 0x0080 : 0) | 0x0400;
+  return (
+    `<w:tblLook w:val="${val.toString(16).toUpperCase().padStart(4, '0')}" w:firstRow="${firstRow ? 1 : 0}" ` +
+    `w:lastRow="0" w:firstColumn="${firstColumn ? 1 : 0}" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/>`
+  );
+}
+
+function tableXml(table, writer) {
+  const colCount = table.alignments.length;
+  // Column widths in twips: the table's own, or the page width shared evenly
+  const colWidths = table.columnWidths
+    ? table.columnWidths.map((width) => Math.round(width * 20))
+    : Array(colCount).fill(Math.floor(TEXT_WIDTH_TWIPS / Math.max(1, colCount)));
+  const spanWidth = (c, colspan) => colWidths.slice(c, c + colspan).reduce((sum, width) => sum + width, 0);
+  const owners = getMergeOwners(table);
+  const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`;
+
+  let xml =
+    '<w:tbl><w:tblPr>' +
+    (table.columnWidths ? `<w:tblW w:w="${spanWidth(0, colCount)}" w:type="dxa"/>` : '<w:tblW w:w="0" w:type="auto"/>') +
+    '<w:tblBorders>' +
+    ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('') +
+    '</w:tblBorders>' +
+    (table.columnWidths ? '<w:tblLayout w:type="fixed"/>' : '') +
+    '<w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar>' +
+    tblLookXml(table) +
+    '</w:tblPr><w:tblGrid>';
+  for (const width of colWidths) xml += `<w:gridCol w:w="${width}"/>`;
+  xml += '</w:tblGrid>';
+
+  table.rows.forEach((row, r) => {
+    xml += `<w:tr>${row.isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}`;
+    row.cells.forEach((cell, c) => {
+      const owner = owners[r][c];
+      if (owner.col !== c) return; // covered by a cell to the left
+      const anchor = table.rows[owner.row].cells[owner.col];
+      const align = getCellAlignment(table, owner.row, owner.col);
+      const bold = row.isHeader || (table.rowHeaders && c === 0);
+
+      let props = `<w:tcW w:w="${spanWidth(c, anchor.colspan)}" w:type="dxa"/>`;
+      if (anchor.colspan > 1) props += `<w:gridSpan w:val="${anchor.colspan}"/>`;
+      if (owner.row !== r) {
+        // Continuation of a vertical merge: an empty cell in the same columns
+        xml += cellXml(null, props + '<w:vMerge/>', align, bold, writer);
+        return;
+      }
+      if (anchor.rowspan > 1) props += '<w:vMerge w:val="restart"/>';
+      if (cell.valign) props += `<w:vAlign w:val="${V_ALIGN_VALUES[cell.valign]}"/>`;
+      xml += cellXml(cell, props, align, bold, writer);
+    });
+    xml += '</w:tr>';
+  });
+  return xml + '</w:tbl>';
+}
+
+/**
+ * Write a table model as a minimal .docx file (the bytes of a ZIP archive)
+ * containing just that table: header rows repeat on each page, merges become
+ * w:gridSpan/w:vMerge, each cell's alignment (its own or its column's) is
+ * applied to its paragraphs and known column widths are fixed.
+ *
+ * Options:
+ *   numberAlignment — as for tableModelToHtml.
+ */
+export function tableModelToDocx(table, options = {}) {
+  const writer = createWriter();
+  const body = tableXml(applyNumberAlignment(table, options.numberAlignment), writer);
+  const documentXml =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<w:document xmlns:w="${W_NS}" xmlns:r="${R_NS}"><w:body>` +
+    body +
+    // Word requires a paragraph after a table at the end of the body
+    '<w:p/>' +
+    '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>' +
+    '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>' +
+    '</w:sectPr></w:body></w:document>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES_XML },
+    { name: '_rels/.rels', data: PACKAGE_RELS_XML },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/_rels/document.xml.rels', data: writer.relationshipsXml() },
+    { name: 'word/numbering.xml', data: writer.numberingXml() },
+  ]);
+}
@@ -0,0 +1,81 @@
+import { containsTable } from './htmlSanitizer.js';
+import { parseDelimited } from './csvTable.js';
+import { DIALECTS, detectDialect, findTables } from './tableDialects.js';
+
+/**
+ * Input format detection for the Convert button: scores how well the text in
+ * the input panel fits each format the page reads and picks the best.
+ * `direction` says which way a format converts: Word/HTML tables and
+ * data (spreadsheet cells, JSON and YAML records) go to Markdown, text
+ * tables go to Word.
+ */
+const RECORD_DIALECTS = ['json', 'yaml'];
+
+export const INPUT_FORMATS = {
+  html: { label: 'Word / HTML table', direction: 'to-markdown' },
+  tsv: { label: 'TSV (tab-separated)', direction: 'to-markdown' },
+  csv: { label: 'CSV', direction: 'to-markdown' },
+  ...Object.fromEntries(
+    Object.entries(DIALECTS).map(([name, { label }]) => [name, { label, direction: RECORD_DIALECTS.includes(name) ? 'to-markdown' : 'to-word' }]),
+  ),
+};
+
+function scoreHtml(text) {
+  return containsTable(text) ? 0.98 : 0;
+}
+
+// Text tables and records, in the dialect detectDialect picks. JSON and YAML
+// are only picked when the whole text reads as records, and other dialects
+// have markers of their own; a GFM table is less certain the more of the
+// text around it is prose.
+function scoreTextTable(text) {
+  const dialect = detectDialect(text);
+  const { tables } = findTables(text, dialect);
+  if (tables.length === 0) return { format: dialect, confidence: 0 };
+  if (RECORD_DIALECTS.includes(dialect)) return { format: dialect, confidence: 0.95 };
+  if (dialect !== 'gfm') return { format: dialect, confidence: 0.9 };
+
+  const lines = text.split(/\r?\n/);
+  const tableLines = DIALECTS.gfm.locate(text).reduce((sum, { startLine, endLine }) => sum + endLine - startLine + 1, 0);
+  const filled = lines.filter((line) => line.trim()).length;
+  return { format: dialect, confidence: 0.75 + 0.2 * (tableLines / filled) };
+}
+
+// Delimited data: for each delimiter, the share of records with the most
+// common number of fields (at least two). Tabs are rarer in other text than
+// commas and semicolons.
+const DELIMITERS = { '\t': 'tsv', ';': 'csv', ',': 'csv' };
+
+function scoreDelimited(text) {
+  let best = { format: 'csv', confidence: 0 };
+  for (const [delimiter, format] of Object.entries(DELIMITERS)) {
+    if (!text.includes(delimiter)) continue;
+    const records = parseDelimited(text, delimiter).filter((record) => record.some((field) => field.trim()));
+    if (records.length < 2) continue;
+    const counts = new Map();
+    for (const { length } of records) counts.set(length, (counts.get(length) || 0) + 1);
+    const [width, count] = [...counts].sort((a, b) => b[1] - a[1])[0];
+    if (width < 2) continue;
+    const confidence = (format === 'tsv' ? 0.85 : 0.7) * (count / records.length);
+    if (confidence > best.confidence) best = { format, confidence };
+  }
+  return best;
+}
+
+/**
+ * Detect the format of `text`. Returns { format, confidence, candidates }:
+ * the best-scoring format (a key of INPUT_FORMATS, or null when nothing
+ * fits), its score from 0 to 1, and every format that scored, best first.
+ */
+export function sniffFormat(text) {
+  if (!text.trim()) return { format: null, confidence: 0, candidates: [] };
+  const candidates = [
+    { format: 'html', confidence: scoreHtml(text) },
+    scoreTextTable(text),
+    scoreDelimited(text),
+  ]
+    .filter((candidate) => candidate.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+  if (candidates.length === 0) return { format: null, confidence: 0, candidates };
+  return { ...candidates[0], candidates };
+}
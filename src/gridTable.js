@@ -0,0 +1,347 @@
+import {
+  createCellFromParagraphs,
+  createCoveredCell,
+  createRow,
+  createTable,
+  detectBoldRowHeaders,
+  emboldenRowHeaders,
+  getCellParagraphs,
+  normalizeTable,
+} from './tableModel.js';
+import { paragraphsToMarkdownLines, parseCellMarkdown } from './inlineFormat.js';
+
+/**
+ * Grid tables, as drawn in Pandoc Markdown and reStructuredText:
+ *
+ *   +-------+-------+
+ *   | Name  | Score |
+ *   +=======+=======+
+ *   | Ann   | 1     |
+ *   +-------+-------+
+ *
+ * Cells can hold several lines and span rows or columns (a span simply has no
+ * border between the slots it covers). The layout is shared by both dialects;
+ * only the markup inside cells differs, so readers and writers take the cell
+ * parser/writer as a parameter.
+ *
+ * Layout: { rowCount, colCount, headerRows, alignments: string[]|null,
+ *           cells: [{ row, col, rowspan, colspan, lines: string[] }] }
+ */
+
+const GRID_LINE_RE = /^\s*\+[-=:+]*\+\s*$/;
+const HORIZONTAL = '-=:';
+
+/**
+ * Find the grid table lines in `text`: the block from the first border line
+ * to the last, with common indentation removed.
+ */
+function gridLines(text) {
+  const lines = text.split(/\r?\n/);
+  const first = lines.findIndex((line) => GRID_LINE_RE.test(line));
+  if (first === -1) return null;
+
+  let last = first;
+  for (let i = first + 1; i < lines.length && /^\s*[+|]/.test(lines[i]); i++) {
+    if (GRID_LINE_RE.test(lines[i])) last = i;
+  }
+  if (last === first) return null;
+
+  const block = lines.slice(first, last + 1);
+  const indent = Math.min(...block.map((line) => line.match(/^\s*/)[0].length));
+  return block.map((line) => line.slice(indent).trimEnd());
+}
+
+/**
+ * Trace the cell whose top-left corner is at (top, left): follow its top
+ * border right to a corner, its right border down, and check that the bottom
+ * and left borders close the rectangle. Returns { bottom, right } or null.
+ */
+function traceCell(lines, top, left) {
+  const at = (y, x) => (lines[y] || '')[x] || ' ';
+
+  for (let right = left + 1; right < lines[top].length; right++) {
+    const c = at(top, right);
+    if (c !== '+') {
+      if (!HORIZONTAL.includes(c)) return null;
+      continue;
+    }
+    if (!'|+'.includes(at(top + 1, right))) continue;
+
+    for (let bottom = top + 1; bottom < lines.length; bottom++) {
+      const edge = at(bottom, right);
+      if (edge === '|') continue;
+      if (edge !== '+') break;
+      if (closesRectangle(at, top, left, bottom, right)) return { bottom, right };
+    }
+  }
+  return null;
+}
+
+function closesRectangle(at, top, left, bottom, right) {
+  if (at(bottom, left) !== '+') return false;
+  for (let x = left + 1; x < right; x++) {
+    if (!`${HORIZONTAL}+`.includes(at(bottom, x))) return false;
+  }
+  for (let y = top + 1; y < bottom; y++) {
+    if (!'|+'.includes(at(y, left))) return false;
+  }
+  return true;
+}
+
+/**
+ * Remove trailing blank lines, leading blank lines and common indentation.
+ */
+function trimBlock(lines) {
+  const trimmed = lines.map((line) => line.trimEnd());
+  while (trimmed.length > 0 && !trimmed[0]) trimmed.shift();
+  while (trimmed.length > 0 && !trimmed[trimmed.length - 1]) trimmed.pop();
+  const indents = trimmed.filter(Boolean).map((line) => line.match(/^ */)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  return trimmed.map((line) => line.slice(indent));
+}
+
+/**
+ * Read the layout of the first grid table in `text`, or null if there is none.
+ */
+export function parseGridLayout(text) {
+  const lines = gridLines(text);
+  if (!lines) return null;
+
+  // Trace cells from corner to corner, starting at the top-left. `done[x]`
+  // is the bottom of the lowest cell found so far over text column x, so
+  // corners inside cells already traced are skipped.
+  const width = lines[0].length - 1;
+  const height = lines.length - 1;
+  const done = new Array(width).fill(0);
+  const found = [];
+  const corners = [[0, 0]];
+  while (corners.length > 0) {
+    const [top, left] = corners.shift();
+    if (top === height || left === width || top < done[left]) continue;
+
+    const end = traceCell(lines, top, left);
+    if (!end) continue;
+    found.push({ top, left, ...end });
+    for (let x = left; x < end.right; x++) done[x] = end.bottom;
+    corners.push([top, end.right], [end.bottom, left]);
+    corners.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  }
+  if (done.some((bottom) => bottom !== height)) return null;
+
+  const xs = [...new Set(found.flatMap((cell) => [cell.left, cell.right]))].sort((a, b) => a - b);
+  const ys = [...new Set(found.flatMap((cell) => [cell.top, cell.bottom]))].sort((a, b) => a - b);
+
+  // The header ends at the border drawn with '='
+  const headerLine = ys.findIndex((y) => y > 0 && lines[y].includes('='));
+  const headerRows = headerLine === -1 ? 0 : headerLine;
+
+  // Pandoc alignment colons sit on the header border, or on the top border
+  // of a headerless table
+  const markerLine = lines[headerRows > 0 ? ys[headerRows] : 0];
+  let alignments = null;
+  if (markerLine.includes(':')) {
+    alignments = xs.slice(0, -1).map((x, c) => {
+      const segment = markerLine.slice(x + 1, xs[c + 1]);
+      const leftColon = segment.startsWith(':');
+      const rightColon = segment.endsWith(':');
+      if (leftColon && rightColon) return 'center';
+      return rightColon ? 'right' : 'left';
+    });
+  }
+
+  const cells = found.map(({ top, left, bottom, right }) => ({
+    row: ys.indexOf(top),
+    col: xs.indexOf(left),
+    rowspan: ys.indexOf(bottom) - ys.indexOf(top),
+    colspan: xs.indexOf(right) - xs.indexOf(left),
+    lines: trimBlock(lines.slice(top + 1, bottom).map((line) => line.slice(left + 1, right))),
+  }));
+
+  return { rowCount: ys.length - 1, colCount: xs.length - 1, headerRows, alignments, cells };
+}
+
+/**
+ * Draw a layout as grid table text. Column widths and row heights grow to fit
+ * every cell, spanning cells included.
+ */
+export function drawGridLayout(layout) {
+  const { rowCount, colCount, headerRows, alignments, cells } = layout;
+  const widest = (lines) => Math.max(0, ...lines.map((line) => line.length));
+
+  const widths = new Array(colCount).fill(3);
+  const heights = new Array(rowCount).fill(1);
+  const bySpan = (key) => [...cells].sort((a, b) => a[key] - b[key]);
+  for (const cell of bySpan('colspan')) {
+    const available = widths.slice(cell.col, cell.col + cell.colspan).reduce((a, b) => a + b, 0) + 3 * (cell.colspan - 1);
+    widths[cell.col + cell.colspan - 1] += Math.max(0, widest(cell.lines) - available);
+  }
+  for (const cell of bySpan('rowspan')) {
+    const available = heights.slice(cell.row, cell.row + cell.rowspan).reduce((a, b) => a + b, 0) + (cell.rowspan - 1);
+    heights[cell.row + cell.rowspan - 1] += Math.max(0, cell.lines.length - available);
+  }
+
+  const xs = [0];
+  widths.forEach((w) => xs.push(xs[xs.length - 1] + w + 3));
+  const ys = [0];
+  heights.forEach((h) => ys.push(ys[ys.length - 1] + h + 1));
+
+  const canvas = Array.from({ length: ys[rowCount] + 1 }, () => new Array(xs[colCount] + 1).fill(' '));
+  const ruleChar = (y) => (headerRows > 0 && y === ys[headerRows] ? '=' : '-');
+
+  for (const cell of cells) {
+    const x0 = xs[cell.col];
+    const x1 = xs[cell.col + cell.colspan];
+    const y0 = ys[cell.row];
+    const y1 = ys[cell.row + cell.rowspan];
+    for (let x = x0 + 1; x < x1; x++) {
+      canvas[y0][x] = ruleChar(y0);
+      canvas[y1][x] = ruleChar(y1);
+    }
+    for (let y = y0 + 1; y < y1; y++) {
+      canvas[y][x0] = '|';
+      canvas[y][x1] = '|';
+    }
+    cell.lines.forEach((line, i) => {
+      for (let k = 0; k < line.length; k++) canvas[y0 + 1 + i][x0 + 2 + k] = line[k];
+    });
+  }
+  for (const cell of cells) {
+    for (const y of [ys[cell.row], ys[cell.row + cell.rowspan]]) {
+      for (const x of [xs[cell.col], xs[cell.col + cell.colspan]]) canvas[y][x] = '+';
+    }
+  }
+
+  if (alignments) {
+    const y = headerRows > 0 ? ys[headerRows] : 0;
+    alignments.forEach((align, c) => {
+      const first = xs[c] + 1;
+      const last = xs[c + 1] - 1;
+      if (align === 'center' || align === 'left') {
+        if (canvas[y][first] !== ' ') canvas[y][first] = ':';
+      }
+      if (align === 'center' || align === 'right') {
+        if (canvas[y][last] !== ' ') canvas[y][last] = ':';
+      }
+    });
+  }
+
+  return canvas.map((row) => row.join('').trimEnd()).join('\n');
+}
+
+/**
+ * Build a table model from a layout. `parseCell(lines)` turns a cell's lines
+ * into paragraphs. Grid tables have no row headers, so a bold first column
+ * stands for them.
+ */
+export function gridLayoutToModel(layout, parseCell) {
+  const grid = Array.from({ length: layout.rowCount }, () => new Array(layout.colCount).fill(null));
+  for (const cell of layout.cells) {
+    for (let r = 0; r < cell.rowspan; r++) {
+      for (let c = 0; c < cell.colspan; c++) {
+        grid[cell.row + r][cell.col + c] = r || c
+          ? createCoveredCell()
+          : createCellFromParagraphs(parseCell(cell.lines), cell.colspan, cell.rowspan);
+      }
+    }
+  }
+  const rows = grid.map((cells, r) => createRow(cells, r < layout.headerRows));
+  const alignments = layout.alignments || new Array(layout.colCount).fill('left');
+  return detectBoldRowHeaders(normalizeTable(createTable(rows, alignments)));
+}
+
+/**
+ * Describe a table model as a layout. `writeCell(paragraphs)` returns a
+ * cell's lines. Header rows are the leading rows flagged isHeader; row
+ * headers are written in bold.
+ */
+export function modelToGridLayout(table, writeCell, { alignments = true } = {}) {
+  table = emboldenRowHeaders(table);
+  const cells = [];
+  table.rows.forEach((row, r) => {
+    row.cells.forEach((cell, c) => {
+      if (cell.covered) return;
+      cells.push({
+        row: r,
+        col: c,
+        rowspan: cell.rowspan,
+        colspan: cell.colspan,
+        lines: writeCell(getCellParagraphs(cell)),
+      });
+    });
+  });
+
+  let headerRows = 0;
+  while (headerRows < table.rows.length && table.rows[headerRows].isHeader) headerRows++;
+  const aligned = alignments && table.alignments.some((align) => align !== 'left');
+
+  return {
+    rowCount: table.rows.length,
+    colCount: table.alignments.length,
+    headerRows: headerRows < table.rows.length ? headerRows : 0,
+    alignments: aligned ? table.alignments : null,
+    cells,
+  };
+}
+
+// --- Pandoc grid tables ---
+
+const MARKDOWN_ITEM_RE = /^ *([-*+]|\d+[.)]) +/;
+
+/**
+ * Group a cell's lines into blocks: a blank line ends a paragraph, a line
+ * matching `itemRe` starts a list item, and any other line continues the
+ * current block (joined with a space). Returns the blocks' source text.
+ */
+export function linesToBlocks(lines, itemRe) {
+  const blocks = [];
+  let current = null;
+  for (const line of lines) {
+    if (!line.trim()) {
+      current = null;
+    } else if (current === null || itemRe.test(line)) {
+      current = blocks.push(line.trimEnd()) - 1;
+    } else {
+      blocks[current] += ' ' + line.trim();
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Write cell paragraphs as the lines of a multi-line cell: blank lines
+ * between paragraphs, list items one per line. `lines` holds each
+ * paragraph's own line.
+ */
+export function blockLines(paragraphs, lines) {
+  const result = [];
+  paragraphs.forEach((paragraph, i) => {
+    if (i > 0 && !(paragraph.list && paragraphs[i - 1].list)) result.push('');
+    result.push(lines[i]);
+  });
+  return result;
+}
+
+function parsePandocCell(lines) {
+  return parseCellMarkdown(linesToBlocks(lines, MARKDOWN_ITEM_RE).join('<br>'));
+}
+
+function writePandocCell(paragraphs) {
+  return blockLines(paragraphs, paragraphsToMarkdownLines(paragraphs));
+}
+
+/**
+ * Parse a Pandoc grid table (cells hold Markdown), or return null.
+ */
+export function parsePandocGridTable(text) {
+  const layout = parseGridLayout(text);
+  return layout ? gridLayoutToModel(layout, parsePandocCell) : null;
+}
+
+/**
+ * Write a table model as a Pandoc grid table. Alignment is marked with
+ * colons on the header border.
+ */
+export function tableModelToPandocGrid(table) {
+  if (!table || table.rows.length === 0) return '';
+  return drawGridLayout(modelToGridLayout(table, writePandocCell));
+}
@@ -1,15 +1,198 @@
+import { captureColumnWidths, captureTableStyle } from './tableStyle.js';
+import { SOURCES, detectSource } from './sourceAdapters.js';
+
 /**
  * Strips Word-specific HTML junk and extracts a clean <table> element.
  * Word pastes contain mso-* styles, <o:p> tags, conditional comments, etc.
+ * Pastes from other applications are first rewritten by their source adapter
+ * (see sourceAdapters.js). The table's styling is captured before it is
+ * stripped, and its column widths are kept, in points, in a
+ * data-column-widths attribute for htmlTableToModel.
+ */
+
+const BOLD_STYLE_RE = /(?:^|;)\s*font-weight:\s*(bold|bolder|[6-9]00)\b/i;
+const ITALIC_STYLE_RE = /(?:^|;)\s*font-style:\s*italic\b/i;
+const STRIKE_STYLE_RE = /(?:^|;)\s*text-decoration(?:-line)?:[^;]*line-through/i;
+const MONOSPACE_STYLE_RE = /(?:^|;)\s*font-family:[^;]*(courier|consolas|monaco|menlo|lucida console|monospace)/i;
+
+const MSO_LIST_RE = /mso-list:\s*l\d+\s+level(\d+)/i;
+const MSO_LIST_IGNORE_RE = /mso-list:\s*ignore/i;
+const SUPPORT_LISTS_RE = /^\[if !supportLists\]$/i;
+const ENDIF_RE = /^\[endif\]$/i;
+const ORDERED_MARKER_RE = /^\(?(\d+|[a-z]{1,4})[.)]$/i;
+
+// Word's table style options, as bits of mso-yfti-tbllook (w:tblLook)
+const TBLLOOK_RE = /mso-yfti-tbllook:\s*(\d+)/i;
+const TBLLOOK_FIRST_ROW = 0x0020;
+const TBLLOOK_FIRST_COLUMN = 0x0080;
+const BACKGROUND_RE = /(?:^|;)\s*background(?:-color)?:\s*([^;\s]+)/i;
+const UNSHADED = new Set(['white', '#fff', '#ffffff', 'transparent', 'none', 'auto', 'window']);
+
+function wrapChildren(el, tagName) {
+  const wrapper = el.ownerDocument.createElement(tagName);
+  wrapper.append(...el.childNodes);
+  el.append(wrapper);
+}
+
+function previousElement(node) {
+  let prev = node.previousSibling;
+  while (prev && prev.nodeType !== 1) prev = prev.previousSibling;
+  return prev;
+}
+
+// Remove the bullet or number Word writes before a list paragraph's text and
+// return it. It is whatever sits between the <![if !supportLists]> and
+// <![endif]> comments; older pastes only mark it with a `mso-list:Ignore` span.
+function takeListMarker(p) {
+  const walker = p.ownerDocument.createTreeWalker(p, 0x80); // NodeFilter.SHOW_COMMENT
+  while (walker.nextNode()) {
+    const start = walker.currentNode;
+    if (!SUPPORT_LISTS_RE.test(start.data.trim())) continue;
+    const nodes = [];
+    for (let node = start.nextSibling; node; node = node.nextSibling) {
+      if (node.nodeType === 8 && ENDIF_RE.test(node.data.trim())) {
+        nodes.push(node);
+        break;
+      }
+      nodes.push(node);
+    }
+    const text = nodes.filter((node) => node.nodeType !== 8).map((node) => node.textContent).join('');
+    start.remove();
+    for (const node of nodes) node.remove();
+    return text;
+  }
+
+  const marker = [...p.querySelectorAll('[style]')].find((el) =>
+    MSO_LIST_IGNORE_RE.test(el.getAttribute('style')),
+  );
+  if (!marker) return '';
+  marker.remove();
+  return marker.textContent;
+}
+
+/**
+ * Word writes list items as ordinary paragraphs tagged with
+ * `mso-list:l0 level1 lfo1`, with the bullet or number as literal text
+ * between <![if !supportLists]> comments (see takeListMarker).
+ * Rebuild them as real, nested <ul>/<ol> lists, using the marker text to tell
+ * numbered lists from bulleted ones, and drop the marker.
  */
+function convertWordLists(table) {
+  const doc = table.ownerDocument;
+  let stack = []; // open lists: { level, ordered, el }
+  let root = null;
+
+  for (const p of table.querySelectorAll('[style*="mso-list"]')) {
+    const match = (p.getAttribute('style') || '').match(MSO_LIST_RE);
+    if (!match) continue;
+
+    const level = parseInt(match[1], 10) - 1;
+    const ordered = ORDERED_MARKER_RE.test(takeListMarker(p).replace(/\s+/g, ''));
+
+    // Only continue the current list when this paragraph directly follows it
+    if (!root || previousElement(p) !== root) stack = [];
+
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      if (top.level < level || (top.level === level && top.ordered === ordered)) break;
+      stack.pop();
+    }
+
+    let list;
+    const top = stack[stack.length - 1];
+    if (top && top.level === level) {
+      list = top.el;
+    } else {
+      list = doc.createElement(ordered ? 'ol' : 'ul');
+      if (top) {
+        top.el.lastElementChild.append(list);
+      } else {
+        p.before(list);
+        root = list;
+      }
+      stack.push({ level, ordered, el: list });
+    }
+
+    const li = doc.createElement('li');
+    li.append(...p.childNodes);
+    list.append(li);
+    p.remove();
+  }
+}
+
+function shading(cell) {
+  if (!cell) return null;
+  const match = (cell.getAttribute('style') || '').match(BACKGROUND_RE);
+  const color = (match ? match[1] : cell.getAttribute('bgcolor') || '').toLowerCase();
+  return color && !UNSHADED.has(color) ? color : null;
+}
+
+function rowCells(tr) {
+  return [...tr.children].filter((el) => /^T[DH]$/.test(el.tagName));
+}
+
+function toHeaderCell(cell) {
+  if (cell.tagName === 'TH') return;
+  const th = cell.ownerDocument.createElement('th');
+  for (const { name, value } of cell.attributes) th.setAttribute(name, value);
+  th.append(...cell.childNodes);
+  cell.replaceWith(th);
+}
+
+/**
+ * Word marks header rows only through the table style options in
+ * mso-yfti-tbllook ("Header Row", "First Column") and the shading they bring.
+ * A shaded first row, or shaded first cells of the other rows with "First
+ * Column" on, become <th> cells; with "Header Row" off and the first row
+ * unshaded, the table is marked data-first-row="plain", so htmlTableToModel
+ * only takes the row as a header when it is bold.
+ */
+function convertWordHeaders(table) {
+  const look = (table.getAttribute('style') || '').match(TBLLOOK_RE);
+  if (!look) return;
+  const bits = parseInt(look[1], 10);
+  const rows = [...table.querySelectorAll('tr')].filter((tr) => tr.closest('table') === table);
+  if (rows.length < 2) return;
+
+  const first = rowCells(rows[0]);
+  const firstRowShaded = first.length > 0 && first.every(shading) && shading(rowCells(rows[1])[0]) !== shading(first[0]);
+  if (firstRowShaded) first.forEach(toHeaderCell);
+  else if (!(bits & TBLLOOK_FIRST_ROW)) table.setAttribute('data-first-row', 'plain');
+
+  const body = rows.slice(1).map(rowCells);
+  if (bits & TBLLOOK_FIRST_COLUMN && body.every(([cell, next]) => shading(cell) && shading(cell) !== shading(next))) {
+    for (const [cell] of body) toHeaderCell(cell);
+  }
+}
+
+/**
+ * Word often expresses character formatting through inline styles rather than
+ * tags. Convert the ones we carry through to Markdown into semantic tags so
+ * they survive the style stripping below.
+ */
+function convertStyleFormatting(table) {
+  for (const el of table.querySelectorAll('td *, th *')) {
+    const style = el.getAttribute('style');
+    if (!style) continue;
+    if (BOLD_STYLE_RE.test(style)) wrapChildren(el, 'strong');
+    if (ITALIC_STYLE_RE.test(style)) wrapChildren(el, 'em');
+    if (STRIKE_STYLE_RE.test(style)) wrapChildren(el, 's');
+    if (MONOSPACE_STYLE_RE.test(style)) wrapChildren(el, 'code');
+  }
+}
 
 export function sanitizeWordHtml(htmlString) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(htmlString, 'text/html');
 
-  const tables = doc.querySelectorAll('table');
+  const source = detectSource(htmlString, doc);
+  const adapter = SOURCES[source];
+  const tables = adapter.findTables ? adapter.findTables(doc) : [...doc.querySelectorAll('table')];
   if (tables.length === 0) return null;
   const table = tables[0];
+  adapter.prepare(table, doc);
+  const style = captureTableStyle(table);
+  convertWordHeaders(table);
 
   // Remove Word-specific namespaced elements (o:p, w:*, v:*)
   const nsElements = table.querySelectorAll('*');
@@ -19,6 +202,12 @@ export function sanitizeWordHtml(htmlString) {
     }
   }
 
+  convertWordLists(table);
+  convertStyleFormatting(table);
+
+  const widths = captureColumnWidths(table);
+  if (widths) table.setAttribute('data-column-widths', widths.join(','));
+
   // Remove <col> and <colgroup> elements
   for (const el of table.querySelectorAll('col, colgroup')) {
     el.remove();
@@ -27,10 +216,12 @@ export function sanitizeWordHtml(htmlString) {
   // Strip all style and class attributes, but preserve alignment info
   const allElements = table.querySelectorAll('*');
   for (const el of allElements) {
-    // Extract text-align before removing style
+    // Extract text-align and vertical-align before removing style
     const style = el.getAttribute('style') || '';
     const alignMatch = style.match(/text-align:\s*(left|center|right)/i);
     const align = el.getAttribute('align') || (alignMatch ? alignMatch[1].toLowerCase() : null);
+    const valignMatch = style.match(/vertical-align:\s*(top|middle|center|bottom)/i);
+    const valign = el.getAttribute('valign') || (valignMatch ? valignMatch[1].toLowerCase() : null);
 
     el.removeAttribute('style');
     el.removeAttribute('class');
@@ -38,10 +229,13 @@ export function sanitizeWordHtml(htmlString) {
     el.removeAttribute('height');
     el.removeAttribute('valign');
 
-    // Preserve alignment as the align attribute
+    // Preserve alignment as the align and valign attributes
     if (align) {
       el.setAttribute('align', align);
     }
+    if (valign && /^(td|th|tr)$/i.test(el.tagName)) {
+      el.setAttribute('valign', valign);
+    }
   }
 
   // Also clean the table element itself
@@ -52,7 +246,7 @@ export function sanitizeWordHtml(htmlString) {
   table.removeAttribute('cellspacing');
   table.removeAttribute('cellpadding');
 
-  return { table, tableCount: tables.length };
+  return { table, tableCount: tables.length, style, source };
 }
 
 /**
@@ -1,85 +1,135 @@
-import { createCell, createRow, createTable, normalizeTable } from './tableModel.js';
+import {
+  alignmentBlock,
+  applyHeaders,
+  createCell,
+  createCellFromParagraphs,
+  createCoveredCell,
+  createRow,
+  createTable,
+  emboldenRowHeaders,
+  endsWithAlignmentBlock,
+  getCellParagraphs,
+  getMergeOwners,
+  hasMergedCells,
+  isBoldRow,
+  MERGE_LEFT_MARKER,
+  MERGE_UP_MARKER,
+  normalizeTable,
+  voteColumnAlignments,
+} from './tableModel.js';
 import { sanitizeWordHtml } from './htmlSanitizer.js';
+import { alignNumberColumns, decimalPadding, getColumnTypes, isNumericType } from './columnTypes.js';
+import { paragraphsToMarkdown, parseCellHtml } from './inlineFormat.js';
+import { collectMetadata, writeMetadataComment } from './tableMetadata.js';
+
+/**
+ * Count the header rows an HTML table marks: the rows in <thead>, or else the
+ * leading rows of <th> cells. Without either the first row is the header,
+ * unless the sanitizer found Word's "Header Row" option off
+ * (data-first-row="plain") and the row isn't all bold.
+ */
+function countHeaderRows(tableEl, trElements, rows) {
+  const thead = tableEl.querySelector('thead');
+  if (thead) return thead.querySelectorAll('tr').length;
+
+  let count = 0;
+  while (count < trElements.length && [...trElements[count].querySelectorAll('td, th')].every((el) => el.tagName === 'TH')) {
+    count++;
+  }
+  if (count > 0) return count;
+  if (tableEl.getAttribute('data-first-row') === 'plain') return isBoldRow(rows[0]) ? 1 : 0;
+  return 1;
+}
+
+const TEXT_ALIGN_RE = /text-align:\s*(left|center|right)/i;
+const VERTICAL_ALIGN_RE = /vertical-align:\s*(top|middle|center|bottom)/i;
+
+// The horizontal alignment a cell was given: on the cell itself, or else on
+// its first aligned paragraph (where Word puts it)
+function readCellAlign(cellEl) {
+  const own = cellEl.getAttribute('align') || ((cellEl.getAttribute('style') || '').match(TEXT_ALIGN_RE) || [])[1];
+  const paragraph = cellEl.querySelector('[align]');
+  const align = (own || (paragraph && paragraph.getAttribute('align')) || '').toLowerCase();
+  return ['left', 'center', 'right'].includes(align) ? align : null;
+}
+
+// The vertical alignment of a cell, or of its row
+function readCellValign(cellEl, tr) {
+  const style = ((cellEl.getAttribute('style') || '').match(VERTICAL_ALIGN_RE) || [])[1];
+  const valign = (cellEl.getAttribute('valign') || style || tr.getAttribute('valign') || '').toLowerCase();
+  if (valign === 'center') return 'middle';
+  return ['top', 'middle', 'bottom'].includes(valign) ? valign : null;
+}
 
 /**
  * Parse a clean DOM <table> element into our intermediate table model.
+ * Header rows and row headers are detected from the markup (see
+ * countHeaderRows; body rows that all start with a <th> have row headers)
+ * or bold first cells. Cells keep their horizontal and vertical alignment,
+ * and each column is aligned as most of its data cells are (see
+ * voteColumnAlignments in tableModel.js). Column widths come from the
+ * data-column-widths attribute sanitizeWordHtml leaves.
+ *
+ * Options:
+ *   collapseLineBreaks — flatten each cell to a single line, joining its
+ *     paragraphs and line breaks with spaces.
+ *   headerRows, rowHeaders — override the detected headers (see
+ *     applyHeaders in tableModel.js).
  */
-export function htmlTableToModel(tableEl) {
+export function htmlTableToModel(tableEl, options = {}) {
   const rows = [];
-  const alignments = [];
-  let alignmentsSet = false;
 
   // Collect all <tr> elements from thead and tbody
   const trElements = tableEl.querySelectorAll('tr');
   if (trElements.length === 0) return null;
 
-  // Determine which rows are header rows
-  const theadRows = new Set();
-  const thead = tableEl.querySelector('thead');
-  if (thead) {
-    for (const tr of thead.querySelectorAll('tr')) {
-      theadRows.add(tr);
-    }
-  }
+  // Whether each row's first slot holds a <th>, for rows that start with a
+  // cell of their own
+  const firstCellIsTh = [];
 
-  // If no <thead>, treat the first row as header
-  const treatFirstAsHeader = theadRows.size === 0;
-
-  // Track rowspan carry-overs: array of { content, remaining }
-  const rowspanTracker = [];
+  // Slots covered by a rowspan from an earlier row: coveredSlots[row][col]
+  const coveredSlots = [];
 
   for (let rowIdx = 0; rowIdx < trElements.length; rowIdx++) {
     const tr = trElements[rowIdx];
-    const isHeader = theadRows.has(tr) || (treatFirstAsHeader && rowIdx === 0);
     const cells = [];
     const cellElements = tr.querySelectorAll('td, th');
+    const rowCovered = coveredSlots[rowIdx] || [];
 
     let colIdx = 0;
     let cellElIdx = 0;
 
-    while (cellElIdx < cellElements.length || (rowspanTracker[colIdx] && rowspanTracker[colIdx].remaining > 0)) {
-      // Check if there's a rowspan carry-over for this column
-      if (rowspanTracker[colIdx] && rowspanTracker[colIdx].remaining > 0) {
-        cells.push(createCell(''));
-        rowspanTracker[colIdx].remaining--;
+    while (cellElIdx < cellElements.length) {
+      // Check if this slot is covered by a rowspan from above
+      if (rowCovered[colIdx]) {
+        cells.push(createCoveredCell());
         colIdx++;
         continue;
       }
 
-      if (cellElIdx >= cellElements.length) break;
-
       const cellEl = cellElements[cellElIdx];
-      // Collapse whitespace (newlines from <p> tags, tabs, etc.) into single spaces.
-      // Word cells often contain multiple <p> elements whose newlines break Markdown rows.
-      const content = cellEl.textContent.replace(/\s+/g, ' ').trim();
-      const colspan = parseInt(cellEl.getAttribute('colspan') || '1', 10);
-      const rowspan = parseInt(cellEl.getAttribute('rowspan') || '1', 10);
-
-      // Extract alignment
-      const align = cellEl.getAttribute('align') ||
-        (cellEl.style && cellEl.style.textAlign) || null;
-
-      if (!alignmentsSet && isHeader && align) {
-        // We'll set alignments from the header row
-      }
-
-      // Handle colspan: expand into multiple cells
+      if (colIdx === 0) firstCellIsTh[rowIdx] = cellEl.tagName === 'TH';
+      // Word cells often contain multiple <p> elements. They become separate
+      // paragraphs (written as <br> in Markdown) unless collapsed; whitespace
+      // inside each paragraph is collapsed either way, since raw newlines
+      // would break Markdown rows.
+      const paragraphs = parseCellHtml(cellEl, options);
+      const colspan = Math.max(1, parseInt(cellEl.getAttribute('colspan') || '1', 10) || 1);
+      const rowspan = Math.max(1, parseInt(cellEl.getAttribute('rowspan') || '1', 10) || 1);
+      const cell = createCellFromParagraphs(paragraphs, colspan, rowspan);
+      const align = readCellAlign(cellEl);
+      const valign = readCellValign(cellEl, tr);
+      if (align) cell.align = align;
+      if (valign) cell.valign = valign;
+
+      // Keep the span on the anchor cell; every other slot it covers gets a
+      // placeholder so the row stays one cell per column.
       for (let c = 0; c < colspan; c++) {
-        const cellContent = c === 0 ? content : '';
-        cells.push(createCell(cellContent));
+        cells.push(c === 0 ? cell : createCoveredCell());
 
-        // Handle rowspan: set tracker for subsequent rows
-        if (rowspan > 1) {
-          rowspanTracker[colIdx] = { remaining: rowspan - 1 };
-        }
-
-        // Capture alignment for first occurrence
-        if (isHeader && !alignmentsSet) {
-          if (align) {
-            alignments.push(align.toLowerCase());
-          } else {
-            alignments.push('left');
-          }
+        for (let r = 1; r < rowspan; r++) {
+          coveredSlots[rowIdx + r] = coveredSlots[rowIdx + r] || [];
+          coveredSlots[rowIdx + r][colIdx] = true;
         }
 
         colIdx++;
@@ -88,66 +138,152 @@ export function htmlTableToModel(tableEl) {
       cellElIdx++;
     }
 
-    // Handle any remaining rowspan carry-overs at the end
-    while (rowspanTracker[colIdx] && rowspanTracker[colIdx].remaining > 0) {
-      cells.push(createCell(''));
-      rowspanTracker[colIdx].remaining--;
+    // Handle any remaining rowspan-covered slots at the end of the row
+    while (colIdx < rowCovered.length) {
+      cells.push(rowCovered[colIdx] ? createCoveredCell() : createCell(''));
       colIdx++;
     }
 
-    if (isHeader && !alignmentsSet) {
-      alignmentsSet = true;
-    }
-
-    rows.push(createRow(cells, isHeader));
+    rows.push(createRow(cells));
   }
 
-  return normalizeTable(createTable(rows, alignments));
+  const table = createTable(rows);
+  const widths = tableEl.getAttribute('data-column-widths');
+  if (widths) table.columnWidths = widths.split(',').map(Number);
+  normalizeTable(table);
+  const headerRows = countHeaderRows(tableEl, trElements, rows);
+  const bodyFirstCells = firstCellIsTh.slice(headerRows).filter((isTh) => isTh !== undefined);
+  const rowHeaders = bodyFirstCells.length > 0 && bodyFirstCells.every(Boolean) ? true : null;
+  return voteColumnAlignments(applyHeaders(table, { headerRows, rowHeaders }, options));
 }
 
 /**
- * Escape special Markdown characters inside table cells.
+ * Render a cell's inline content as Markdown, escaping pipes and other
+ * special characters. When `owner` is given, a covered slot is written as a
+ * merge marker pointing left or up towards the anchor cell that owns it.
+ * With `withAlignment`, the cell's own alignment follows as an attribute
+ * block.
  */
-function escapeMarkdownCell(content) {
-  return content.replace(/\|/g, '\\|');
+function cellToMarkdown(cell, owner, col, withAlignment) {
+  if (cell.covered && owner) {
+    return owner.col < col ? MERGE_LEFT_MARKER : MERGE_UP_MARKER;
+  }
+  let markdown = paragraphsToMarkdown(getCellParagraphs(cell));
+  if (markdown === MERGE_LEFT_MARKER || markdown === MERGE_UP_MARKER) {
+    markdown = '\\' + markdown;
+  }
+  if (endsWithAlignmentBlock(markdown)) {
+    const brace = markdown.lastIndexOf('{');
+    markdown = `${markdown.slice(0, brace)}\\${markdown.slice(brace)}`;
+  }
+  const block = withAlignment && !cell.covered ? alignmentBlock(cell) : '';
+  return block ? `${markdown} ${block}`.trim() : markdown;
 }
 
+// Shortest separator row, in characters, that column widths are spread over
+const SEPARATOR_MIN_LENGTH = 72;
+
 /**
- * Generate a Markdown table string from our table model.
+ * Lengths of the separator row's cells (pipes and padding left out) that are
+ * in proportion to the column widths, over the row's natural length or
+ * SEPARATOR_MIN_LENGTH, whichever is longer. A column whose text is wider
+ * than its share keeps the text's width.
  */
-export function tableModelToMarkdown(table) {
+function separatorLengths(textWidths, columnWidths) {
+  const total = columnWidths.reduce((sum, width) => sum + width, 0);
+  const length = Math.max(SEPARATOR_MIN_LENGTH, textWidths.reduce((sum, width) => sum + width + 2, 0));
+  return columnWidths.map((width) => Math.round((width / total) * length));
+}
+
+export const MERGED_CELLS_WARNING = 'Merged cells were expanded into separate cells.';
+
+/**
+ * Generate a Markdown table string from our table model. A table without
+ * header rows gets an empty one, since Markdown tables need a header; row
+ * headers are written in bold.
+ *
+ * Options:
+ *   preserveMerges — write slots covered by a merge as `<<` (merged into the
+ *     cell to the left) or `^^` (merged into the cell above) instead of
+ *     leaving them empty, so parseMarkdownTable can rebuild the spans.
+ *   preserveAlignment — write the alignment of cells aligned differently
+ *     from their column, or vertically, as an attribute block such as
+ *     "{align=center valign=bottom}" at the end of the cell.
+ *   columnWidths — write the table's column widths, as Pandoc does, through
+ *     the relative lengths of the separator row's cells (see
+ *     separatorLengths).
+ *   numberAlignment — 'right' right-aligns the numeric columns (see
+ *     columnTypes.js), 'decimal' also lines up their decimal points in the
+ *     Markdown source; 'none' (the default) keeps the table's alignment.
+ *   metadata — append a round-trip metadata comment (see tableMetadata.js)
+ *     below the table: true, or { id, source, style } to give what the table
+ *     model doesn't hold.
+ */
+export function tableModelToMarkdown(table, options = {}) {
   if (!table || table.rows.length === 0) return '';
+  const { metadata = false } = options;
+  const comment = metadata ? writeMetadataComment(collectMetadata(table, metadata === true ? {} : metadata)) : null;
+  table = emboldenRowHeaders(table);
 
+  const { preserveMerges = false, preserveAlignment = false, columnWidths = false, numberAlignment = 'none' } = options;
+  const types = numberAlignment === 'none' ? null : getColumnTypes(table);
+  if (types) table = alignNumberColumns(table, types);
   const colCount = table.alignments.length;
 
+  const owners = preserveMerges ? getMergeOwners(table) : null;
+  const texts = new Map();
+  table.rows.forEach((row, r) => {
+    texts.set(
+      row,
+      row.cells.map((cell, c) => {
+        const owner = owners && owners[r][c];
+        const merged = owner && (owner.row !== r || owner.col !== c);
+        return cellToMarkdown(cell, merged ? owner : null, c, preserveAlignment);
+      }),
+    );
+  });
+  if (numberAlignment === 'decimal') {
+    const bodyRows = table.rows.filter((row) => !row.isHeader);
+    types.forEach((type, c) => {
+      if (!isNumericType(type)) return;
+      const padding = decimalPadding(bodyRows.map((row) => texts.get(row)[c]));
+      bodyRows.forEach((row, i) => {
+        texts.get(row)[c] += ' '.repeat(padding[i]);
+      });
+    });
+  }
+
   // Calculate column widths for visual alignment
   const widths = new Array(colCount).fill(3); // minimum 3 for separator (---)
   for (const row of table.rows) {
-    for (let i = 0; i < row.cells.length && i < colCount; i++) {
-      const escaped = escapeMarkdownCell(row.cells[i].content);
-      widths[i] = Math.max(widths[i], escaped.length);
+    const rowTexts = texts.get(row);
+    for (let i = 0; i < rowTexts.length && i < colCount; i++) {
+      widths[i] = Math.max(widths[i], rowTexts[i].length);
     }
   }
+  if (columnWidths && table.columnWidths) {
+    separatorLengths(widths, table.columnWidths).forEach((length, i) => {
+      widths[i] = Math.max(widths[i], length - 2);
+    });
+  }
+
+  // Numeric columns are right-justified in the source too
+  const pad = (text, i) => (types && isNumericType(types[i]) ? text.padStart(widths[i]) : text.padEnd(widths[i]));
 
   const lines = [];
 
-  // Header row(s)
+  // Header row(s), or an empty one
   const headerRows = table.rows.filter((r) => r.isHeader);
   const dataRows = table.rows.filter((r) => !r.isHeader);
-
-  // If no header rows, use first row as header
-  let actualHeaders = headerRows;
-  let actualData = dataRows;
-  if (headerRows.length === 0 && table.rows.length > 0) {
-    actualHeaders = [table.rows[0]];
-    actualData = table.rows.slice(1);
+  if (headerRows.length === 0) {
+    headerRows.push({ isHeader: true, cells: [] });
   }
 
-  for (const row of actualHeaders) {
+  for (const row of headerRows) {
     const cells = [];
     for (let i = 0; i < colCount; i++) {
-      const content = i < row.cells.length ? escapeMarkdownCell(row.cells[i].content) : '';
-      cells.push(' ' + content.padEnd(widths[i]) + ' ');
+      const content = i < row.cells.length ? texts.get(row)[i] : '';
+      cells.push(' ' + pad(content, i) + ' ');
     }
     lines.push('|' + cells.join('|') + '|');
   }
@@ -168,28 +304,34 @@ export function tableModelToMarkdown(table) {
   lines.push('|' + separators.join('|') + '|');
 
   // Data rows
-  for (const row of actualData) {
+  for (const row of dataRows) {
     const cells = [];
     for (let i = 0; i < colCount; i++) {
-      const content = i < row.cells.length ? escapeMarkdownCell(row.cells[i].content) : '';
-      cells.push(' ' + content.padEnd(widths[i]) + ' ');
+      const content = i < row.cells.length ? texts.get(row)[i] : '';
+      cells.push(' ' + pad(content, i) + ' ');
     }
     lines.push('|' + cells.join('|') + '|');
   }
 
+  if (comment) lines.push(comment);
   return lines.join('\n');
 }
 
 /**
  * Convert an HTML string (potentially from Word) to a Markdown table.
- * Returns { markdown: string, warnings: string[] } or null if no table found.
+ * Returns { markdown: string, warnings: string[], style, table, source } or
+ * null if no table found, where `style` is the original table's captured
+ * styling (see tableStyle.js), `table` the parsed table model and `source` the
+ * id of the application the HTML came from (see sourceAdapters.js). Options
+ * are passed through to htmlTableToModel and tableModelToMarkdown; with
+ * `metadata`, the comment also records the source and styling.
  */
-export function htmlToMarkdown(htmlString) {
+export function htmlToMarkdown(htmlString, options = {}) {
   const result = sanitizeWordHtml(htmlString);
   if (!result) return null;
 
-  const { table: tableEl, tableCount } = result;
-  const model = htmlTableToModel(tableEl);
+  const { table: tableEl, tableCount, style, source } = result;
+  const model = htmlTableToModel(tableEl, options);
   if (!model) return null;
 
   const warnings = [];
@@ -198,17 +340,11 @@ export function htmlToMarkdown(htmlString) {
     warnings.push(`Found ${tableCount} tables — only the first was converted.`);
   }
 
-  // Check for merged cells in the original HTML
-  const cells = tableEl.querySelectorAll('td, th');
-  for (const cell of cells) {
-    const colspan = parseInt(cell.getAttribute('colspan') || '1', 10);
-    const rowspan = parseInt(cell.getAttribute('rowspan') || '1', 10);
-    if (colspan > 1 || rowspan > 1) {
-      warnings.push('Merged cells were expanded into separate cells.');
-      break;
-    }
+  if (!options.preserveMerges && hasMergedCells(model)) {
+    warnings.push(MERGED_CELLS_WARNING);
   }
 
-  const markdown = tableModelToMarkdown(model);
-  return { markdown, warnings };
+  const metadata = options.metadata && { ...(options.metadata === true ? {} : options.metadata), source, style };
+  const markdown = tableModelToMarkdown(model, { ...options, metadata });
+  return { markdown, warnings, style, table: model, source };
 }
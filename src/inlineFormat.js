@@ -0,0 +1,720 @@
+import { createParagraph, createRun } from './tableModel.js';
+
+/**
+ * Cell content: paragraphs of inline runs carrying bold, italic, code,
+ * strikethrough and links (see tableModel.js). This module reads cell content
+ * from HTML and Markdown and writes it back out. In Markdown, paragraphs
+ * inside a cell are separated by `<br>`, since a table row must stay on one
+ * line.
+ */
+
+const MARK_KEYS = ['bold', 'italic', 'code', 'strike'];
+
+// ASCII punctuation that a backslash may escape (CommonMark).
+const PUNCT_RE = /[!-/:-@[-`{-~]/;
+const ALNUM_RE = /[\p{L}\p{N}]/u;
+const UNSAFE_URL_RE = /^\s*(javascript|vbscript|data):/i;
+const BR_RE = /^<br\s*\/?>/i;
+const LIST_ITEM_RE = /^( *)([-*+]|\d+[.)]) +(.*)$/;
+// Spaces of indentation per list level in Markdown
+const LIST_INDENT = 2;
+
+function sameMarks(a, b) {
+  return MARK_KEYS.every((key) => a[key] === b[key]) && a.href === b.href;
+}
+
+/**
+ * Merge adjacent runs with identical formatting and drop empty runs.
+ */
+export function mergeRuns(runs) {
+  const merged = [];
+  for (const run of runs) {
+    if (!run.text) continue;
+    const last = merged[merged.length - 1];
+    if (last && sameMarks(last, run)) {
+      last.text += run.text;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Collapse whitespace across run boundaries and trim the ends, the same way
+ * the plain-text conversion collapses a cell's textContent.
+ */
+export function collapseRunWhitespace(runs) {
+  const result = [];
+  let lastEndsWithSpace = true;
+  for (const run of runs) {
+    let text = run.text.replace(/\s+/g, ' ');
+    if (lastEndsWithSpace) text = text.replace(/^ /, '');
+    if (!text) continue;
+    result.push({ ...run, text });
+    lastEndsWithSpace = text.endsWith(' ');
+  }
+  if (result.length > 0) {
+    const last = result[result.length - 1];
+    last.text = last.text.replace(/ $/, '');
+  }
+  return mergeRuns(result);
+}
+
+// --- HTML → paragraphs ---
+
+const TAG_MARKS = {
+  b: 'bold',
+  strong: 'bold',
+  i: 'italic',
+  em: 'italic',
+  cite: 'italic',
+  code: 'code',
+  kbd: 'code',
+  samp: 'code',
+  tt: 'code',
+  s: 'strike',
+  strike: 'strike',
+  del: 'strike',
+};
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'table',
+]);
+
+/**
+ * Read the paragraphs of a DOM node (usually a <td>/<th>). Block elements
+ * such as <p> end a paragraph; <br> always starts a new one, so `a<br><br>b`
+ * keeps its blank line. Each <li> becomes a list-item paragraph, nested
+ * <ul>/<ol> setting its level. Expects markup already cleaned by
+ * sanitizeWordHtml, where style-based formatting has been turned into
+ * semantic tags and Word's list paragraphs into real lists.
+ *
+ * Options:
+ *   collapseLineBreaks — join everything into a single paragraph, turning
+ *     line and paragraph breaks into spaces.
+ */
+export function parseCellHtml(node, options = {}) {
+  const { collapseLineBreaks = false } = options;
+  const paragraphs = [];
+  const lists = []; // open <ul>/<ol> elements, innermost last: true if ordered
+  let runs = [];
+  let list = null;
+
+  const hasText = () => runs.some((run) => run.text.trim());
+  const endParagraph = (force) => {
+    if (collapseLineBreaks) {
+      runs.push(createRun(' '));
+      return;
+    }
+    if (!force && !hasText()) return;
+    paragraphs.push(createParagraph(collapseRunWhitespace(runs), list));
+    runs = [];
+  };
+
+  function walk(parent, marks) {
+    for (const child of parent.childNodes) {
+      if (child.nodeType === 3) {
+        runs.push(createRun(child.textContent, marks));
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+
+      const tag = child.tagName.toLowerCase();
+      if (tag === 'br') {
+        endParagraph(true);
+        continue;
+      }
+
+      const next = { ...marks };
+      if (TAG_MARKS[tag]) next[TAG_MARKS[tag]] = true;
+      if (tag === 'a') {
+        const href = child.getAttribute('href');
+        if (href && !UNSAFE_URL_RE.test(href)) next.href = href;
+      }
+
+      const isBlock = BLOCK_TAGS.has(tag);
+      if (isBlock) endParagraph(false);
+      if (tag === 'ul' || tag === 'ol') {
+        lists.push(tag === 'ol');
+        walk(child, next);
+        lists.pop();
+      } else if (tag === 'li') {
+        list = {
+          ordered: lists.length > 0 && lists[lists.length - 1],
+          level: Math.max(0, lists.length - 1),
+        };
+        walk(child, next);
+        endParagraph(false);
+        list = null;
+      } else {
+        walk(child, next);
+      }
+      if (isBlock) endParagraph(false);
+    }
+  }
+
+  walk(node, {});
+  paragraphs.push(createParagraph(collapseRunWhitespace(runs)));
+
+  // Drop blank paragraphs at the start and end of the cell
+  while (paragraphs.length > 0 && paragraphs[0].runs.length === 0) paragraphs.shift();
+  while (paragraphs.length > 0 && paragraphs[paragraphs.length - 1].runs.length === 0) paragraphs.pop();
+  return paragraphs;
+}
+
+// --- Markdown → runs ---
+
+/**
+ * Find the closing backtick string of exactly `count` backticks.
+ */
+function findCodeSpanEnd(src, from, count) {
+  let i = from;
+  while (i < src.length) {
+    if (src[i] !== '`') {
+      i++;
+      continue;
+    }
+    let n = 0;
+    while (src[i + n] === '`') n++;
+    if (n === count) return i;
+    i += n;
+  }
+  return -1;
+}
+
+function codeSpanText(raw) {
+  let text = raw.replace(/\\\|/g, '|');
+  if (text.length > 1 && text.startsWith(' ') && text.endsWith(' ') && text.trim()) {
+    text = text.slice(1, -1);
+  }
+  return text;
+}
+
+/**
+ * Find a closing delimiter (`*`, `_` or `~`) of length `size`, skipping
+ * escapes and code spans. Returns the index where the closing `size`
+ * characters start, or -1.
+ */
+function findClosingDelimiter(src, from, ch, size) {
+  let i = from;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === '\\') {
+      i += 2;
+      continue;
+    }
+    if (c === '`') {
+      let n = 0;
+      while (src[i + n] === '`') n++;
+      const end = findCodeSpanEnd(src, i + n, n);
+      i = end === -1 ? i + n : end + n;
+      continue;
+    }
+    if (c !== ch) {
+      i++;
+      continue;
+    }
+    let n = 0;
+    while (src[i + n] === ch) n++;
+    const runEnd = i + n;
+    const prev = src[i - 1];
+    const after = src[runEnd];
+    const leftOk = i > from && !/\s/.test(prev);
+    const rightOk = ch !== '_' || !after || !ALNUM_RE.test(after);
+    if (leftOk && rightOk && n === size) return i;
+    if (leftOk && rightOk && n === 3 && ch !== '~') {
+      // `***` both closes this span and opens the next one when more text
+      // follows directly (`*a***b**`); otherwise it closes two nested spans.
+      return after && !/\s/.test(after) ? i : runEnd - size;
+    }
+    i = runEnd;
+  }
+  return -1;
+}
+
+/**
+ * Find the `]` that closes link text opened at `from - 1`.
+ */
+function findLinkTextEnd(src, from) {
+  let depth = 0;
+  for (let i = from; i < src.length; i++) {
+    const c = src[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      depth++;
+    } else if (c === ']') {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse `(url "title")` starting just after the `(`.
+ * Returns { href, end } where `end` is the index after `)`, or null.
+ */
+function parseLinkDestination(src, from) {
+  let i = from;
+  while (src[i] === ' ') i++;
+
+  let href = '';
+  if (src[i] === '<') {
+    const close = src.indexOf('>', i);
+    if (close === -1) return null;
+    href = src.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let depth = 0;
+    while (i < src.length) {
+      const c = src[i];
+      if (c === '\\' && PUNCT_RE.test(src[i + 1] || '')) {
+        href += src[i + 1];
+        i += 2;
+        continue;
+      }
+      if (/\s/.test(c)) break;
+      if (c === '(') depth++;
+      if (c === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      href += c;
+      i++;
+    }
+  }
+
+  while (src[i] === ' ') i++;
+  if (src[i] === '"' || src[i] === "'") {
+    const close = src.indexOf(src[i], i + 1);
+    if (close === -1) return null;
+    i = close + 1;
+    while (src[i] === ' ') i++;
+  }
+  if (src[i] !== ')') return null;
+  return { href, end: i + 1 };
+}
+
+function parseInline(src, marks, runs) {
+  let buf = '';
+  const flush = () => {
+    if (buf) runs.push(createRun(buf, marks));
+    buf = '';
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === '\\' && i + 1 < src.length && PUNCT_RE.test(src[i + 1])) {
+      buf += src[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '`') {
+      let n = 0;
+      while (src[i + n] === '`') n++;
+      const end = findCodeSpanEnd(src, i + n, n);
+      if (end === -1) {
+        buf += '`'.repeat(n);
+        i += n;
+        continue;
+      }
+      flush();
+      runs.push(createRun(codeSpanText(src.slice(i + n, end)), { ...marks, code: true }));
+      i = end + n;
+      continue;
+    }
+
+    if (ch === '[') {
+      const close = findLinkTextEnd(src, i + 1);
+      const dest = close !== -1 && src[close + 1] === '(' ? parseLinkDestination(src, close + 2) : null;
+      if (dest && !UNSAFE_URL_RE.test(dest.href)) {
+        flush();
+        parseInline(src.slice(i + 1, close), { ...marks, href: dest.href }, runs);
+        i = dest.end;
+        continue;
+      }
+      buf += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '*' || ch === '_' || ch === '~') {
+      let n = 0;
+      while (src[i + n] === ch) n++;
+      const next = src[i + n];
+      const prev = src[i - 1];
+      const canOpen =
+        next !== undefined &&
+        !/\s/.test(next) &&
+        (ch !== '_' || !prev || !ALNUM_RE.test(prev)) &&
+        (ch === '~' ? n === 2 : n <= 3);
+
+      const close = canOpen ? findClosingDelimiter(src, i + n, ch, n) : -1;
+      if (close === -1) {
+        buf += ch.repeat(n);
+        i += n;
+        continue;
+      }
+
+      const inner = { ...marks };
+      if (ch === '~') {
+        inner.strike = true;
+      } else {
+        if (n >= 2) inner.bold = true;
+        if (n !== 2) inner.italic = true;
+      }
+      flush();
+      parseInline(src.slice(i + n, close), inner, runs);
+      i = close + n;
+      continue;
+    }
+
+    buf += ch;
+    i++;
+  }
+  flush();
+}
+
+/**
+ * Parse the inline Markdown source of a single table cell into runs.
+ * Handles backslash escapes, `code`, **bold**, *italic*, ~~strike~~ and
+ * [text](url). Anything unrecognised is kept as literal text.
+ */
+export function parseInlineMarkdown(src) {
+  const runs = [];
+  parseInline(src, {}, runs);
+  return mergeRuns(runs);
+}
+
+/**
+ * Split a cell's Markdown source on `<br>` tags outside code spans.
+ */
+function splitLines(src) {
+  const lines = [];
+  let start = 0;
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === '\\') {
+      i += 2;
+    } else if (c === '`') {
+      let n = 0;
+      while (src[i + n] === '`') n++;
+      const end = findCodeSpanEnd(src, i + n, n);
+      i = end === -1 ? i + n : end + n;
+    } else if (c === '<' && BR_RE.test(src.slice(i))) {
+      const tag = src.slice(i).match(BR_RE)[0];
+      lines.push(src.slice(start, i));
+      i += tag.length;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  lines.push(src.slice(start));
+  return lines;
+}
+
+/**
+ * Parse the Markdown source of a single table cell into paragraphs. Lines
+ * starting with `- `, `* `, `+ ` or `1. ` are list items, indented by two
+ * spaces per nesting level. A cell holding a single numbered line is left as
+ * text, so values like `2024. Budget approved` aren't turned into lists.
+ */
+export function parseCellMarkdown(src) {
+  if (!src.trim()) return [];
+  const lines = splitLines(src);
+  return lines.map((line) => {
+    const match = line.trimEnd().match(LIST_ITEM_RE);
+    if (!match || (lines.length === 1 && /\d/.test(match[2]))) {
+      return createParagraph(parseInlineMarkdown(line.trim()));
+    }
+    const list = {
+      ordered: /\d/.test(match[2]),
+      level: Math.floor(match[1].length / LIST_INDENT),
+    };
+    return createParagraph(parseInlineMarkdown(match[3].trim()), list);
+  });
+}
+
+// --- runs → Markdown / HTML ---
+
+// Marks in nesting order, outermost first. Code is always innermost because
+// nothing can be nested inside a code span.
+const MARK_ORDER = ['href', 'strike', 'bold', 'italic', 'code'];
+
+function activeMarks(run) {
+  return MARK_ORDER.filter((key) => (key === 'href' ? !!run.href : run[key]));
+}
+
+/**
+ * Serialize runs by opening and closing marks as formatting changes between
+ * runs, so adjacent runs share enclosing delimiters instead of each run being
+ * wrapped separately. Whitespace at the edges of a run is kept outside the
+ * delimiters, since Markdown doesn't allow `** bold **`.
+ */
+export function serializeRuns(runs, syntax) {
+  let out = '';
+  let stack = [];
+  let pendingSpace = '';
+
+  const closeTo = (depth) => {
+    while (stack.length > depth) {
+      out += syntax.close(stack.pop());
+    }
+  };
+
+  for (const run of mergeRuns(runs)) {
+    const marks = activeMarks(run);
+    const [, lead, core, trail] = run.code
+      ? ['', '', run.text, '']
+      : run.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+
+    if (!core) {
+      pendingSpace += run.text;
+      continue;
+    }
+
+    // Keep the shared prefix of open marks; close the rest. Code spans and
+    // links to a different target never stay open across runs.
+    let keep = 0;
+    while (
+      keep < stack.length &&
+      stack[keep].key === marks[keep] &&
+      stack[keep].key !== 'code' &&
+      (stack[keep].key !== 'href' || stack[keep].href === run.href)
+    ) {
+      keep++;
+    }
+    closeTo(keep);
+
+    out += pendingSpace + lead;
+    pendingSpace = trail;
+
+    for (const key of marks.slice(keep)) {
+      const mark = { key, href: run.href, text: core };
+      stack.push(mark);
+      out += syntax.open(mark);
+    }
+    out += syntax.text(core, run);
+  }
+
+  closeTo(0);
+  return out + pendingSpace;
+}
+
+/**
+ * Escape text so the Markdown inline parser reads it back literally.
+ */
+function escapeMarkdownText(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const prev = text[i - 1];
+    const next = text[i + 1];
+    if (c === '\\') {
+      out += next === undefined || PUNCT_RE.test(next) ? '\\\\' : '\\';
+    } else if (c === '*' || c === '`' || c === '|') {
+      out += '\\' + c;
+    } else if (c === '_') {
+      const intraword = prev && next && ALNUM_RE.test(prev) && ALNUM_RE.test(next);
+      out += intraword ? '_' : '\\_';
+    } else if (c === '~') {
+      out += prev === '~' || next === '~' ? '\\~' : '~';
+    } else if (c === '(' && prev === ']') {
+      out += '\\(';
+    } else if (c === '<' && BR_RE.test(text.slice(i))) {
+      out += '\\<';
+    } else {
+      out += c;
+    }
+  }
+  return out;
+}
+
+function codeFence(text) {
+  let longest = 0;
+  for (const match of text.matchAll(/`+/g)) {
+    longest = Math.max(longest, match[0].length);
+  }
+  return '`'.repeat(longest + 1);
+}
+
+function markdownDestination(href) {
+  if (/[\s()<>]/.test(href)) return `<${href.replace(/[<>]/g, encodeURIComponent)}>`;
+  return href;
+}
+
+const MARKDOWN_SYNTAX = {
+  open(mark) {
+    if (mark.key === 'href') return '[';
+    if (mark.key === 'strike') return '~~';
+    if (mark.key === 'bold') return '**';
+    if (mark.key === 'italic') return '*';
+    mark.fence = codeFence(mark.text);
+    return mark.text.startsWith('`') || mark.text.endsWith('`') ? mark.fence + ' ' : mark.fence;
+  },
+  close(mark) {
+    if (mark.key === 'href') return `](${markdownDestination(mark.href)})`;
+    if (mark.key === 'strike') return '~~';
+    if (mark.key === 'bold') return '**';
+    if (mark.key === 'italic') return '*';
+    return mark.text.startsWith('`') || mark.text.endsWith('`') ? ' ' + mark.fence : mark.fence;
+  },
+  text(text, run) {
+    if (run.code) return text.replace(/\|/g, '\\|');
+    return escapeMarkdownText(text);
+  },
+};
+
+/**
+ * Write runs as inline Markdown suitable for a single table cell.
+ */
+export function runsToMarkdown(runs) {
+  return serializeRuns(runs, MARKDOWN_SYNTAX);
+}
+
+/**
+ * Number the list items among a cell's paragraphs. Returns, per paragraph,
+ * its running number within its list level (restarting when the list is
+ * interrupted or changes kind), or null for plain paragraphs.
+ */
+export function numberListItems(paragraphs) {
+  const numbers = []; // next number per level, reset when a list is interrupted
+  const kinds = []; // ordered flag per level
+
+  return paragraphs.map(({ list }) => {
+    if (!list) {
+      numbers.length = 0;
+      kinds.length = 0;
+      return null;
+    }
+    numbers.length = list.level + 1;
+    if (kinds[list.level] !== list.ordered) numbers[list.level] = 0;
+    kinds.length = list.level + 1;
+    kinds[list.level] = list.ordered;
+    numbers[list.level] = (numbers[list.level] || 0) + 1;
+    return numbers[list.level];
+  });
+}
+
+/**
+ * Write cell paragraphs as Markdown, one line per paragraph. List items get
+ * `- ` or a running `1. ` number; plain paragraphs that would read as list
+ * items get their marker escaped (see parseCellMarkdown).
+ */
+export function paragraphsToMarkdownLines(paragraphs) {
+  const numbers = numberListItems(paragraphs);
+
+  return paragraphs.map((paragraph, i) => {
+    const text = runsToMarkdown(paragraph.runs);
+    const { list } = paragraph;
+    if (!list) {
+      const escaped = text.replace(/^([-+])(?= )/, '\\$1');
+      return paragraphs.length > 1 ? escaped.replace(/^(\d+)([.)])(?= )/, '$1\\$2') : escaped;
+    }
+    const marker = list.ordered ? `${numbers[i]}.` : '-';
+    return ' '.repeat(list.level * LIST_INDENT) + `${marker} ${text}`;
+  });
+}
+
+/**
+ * Write cell paragraphs as single-line Markdown, joined by `<br>`.
+ */
+export function paragraphsToMarkdown(paragraphs) {
+  return paragraphsToMarkdownLines(paragraphs).join('<br>');
+}
+
+export function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_TAGS = { strike: 's', bold: 'strong', italic: 'em', code: 'code' };
+
+const HTML_SYNTAX = {
+  open(mark) {
+    if (mark.key === 'href') return `<a href="${escapeHtml(mark.href)}">`;
+    return `<${HTML_TAGS[mark.key]}>`;
+  },
+  close(mark) {
+    if (mark.key === 'href') return '</a>';
+    return `</${HTML_TAGS[mark.key]}>`;
+  },
+  text(text) {
+    return escapeHtml(text);
+  },
+};
+
+/**
+ * Write runs as inline HTML that Word pastes as real character formatting.
+ */
+export function runsToHtml(runs) {
+  return serializeRuns(runs, HTML_SYNTAX);
+}
+
+const LIST_STYLE = 'margin-top: 0; margin-bottom: 0;';
+
+/**
+ * Write consecutive list-item paragraphs as nested <ul>/<ol> markup.
+ */
+function listItemsToHtml(items) {
+  let html = '';
+  const stack = []; // open lists: { ordered, level }
+
+  const closeList = () => {
+    html += `</li></${stack.pop().ordered ? 'ol' : 'ul'}>`;
+  };
+
+  for (const { runs, list } of items) {
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      if (top.level < list.level || (top.level === list.level && top.ordered === list.ordered)) break;
+      closeList();
+    }
+
+    const top = stack[stack.length - 1];
+    if (top && top.level === list.level) {
+      html += '</li><li>';
+    } else {
+      html += `<${list.ordered ? 'ol' : 'ul'} style="${LIST_STYLE}"><li>`;
+      stack.push(list);
+    }
+    html += runsToHtml(runs);
+  }
+
+  while (stack.length > 0) closeList();
+  return html;
+}
+
+/**
+ * Write cell paragraphs as HTML. A single plain paragraph is written inline;
+ * otherwise paragraphs become separate <p> elements (with Word's default
+ * paragraph spacing removed) and list items real <ul>/<ol> lists, so Word
+ * pastes them as paragraphs and list formatting in the cell.
+ */
+export function paragraphsToHtml(paragraphs) {
+  if (paragraphs.length === 0) return '';
+  if (paragraphs.length === 1 && !paragraphs[0].list) return runsToHtml(paragraphs[0].runs);
+
+  let html = '';
+  for (let i = 0; i < paragraphs.length; i++) {
+    if (!paragraphs[i].list) {
+      html += `<p style="margin: 0;">${runsToHtml(paragraphs[i].runs) || '&nbsp;'}</p>`;
+      continue;
+    }
+    let end = i;
+    while (end < paragraphs.length && paragraphs[end].list) end++;
+    html += listItemsToHtml(paragraphs.slice(i, end));
+    i = end - 1;
+  }
+  return html;
+}
@@ -1,27 +1,332 @@
-import { htmlToMarkdown } from './htmlToMarkdown.js';
-import { markdownToHtml } from './markdownToHtml.js';
+import { MERGED_CELLS_WARNING, htmlToMarkdown } from './htmlToMarkdown.js';
+import { DEFAULT_LAYOUT, htmlCellCss, htmlTableCss, TABLE_LAYOUTS, tableModelToHtml } from './markdownToHtml.js';
+import {
+  DEFAULT_DIALECT,
+  detectDialect,
+  DIALECTS,
+  diagnoseTableText,
+  findTables,
+  parseTableText,
+  replaceTableText,
+  writeTableText,
+} from './tableDialects.js';
+import { blockingDiagnostics, formatDiagnostic } from './tableDiagnostics.js';
 import { containsTable } from './htmlSanitizer.js';
+import { readDocxTables, tableModelToDocx } from './docx.js';
+import { parseCsvTable, sniffDelimiter, tableModelToCsv } from './csvTable.js';
+import { SOURCES } from './sourceAdapters.js';
+import { NUMBER_ALIGNMENTS } from './columnTypes.js';
+import { RECORD_SHAPES } from './recordsTable.js';
+import { overrideHeaders } from './tableModel.js';
+import { createTableId, metadataWarnings, restoreFromMetadata } from './tableMetadata.js';
+import { applyDiff, describeChange, renderDiffTable } from './tableDiff.js';
+import { CONTRACT_MODES, checkContract, createContract, describeContract, diffWithContract } from './tableContract.js';
+import {
+  addEntry,
+  createEntry,
+  deleteEntry,
+  DIRECTIONS,
+  entryName,
+  loadHistory,
+  saveHistory,
+  searchHistory,
+  updateEntry,
+} from './conversionHistory.js';
+import { createUndoHistory } from './undoHistory.js';
+import { INPUT_FORMATS, sniffFormat } from './formatSniffer.js';
+import { createTableEditor } from './tableEditor.js';
+import { BORDER_STYLES, completeTheme, DEFAULT_THEME, THEMES } from './tableThemes.js';
 import { readFromPaste, writeHtmlToClipboard, writeTextToClipboard } from './clipboard.js';
 
 const inputEl = document.getElementById('input');
 const outputEl = document.getElementById('output');
 const outputPreviewEl = document.getElementById('output-preview');
 const outputPreviewContentEl = document.getElementById('output-preview-content');
+const previewHintEl = document.getElementById('preview-hint');
 const outputLabelEl = document.getElementById('output-label');
+const detectedSourceEl = document.getElementById('detected-source');
+const convertBtn = document.getElementById('convert');
+const inputFormatEl = document.getElementById('input-format');
 const toMarkdownBtn = document.getElementById('to-markdown');
+const outputDialectEl = document.getElementById('output-dialect');
 const toWordBtn = document.getElementById('to-word');
+const themePickerEl = document.getElementById('theme-picker');
+const themeEditorEl = document.getElementById('theme-editor');
 const copyOutputBtn = document.getElementById('copy-output');
 const clearInputBtn = document.getElementById('clear-input');
+const undoInputBtn = document.getElementById('undo-input');
+const redoInputBtn = document.getElementById('redo-input');
+const toggleHistoryBtn = document.getElementById('toggle-history');
+const historyPanelEl = document.getElementById('history-panel');
+const historySearchEl = document.getElementById('history-search');
+const historyListEl = document.getElementById('history-list');
+const historyEmptyEl = document.getElementById('history-empty');
+const tablePickerEl = document.getElementById('table-picker');
+const inputHighlightsEl = document.getElementById('input-highlights');
+const diagnosticsEl = document.getElementById('diagnostics');
+const openFileBtn = document.getElementById('open-file');
+const inputFileEl = document.getElementById('input-file');
+const toDocxBtn = document.getElementById('to-docx');
+const copyTsvBtn = document.getElementById('copy-tsv');
+const downloadCsvBtn = document.getElementById('download-csv');
 const toastEl = document.getElementById('toast');
 const warningsEl = document.getElementById('warnings');
+const preserveMergesEl = document.getElementById('preserve-merges');
+const preserveAlignmentEl = document.getElementById('preserve-alignment');
+const embedMetadataEl = document.getElementById('embed-metadata');
+const collapseLineBreaksEl = document.getElementById('collapse-line-breaks');
+const keepStylingEl = document.getElementById('keep-styling');
+const keepColumnWidthsEl = document.getElementById('keep-column-widths');
+const tableLayoutEl = document.getElementById('table-layout');
+const numberAlignmentEl = document.getElementById('number-alignment');
+const recordShapeEl = document.getElementById('record-shape');
+const strictModeEl = document.getElementById('strict-mode');
+const headerRowsEl = document.getElementById('header-rows');
+const rowHeadersEl = document.getElementById('row-headers');
+const diffPanelEl = document.getElementById('diff-panel');
+const diffSummaryEl = document.getElementById('diff-summary');
+const diffTableEl = document.getElementById('diff-table');
+const diffAcceptAllBtn = document.getElementById('diff-accept-all');
+const diffRejectAllBtn = document.getElementById('diff-reject-all');
+const contractPanelEl = document.getElementById('contract-panel');
+const contractModeEl = document.getElementById('contract-mode');
+const contractSummaryEl = document.getElementById('contract-summary');
+const lockHeadersEl = document.getElementById('lock-headers');
+const lockRowKeysEl = document.getElementById('lock-row-keys');
+const keyColumnEl = document.getElementById('key-column');
+const lockColumnsEl = document.getElementById('lock-columns');
+const contractViolationsEl = document.getElementById('contract-violations');
 
 // Store the last pasted HTML so the "Word → Markdown" button can use it
 // even though the textarea only shows plain text.
 let lastPastedHtml = null;
 
+// The last opened .docx file, re-read when "Word → Markdown" is clicked so
+// changed options apply
+let lastDocxFile = null;
+
 // Store the last generated HTML for the copy button in preview mode
 let lastGeneratedHtml = null;
 
+// Styling and content of the last Word table: the styling is re-applied when
+// converting the edited Markdown back, and the content is what the edit is
+// diffed against. Kept for the browser session (they must survive pasting the
+// LLM's reply, clearing the input and page reloads).
+const STYLE_STORAGE_KEY = 'wordTableStyle';
+const TABLE_STORAGE_KEY = 'wordTableModel';
+let lastTableStyle = loadSession(STYLE_STORAGE_KEY);
+let originalTable = loadSession(TABLE_STORAGE_KEY);
+
+// The recent Word tables by the ID their round-trip comment carries (see
+// tableMetadata.js), so a reply about an earlier table is still diffed
+// against and styled like that table
+const ORIGINALS_STORAGE_KEY = 'wordTableOriginals';
+const TABLE_ID_STORAGE_KEY = 'wordTableId';
+const MAX_ORIGINALS = 10;
+let originals = loadSession(ORIGINALS_STORAGE_KEY) || {};
+let originalTableId = loadSession(TABLE_ID_STORAGE_KEY);
+
+function loadSession(key, storage = sessionStorage) {
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(key, value, storage = sessionStorage) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage unavailable (private mode, quota) — keep it in memory only
+  }
+}
+
+function saveOriginal() {
+  saveSession(STYLE_STORAGE_KEY, lastTableStyle);
+  saveSession(TABLE_STORAGE_KEY, originalTable);
+  saveSession(TABLE_ID_STORAGE_KEY, originalTableId);
+  resetContract();
+}
+
+function addOriginal(id, original) {
+  originals = Object.fromEntries([...Object.entries(originals).filter(([key]) => key !== id), [id, original]].slice(-MAX_ORIGINALS));
+  saveSession(ORIGINALS_STORAGE_KEY, originals);
+}
+
+function rememberWordTable(result) {
+  lastTableStyle = result.style || null;
+  originalTable = result.table || null;
+  originalTableId = originalTable ? createTableId() : null;
+  if (originalTableId) addOriginal(originalTableId, { style: lastTableStyle, table: originalTable, source: result.source || null });
+  saveOriginal();
+}
+
+// The original Word table as kept in the conversion history, and back
+function originalSnapshot() {
+  if (!originalTable) return null;
+  const known = originals[originalTableId];
+  return { id: originalTableId, table: originalTable, style: lastTableStyle, source: known ? known.source : null };
+}
+
+function restoreOriginal(original) {
+  lastTableStyle = original ? original.style : null;
+  originalTable = original ? original.table : null;
+  originalTableId = original ? original.id : null;
+  if (originalTableId) addOriginal(originalTableId, { style: lastTableStyle, table: originalTable, source: original.source });
+  saveOriginal();
+}
+
+// Make the Word table a parsed table's metadata comment names the original.
+// One converted in another session can't be diffed against, but the comment
+// still holds its styling.
+function useRoundTripOriginal(table) {
+  const { roundTrip } = table;
+  if (!roundTrip || roundTrip.status !== 'ok' || roundTrip.metadata.id === originalTableId) return;
+  const known = originals[roundTrip.metadata.id];
+  lastTableStyle = known ? known.style : roundTrip.metadata.style;
+  originalTable = known ? known.table : null;
+  originalTableId = roundTrip.metadata.id;
+  saveOriginal();
+}
+
+// Diff between the original Word table and the edited Markdown, and the ids
+// of the changes the user rejected
+let currentDiff = null;
+let rejectedChanges = new Set();
+
+// The shape of the original Word table and the parts of it the user locked
+// (see tableContract.js), and the changes in the diff that break the locks
+const CONTRACT_STORAGE_KEY = 'wordTableContract';
+const CONTRACT_MODE_STORAGE_KEY = 'contractMode';
+let contract = loadSession(CONTRACT_STORAGE_KEY);
+let contractViolations = [];
+
+// --- Conversion options ---
+
+// 'auto' leaves the headers to detection (see applyHeaders in tableModel.js)
+function headerOptions() {
+  const rowHeaders = rowHeadersEl.value;
+  return {
+    headerRows: headerRowsEl.value === 'auto' ? 'auto' : Number(headerRowsEl.value),
+    rowHeaders: rowHeaders === 'auto' ? 'auto' : rowHeaders === 'yes',
+  };
+}
+
+function markdownOptions() {
+  return {
+    preserveMerges: preserveMergesEl.checked,
+    preserveAlignment: preserveAlignmentEl.checked,
+    collapseLineBreaks: collapseLineBreaksEl.checked,
+    columnWidths: keepColumnWidthsEl.checked,
+    numberAlignment: numberAlignmentEl.value,
+    recordShape: recordShapeEl.value,
+    metadata: embedMetadataEl.checked && !!originalTableId && {
+      id: originalTableId,
+      source: originals[originalTableId] ? originals[originalTableId].source : null,
+      style: lastTableStyle,
+    },
+    ...headerOptions(),
+  };
+}
+
+// Options for reading the Markdown in the input and writing edits back to it
+function inputOptions() {
+  return { columnWidths: keepColumnWidthsEl.checked, recordShape: recordShapeEl.value };
+}
+
+// Read the table in the input with what its metadata comment restores, and
+// make the Word table it names the original
+function prepareInputTable(parsed) {
+  const table = restoreFromMetadata(overrideHeaders(parsed.table, headerOptions()));
+  useRoundTripOriginal(table);
+  return table;
+}
+
+// Warn about a missing metadata comment only when the user asked for one
+function roundTripWarnings(table) {
+  return table.roundTrip || embedMetadataEl.checked ? metadataWarnings(table) : [];
+}
+
+function htmlOptions() {
+  return {
+    style: keepStylingEl.checked ? lastTableStyle : null,
+    theme: currentTheme(),
+    layout: tableLayoutEl.value,
+    numberAlignment: numberAlignmentEl.value,
+  };
+}
+
+for (const [value, label] of Object.entries(TABLE_LAYOUTS)) {
+  tableLayoutEl.add(new Option(label, value, false, value === DEFAULT_LAYOUT));
+}
+
+for (const [value, label] of Object.entries(NUMBER_ALIGNMENTS)) {
+  numberAlignmentEl.add(new Option(label, value));
+}
+for (const [value, label] of Object.entries(RECORD_SHAPES)) {
+  recordShapeEl.add(new Option(label, value));
+}
+
+// --- Themes ---
+
+// The picked theme and the custom theme's settings are kept across sessions
+const THEME_STORAGE_KEY = 'tableTheme';
+const CUSTOM_THEME_STORAGE_KEY = 'customTableTheme';
+let customTheme = completeTheme(loadSession(CUSTOM_THEME_STORAGE_KEY, localStorage) || THEMES[DEFAULT_THEME]);
+const themeFieldEls = themeEditorEl.querySelectorAll('[data-setting]');
+
+function currentTheme() {
+  return themePickerEl.value === 'custom' ? customTheme : THEMES[themePickerEl.value];
+}
+
+for (const [name, { label }] of Object.entries(THEMES)) {
+  themePickerEl.add(new Option(label, name));
+}
+themePickerEl.add(new Option('Custom…', 'custom'));
+const savedTheme = loadSession(THEME_STORAGE_KEY, localStorage);
+themePickerEl.value = savedTheme === 'custom' || THEMES[savedTheme] ? savedTheme : DEFAULT_THEME;
+
+for (const [value, label] of Object.entries(BORDER_STYLES)) {
+  themeEditorEl.querySelector('[data-setting="borders"]').add(new Option(label, value));
+}
+
+function showThemeEditor() {
+  themeEditorEl.classList.toggle('hidden', themePickerEl.value !== 'custom');
+  for (const el of themeFieldEls) el.value = customTheme[el.dataset.setting];
+}
+showThemeEditor();
+
+// Show the new look in the preview and put it in the HTML the Copy button
+// copies
+function restyleOutput() {
+  if (!isPreviewShown()) return;
+  tableEditor.refresh();
+  updateEditedOutput(tableEditor.getTable());
+}
+
+themePickerEl.addEventListener('change', () => {
+  // A new custom theme starts from the preset it replaces
+  if (themePickerEl.value === 'custom' && !loadSession(CUSTOM_THEME_STORAGE_KEY, localStorage)) {
+    const previous = THEMES[loadSession(THEME_STORAGE_KEY, localStorage)] || THEMES[DEFAULT_THEME];
+    customTheme = { ...previous, label: 'Custom' };
+  }
+  saveSession(THEME_STORAGE_KEY, themePickerEl.value, localStorage);
+  showThemeEditor();
+  restyleOutput();
+});
+
+for (const el of themeFieldEls) {
+  el.addEventListener('input', () => {
+    customTheme = completeTheme({ ...customTheme, [el.dataset.setting]: el.value.trim() });
+    saveSession(CUSTOM_THEME_STORAGE_KEY, customTheme, localStorage);
+    restyleOutput();
+  });
+}
+
+keepStylingEl.addEventListener('change', restyleOutput);
+tableLayoutEl.addEventListener('change', restyleOutput);
+
 // --- Output mode switching ---
 
 function showTextOutput(text) {
@@ -32,19 +337,45 @@ function showTextOutput(text) {
   outputLabelEl.textContent = 'Output';
 }
 
-function showPreviewOutput(html) {
+// The preview is an editable grid of `table`; `html` is what the Copy button
+// puts on the clipboard
+function showPreviewOutput(html, table) {
+  showSource(null);
   lastGeneratedHtml = html;
   outputEl.classList.add('hidden');
-  outputPreviewContentEl.innerHTML = html;
+  tableEditor.setTable(table);
+  previewHintEl.textContent = COPIED_HINT;
   outputPreviewEl.classList.remove('hidden');
   outputLabelEl.textContent = 'Preview';
 }
 
+function isPreviewShown() {
+  return !outputPreviewEl.classList.contains('hidden');
+}
+
+function showSource(label) {
+  detectedSourceEl.textContent = label ? `Detected source: ${label}` : '';
+  detectedSourceEl.classList.toggle('hidden', !label);
+}
+
+// Write a table in the chosen output dialect and add the conversion to the
+// history. `warnings` are the converter's own; the merged-cells warning
+// depends on the dialect, so it is recomputed. `source` names where the
+// table came from; `input` and `sourceHtml` are what it was converted from.
+function showTableOutput(table, warnings = [], source = null, { input = inputEl.value, sourceHtml = lastPastedHtml } = {}) {
+  const result = writeTableText(table, outputDialectEl.value, markdownOptions());
+  const shown = [...warnings.filter((warning) => warning !== MERGED_CELLS_WARNING), ...result.warnings];
+  showTextOutput(result.text);
+  showSource(source);
+  showWarnings(shown);
+  recordConversion({ direction: 'to-markdown', name: entryName(table), input, sourceHtml, markdown: result.text, source, warnings: shown });
+}
+
 function clearOutput() {
+  showSource(null);
   lastGeneratedHtml = null;
   outputEl.value = '';
   outputEl.classList.remove('hidden');
-  outputPreviewContentEl.innerHTML = '';
   outputPreviewEl.classList.add('hidden');
   outputLabelEl.textContent = 'Output';
 }
@@ -62,6 +393,169 @@ function showToast(message, type = 'success') {
   }, 3000);
 }
 
+// --- Change review ---
+
+function hideDiff() {
+  currentDiff = null;
+  rejectedChanges = new Set();
+  contractViolations = [];
+  showViolations();
+  diffPanelEl.classList.add('hidden');
+  diffSummaryEl.innerHTML = '';
+  diffTableEl.innerHTML = '';
+}
+
+function renderDiff() {
+  diffSummaryEl.innerHTML = '';
+  for (const change of currentDiff.changes) {
+    const label = document.createElement('label');
+    label.className = `diff-change diff-${change.type}${change.formatChanges.length > 0 ? ' diff-format' : ''}`;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !rejectedChanges.has(change.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) rejectedChanges.delete(change.id);
+      else rejectedChanges.add(change.id);
+      updateReviewedTable();
+    });
+    label.append(checkbox, ' ' + describeChange(currentDiff, change));
+    diffSummaryEl.append(label);
+  }
+  diffTableEl.innerHTML = renderDiffTable(currentDiff, rejectedChanges);
+  showViolations();
+}
+
+function updateReviewedTable() {
+  lastGeneratedHtml = tableModelToHtml(applyDiff(currentDiff, rejectedChanges), htmlOptions());
+  renderDiff();
+}
+
+function reviewChanges(edited) {
+  hideDiff();
+  if (!originalTable || !edited) return 0;
+  const diff = diffWithContract(contract, originalTable, edited);
+  if (diff.changes.length === 0) return 0;
+  currentDiff = diff;
+  checkLocks();
+  diffPanelEl.classList.remove('hidden');
+  renderDiff();
+  return diff.changes.length;
+}
+
+diffAcceptAllBtn.addEventListener('click', () => {
+  if (!currentDiff) return;
+  rejectedChanges = new Set();
+  updateReviewedTable();
+});
+
+diffRejectAllBtn.addEventListener('click', () => {
+  if (!currentDiff) return;
+  rejectedChanges = new Set(currentDiff.changes.map((change) => change.id));
+  updateReviewedTable();
+});
+
+// --- Locked parts ---
+
+for (const [value, label] of Object.entries(CONTRACT_MODES)) {
+  contractModeEl.add(new Option(label, value));
+}
+contractModeEl.value = CONTRACT_MODES[loadSession(CONTRACT_MODE_STORAGE_KEY, localStorage)]
+  ? loadSession(CONTRACT_MODE_STORAGE_KEY, localStorage)
+  : 'report';
+
+// Start the contract of a new original table. Converting the same table
+// again (with other options) keeps its locks; another table keeps only the
+// header and row key locks.
+function resetContract() {
+  const previous = contract;
+  if (!originalTable) {
+    contract = null;
+  } else {
+    const headers = createContract(originalTable).headers;
+    const same = previous && previous.headers.join('\t') === headers.join('\t');
+    contract = createContract(originalTable, same ? previous : { locks: { ...(previous && previous.locks), columns: [] } });
+  }
+  saveSession(CONTRACT_STORAGE_KEY, contract);
+  renderContract();
+}
+
+function renderContract() {
+  contractPanelEl.classList.toggle('hidden', !contract);
+  if (!contract) return;
+  lockHeadersEl.checked = contract.locks.headers;
+  lockRowKeysEl.checked = contract.locks.rowKeys;
+  keyColumnEl.innerHTML = '';
+  lockColumnsEl.innerHTML = 'Columns:';
+  contract.headers.forEach((header, c) => {
+    const name = header || `Column ${c + 1}`;
+    keyColumnEl.add(new Option(name, String(c), false, c === contract.keyColumn));
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.column = String(c);
+    checkbox.checked = contract.locks.columns.includes(c);
+    checkbox.addEventListener('change', updateContract);
+    label.append(checkbox, ` ${name}`);
+    lockColumnsEl.append(label);
+  });
+  contractSummaryEl.textContent = describeContract(contract);
+}
+renderContract();
+
+function updateContract() {
+  if (!originalTable) return;
+  const columns = [...lockColumnsEl.querySelectorAll('input:checked')].map((el) => Number(el.dataset.column));
+  contract = createContract(originalTable, {
+    keyColumn: Number(keyColumnEl.value),
+    locks: { headers: lockHeadersEl.checked, columns, rowKeys: lockRowKeysEl.checked },
+  });
+  saveSession(CONTRACT_STORAGE_KEY, contract);
+  contractSummaryEl.textContent = describeContract(contract);
+  if (isPreviewShown()) updateEditedOutput(tableEditor.getTable());
+}
+
+for (const el of [lockHeadersEl, lockRowKeysEl, keyColumnEl]) {
+  el.addEventListener('change', updateContract);
+}
+
+contractModeEl.addEventListener('change', () => {
+  saveSession(CONTRACT_MODE_STORAGE_KEY, contractModeEl.value, localStorage);
+  if (isPreviewShown()) updateEditedOutput(tableEditor.getTable());
+});
+
+// Find the changes in the diff that break the locks. Restoring the locked
+// parts rejects those changes.
+function checkLocks() {
+  contractViolations = contract ? checkContract(contract, currentDiff) : [];
+  if (contractModeEl.value === 'restore') {
+    for (const violation of contractViolations) rejectedChanges.add(violation.change.id);
+  }
+}
+
+// List the violations row by row; those whose change was rejected are
+// struck through
+function showViolations() {
+  contractViolationsEl.innerHTML = '';
+  for (const violation of contractViolations) {
+    const restored = rejectedChanges.has(violation.change.id);
+    const item = document.createElement('li');
+    item.className = `diagnostic ${restored ? 'diagnostic-restored' : 'diagnostic-error'}`;
+    item.textContent = violation.message;
+    item.title = restored ? 'Restored from the original table' : 'Untick the change below to restore it';
+    contractViolationsEl.append(item);
+  }
+  contractViolationsEl.classList.toggle('hidden', contractViolations.length === 0);
+}
+
+// In block mode, refuse to copy an edit that still breaks the locks. Returns
+// true if the copy may go ahead.
+function passesContract() {
+  const open = contractViolations.filter((violation) => !rejectedChanges.has(violation.change.id));
+  if (contractModeEl.value !== 'block' || open.length === 0) return true;
+  showToast(`Not copied: ${open.length} change(s) break the locked parts of the table. Reject them below or unlock them.`, 'error');
+  return false;
+}
+
 function showWarnings(warnings) {
   if (!warnings || warnings.length === 0) {
     warningsEl.classList.add('hidden');
@@ -72,6 +566,145 @@ function showWarnings(warnings) {
   warningsEl.classList.remove('hidden');
 }
 
+// --- Table picker ---
+
+// An LLM reply can hold several tables: list them so the user can pick the
+// one the Markdown → Word/.docx/CSV buttons convert
+function updateTablePicker() {
+  const text = inputEl.value.trim();
+  const { tables } = text ? findTables(text) : { tables: [] };
+  const selected = Math.min(selectedTableIndex(), Math.max(0, tables.length - 1));
+  tablePickerEl.innerHTML = '';
+  tables.forEach((table, i) => {
+    const header = table.rows[0].cells.map((cell) => cell.content).filter(Boolean).join(', ');
+    const label = `Table ${i + 1}` + (header ? `: ${header.length > 30 ? header.slice(0, 29) + '…' : header}` : '');
+    tablePickerEl.add(new Option(label, String(i), false, i === selected));
+  });
+  tablePickerEl.classList.toggle('hidden', tables.length < 2);
+}
+
+function selectedTableIndex() {
+  return tablePickerEl.classList.contains('hidden') ? 0 : Number(tablePickerEl.value) || 0;
+}
+
+// --- Diagnostics ---
+
+// Problems found in the Markdown tables of the input panel, listed below it
+// and highlighted in place
+let currentDiagnostics = [];
+
+function updateDiagnostics() {
+  const text = inputEl.value;
+  currentDiagnostics = text.trim() && !containsTable(text) ? diagnoseTableText(text) : [];
+
+  // The highlights sit behind the (transparent) textarea, holding the same
+  // text so flagged lines line up with it
+  const severities = new Map();
+  for (const d of currentDiagnostics) {
+    if (severities.get(d.line) !== 'error') severities.set(d.line, d.severity);
+  }
+  inputHighlightsEl.innerHTML = '';
+  text.split('\n').forEach((line, i) => {
+    if (i > 0) inputHighlightsEl.append('\n');
+    const severity = severities.get(i + 1);
+    if (!severity) {
+      inputHighlightsEl.append(line);
+      return;
+    }
+    const mark = document.createElement('mark');
+    mark.className = `highlight-${severity}`;
+    mark.textContent = line || ' ';
+    inputHighlightsEl.append(mark);
+  });
+  syncHighlightScroll();
+
+  diagnosticsEl.innerHTML = '';
+  for (const d of currentDiagnostics) {
+    const item = document.createElement('li');
+    item.className = `diagnostic diagnostic-${d.severity}`;
+    item.textContent = formatDiagnostic(d);
+    item.title = 'Show in the input';
+    item.addEventListener('click', () => selectPosition(d.line, d.column));
+    diagnosticsEl.append(item);
+  }
+  diagnosticsEl.classList.toggle('hidden', currentDiagnostics.length === 0);
+}
+
+function syncHighlightScroll() {
+  inputHighlightsEl.scrollTop = inputEl.scrollTop;
+  inputHighlightsEl.scrollLeft = inputEl.scrollLeft;
+}
+
+// Put the cursor at a 1-based line and column of the input
+function selectPosition(line, column) {
+  const lines = inputEl.value.split('\n');
+  const offset = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0) + column - 1;
+  inputEl.focus();
+  inputEl.setSelectionRange(offset, Math.max(offset, offset + lines[line - 1].length - column + 1));
+}
+
+// In strict mode, refuse to convert the selected table when data would be
+// lost. Returns true if the conversion may go ahead.
+function passesStrictMode() {
+  if (!strictModeEl.checked || blockingDiagnostics(currentDiagnostics, selectedTableIndex()).length === 0) return true;
+  showToast('Not converted: data would be lost. See the problems listed below the input.', 'error');
+  return false;
+}
+
+inputEl.addEventListener('input', () => {
+  inputUndo.record(inputEl.value, { typed: true });
+  updateUndoButtons();
+  updateDetectedFormat();
+  updateTablePicker();
+  updateDiagnostics();
+  syncEditorFromInput();
+});
+inputEl.addEventListener('scroll', syncHighlightScroll);
+
+function setInput(text) {
+  inputEl.value = text;
+  updateTablePicker();
+  updateDiagnostics();
+  updateDetectedFormat();
+  inputUndo.record(text);
+  updateUndoButtons();
+}
+
+// --- Undo / redo ---
+
+// Changes to the input, typed or made by the page (pasting a Word table,
+// opening a file, grid edits, restoring from the history)
+const inputUndo = createUndoHistory(inputEl.value);
+
+function updateUndoButtons() {
+  undoInputBtn.disabled = !inputUndo.canUndo();
+  redoInputBtn.disabled = !inputUndo.canRedo();
+}
+
+function showUndoneInput(value) {
+  if (value === null) return;
+  inputEl.value = value;
+  updateDetectedFormat();
+  updateTablePicker();
+  updateDiagnostics();
+  syncEditorFromInput();
+  updateUndoButtons();
+}
+
+undoInputBtn.addEventListener('click', () => showUndoneInput(inputUndo.undo()));
+redoInputBtn.addEventListener('click', () => showUndoneInput(inputUndo.redo()));
+
+// The textarea's own undo doesn't know about the changes the page made, so
+// the shortcuts use this one
+inputEl.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' || key === 'y') {
+    e.preventDefault();
+    showUndoneInput(key === 'y' || e.shiftKey ? inputUndo.redo() : inputUndo.undo());
+  }
+});
+
 // --- Paste handler ---
 
 inputEl.addEventListener('paste', (e) => {
@@ -81,36 +714,171 @@ inputEl.addEventListener('paste', (e) => {
     // Word table paste detected — store HTML and auto-convert
     e.preventDefault();
     lastPastedHtml = html;
+    lastDocxFile = null;
 
     // Show a plain-text summary in the input textarea
-    const result = htmlToMarkdown(html);
+    const result = htmlToMarkdown(html, markdownOptions());
     if (result) {
-      inputEl.value = '[Pasted Word table]';
-      showTextOutput(result.markdown);
-      showWarnings(result.warnings);
-      showToast('Word table converted to Markdown');
+      rememberWordTable(result);
+      hideDiff();
+      setInput('[Pasted Word table]');
+      const { label } = SOURCES[result.source];
+      showTableOutput(result.table, result.warnings, label);
+      showToast(`${label} table converted to Markdown`);
     } else {
-      inputEl.value = plainText || '';
+      setInput(plainText || '');
       showToast('Could not parse table from pasted content', 'error');
     }
   } else {
     // Regular text paste — clear stored HTML
     lastPastedHtml = null;
+    lastDocxFile = null;
     showWarnings([]);
+
+    // Spreadsheet cells pasted as tab-separated text convert right away. Other
+    // text (which may be CSV, prose or a table to send to Word) is left for
+    // the buttons.
+    if (plainText && sniffFormat(plainText).format === 'tsv' && convertDelimited(plainText, '\t')) {
+      e.preventDefault();
+      setInput(plainText);
+      showToast('Spreadsheet data converted to Markdown');
+    }
   }
 });
 
+// --- CSV / TSV import ---
+
+function convertDelimited(text, delimiter = null) {
+  const table = parseCsvTable(text, { delimiter, ...headerOptions() });
+  if (!table) return false;
+  rememberWordTable({ style: null, table });
+  hideDiff();
+  showTableOutput(table, [], 'CSV/TSV text', { input: text, sourceHtml: null });
+  return true;
+}
+
+// --- JSON / YAML records ---
+
+function convertRecords(text, dialect) {
+  const parsed = parseTableText(text, dialect, 0, headerOptions());
+  if (!parsed) return false;
+  rememberWordTable({ style: null, table: parsed.table });
+  hideDiff();
+  showTableOutput(parsed.table, [], DIALECTS[dialect].label, { input: text, sourceHtml: null });
+  return true;
+}
+
+async function openDelimited(file) {
+  const text = await file.text();
+  // Sniff the delimiter (Excel writes semicolons in some locales), falling
+  // back to the one the extension implies for single-column files
+  const converted = convertDelimited(text) || convertDelimited(text, /\.tsv$/i.test(file.name) ? '\t' : ',');
+  if (!converted) {
+    showToast(`No table found in ${file.name}.`, 'error');
+    return;
+  }
+  lastPastedHtml = null;
+  lastDocxFile = null;
+  setInput(text);
+  showToast('Spreadsheet data converted to Markdown');
+}
+
+// --- .docx import ---
+
+async function convertDocx(file) {
+  let tables;
+  try {
+    tables = await readDocxTables(await file.arrayBuffer(), markdownOptions());
+  } catch (err) {
+    showToast(err.message, 'error');
+    return false;
+  }
+  if (tables.length === 0) {
+    showToast('No table found in the .docx file.', 'error');
+    return false;
+  }
+
+  const [table] = tables;
+  rememberWordTable({ style: null, table, source: 'word' });
+  hideDiff();
+  const warnings = tables.length > 1 ? [`Found ${tables.length} tables — only the first was converted.`] : [];
+  showTableOutput(table, warnings, 'Word document (.docx)', { input: `[Opened ${file.name}]`, sourceHtml: null });
+  return true;
+}
+
+async function openDocx(file) {
+  showWarnings([]);
+  if (await convertDocx(file)) {
+    lastDocxFile = file;
+    lastPastedHtml = null;
+    setInput(`[Opened ${file.name}]`);
+    showToast('Word document converted to Markdown');
+  }
+}
+
+function openFile(file) {
+  showWarnings([]);
+  if (/\.docx$/i.test(file.name)) {
+    openDocx(file);
+  } else if (/\.(csv|tsv)$/i.test(file.name)) {
+    openDelimited(file);
+  } else {
+    showToast('Only .docx, .csv and .tsv files can be opened.', 'error');
+  }
+}
+
+openFileBtn.addEventListener('click', () => inputFileEl.click());
+
+inputFileEl.addEventListener('change', () => {
+  const [file] = inputFileEl.files;
+  inputFileEl.value = '';
+  if (file) openFile(file);
+});
+
+inputEl.addEventListener('dragover', (e) => {
+  if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+});
+
+inputEl.addEventListener('drop', (e) => {
+  const [file] = e.dataTransfer.files;
+  if (!file) return;
+  e.preventDefault();
+  openFile(file);
+});
+
 // --- Word → Markdown ---
 
-toMarkdownBtn.addEventListener('click', () => {
+for (const [name, { label }] of Object.entries(DIALECTS)) {
+  outputDialectEl.add(new Option(label, name, false, name === DEFAULT_DIALECT));
+}
+
+// Re-convert the current Word table when another output format, record
+// shape, header setting, column widths or cell alignment setting is picked
+for (const el of [outputDialectEl, recordShapeEl, headerRowsEl, rowHeadersEl, keepColumnWidthsEl, preserveAlignmentEl, embedMetadataEl]) {
+  el.addEventListener('change', () => {
+    if (lastPastedHtml || lastDocxFile) toMarkdownBtn.click();
+  });
+}
+
+// Number alignment applies to both directions
+numberAlignmentEl.addEventListener('change', () => {
+  if (isPreviewShown()) restyleOutput();
+  else if (lastPastedHtml || lastDocxFile) toMarkdownBtn.click();
+});
+
+async function convertToMarkdown() {
   showWarnings([]);
 
+  if (lastDocxFile) {
+    if (await convertDocx(lastDocxFile)) showToast('Converted to Markdown');
+    return;
+  }
+
   if (lastPastedHtml) {
     // Use the stored HTML from the last Word paste
-    const result = htmlToMarkdown(lastPastedHtml);
+    const result = htmlToMarkdown(lastPastedHtml, markdownOptions());
     if (result) {
-      showTextOutput(result.markdown);
-      showWarnings(result.warnings);
+      showTableOutput(result.table, result.warnings, SOURCES[result.source].label);
       showToast('Converted to Markdown');
     } else {
       showToast('Could not parse table from pasted HTML', 'error');
@@ -126,21 +894,62 @@ toMarkdownBtn.addEventListener('click', () => {
   }
 
   if (containsTable(text)) {
-    const result = htmlToMarkdown(text);
+    const result = htmlToMarkdown(text, markdownOptions());
     if (result) {
-      showTextOutput(result.markdown);
-      showWarnings(result.warnings);
+      rememberWordTable(result);
+      hideDiff();
+      showTableOutput(result.table, result.warnings, SOURCES[result.source].label);
       showToast('Converted to Markdown');
       return;
     }
   }
 
+  const dialect = detectDialect(text);
+  if ((dialect === 'json' || dialect === 'yaml') && convertRecords(text, dialect)) {
+    showToast('Converted to Markdown');
+    return;
+  }
+
+  // Untrimmed: leading tabs are empty cells
+  if (convertDelimited(inputEl.value)) {
+    showToast('Converted to Markdown');
+    return;
+  }
+
   showToast('No table found. Paste a table from Word.', 'error');
-});
+}
+
+toMarkdownBtn.addEventListener('click', convertToMarkdown);
 
 // --- Markdown → Word ---
 
-toWordBtn.addEventListener('click', async () => {
+// Show the table in the input as it goes to Word: in the preview, with the
+// review of its changes from the original. Returns { html, table,
+// changeCount, warnings }, or null when there is no table to convert.
+function previewInputForWord(text, dialect = undefined) {
+  const parsed = parseTableText(text, dialect, selectedTableIndex(), inputOptions());
+  if (!parsed) {
+    showToast('Could not parse a valid table from input.', 'error');
+    return null;
+  }
+  if (!passesStrictMode()) return null;
+  const table = prepareInputTable(parsed);
+
+  const changeCount = reviewChanges(table);
+  const html = tableModelToHtml(rejectedChanges.size > 0 ? applyDiff(currentDiff, rejectedChanges) : table, htmlOptions());
+  showPreviewOutput(html, table);
+  const formatCount = changeCount > 0 ? currentDiff.changes.filter((change) => change.formatChanges.length > 0).length : 0;
+  const warnings = roundTripWarnings(table);
+  if (formatCount > 0) {
+    warnings.push(`${formatCount} number(s) are written in a different format than in the original table; they are outlined below.`);
+  }
+  showWarnings(warnings);
+  return { html, table, changeCount, warnings };
+}
+
+// Convert the table in the input and copy it for Word. `dialect` overrides
+// the detected one.
+async function copyInputForWord(dialect = undefined) {
   showWarnings([]);
 
   const text = inputEl.value.trim();
@@ -149,19 +958,186 @@ toWordBtn.addEventListener('click', async () => {
     return;
   }
 
-  const html = markdownToHtml(text);
-  if (!html) {
-    showToast('Could not parse a valid Markdown table from input.', 'error');
-    return;
-  }
+  const converted = previewInputForWord(text, dialect);
+  if (!converted) return;
+  const { html, table, changeCount, warnings } = converted;
+  recordConversion({ direction: 'to-word', name: entryName(table), input: inputEl.value, markdown: text, warnings });
+  if (!passesContract()) return;
 
   const success = await writeHtmlToClipboard(html, text);
-  showPreviewOutput(html);
-  if (success) {
+  const restored = rejectedChanges.size > 0 ? ` ${rejectedChanges.size} change(s) to locked parts were undone.` : '';
+  if (success && changeCount > 0) {
+    showToast(`Table copied. ${changeCount} change(s) from the original are listed below.${restored}`);
+  } else if (success) {
     showToast('Table copied! Paste into Word with Ctrl+V.');
   } else {
     showToast('Could not auto-copy. Use the Copy button, then paste into Word.', 'error');
   }
+}
+
+toWordBtn.addEventListener('click', () => copyInputForWord());
+
+// --- Convert ---
+
+// The format of the input: a pasted Word table or opened .docx file, or
+// else what the text looks like (see formatSniffer.js)
+function detectInputFormat() {
+  if (lastPastedHtml || lastDocxFile) return { format: 'html', confidence: 1 };
+  return sniffFormat(inputEl.value);
+}
+
+inputFormatEl.add(new Option('Detect', 'auto'));
+for (const [value, { label }] of Object.entries(INPUT_FORMATS)) {
+  inputFormatEl.add(new Option(label, value));
+}
+
+// Show what was detected in the "Detect" choice
+function updateDetectedFormat() {
+  const { format, confidence } = detectInputFormat();
+  inputFormatEl.options[0].text = format ? `Detected: ${INPUT_FORMATS[format].label} (${Math.round(confidence * 100)}%)` : 'Detect';
+}
+updateDetectedFormat();
+
+// Convert the input the way its format calls for, or the format picked
+// instead of the detected one
+async function convertInput() {
+  const format = inputFormatEl.value === 'auto' ? detectInputFormat().format : inputFormatEl.value;
+  if (!format) {
+    showToast('No table found. Paste a table from Word or enter a Markdown table.', 'error');
+    return;
+  }
+  if (INPUT_FORMATS[format].direction === 'to-word') {
+    await copyInputForWord(format);
+  } else if (format === 'html') {
+    await convertToMarkdown();
+  } else if (format === 'json' || format === 'yaml') {
+    showWarnings([]);
+    if (convertRecords(inputEl.value, format)) {
+      lastPastedHtml = null;
+      lastDocxFile = null;
+      updateDetectedFormat();
+      showToast('Converted to Markdown');
+    } else {
+      showToast(`No ${INPUT_FORMATS[format].label} found in the input.`, 'error');
+    }
+  } else {
+    showWarnings([]);
+    // Untrimmed: leading tabs are empty cells
+    const text = inputEl.value;
+    const delimiter = format === 'tsv' ? '\t' : sniffDelimiter(text) === ';' ? ';' : ',';
+    if (convertDelimited(text, delimiter)) {
+      lastPastedHtml = null;
+      lastDocxFile = null;
+      updateDetectedFormat();
+      showToast('Converted to Markdown');
+    } else {
+      showToast(`No ${INPUT_FORMATS[format].label} table found in the input.`, 'error');
+    }
+  }
+}
+
+convertBtn.addEventListener('click', convertInput);
+
+// Not while a cell of the preview grid is being edited
+document.addEventListener('keydown', (e) => {
+  if ((e.ctrlKey || e.metaKey) && e.key === 'Enter' && !outputPreviewEl.contains(e.target)) {
+    e.preventDefault();
+    convertInput();
+  }
+});
+
+// --- Grid editing ---
+
+const COPIED_HINT = 'This table is on your clipboard. Paste into Word with Ctrl+V / Cmd+V.';
+const EDITED_HINT = 'Double-click a cell to edit it. After editing, click Copy to put the updated table on your clipboard.';
+
+const tableEditor = createTableEditor(outputPreviewContentEl, {
+  onChange: applyGridEdit,
+  tableCss: () => htmlTableCss(htmlOptions()),
+  cellCss: (table, r, c) => htmlCellCss(table, r, c, htmlOptions()),
+});
+
+// Rebuild the HTML the Copy button copies after the table changed, and the
+// review of its changes from the original Word table
+function updateEditedOutput(table) {
+  const changeCount = reviewChanges(table);
+  lastGeneratedHtml = tableModelToHtml(changeCount > 0 ? applyDiff(currentDiff, rejectedChanges) : table, htmlOptions());
+  previewHintEl.textContent = EDITED_HINT;
+}
+
+// Write an edit made in the grid back into the table's text in the input
+function applyGridEdit(table) {
+  setInput(replaceTableText(inputEl.value, table, undefined, selectedTableIndex(), inputOptions()));
+  updateEditedOutput(table);
+}
+
+// Show edits made to the input text in the grid
+function syncEditorFromInput() {
+  if (!isPreviewShown()) return;
+  const parsed = parseTableText(inputEl.value.trim(), undefined, selectedTableIndex(), inputOptions());
+  if (!parsed) return;
+  const table = prepareInputTable(parsed);
+  tableEditor.setTable(table);
+  updateEditedOutput(table);
+}
+
+tablePickerEl.addEventListener('change', syncEditorFromInput);
+
+// --- Markdown → .docx / CSV / TSV ---
+
+// Parse the table in the input panel, or show an error and return null
+function readInputTable() {
+  const text = inputEl.value.trim();
+  if (!text) {
+    showToast('Input is empty. Enter a Markdown table.', 'error');
+    return null;
+  }
+
+  const parsed = parseTableText(text, undefined, selectedTableIndex(), inputOptions());
+  if (!parsed) {
+    showToast('Could not parse a valid table from input.', 'error');
+    return null;
+  }
+  if (!passesStrictMode()) return null;
+  const table = prepareInputTable(parsed);
+  showWarnings(roundTripWarnings(table));
+  return table;
+}
+
+function downloadFile(data, filename, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  showToast(`Downloaded ${filename}`);
+}
+
+toDocxBtn.addEventListener('click', () => {
+  showWarnings([]);
+  const table = readInputTable();
+  if (!table) return;
+  downloadFile(tableModelToDocx(table, { numberAlignment: numberAlignmentEl.value }), 'table.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+});
+
+copyTsvBtn.addEventListener('click', async () => {
+  showWarnings([]);
+  const table = readInputTable();
+  if (!table) return;
+  if (await writeTextToClipboard(tableModelToCsv(table, { delimiter: '\t' }))) {
+    showToast('Table copied as TSV. Paste into Excel with Ctrl+V.');
+  } else {
+    showToast('Could not copy to clipboard', 'error');
+  }
+});
+
+downloadCsvBtn.addEventListener('click', () => {
+  showWarnings([]);
+  const table = readInputTable();
+  if (!table) return;
+  // The byte order mark makes Excel read the file as UTF-8
+  downloadFile('\ufeff' + tableModelToCsv(table), 'table.csv', 'text/csv');
 });
 
 // --- Copy output ---
@@ -169,6 +1145,7 @@ toWordBtn.addEventListener('click', async () => {
 copyOutputBtn.addEventListener('click', async () => {
   // If in preview mode, copy the HTML to clipboard for Word pasting
   if (lastGeneratedHtml) {
+    if (!passesContract()) return;
     const success = await writeHtmlToClipboard(lastGeneratedHtml, '');
     if (success) {
       showToast('Table copied! Paste into Word with Ctrl+V.');
@@ -193,11 +1170,97 @@ copyOutputBtn.addEventListener('click', async () => {
   }
 });
 
+// --- History ---
+
+let conversions = loadHistory(localStorage);
+
+// Add a conversion to the history, with the original Word table it is
+// compared with
+function recordConversion(fields) {
+  setConversions(addEntry(conversions, createEntry({ ...fields, original: originalSnapshot() })));
+}
+
+function setConversions(history) {
+  conversions = saveHistory(localStorage, history);
+  renderHistory();
+}
+
+// Put back the input, output and original Word table of a conversion. A
+// conversion to Word is shown again in the preview, without copying it.
+function restoreEntry(entry) {
+  hideDiff();
+  showWarnings([]);
+  lastPastedHtml = entry.sourceHtml;
+  lastDocxFile = null;
+  restoreOriginal(entry.original);
+  setInput(entry.input);
+  if (entry.direction === 'to-word') {
+    previewInputForWord(entry.markdown);
+  } else {
+    showTextOutput(entry.markdown);
+    showSource(entry.source);
+    showWarnings(entry.warnings);
+  }
+  showToast(`Restored "${entry.name}"`);
+}
+
+function historyButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn-small';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderHistory() {
+  const entries = searchHistory(conversions, historySearchEl.value);
+  historyListEl.innerHTML = '';
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = `history-entry${entry.pinned ? ' history-pinned' : ''}`;
+
+    const pin = historyButton(entry.pinned ? '★' : '☆', entry.pinned ? 'Unpin' : 'Pin: keep it when old conversions make room', () => {
+      setConversions(updateEntry(conversions, entry.id, { pinned: !entry.pinned }));
+    });
+    const name = document.createElement('button');
+    name.className = 'history-name';
+    name.textContent = entry.name;
+    name.title = 'Restore this conversion';
+    name.addEventListener('click', () => restoreEntry(entry));
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    const warnings = entry.warnings.length > 0 ? ` · ${entry.warnings.length} warning(s)` : '';
+    meta.textContent = `${DIRECTIONS[entry.direction]} · ${new Date(entry.time).toLocaleString()}${warnings}`;
+
+    const rename = historyButton('Rename', 'Rename this conversion', () => {
+      const newName = window.prompt('Name of the conversion', entry.name);
+      if (newName && newName.trim()) setConversions(updateEntry(conversions, entry.id, { name: newName.trim() }));
+    });
+    const remove = historyButton('Delete', 'Delete this conversion', () => setConversions(deleteEntry(conversions, entry.id)));
+
+    item.append(pin, name, meta, rename, remove);
+    historyListEl.append(item);
+  }
+  historyEmptyEl.textContent = entries.length > 0 ? '' : conversions.length > 0 ? 'No conversion matches the search.' : 'No conversions yet.';
+}
+renderHistory();
+
+historySearchEl.addEventListener('input', renderHistory);
+
+toggleHistoryBtn.addEventListener('click', () => {
+  historyPanelEl.classList.toggle('hidden');
+});
+
 // --- Clear input ---
 
 clearInputBtn.addEventListener('click', () => {
-  inputEl.value = '';
+  setInput('');
   clearOutput();
   lastPastedHtml = null;
+  lastDocxFile = null;
+  updateDetectedFormat();
   showWarnings([]);
+  hideDiff();
 });
@@ -1,6 +1,26 @@
-import { createCell, createRow, createTable, normalizeTable } from './tableModel.js';
+import {
+  createCell,
+  createCellFromParagraphs,
+  createCoveredCell,
+  createRow,
+  createTable,
+  detectBoldRowHeaders,
+  getCellAlignment,
+  getCellParagraphs,
+  getMergeOwners,
+  MERGE_LEFT_MARKER,
+  MERGE_UP_MARKER,
+  normalizeTable,
+  splitAlignmentBlock,
+  TEXT_WIDTH_POINTS,
+} from './tableModel.js';
+import { paragraphsToHtml, parseCellMarkdown } from './inlineFormat.js';
+import { applyNumberAlignment } from './columnTypes.js';
+import { isMetadataComment, readMetadataComment, restoreFromMetadata } from './tableMetadata.js';
+import { cellCss, getCapturedCellStyle, tableCss } from './tableStyle.js';
+import { completeTheme, DEFAULT_THEME, THEMES, themeCellDeclarations, themeTableDeclarations } from './tableThemes.js';
 
-const SEPARATOR_RE = /^\|[\s:|-]+\|$/;
+const SEPARATOR_RE = /^\|[\s:|-]*-[\s:|-]*\|$/;
 
 function parseAlignments(separatorLine) {
   const raw = separatorLine.replace(/^\|/, '').replace(/\|$/, '');
@@ -14,19 +34,106 @@ function parseAlignments(separatorLine) {
   });
 }
 
+// Column widths in proportion to the lengths of the separator row's cells,
+// as fractions of the page's text width
+function parseColumnWidths(separatorLine) {
+  const raw = separatorLine.replace(/^\|/, '').replace(/\|$/, '');
+  const lengths = raw.split('|').map((seg) => seg.trim().length);
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  return lengths.map((length) => Math.round((length / total) * TEXT_WIDTH_POINTS * 10) / 10);
+}
+
 function parseCells(line) {
   // Strip leading/trailing pipes
   const inner = line.replace(/^\|/, '').replace(/\|$/, '');
-  // Split on | that is NOT preceded by a backslash
+  // Split on | that is NOT preceded by a backslash. Escapes (including \|)
+  // are resolved later by the inline parser.
   const parts = inner.split(/(?<!\\)\|/);
-  return parts.map((p) => p.trim().replace(/\\\|/g, '|'));
+  return parts.map((p) => p.trim());
+}
+
+function isMergeMarker(source) {
+  return source === MERGE_LEFT_MARKER || source === MERGE_UP_MARKER;
+}
+
+function parseCell(source) {
+  if (isMergeMarker(source)) return createCoveredCell();
+  const { source: text, align, valign } = splitAlignmentBlock(source);
+  const cell = createCellFromParagraphs(parseCellMarkdown(text.trim()));
+  if (align) cell.align = align;
+  if (valign) cell.valign = valign;
+  return cell;
 }
 
-export function parseMarkdownTable(markdown) {
-  const lines = markdown
+/**
+ * Rebuild colspan/rowspan from `<<` / `^^` markers. Each marker joins the
+ * merge that owns the slot to its left or above it. A merge whose slots don't
+ * form a full rectangle (e.g. an LLM dropped a marker) is undone, and so is a
+ * marker with nothing to merge into: those slots become empty cells.
+ */
+function applyMergeMarkers(table, markers) {
+  const owners = table.rows.map((row) => row.cells.map(() => null));
+  const merges = new Map();
+
+  table.rows.forEach((row, r) => {
+    row.cells.forEach((cell, c) => {
+      const marker = markers[r][c];
+      let owner = null;
+      if (marker === MERGE_LEFT_MARKER && c > 0) owner = owners[r][c - 1];
+      if (marker === MERGE_UP_MARKER && r > 0) owner = owners[r - 1][c];
+
+      if (!owner) {
+        if (marker) row.cells[c] = createCell();
+        owners[r][c] = { row: r, col: c };
+        return;
+      }
+
+      owners[r][c] = owner;
+      if (!merges.has(owner)) merges.set(owner, []);
+      merges.get(owner).push({ row: r, col: c });
+    });
+  });
+
+  for (const [anchor, slots] of merges) {
+    const lastRow = Math.max(...slots.map((slot) => slot.row));
+    const lastCol = Math.max(...slots.map((slot) => slot.col));
+    const rowspan = lastRow - anchor.row + 1;
+    const colspan = lastCol - anchor.col + 1;
+
+    if (slots.length + 1 === rowspan * colspan) {
+      const cell = table.rows[anchor.row].cells[anchor.col];
+      cell.rowspan = rowspan;
+      cell.colspan = colspan;
+    } else {
+      for (const slot of slots) {
+        table.rows[slot.row].cells[slot.col] = createCell();
+      }
+    }
+  }
+}
+
+/**
+ * Parse a Markdown table into the table model, or null if there is none. All
+ * rows above the separator are header rows, except that a single empty header
+ * row means the table has no header. A first column of all-bold cells holds
+ * row headers. A cell ending in an attribute block such as
+ * "{align=right valign=bottom}" gets its own alignment (see
+ * splitAlignmentBlock in tableModel.js). A round-trip metadata comment
+ * below the table is read and verified into `roundTrip` (see
+ * tableMetadata.js).
+ *
+ * Options:
+ *   columnWidths — read column widths from the relative lengths of the
+ *     separator row's cells (see tableModelToMarkdown), as fractions of the
+ *     page's text width.
+ */
+export function parseMarkdownTable(markdown, options = {}) {
+  let lines = markdown
     .split('\n')
     .map((l) => l.trim())
     .filter((l) => l.length > 0);
+  const comment = lines.find(isMetadataComment);
+  lines = lines.filter((l) => !isMetadataComment(l));
 
   if (lines.length < 2) return null;
 
@@ -44,22 +151,33 @@ export function parseMarkdownTable(markdown) {
   const alignments = parseAlignments(lines[separatorIndex]);
 
   // Header rows are everything before the separator
-  const headerLines = lines.slice(0, separatorIndex);
+  let headerLines = lines.slice(0, separatorIndex);
   const dataLines = lines.slice(separatorIndex + 1);
+  if (headerLines.length === 1 && dataLines.length > 0 && parseCells(headerLines[0]).every((source) => !source)) {
+    headerLines = [];
+  }
 
   const rows = [];
+  const markers = [];
 
   for (const line of headerLines) {
-    const cells = parseCells(line).map((c) => createCell(c));
-    rows.push(createRow(cells, true));
+    const sources = parseCells(line);
+    markers.push(sources.map((src) => (isMergeMarker(src) ? src : null)));
+    rows.push(createRow(sources.map(parseCell), true));
   }
 
   for (const line of dataLines) {
-    const cells = parseCells(line).map((c) => createCell(c));
-    rows.push(createRow(cells, false));
+    const sources = parseCells(line);
+    markers.push(sources.map((src) => (isMergeMarker(src) ? src : null)));
+    rows.push(createRow(sources.map(parseCell), false));
   }
 
-  return normalizeTable(createTable(rows, alignments));
+  const table = createTable(rows, alignments);
+  if (options.columnWidths) table.columnWidths = parseColumnWidths(lines[separatorIndex]);
+  normalizeTable(table);
+  applyMergeMarkers(table, markers);
+  if (comment) table.roundTrip = readMetadataComment(comment);
+  return detectBoldRowHeaders(table);
 }
 
 function alignStyle(alignment) {
@@ -68,48 +186,163 @@ function alignStyle(alignment) {
   return 'text-align: left;';
 }
 
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+/**
+ * Work out the span attributes for the cell at (r, c), or null when the slot
+ * is covered by a merge and emits no element. HTML spans can't cross from
+ * <thead> into <tbody>, so a merge that does is cut at the boundary and the
+ * slots beyond it render as empty cells.
+ */
+function cellSpanAttrs(table, owners, r, c) {
+  const row = table.rows[r];
+  const owner = owners[r][c];
+  if (owner.row !== r || owner.col !== c) {
+    return table.rows[owner.row].isHeader === row.isHeader ? null : '';
+  }
+
+  const cell = row.cells[c];
+  let rowspan = 1;
+  while (rowspan < cell.rowspan && table.rows[r + rowspan].isHeader === row.isHeader) {
+    rowspan++;
+  }
+
+  let attrs = '';
+  if (cell.colspan > 1) attrs += ` colspan="${cell.colspan}"`;
+  if (rowspan > 1) attrs += ` rowspan="${rowspan}"`;
+  return attrs;
 }
 
-export function tableModelToHtml(table) {
-  const cellStyle =
-    'border: 1px solid black; padding: 6px 12px;';
+// How tableModelToHtml lays out a table with known column widths
+export const TABLE_LAYOUTS = {
+  fixed: 'Fixed widths',
+  percent: 'Percentage widths',
+  auto: 'Autofit to contents',
+};
 
-  let html = '<table style="border-collapse: collapse; border: 1px solid black;">\n';
+export const DEFAULT_LAYOUT = 'fixed';
+
+function roundWidth(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The width declarations of the <table> element, and its <colgroup>, for
+// the layout option
+function layoutCss(table, layout) {
+  if (!table.columnWidths || layout === 'auto') return '';
+  const total = table.columnWidths.reduce((sum, width) => sum + width, 0);
+  return ` width: ${layout === 'percent' ? '100%' : `${roundWidth(total)}pt`}; table-layout: fixed;`;
+}
+
+function colgroupHtml(table, layout) {
+  if (!table.columnWidths || layout === 'auto') return '';
+  const total = table.columnWidths.reduce((sum, width) => sum + width, 0);
+  const cols = table.columnWidths.map((width) => {
+    if (layout === 'percent') {
+      const percent = `${roundWidth((width / total) * 100)}%`;
+      return `    <col width="${percent}" style="width: ${percent};">\n`;
+    }
+    return `    <col width="${Math.round(width / 0.75)}" style="width: ${roundWidth(width)}pt;">\n`;
+  });
+  return `  <colgroup>\n${cols.join('')}  </colgroup>\n`;
+}
+
+function optionTheme(options) {
+  return completeTheme(options.theme || THEMES[DEFAULT_THEME]);
+}
+
+/**
+ * The inline CSS of the <table> element tableModelToHtml writes (options as
+ * for tableModelToHtml).
+ */
+export function htmlTableCss(options = {}) {
+  const { style = null } = options;
+  return tableCss(style, themeTableDeclarations(optionTheme(options)));
+}
+
+/**
+ * The inline CSS tableModelToHtml gives the cell at row `r`, column `c`
+ * (options as for tableModelToHtml).
+ */
+export function htmlCellCss(table, r, c, options = {}) {
+  const { style = null } = options;
+  const row = table.rows[r];
+  const headerCount = table.rows.filter((other) => other.isHeader).length;
+  const sectionIdx = row.isHeader ? r : r - headerCount;
+  const captured = style && getCapturedCellStyle(style, row.isHeader, sectionIdx, c);
+  const theme = themeCellDeclarations(optionTheme(options), { header: row.isHeader, banded: !row.isHeader && sectionIdx % 2 === 0 });
+  const isHeaderCell = row.isHeader || (table.rowHeaders && c === 0);
+  const { valign } = row.cells[c];
+  return (
+    `${cellCss(captured, theme)} ${alignStyle(getCellAlignment(table, r, c))}` +
+    `${valign ? ` vertical-align: ${valign};` : ''}${isHeaderCell ? ' font-weight: bold;' : ''}`
+  );
+}
+
+/**
+ * Generate Word-compatible HTML from our table model. Header cells are
+ * <th scope="col">, and with row headers the first cell of each body row is
+ * a <th scope="row">. Cells are aligned as their column unless they have an
+ * alignment of their own.
+ *
+ * Options:
+ *   theme — the look of the table (see tableThemes.js); Word's plain "Table
+ *     Grid" by default.
+ *   style — styling captured from the original Word table (see
+ *     tableStyle.js), applied by row and column position over the theme.
+ *   layout — for a table with column widths, 'fixed' (the widths in points,
+ *     the default), 'percent' (the widths as shares of a full-width table)
+ *     or 'auto' (no widths, so Word fits the columns to their contents).
+ *   numberAlignment — 'right' right-aligns the numeric columns, 'decimal'
+ *     also lines up their decimal points (see applyNumberAlignment in
+ *     columnTypes.js); 'none' by default.
+ *
+ * A table read with intact round-trip metadata gets back the merges, column
+ * widths and column types the Markdown lost (see restoreFromMetadata in
+ * tableMetadata.js), and the original styling unless `style` is given (null
+ * for none).
+ */
+export function tableModelToHtml(table, options = {}) {
+  const { layout = DEFAULT_LAYOUT, numberAlignment = 'none' } = options;
+  table = restoreFromMetadata(table);
+  if (options.style === undefined && table.roundTrip && table.roundTrip.metadata) {
+    options = { ...options, style: table.roundTrip.metadata.style };
+  }
+  table = applyNumberAlignment(table, numberAlignment);
+  const owners = getMergeOwners(table);
+  const rowIndex = new Map(table.rows.map((row, r) => [row, r]));
+
+  let html = `<table style="${htmlTableCss(options)}${layoutCss(table, layout)}">\n`;
+  html += colgroupHtml(table, layout);
 
   const headerRows = table.rows.filter((r) => r.isHeader);
   const dataRows = table.rows.filter((r) => !r.isHeader);
 
-  if (headerRows.length > 0) {
-    html += '  <thead>\n';
-    for (const row of headerRows) {
+  const renderRows = (rows) => {
+    for (const row of rows) {
+      const r = rowIndex.get(row);
       html += '    <tr>\n';
       row.cells.forEach((cell, i) => {
-        const align = table.alignments[i] || 'left';
-        const attrs = `style="${cellStyle} ${alignStyle(align)} font-weight: bold;"`;
-        html += `      <th ${attrs}>${escapeHtml(cell.content)}</th>\n`;
+        const spanAttrs = cellSpanAttrs(table, owners, r, i);
+        if (spanAttrs === null) return;
+        let scope = null;
+        if (row.isHeader) scope = cell.colspan > 1 ? 'colgroup' : 'col';
+        else if (table.rowHeaders && i === 0) scope = cell.rowspan > 1 ? 'rowgroup' : 'row';
+        const tag = scope ? 'th' : 'td';
+        const attrs = `${scope ? ` scope="${scope}"` : ''} style="${htmlCellCss(table, r, i, options)}"`;
+        html += `      <${tag}${spanAttrs}${attrs}>${paragraphsToHtml(getCellParagraphs(cell))}</${tag}>\n`;
       });
       html += '    </tr>\n';
     }
+  };
+
+  if (headerRows.length > 0) {
+    html += '  <thead>\n';
+    renderRows(headerRows);
     html += '  </thead>\n';
   }
 
   if (dataRows.length > 0) {
     html += '  <tbody>\n';
-    for (const row of dataRows) {
-      html += '    <tr>\n';
-      row.cells.forEach((cell, i) => {
-        const align = table.alignments[i] || 'left';
-        const attrs = `style="${cellStyle} ${alignStyle(align)}"`;
-        html += `      <td ${attrs}>${escapeHtml(cell.content)}</td>\n`;
-      });
-      html += '    </tr>\n';
-    }
+    renderRows(dataRows);
     html += '  </tbody>\n';
   }
 
@@ -117,8 +350,12 @@ export function tableModelToHtml(table) {
   return html;
 }
 
-export function markdownToHtml(markdown) {
-  const table = parseMarkdownTable(markdown);
+/**
+ * Convert a Markdown table to Word-compatible HTML, or null if none is found.
+ * Options are passed through to parseMarkdownTable and tableModelToHtml.
+ */
+export function markdownToHtml(markdown, options = {}) {
+  const table = parseMarkdownTable(markdown, options);
   if (!table) return null;
-  return tableModelToHtml(table);
+  return tableModelToHtml(table, options);
 }
@@ -0,0 +1,246 @@
+import {
+  applyHeaders,
+  createCell,
+  createRow,
+  createTable,
+  getCellParagraphs,
+  getMergeOwners,
+  HORIZONTAL_ALIGNMENTS,
+  normalizeTable,
+  paragraphsToText,
+} from './tableModel.js';
+import { parseYaml, stringifyYaml } from './yaml.js';
+
+/**
+ * Tables as records, for scripts and LLM tool calls, written as JSON or YAML
+ * in one of three shapes:
+ *
+ *   objects   [{ "Name": "Ann", "Age": 31 }, …]: one object per body row,
+ *             keyed by header
+ *   arrays    [["Name", "Age"], ["Ann", 31], …]: the keys, then one array
+ *             per body row
+ *   columns   { "columns": [{ "key": "Name", "align": "left" }, …],
+ *               "rows": [{ "Name": "Ann", "Age": 31 }, …] }: objects plus
+ *             what Markdown needs back: the column order, the alignment, and
+ *             the header text where it differs from the key
+ *
+ * Keys are the header text, several header rows joined with " / ". Blank
+ * headers become "Column 3" and repeated ones "Name (2)". Values are the cell
+ * text, as a number when writing it as one reads back the same; a merged
+ * cell's text fills every slot it covers, so each record stands alone.
+ * Formatting is dropped. Objects are written as Maps, so keys that look like
+ * numbers ("2024") keep their place.
+ */
+export const RECORD_SHAPES = {
+  objects: 'Array of objects',
+  arrays: 'Array of arrays',
+  columns: 'Objects with column info',
+};
+
+function headerRowCount(table) {
+  const count = table.rows.findIndex((row) => !row.isHeader);
+  return count === -1 ? table.rows.length : count;
+}
+
+function slotText(table, owners, r, c) {
+  const owner = owners[r][c];
+  const cell = table.rows[owner.row].cells[owner.col];
+  return cell.covered ? '' : paragraphsToText(getCellParagraphs(cell));
+}
+
+/**
+ * The header text of each column: the text of its header rows, joined with
+ * " / " (a merged header counts once), or '' without header rows.
+ */
+export function columnHeaders(table) {
+  const owners = getMergeOwners(table);
+  const count = headerRowCount(table);
+  return (table.rows[0]?.cells || []).map((_, c) => {
+    const parts = [];
+    let previous = null;
+    for (let r = 0; r < count; r++) {
+      const owner = owners[r][c];
+      const text = slotText(table, owners, r, c).trim();
+      if (text && owner !== previous) parts.push(text);
+      previous = owner;
+    }
+    return parts.join(' / ');
+  });
+}
+
+/**
+ * The record keys of a table's columns: their headers, with blank ones named
+ * after the column number and repeated ones numbered.
+ */
+export function recordKeys(table) {
+  const used = new Set();
+  return columnHeaders(table).map((header, c) => {
+    let key = header || `Column ${c + 1}`;
+    for (let n = 2; used.has(key); n++) key = `${header || `Column ${c + 1}`} (${n})`;
+    used.add(key);
+    return key;
+  });
+}
+
+// A number when writing it as one reads back as the same text
+function recordValue(text) {
+  return /^-?\d/.test(text) && String(Number(text)) === text ? Number(text) : text;
+}
+
+/**
+ * Turn a table model into records of the given shape (see RECORD_SHAPES),
+ * with Maps for objects.
+ */
+export function tableModelToRecords(table, { recordShape = 'objects' } = {}) {
+  const keys = recordKeys(table);
+  const owners = getMergeOwners(table);
+  const body = table.rows
+    .map((row, r) => row.cells.map((_, c) => recordValue(slotText(table, owners, r, c))))
+    .slice(headerRowCount(table));
+  if (recordShape === 'arrays') return [keys, ...body];
+
+  const objects = body.map((values) => new Map(keys.map((key, c) => [key, values[c]])));
+  if (recordShape !== 'columns') return objects;
+
+  const headers = columnHeaders(table);
+  const columns = keys.map((key, c) => {
+    const column = new Map([['key', key]]);
+    if (headers[c] !== key) column.set('header', headers[c]);
+    column.set('align', table.alignments[c] || 'left');
+    if (table.columnWidths) column.set('width', table.columnWidths[c]);
+    return column;
+  });
+  const result = new Map([['columns', columns]]);
+  if (table.rowHeaders) result.set('rowHeaders', true);
+  result.set('rows', objects);
+  return result;
+}
+
+function isRecord(value) {
+  return value instanceof Map;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return writeJsonValue(value, null);
+  return String(value);
+}
+
+function recordsTable(headers, rows, detected, options) {
+  const toRow = (values) => createRow(values.map((value) => createCell(cellText(value))));
+  const table = createTable([toRow(headers), ...rows.map(toRow)]);
+  return applyHeaders(normalizeTable(table), { headerRows: 1, rowHeaders: false, ...detected }, options);
+}
+
+// The columns shape: rows are objects (or arrays) in the order of `columns`
+function columnsToTable(value, options) {
+  const columns = value.get('columns');
+  const rows = value.get('rows');
+  if (!Array.isArray(columns) || !Array.isArray(rows) || columns.length === 0) return null;
+  const keys = columns.map((column) => String(isRecord(column) ? column.get('key') ?? column.get('header') ?? '' : column ?? ''));
+  const headers = columns.map((column, c) => (isRecord(column) && column.has('header') ? column.get('header') : keys[c]));
+  const values = rows.map((row) => (isRecord(row) ? keys.map((key) => row.get(key)) : Array.isArray(row) ? row : [row]));
+
+  const table = recordsTable(headers, values, { rowHeaders: value.get('rowHeaders') === true }, options);
+  table.alignments = columns.map((column) => {
+    const align = isRecord(column) && column.get('align');
+    return HORIZONTAL_ALIGNMENTS.includes(align) ? align : 'left';
+  });
+  const widths = columns.map((column) => isRecord(column) && column.get('width'));
+  if (widths.every((width) => typeof width === 'number' && width > 0)) table.columnWidths = widths;
+  return normalizeTable(table);
+}
+
+/**
+ * Turn records of any shape (see RECORD_SHAPES; plain objects of arrays,
+ * objects and scalars as well as Maps) into a table model with one header
+ * row, unless the headerRows / rowHeaders options (see applyHeaders) say
+ * otherwise. Objects may have different keys; the columns are every key in
+ * the order first seen. Returns null for values that aren't records.
+ */
+export function recordsToTableModel(value, options = {}) {
+  value = toMaps(value);
+  if (isRecord(value)) return value.has('columns') && value.has('rows') ? columnsToTable(value, options) : null;
+  if (!Array.isArray(value) || value.length === 0) return null;
+
+  if (value.every(Array.isArray)) {
+    const [headers, ...rows] = value;
+    return headers.length === 0 ? null : recordsTable(headers, rows, {}, options);
+  }
+  if (!value.every(isRecord)) return null;
+  const keys = [...new Set(value.flatMap((record) => [...record.keys()]))];
+  if (keys.length === 0) return null;
+  return recordsTable(keys, value.map((record) => keys.map((key) => record.get(key))), {}, options);
+}
+
+function toMaps(value) {
+  if (Array.isArray(value)) return value.map(toMaps);
+  if (value instanceof Map) return new Map([...value].map(([key, item]) => [key, toMaps(item)]));
+  if (value && typeof value === 'object') return new Map(Object.entries(value).map(([key, item]) => [key, toMaps(item)]));
+  return value;
+}
+
+// --- JSON ---
+
+// JSON with rows on one line each: collections of scalars are written
+// inline, others one item per line. `indent` null writes everything inline.
+function writeJsonValue(value, indent) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value ?? null);
+  const entries = value instanceof Map ? [...value] : value.map((item) => [null, item]);
+  const open = value instanceof Map ? '{' : '[';
+  const close = value instanceof Map ? '}' : ']';
+  if (entries.length === 0) return open + close;
+  const item = ([key, item], nested) => (key === null ? '' : `${JSON.stringify(key)}: `) + writeJsonValue(item, nested);
+  const flat = entries.every(([, item]) => item === null || typeof item !== 'object');
+  if (indent === null || flat) return open + entries.map((entry) => item(entry, null)).join(', ') + close;
+  const pad = ' '.repeat(indent + 2);
+  return `${open}\n${entries.map((entry) => pad + item(entry, indent + 2)).join(',\n')}\n${' '.repeat(indent)}${close}`;
+}
+
+/**
+ * Write a table model as JSON records (see RECORD_SHAPES; the recordShape
+ * option picks one, objects by default).
+ */
+export function tableModelToJson(table, options = {}) {
+  if (!table || table.rows.length === 0) return '';
+  return writeJsonValue(tableModelToRecords(table, options), 0);
+}
+
+/**
+ * Parse JSON records (of any shape) into a table model. Returns null when the
+ * text isn't JSON or doesn't hold records. Keys keep the order they are
+ * written in.
+ */
+export function parseJsonTable(text, options = {}) {
+  if (!/^\s*[[{]/.test(text)) return null;
+  try {
+    JSON.parse(text);
+    // JSON is valid YAML, and the YAML reader keeps the order of keys
+    return recordsToTableModel(parseYaml(text), options);
+  } catch {
+    return null;
+  }
+}
+
+// --- YAML ---
+
+/**
+ * Write a table model as YAML records (see RECORD_SHAPES; the recordShape
+ * option picks one, objects by default).
+ */
+export function tableModelToYaml(table, options = {}) {
+  if (!table || table.rows.length === 0) return '';
+  return stringifyYaml(tableModelToRecords(table, options));
+}
+
+/**
+ * Parse YAML records (of any shape) into a table model. Returns null when the
+ * text isn't YAML (as far as yaml.js reads it) or doesn't hold records.
+ */
+export function parseYamlTable(text, options = {}) {
+  try {
+    return recordsToTableModel(parseYaml(text), options);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,318 @@
+import {
+  createCell,
+  createCellFromParagraphs,
+  createParagraph,
+  createRow,
+  createRun,
+  createTable,
+  getCellParagraphs,
+  markRowHeaders,
+  normalizeTable,
+} from './tableModel.js';
+import { mergeRuns, numberListItems } from './inlineFormat.js';
+import { drawGridLayout, gridLayoutToModel, linesToBlocks, modelToGridLayout, parseGridLayout } from './gridTable.js';
+
+/**
+ * reStructuredText tables: grid tables (see gridTable.js) and the
+ * `list-table` directive. Cell content uses reStructuredText inline markup:
+ * **strong**, *emphasis*, ``literal`` and `text <url>`__ links. It can't
+ * nest markup or express strikethrough, so a run keeps only its strongest
+ * mark (code, then link, bold, italic) when written.
+ */
+
+const ALNUM_RE = /[\p{L}\p{N}]/u;
+const ITEM_RE = /^( *)([-*+•]|\d+[.)]|#\.) +(.*)$/;
+const ITEM_START_RE = /^ *([-*+•]|\d+[.)]|#\.) +/;
+
+// --- Inline markup ---
+
+/**
+ * Find the end of inline markup closed by `end` starting the search at
+ * `from`. The closing string must follow non-whitespace and not be followed
+ * by a word character.
+ */
+function findInlineEnd(src, from, end) {
+  for (let i = from; i < src.length; i++) {
+    if (src[i] === '\\' && end !== '``') {
+      i++;
+      continue;
+    }
+    if (src.startsWith(end, i) && !/\s/.test(src[i - 1]) && !ALNUM_RE.test(src[i + end.length] || '')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function unescape(text) {
+  return text.replace(/\\ /g, '').replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parse reStructuredText inline markup into runs. Unknown interpreted text
+ * (`text` or :role:`text`) is kept as plain text.
+ */
+export function parseInlineRst(src) {
+  const runs = [];
+  let text = '';
+  const flush = () => {
+    if (text) runs.push(createRun(unescape(text)));
+    text = '';
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    const prev = src[i - 1];
+    const canStart = i === 0 || !ALNUM_RE.test(prev);
+    if (c === '\\') {
+      text += src.slice(i, i + 2);
+      i += 2;
+      continue;
+    }
+
+    let matched = false;
+    if (canStart) {
+      const role = src.slice(i).match(/^:([\w-]+):`/);
+      const start = role ? i + role[0].length - 1 : i;
+      for (const [open, close, mark] of [['``', '``', 'code'], ['**', '**', 'bold'], ['*', '*', 'italic'], ['`', '`', 'link']]) {
+        if (!src.startsWith(open, start) || /\s/.test(src[start + open.length] || ' ')) continue;
+        if (role && open !== '`') continue;
+        const end = findInlineEnd(src, start + open.length, close);
+        if (end === -1) continue;
+        const inner = src.slice(start + open.length, end);
+        let after = end + close.length;
+
+        flush();
+        if (mark === 'link') {
+          // `text <url>`_ / `text <url>`__ links; other interpreted text is plain
+          const underscores = src.slice(after).match(/^_{1,2}/);
+          if (underscores) after += underscores[0].length;
+          const link = inner.match(/^([\s\S]*?)\s*<([^<>]+)>$/);
+          const isCode = role && /^(code|literal)$/.test(role[1]);
+          if (link && underscores) {
+            runs.push(createRun(unescape(link[1] || link[2]), { href: link[2] }));
+          } else {
+            runs.push(createRun(unescape(inner), { code: !!isCode }));
+          }
+        } else {
+          runs.push(createRun(mark === 'code' ? inner : unescape(inner), { [mark]: true }));
+        }
+        i = after;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      text += c;
+      i++;
+    }
+  }
+  flush();
+  return mergeRuns(runs);
+}
+
+function escapeRstText(text) {
+  return text.replace(/[\\*`|]/g, '\\$&').replace(/_(?![\p{L}\p{N}])/gu, '\\_');
+}
+
+/**
+ * Write runs as reStructuredText inline markup. Markup next to a word
+ * character is joined with an escaped space (`\ `), which renders as nothing.
+ */
+export function runsToRst(runs) {
+  const simplified = mergeRuns(
+    runs.map((run) => {
+      if (run.code) return createRun(run.text, { code: true });
+      if (run.href) return createRun(run.text, { href: run.href });
+      if (run.bold) return createRun(run.text, { bold: true });
+      return createRun(run.text, { italic: run.italic });
+    }),
+  );
+
+  let out = '';
+  let closedMarkup = false;
+  for (const run of simplified) {
+    const plain = !run.code && !run.href && !run.bold && !run.italic;
+    if (plain) {
+      const text = escapeRstText(run.text);
+      out += closedMarkup && ALNUM_RE.test(text[0]) ? '\\ ' + text : text;
+      closedMarkup = false;
+      continue;
+    }
+
+    const [, lead, core, trail] = run.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) {
+      out += run.text;
+      continue;
+    }
+    let markup;
+    if (run.code) markup = `\`\`${core}\`\``;
+    else if (run.href) markup = `\`${escapeRstText(core).replace(/</g, '\\<')} <${run.href}>\`__`;
+    else if (run.bold) markup = `**${escapeRstText(core)}**`;
+    else markup = `*${escapeRstText(core)}*`;
+
+    const joined = out + lead;
+    out = joined + (joined && ALNUM_RE.test(joined[joined.length - 1]) ? '\\ ' : '') + markup + trail;
+    closedMarkup = !trail;
+  }
+  return out;
+}
+
+// --- Cell content ---
+
+/**
+ * Read a cell's lines: paragraphs separated by blank lines and bullet or
+ * enumerated list items, nested by indentation.
+ */
+function parseRstCell(lines) {
+  const indents = [];
+  return linesToBlocks(lines, ITEM_START_RE).map((block) => {
+    const match = block.match(ITEM_RE);
+    if (!match) {
+      indents.length = 0;
+      return createParagraph(parseInlineRst(block.trim()));
+    }
+    const indent = match[1].length;
+    while (indents.length > 0 && indents[indents.length - 1] > indent) indents.pop();
+    if (indents[indents.length - 1] !== indent) indents.push(indent);
+    const list = { ordered: !/^[-*+•]$/.test(match[2]), level: indents.length - 1 };
+    return createParagraph(parseInlineRst(match[3].trim()), list);
+  });
+}
+
+/**
+ * Write a cell's paragraphs as lines. Nested list items are indented to the
+ * text of their parent item, as reStructuredText requires.
+ */
+function writeRstCell(paragraphs) {
+  const numbers = numberListItems(paragraphs);
+  const indents = []; // text indentation per open list level
+  const lines = paragraphs.map((paragraph, i) => {
+    const text = runsToRst(paragraph.runs);
+    const { list } = paragraph;
+    if (!list) {
+      indents.length = 0;
+      return text.replace(/^([-+•]|\d+[.)]|#\.)(?= )/, '\\$1');
+    }
+    const indent = list.level > 0 ? indents[list.level - 1] || 0 : 0;
+    const marker = list.ordered ? `${numbers[i]}.` : '-';
+    indents.length = list.level;
+    indents[list.level] = indent + marker.length + 1;
+    return ' '.repeat(indent) + `${marker} ${text}`;
+  });
+
+  // Nested lists must be set off from their parent by blank lines
+  const result = [];
+  paragraphs.forEach((paragraph, i) => {
+    const prev = paragraphs[i - 1];
+    if (i > 0 && !(paragraph.list && prev.list && paragraph.list.level === prev.list.level)) result.push('');
+    result.push(lines[i]);
+  });
+  return result;
+}
+
+// --- Grid tables ---
+
+/**
+ * Parse a reStructuredText grid table, or return null.
+ */
+export function parseRstGridTable(text) {
+  const layout = parseGridLayout(text);
+  return layout ? gridLayoutToModel(layout, parseRstCell) : null;
+}
+
+/**
+ * Write a table model as a reStructuredText grid table. reStructuredText has
+ * no column alignment, so it is dropped.
+ */
+export function tableModelToRstGrid(table) {
+  if (!table || table.rows.length === 0) return '';
+  return drawGridLayout(modelToGridLayout(table, writeRstCell, { alignments: false }));
+}
+
+// --- list-table directive ---
+
+const LIST_TABLE_RE = /^(\s*)\.\. list-table::.*$/m;
+
+/**
+ * Parse a `.. list-table::` directive, or return null. Rows are `* -` items,
+ * cells `-` items within them; `:header-rows:` sets the header row count and
+ * `:stub-columns: 1` makes the first column row headers.
+ */
+export function parseRstListTable(text) {
+  const directive = text.match(LIST_TABLE_RE);
+  if (!directive) return null;
+
+  const lines = text.slice(directive.index + directive[0].length).split(/\r?\n/).slice(1);
+  const baseIndent = directive[1].length;
+  let headerRows = 0;
+  let stubColumns = 0;
+  const rows = [];
+  let cellLines = null;
+  let cellIndent = 0;
+  const endCell = () => {
+    if (cellLines) rows[rows.length - 1].push(cellLines);
+    cellLines = null;
+  };
+
+  for (const line of lines) {
+    const indent = line.match(/^ */)[0].length;
+    if (line.trim() && indent <= baseIndent) break; // end of the directive
+
+    const option = line.match(/^\s*:(header-rows|stub-columns):\s*(\d+)/);
+    if (option && rows.length === 0) {
+      if (option[1] === 'header-rows') headerRows = parseInt(option[2], 10);
+      else stubColumns = parseInt(option[2], 10);
+      continue;
+    }
+    const rowStart = line.match(/^(\s*)\* +- +(.*)$/) || line.match(/^(\s*)\* +-()$/);
+    const cellStart = line.match(/^(\s*)- +(.*)$/) || line.match(/^(\s*)-()$/);
+    if (rowStart) {
+      endCell();
+      rows.push([]);
+      cellIndent = rowStart[1].length + line.slice(rowStart[1].length).indexOf('-') + 2;
+      cellLines = [rowStart[2]];
+    } else if (cellStart && rows.length > 0 && cellStart[1].length === cellIndent - 2) {
+      endCell();
+      cellLines = [cellStart[2]];
+    } else if (cellLines) {
+      cellLines.push(line.slice(Math.min(indent, cellIndent)));
+    }
+  }
+  endCell();
+  if (rows.length === 0) return null;
+
+  const colCount = Math.max(...rows.map((row) => row.length));
+  const modelRows = rows.map((cells, r) => {
+    const modelCells = cells.map((lines) => createCellFromParagraphs(parseRstCell(lines.map((l) => l.trimEnd()))));
+    while (modelCells.length < colCount) modelCells.push(createCell());
+    return createRow(modelCells, r < headerRows);
+  });
+  const table = normalizeTable(createTable(modelRows, new Array(colCount).fill('left')));
+  return stubColumns > 0 ? markRowHeaders(table) : table;
+}
+
+/**
+ * Write a table model as a `.. list-table::` directive. List tables can't
+ * span cells, so merged cells are written as separate (empty) cells.
+ */
+export function tableModelToRstListTable(table) {
+  if (!table || table.rows.length === 0) return '';
+  let headerRows = 0;
+  while (headerRows < table.rows.length && table.rows[headerRows].isHeader) headerRows++;
+
+  const lines = ['.. list-table::'];
+  if (headerRows > 0) lines.push(`   :header-rows: ${headerRows}`);
+  if (table.rowHeaders) lines.push('   :stub-columns: 1');
+  lines.push('');
+  for (const row of table.rows) {
+    row.cells.forEach((cell, c) => {
+      const cellLines = cell.covered ? [] : writeRstCell(getCellParagraphs(cell));
+      const prefix = c === 0 ? '   * - ' : '     - ';
+      lines.push((prefix + (cellLines[0] || '')).trimEnd());
+      for (const line of cellLines.slice(1)) lines.push(line ? '       ' + line : '');
+    });
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,256 @@
+/**
+ * Pasted HTML tables come from many applications, each with its own quirks.
+ * A source adapter recognizes one application's clipboard HTML and rewrites
+ * its table into the Word-like markup sanitizeWordHtml expects, before any
+ * styling is stripped.
+ *
+ * Adapter: {
+ *   label,
+ *   detect(html, doc) — true if the HTML comes from this source,
+ *   findTables(doc) — candidate tables, the one to convert first (optional),
+ *   prepare(table, doc) — rewrite the table in place,
+ * }
+ */
+
+const MONOSPACE_FONT_RE = /courier|consolas|monaco|menlo|lucida console|mono/i;
+const FORMATTING_STYLE_RE = /^\s*(font-weight|font-style|font-family|text-decoration(?:-line)?)\s*:/i;
+const NORMAL_WEIGHT_RE = /(?:^|;)\s*font-weight:\s*(normal|[1-4]00)\b/i;
+
+// --- Shared steps ---
+
+function unwrap(el) {
+  el.replaceWith(...el.childNodes);
+}
+
+function isHidden(el) {
+  return /(?:^|;)\s*display:\s*none/i.test(el.getAttribute('style') || '');
+}
+
+function removeHidden(table) {
+  for (const el of table.querySelectorAll('tr, td, th, span, div, p')) {
+    if (isHidden(el)) el.remove();
+  }
+}
+
+/**
+ * Spreadsheets put character formatting on the cell itself
+ * (`<td style="font-weight:bold">`). Move it onto a span around the cell's
+ * content, where the formatting conversion looks for it.
+ */
+function moveCellFormattingInside(table) {
+  for (const cell of table.querySelectorAll('td, th')) {
+    const declarations = (cell.getAttribute('style') || '').split(';').filter((d) => FORMATTING_STYLE_RE.test(d));
+    if (declarations.length === 0 || !cell.textContent.trim()) continue;
+    const span = cell.ownerDocument.createElement('span');
+    span.setAttribute('style', declarations.join(';'));
+    span.append(...cell.childNodes);
+    cell.append(span);
+  }
+}
+
+/**
+ * Apply the rules of the document's <style> sheets that target a single class
+ * (`.xl65 { font-weight: 700 }`, as Excel writes them) as inline styles, so
+ * formatting and alignment given by class survive.
+ */
+function inlineClassStyles(table, doc) {
+  const rules = new Map();
+  for (const sheet of doc.querySelectorAll('style')) {
+    const css = sheet.textContent.replace(/\/\*[\s\S]*?\*\/|<!--|-->/g, '');
+    for (const [, selectors, body] of css.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+      for (const selector of selectors.split(',')) {
+        const match = selector.trim().match(/^(?:td|th)?\.([\w-]+)$/);
+        if (match) rules.set(match[1], (rules.get(match[1]) || '') + body.replace(/\s+/g, ' ').trim() + ';');
+      }
+    }
+  }
+  if (rules.size === 0) return;
+
+  for (const el of table.querySelectorAll('[class]')) {
+    const fromClasses = el.className
+      .split(/\s+/)
+      .map((name) => rules.get(name) || '')
+      .join('');
+    if (fromClasses) el.setAttribute('style', fromClasses + (el.getAttribute('style') || ''));
+  }
+}
+
+/**
+ * Word processors other than Word put alignment on the paragraphs inside a
+ * cell. When every paragraph agrees, move it to the cell.
+ */
+function liftParagraphAlignment(table) {
+  for (const cell of table.querySelectorAll('td, th')) {
+    if (cell.getAttribute('align') || /text-align/i.test(cell.getAttribute('style') || '')) continue;
+    const paragraphs = [...cell.children].filter((el) => /^(P|DIV)$/.test(el.tagName));
+    if (paragraphs.length === 0) continue;
+    const aligns = paragraphs.map((p) => {
+      const match = (p.getAttribute('style') || '').match(/text-align:\s*(left|center|right)/i);
+      return (p.getAttribute('align') || (match ? match[1] : 'left')).toLowerCase();
+    });
+    if (aligns.every((align) => align === aligns[0]) && aligns[0] !== 'left') cell.setAttribute('align', aligns[0]);
+  }
+}
+
+// --- Sources ---
+
+/**
+ * Excel: formatting and alignment come from class rules in a <style> block;
+ * hidden rows and columns are included with display:none; numbers too wide
+ * for their column are shown as ##### or in scientific notation, while the
+ * full value is in the x:num attribute.
+ */
+const excel = {
+  label: 'Excel',
+  detect: (html) => /urn:schemas-microsoft-com:office:excel|ProgId content="?Excel\.Sheet/i.test(html),
+  prepare(table, doc) {
+    inlineClassStyles(table, doc);
+    removeHidden(table);
+    for (const cell of table.querySelectorAll('td, th')) {
+      const value = cell.getAttribute('x:num');
+      if (value && /^(#+|-?[\d.,]+E[+-]\d+)$/i.test(cell.textContent.trim())) cell.textContent = value;
+    }
+    moveCellFormattingInside(table);
+  },
+};
+
+/**
+ * Outlook: messages are Word HTML, but the table is often wrapped in layout
+ * tables (the message body, signatures, banners), so the innermost tables
+ * with more than one cell are the candidates.
+ */
+const outlook = {
+  label: 'Outlook',
+  detect: (html) => /content="?Microsoft Word \d+ \(filtered|divRplyFwdMsg|OutlookMessageHeader|class="?x_Mso/i.test(html),
+  findTables(doc) {
+    const all = [...doc.querySelectorAll('table')];
+    const leaves = all.filter((table) => !table.querySelector('table'));
+    const data = leaves.filter((table) => table.querySelectorAll('td, th').length > 1);
+    return data.length > 0 ? data : all;
+  },
+  prepare() {},
+};
+
+const word = {
+  label: 'Word',
+  detect: (html) => /urn:schemas-microsoft-com:office:word|class="?Mso|mso-/i.test(html),
+  prepare() {},
+};
+
+/**
+ * Google Sheets: formatting is on the cells; hyperlinks may only be in
+ * data-sheets-hyperlink, and checkboxes have no text, only a boolean in
+ * data-sheets-value.
+ */
+const googleSheets = {
+  label: 'Google Sheets',
+  detect: (html) => /google-sheets-html-origin|data-sheets-(value|root)/i.test(html),
+  prepare(table) {
+    removeHidden(table);
+    for (const cell of table.querySelectorAll('td, th')) {
+      const href = cell.getAttribute('data-sheets-hyperlink');
+      if (href && !cell.querySelector('a') && cell.textContent.trim()) {
+        const link = cell.ownerDocument.createElement('a');
+        link.setAttribute('href', href);
+        link.append(...cell.childNodes);
+        cell.append(link);
+      }
+
+      const raw = cell.getAttribute('data-sheets-value');
+      if (raw && !cell.textContent.trim()) {
+        try {
+          const value = JSON.parse(raw);
+          if (value[1] === 4) cell.textContent = value[4] ? 'TRUE' : 'FALSE';
+          else if (value[1] === 3) cell.textContent = String(value[3]);
+          else if (value[1] === 2) cell.textContent = value[2];
+        } catch {
+          // Not the expected JSON — keep the cell as shown
+        }
+      }
+    }
+    moveCellFormattingInside(table);
+  },
+};
+
+/**
+ * Google Docs: the paste is wrapped in `<b style="font-weight:normal"
+ * id="docs-internal-guid-…">`, spans use font-weight 400 for normal text
+ * inside bold elements, and alignment is on the paragraphs.
+ */
+const googleDocs = {
+  label: 'Google Docs',
+  detect: (html) => /docs-internal-guid/i.test(html),
+  prepare(table, doc) {
+    for (const el of doc.querySelectorAll('b, strong')) {
+      if (/^docs-internal-guid/.test(el.id) || NORMAL_WEIGHT_RE.test(el.getAttribute('style') || '')) unwrap(el);
+    }
+    removeHidden(table);
+    liftParagraphAlignment(table);
+  },
+};
+
+/**
+ * LibreOffice: monospace fonts are given with <font face>, and Writer puts
+ * alignment on the paragraphs.
+ */
+const libreOffice = {
+  label: 'LibreOffice',
+  detect: (html) => /<meta[^>]+content="?LibreOffice|\ssd(val|num)=/i.test(html),
+  prepare(table) {
+    for (const font of table.querySelectorAll('font[face]')) {
+      if (MONOSPACE_FONT_RE.test(font.getAttribute('face'))) {
+        font.setAttribute('style', `font-family: ${font.getAttribute('face')};` + (font.getAttribute('style') || ''));
+      }
+    }
+    removeHidden(table);
+    liftParagraphAlignment(table);
+  },
+};
+
+/**
+ * Chat web UIs (ChatGPT, Claude, Gemini) render Markdown replies: math is
+ * KaTeX, whose markup holds the formula twice, and cells may contain copy
+ * buttons, icons and screen-reader-only text.
+ */
+const chat = {
+  label: 'Chat assistant',
+  detect: (html) => /data-message-author-role|font-claude|model-response|class="[^"]*\b(markdown|prose|katex)\b/i.test(html),
+  prepare(table, doc) {
+    for (const math of table.querySelectorAll('.katex')) {
+      const tex = math.querySelector('annotation[encoding="application/x-tex"]');
+      math.replaceWith(doc.createTextNode(tex ? `$${tex.textContent.trim()}$` : math.textContent));
+    }
+    for (const el of table.querySelectorAll('button, svg, [aria-hidden="true"], .sr-only')) el.remove();
+    removeHidden(table);
+  },
+};
+
+const genericHtml = {
+  label: 'HTML',
+  detect: () => true,
+  prepare() {},
+};
+
+/**
+ * Known sources by id, in detection order. Word is tested late because its
+ * `mso-` markers also turn up in other applications' HTML, Outlook before it
+ * since its messages are Word HTML too, and the generic HTML source last.
+ */
+export const SOURCES = {
+  excel,
+  'google-sheets': googleSheets,
+  'google-docs': googleDocs,
+  libreoffice: libreOffice,
+  outlook,
+  word,
+  chat,
+  html: genericHtml,
+};
+
+/**
+ * Find which application pasted `html` (already parsed as `doc`). Returns the
+ * source id.
+ */
+export function detectSource(html, doc) {
+  return Object.keys(SOURCES).find((id) => SOURCES[id].detect(html, doc));
+}
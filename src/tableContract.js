@@ -0,0 +1,118 @@
+import { describeChange, diffTables } from './tableDiff.js';
+
+/**
+ * Structural contracts: the shape of the original Word table (its header
+ * texts, its size and the values of its key column) and the parts of it the
+ * user locked, checked against an LLM's edit. The check runs on the diff
+ * between the two tables (see diffWithContract and tableDiff.js): a
+ * violation is a change the locks forbid, and restoring the locked parts is
+ * rejecting those changes (see applyDiff).
+ *
+ * Contract: {
+ *   headers,         the text of each column's header (from the last header row)
+ *   columns, rows,   the size of the original table
+ *   keyColumn,       the column whose values name the body rows
+ *   keys,            its values, one per body row
+ *   locks: {
+ *     headers,       no header may be renamed, added or removed
+ *     columns,       the columns whose cells may not change, by index
+ *     rowKeys,       no body row may be added, removed or given another key
+ *   }
+ * }
+ *
+ * Violation: { change, message }, where `change` is the diff's change.
+ */
+
+// What converting an edit that breaks the contract does
+export const CONTRACT_MODES = {
+  report: 'Report only',
+  block: 'Block the copy',
+  restore: 'Restore locked parts',
+};
+
+/**
+ * Record the shape of `table` with the given locks. The key column is the
+ * first one unless `keyColumn` says otherwise.
+ */
+export function createContract(table, { keyColumn = 0, locks = {} } = {}) {
+  const header = table.rows.filter((row) => row.isHeader).at(-1);
+  const text = (row, c) => (row && row.cells[c] ? row.cells[c].content.trim() : '');
+  return {
+    headers: table.alignments.map((_, c) => text(header, c)),
+    columns: table.alignments.length,
+    rows: table.rows.length,
+    keyColumn,
+    keys: table.rows.filter((row) => !row.isHeader).map((row) => text(row, keyColumn)),
+    locks: {
+      headers: !!locks.headers,
+      columns: (locks.columns || []).filter((c) => c < table.alignments.length),
+      rowKeys: !!locks.rowKeys,
+    },
+  };
+}
+
+export function hasLocks(contract) {
+  const { headers, columns, rowKeys } = contract.locks;
+  return headers || rowKeys || columns.length > 0;
+}
+
+/**
+ * Summarize a contract in one line, e.g. `3 columns, 5 rows. Locked:
+ * headers, column "Price", row keys ("Name").`
+ */
+export function describeContract(contract) {
+  const name = (c) => `"${contract.headers[c] || `Column ${c + 1}`}"`;
+  const { headers, columns, rowKeys } = contract.locks;
+  const locked = [];
+  if (headers) locked.push('headers');
+  if (columns.length > 0) locked.push(`${columns.length > 1 ? 'columns' : 'column'} ${columns.map(name).join(', ')}`);
+  if (rowKeys) locked.push(`row keys (${name(contract.keyColumn)})`);
+  const shape = `${contract.columns} columns, ${contract.rows} rows.`;
+  return locked.length > 0 ? `${shape} Locked: ${locked.join(', ')}.` : `${shape} Nothing is locked.`;
+}
+
+/**
+ * Diff an edit against the table the contract was made from. With the row
+ * keys locked, body rows are paired by their key rather than by position, so
+ * a reordered row is checked (and restored) against the row with its key.
+ */
+export function diffWithContract(contract, original, edited) {
+  if (!contract || !contract.locks.rowKeys) return diffTables(original, edited);
+  return diffTables(original, edited, { keyColumn: contract.keyColumn, keys: contract.keys });
+}
+
+// Why a change breaks the contract, or null when it doesn't
+function violationReason(contract, diff, change) {
+  const { locks } = contract;
+  if (change.kind === 'column') {
+    const column = diff.columns[change.column].original;
+    if (locks.headers) return 'the headers are locked';
+    if (change.type === 'removed' && locks.columns.includes(column)) return 'the column is locked';
+    if (change.type === 'removed' && locks.rowKeys && column === contract.keyColumn) return 'the row keys are locked';
+    return null;
+  }
+
+  const { isHeader } = diff.rows[change.row];
+  if (change.kind === 'row') {
+    if (isHeader) return locks.headers ? 'the headers are locked' : null;
+    return locks.rowKeys ? 'the row keys are locked' : null;
+  }
+
+  const column = diff.columns[change.column].original;
+  if (isHeader && locks.headers) return 'the headers are locked';
+  if (locks.columns.includes(column)) return 'the column is locked';
+  if (!isHeader && locks.rowKeys && column === contract.keyColumn) return 'the row keys are locked';
+  return null;
+}
+
+/**
+ * List the changes in `diff` (from the table the contract was made from to
+ * the edit) that break the contract, columns first and then row by row.
+ */
+export function checkContract(contract, diff) {
+  if (!hasLocks(contract)) return [];
+  return diff.changes.flatMap((change) => {
+    const reason = violationReason(contract, diff, change);
+    return reason ? [{ change, message: `${describeChange(diff, change)}: ${reason}` }] : [];
+  });
+}
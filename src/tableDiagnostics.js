@@ -0,0 +1,204 @@
+import { extractMarkdownTables, locateCells } from './tableExtract.js';
+
+/**
+ * Diagnostics for malformed Markdown tables, the kind LLMs produce: a missing
+ * separator row, rows with too many or too few cells, a separator that doesn't
+ * match the header, and unbalanced escapes or code spans.
+ *
+ * Diagnostic: { severity: 'error'|'warning', code, message, line, column, table }
+ *
+ * `line` and `column` are 1-based positions in the text. `table` is the index
+ * of the table (as found by extractMarkdownTables) the problem is in, or null
+ * for rows outside every table. Errors mean part of the text is not converted
+ * as written, so data would be lost or end up without a column header;
+ * warnings are repaired without losing anything (e.g. short rows are padded).
+ */
+
+function diagnostic(severity, code, message, line, column, table) {
+  return { severity, code, message, line: line + 1, column: column + 1, table };
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Offset of a backtick run that is never closed, or -1
+function unclosedCodeSpan(line) {
+  let i = 0;
+  while (i < line.length) {
+    if (line[i] === '\\') {
+      i += 2;
+    } else if (line[i] === '`') {
+      let n = 0;
+      while (line[i + n] === '`') n++;
+      const fence = '`'.repeat(n);
+      let end = line.indexOf(fence, i + n);
+      while (end !== -1 && line[end + n] === '`') end = line.indexOf(fence, end + n + 1);
+      if (end === -1) return i;
+      i = end + n;
+    } else {
+      i++;
+    }
+  }
+  return -1;
+}
+
+// Offset of a backslash escaping the row's closing pipe or the line end, or -1
+function danglingEscape(line) {
+  const match = line.trimEnd().match(/(?<!\\)(?:\\\\)*\\\|?$/);
+  return match ? match.index + match[0].length - (match[0].endsWith('|') ? 2 : 1) : -1;
+}
+
+function checkEscapes(diagnostics, lines, index, table) {
+  const line = lines[index];
+  const code = unclosedCodeSpan(line);
+  if (code !== -1) {
+    diagnostics.push(
+      diagnostic('warning', 'unclosed-code', 'Code span is never closed, so pipes after it split cells.', index, code, table),
+    );
+  }
+  const escape = danglingEscape(line);
+  if (escape !== -1) {
+    const message = line.trimEnd().endsWith('|')
+      ? 'The closing pipe is escaped with a backslash, so it is kept as text.'
+      : 'The row ends with a backslash that escapes nothing.';
+    diagnostics.push(diagnostic('warning', 'unbalanced-escape', message, index, escape, table));
+  }
+}
+
+function checkTable(diagnostics, lines, found, table) {
+  const rowCells = (index) => {
+    const line = lines[index];
+    const indent = indentOf(line);
+    return locateCells(line.trim()).map((cell) => ({ ...cell, column: cell.column + indent }));
+  };
+  const { startLine, separatorLine, endLine } = found;
+  const width = rowCells(separatorLine - 1).length;
+
+  const separator = rowCells(separatorLine);
+  if (separator.length !== width) {
+    const column = separator.length > width ? separator[width].column : indentOf(lines[separatorLine]);
+    diagnostics.push(
+      diagnostic(
+        'warning',
+        'separator-mismatch',
+        `The separator row has ${plural(separator.length, 'column')} but the header has ${width}. Other Markdown renderers won't show this as a table.`,
+        separatorLine,
+        column,
+        table,
+      ),
+    );
+  }
+
+  for (let index = startLine; index <= endLine; index++) {
+    checkEscapes(diagnostics, lines, index, table);
+    if (index === separatorLine) continue;
+    const cells = rowCells(index);
+    if (cells.length > width) {
+      diagnostics.push(
+        diagnostic(
+          'error',
+          'extra-cells',
+          `Row has ${plural(cells.length, 'cell')} but the header has ${width}. The extra cells have no column header, and most Markdown renderers drop them.`,
+          index,
+          cells[width].column,
+          table,
+        ),
+      );
+    } else if (cells.length < width) {
+      diagnostics.push(
+        diagnostic(
+          'warning',
+          'missing-cells',
+          `Row has ${plural(cells.length, 'cell')} but the header has ${width}. It is padded with empty cells.`,
+          index,
+          lines[index].trimEnd().length,
+          table,
+        ),
+      );
+    }
+  }
+}
+
+// Lines that look like table rows (they start or end with a pipe) but are not
+// part of any table, grouped into blocks of consecutive lines
+function strayRowBlocks(lines, tables) {
+  const inTable = new Set();
+  for (const { startLine, endLine } of tables) {
+    for (let index = startLine; index <= endLine; index++) inTable.add(index);
+  }
+
+  const blocks = [];
+  let block = null;
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!inTable.has(index) && trimmed.length > 1 && (trimmed.startsWith('|') || trimmed.endsWith('|'))) {
+      if (!block) blocks.push((block = []));
+      block.push(index);
+    } else {
+      block = null;
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Check every Markdown table in `text` (prose around them is ignored, as in
+ * extractMarkdownTables). Returns diagnostics sorted by position.
+ */
+export function diagnoseMarkdownTables(text) {
+  const lines = text.split(/\r?\n/);
+  const tables = extractMarkdownTables(text);
+  const diagnostics = [];
+
+  tables.forEach((found, table) => checkTable(diagnostics, lines, found, table));
+
+  for (const block of strayRowBlocks(lines, tables)) {
+    const [first] = block;
+    if (block.length > 1) {
+      diagnostics.push(
+        diagnostic(
+          'error',
+          'missing-separator',
+          `No separator row (such as |---|---|) below the header row, so these ${block.length} rows are not converted.`,
+          block[1],
+          indentOf(lines[block[1]]),
+          null,
+        ),
+      );
+    } else {
+      diagnostics.push(
+        diagnostic(
+          'error',
+          'stray-row',
+          'This row is not part of a table (a blank line, text or a missing separator row cuts it off), so it is not converted.',
+          first,
+          indentOf(lines[first]),
+          null,
+        ),
+      );
+    }
+    for (const index of block) checkEscapes(diagnostics, lines, index, null);
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * The errors that stop table number `index` from being converted in strict
+ * mode: its own, and rows outside every table (which may belong to it).
+ */
+export function blockingDiagnostics(diagnostics, index) {
+  return diagnostics.filter((d) => d.severity === 'error' && (d.table === index || d.table === null));
+}
+
+/**
+ * Format a diagnostic as "line 3, column 12: message".
+ */
+export function formatDiagnostic(d) {
+  return `line ${d.line}, column ${d.column}: ${d.message}`;
+}
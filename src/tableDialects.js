@@ -0,0 +1,152 @@
+import { hasMergedCells } from './tableModel.js';
+import { MERGED_CELLS_WARNING, tableModelToMarkdown } from './htmlToMarkdown.js';
+import { parseMarkdownTable } from './markdownToHtml.js';
+import { parsePandocGridTable, tableModelToPandocGrid } from './gridTable.js';
+import { parseRstGridTable, parseRstListTable, tableModelToRstGrid, tableModelToRstListTable } from './rstTable.js';
+import { parseAsciidocTable, tableModelToAsciidoc } from './asciidocTable.js';
+import { extractMarkdownTables } from './tableExtract.js';
+import { diagnoseMarkdownTables } from './tableDiagnostics.js';
+import { parseJsonTable, parseYamlTable, tableModelToJson, tableModelToYaml } from './recordsTable.js';
+
+/**
+ * The plain-text table formats tables can be read from and written to.
+ * `merges` is 'markers' when merged cells survive only with the
+ * preserveMerges option (GFM's << / ^^ markers), true when the format spans
+ * cells natively and false when merges are always expanded. `extract`, when
+ * present, finds every table in a longer text (such as an LLM reply),
+ * `locate` gives the 0-based first and last line of each of those tables, and
+ * `diagnose` reports malformed tables (see tableDiagnostics.js). Options
+ * (such as columnWidths) are passed to the GFM reader and writer only, and
+ * recordShape to the JSON and YAML writers (see recordsTable.js).
+ */
+export const DIALECTS = {
+  gfm: {
+    label: 'Markdown (GFM)',
+    parse: parseMarkdownTable,
+    extract: (text, options) => extractMarkdownTables(text, options).map((found) => found.table),
+    locate: (text) => extractMarkdownTables(text).map(({ startLine, endLine }) => ({ startLine, endLine })),
+    diagnose: diagnoseMarkdownTables,
+    write: tableModelToMarkdown,
+    merges: 'markers',
+  },
+  'pandoc-grid': {
+    label: 'Pandoc grid table',
+    parse: parsePandocGridTable,
+    write: tableModelToPandocGrid,
+    merges: true,
+  },
+  'rst-grid': {
+    label: 'reStructuredText grid table',
+    parse: parseRstGridTable,
+    write: tableModelToRstGrid,
+    merges: true,
+  },
+  'rst-list': {
+    label: 'reStructuredText list-table',
+    parse: parseRstListTable,
+    write: tableModelToRstListTable,
+    merges: false,
+  },
+  asciidoc: {
+    label: 'AsciiDoc',
+    parse: parseAsciidocTable,
+    write: tableModelToAsciidoc,
+    merges: true,
+  },
+  json: {
+    label: 'JSON records',
+    parse: parseJsonTable,
+    write: tableModelToJson,
+    merges: false,
+  },
+  yaml: {
+    label: 'YAML records',
+    parse: parseYamlTable,
+    write: tableModelToYaml,
+    merges: false,
+  },
+};
+
+export const DEFAULT_DIALECT = 'gfm';
+
+const GRID_BORDER_RE = /^\s*\+(?:[-=:]+\+)+\s*$/m;
+// Markup only reStructuredText uses: ``literal``, `link <url>`_ and roles
+const RST_MARKUP_RE = /``\S|`_|:[\w-]+:`/;
+// How YAML records start: a list item or a key, after any comments
+const YAML_START_RE = /^(?:\s*(?:#.*|---\s*)?\n)*\s*(?:-\s|[^\s|+:#][^\n:]*:\s)/;
+
+/**
+ * Guess which dialect a table in `text` is written in. Grid tables look the
+ * same in Pandoc and reStructuredText, so they count as Pandoc unless they
+ * use reStructuredText-only markup. JSON and YAML count only when the whole
+ * text reads as records, so a bullet list in an LLM reply stays Markdown.
+ */
+export function detectDialect(text) {
+  if (/^\s*[[{]/.test(text) && parseJsonTable(text)) return 'json';
+  if (YAML_START_RE.test(text) && parseYamlTable(text)) return 'yaml';
+  if (/^\|===\s*$/m.test(text)) return 'asciidoc';
+  if (/^\s*\.\. list-table::/m.test(text)) return 'rst-list';
+  if (GRID_BORDER_RE.test(text)) return RST_MARKUP_RE.test(text) ? 'rst-grid' : 'pandoc-grid';
+  return DEFAULT_DIALECT;
+}
+
+/**
+ * Find every table in `text`, detecting its dialect unless one is given.
+ * Returns { tables, dialect }.
+ */
+export function findTables(text, dialect = detectDialect(text), options = {}) {
+  const { parse, extract } = DIALECTS[dialect];
+  const tables = extract ? extract(text, options) : [parse(text, options)].filter(Boolean);
+  return { tables, dialect };
+}
+
+/**
+ * Parse a table in `text`, detecting its dialect unless one is given. When
+ * the text holds several tables, `index` picks one. Returns
+ * { table, dialect, tableCount } or null if there is no such table.
+ */
+export function parseTableText(text, dialect = detectDialect(text), index = 0, options = {}) {
+  const { tables } = findTables(text, dialect, options);
+  if (index >= tables.length) return null;
+  return { table: tables[index], dialect, tableCount: tables.length };
+}
+
+/**
+ * Report problems with the tables in `text`, detecting its dialect unless one
+ * is given. Returns diagnostics (see tableDiagnostics.js); dialects without
+ * diagnostics report none.
+ */
+export function diagnoseTableText(text, dialect = detectDialect(text)) {
+  const { diagnose } = DIALECTS[dialect];
+  return diagnose ? diagnose(text) : [];
+}
+
+/**
+ * Replace table number `index` in `text` with `table`, written in the given
+ * dialect with its merged cells and cell alignment kept. The text around the table (prose in an
+ * LLM reply) is left as it is; in dialects without `locate` the whole text
+ * is the table. Other options are passed to writeTableText. Returns the new
+ * text.
+ */
+export function replaceTableText(text, table, dialect = detectDialect(text), index = 0, options = {}) {
+  const written = writeTableText(table, dialect, { ...options, preserveMerges: true, preserveAlignment: true }).text;
+  const { locate } = DIALECTS[dialect];
+  const found = locate && locate(text)[index];
+  if (!found) return written;
+  const lines = text.split(/\r?\n/);
+  lines.splice(found.startLine, found.endLine - found.startLine + 1, written);
+  return lines.join('\n');
+}
+
+/**
+ * Write a table in the given dialect. Options are passed to the GFM writer.
+ * Returns { text, warnings }; the warning says when merged cells had to be
+ * expanded.
+ */
+export function writeTableText(table, dialect = DEFAULT_DIALECT, options = {}) {
+  const { write, merges } = DIALECTS[dialect];
+  const warnings = [];
+  const keepsMerges = merges === 'markers' ? !!options.preserveMerges : merges;
+  if (!keepsMerges && hasMergedCells(table)) warnings.push(MERGED_CELLS_WARNING);
+  return { text: write(table, options), warnings };
+}
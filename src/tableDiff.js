@@ -0,0 +1,368 @@
+import { createCell, createRow, createTable, getCellParagraphs, normalizeTable, repairMerges } from './tableModel.js';
+import { escapeHtml, paragraphsToMarkdown } from './inlineFormat.js';
+import { numberFormatChanges } from './columnTypes.js';
+
+/**
+ * Cell-level diff between two table models (the original Word table and the
+ * LLM-edited Markdown), with per-change accept/reject.
+ *
+ * Structure:
+ *   { original: Table, edited: Table, columns: ColumnEntry[], rows: RowEntry[], changes: Change[] }
+ *   ColumnEntry: { original: number|null, edited: number|null, change: Change|null }
+ *   RowEntry: { original: number|null, edited: number|null, isHeader: boolean,
+ *               change: Change|null, cells: (Change|null)[] }  one cell per column entry
+ *   Change: { id: string, kind: 'cell'|'row'|'column', type: 'changed'|'added'|'removed',
+ *             row: number|null, column: number|null, label: string, before: string, after: string,
+ *             formatChanges: string[] }
+ *
+ * Column and row entries are in aligned order: an entry with only `edited`
+ * set was added by the edit, one with only `original` set was removed.
+ * `row`/`column` on a change index into `rows`/`columns`. `formatChanges`
+ * lists how a changed cell's number is now written differently (see
+ * numberFormatChanges in columnTypes.js); it is empty for other changes.
+ */
+
+// Score for pairing two items that have nothing in common. Pairing still beats
+// an unrelated deletion plus insertion at the same position.
+const WEAK_MATCH = 0.01;
+
+function cellText(cell) {
+  return cell ? paragraphsToMarkdown(getCellParagraphs(cell)) : '';
+}
+
+function plainText(cell) {
+  return cell ? cell.content.replace(/\n/g, ' ') : '';
+}
+
+/**
+ * Align two sequences, maximizing the total score of paired items while
+ * keeping their order (an alignment with free gaps). `score(i, j)` returns a
+ * value in (0, 1]. Returns [{ a, b }] where either side may be null.
+ */
+function alignSequences(lenA, lenB, score) {
+  const width = lenB + 1;
+  const best = new Float64Array((lenA + 1) * width);
+  const scores = new Float64Array(lenA * lenB);
+
+  for (let i = lenA - 1; i >= 0; i--) {
+    for (let j = lenB - 1; j >= 0; j--) {
+      const s = score(i, j);
+      scores[i * lenB + j] = s;
+      best[i * width + j] = Math.max(
+        best[(i + 1) * width + j],
+        best[i * width + j + 1],
+        s + best[(i + 1) * width + j + 1],
+      );
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < lenA || j < lenB) {
+    if (i < lenA && j < lenB && best[i * width + j] === scores[i * lenB + j] + best[(i + 1) * width + j + 1]) {
+      pairs.push({ a: i++, b: j++ });
+    } else if (i < lenA && (j === lenB || best[i * width + j] === best[(i + 1) * width + j])) {
+      pairs.push({ a: i++, b: null });
+    } else {
+      pairs.push({ a: null, b: j++ });
+    }
+  }
+  return pairs;
+}
+
+function rowTexts(table, rowIdx) {
+  return table.rows[rowIdx].cells.map(cellText);
+}
+
+function alignColumns(original, edited) {
+  const origCount = original.alignments.length;
+  const editCount = edited.alignments.length;
+  const origHeader = original.rows.find((row) => row.isHeader);
+  const editHeader = edited.rows.find((row) => row.isHeader);
+  const origTexts = original.rows.map((row) => row.cells.map(cellText));
+  const editTexts = edited.rows.map((row) => row.cells.map(cellText));
+  const depth = Math.min(origTexts.length, editTexts.length);
+
+  return alignSequences(origCount, editCount, (i, j) => {
+    const origName = origHeader ? cellText(origHeader.cells[i]).trim().toLowerCase() : '';
+    const editName = editHeader ? cellText(editHeader.cells[j]).trim().toLowerCase() : '';
+    if (origName && origName === editName) return 1;
+
+    // Renamed or unnamed columns: compare values row by row
+    let same = 0;
+    for (let r = 0; r < depth; r++) {
+      if (origTexts[r][i] === editTexts[r][j]) same++;
+    }
+    return WEAK_MATCH + 0.9 * (depth ? same / depth : 0);
+  });
+}
+
+function alignRows(original, edited, matchedColumns, isHeader) {
+  const origRows = original.rows.map((row, r) => r).filter((r) => original.rows[r].isHeader === isHeader);
+  const editRows = edited.rows.map((row, r) => r).filter((r) => edited.rows[r].isHeader === isHeader);
+  const origTexts = origRows.map((r) => rowTexts(original, r));
+  const editTexts = editRows.map((r) => rowTexts(edited, r));
+
+  const pairs = alignSequences(origRows.length, editRows.length, (i, j) => {
+    if (isHeader) return 1; // header rows pair up by position
+    let same = 0;
+    for (const { original: oc, edited: ec } of matchedColumns) {
+      if (origTexts[i][oc] === editTexts[j][ec]) same++;
+    }
+    if (matchedColumns.length > 0 && same === matchedColumns.length) return 1;
+    return WEAK_MATCH + 0.9 * (matchedColumns.length ? same / matchedColumns.length : 0);
+  });
+
+  return pairs.map(({ a, b }) => ({
+    original: a === null ? null : origRows[a],
+    edited: b === null ? null : editRows[b],
+  }));
+}
+
+// Pair body rows by the value of the key column (`keys` holds the original
+// rows' values) rather than by position. The rows follow the edited order; a
+// removed row goes before the first edited row paired with a later original.
+function alignRowsByKey(original, edited, keyColumn, keys) {
+  const origRows = original.rows.map((row, r) => r).filter((r) => !original.rows[r].isHeader);
+  const editRows = edited.rows.map((row, r) => r).filter((r) => !edited.rows[r].isHeader);
+  const paired = new Set();
+  const entries = editRows.map((r) => {
+    const cell = edited.rows[r].cells[keyColumn];
+    const key = cell ? cell.content.trim() : '';
+    const i = keys.findIndex((value, k) => value === key && !paired.has(k));
+    if (i === -1) return { original: null, edited: r };
+    paired.add(i);
+    return { original: origRows[i], edited: r };
+  });
+
+  origRows.forEach((r, i) => {
+    if (paired.has(i)) return;
+    const before = entries.findIndex((entry) => entry.original !== null && entry.original > r);
+    entries.splice(before === -1 ? entries.length : before, 0, { original: r, edited: null });
+  });
+  return entries;
+}
+
+function rowLabel(table, rowIdx) {
+  const first = table.rows[rowIdx].cells.find((cell) => cell.content.trim());
+  return first ? plainText(first) : '';
+}
+
+/**
+ * Compare two table models and list the changes needed to turn `original`
+ * into `edited`. Body rows are aligned by their content, keeping their
+ * order; with `keyColumn` (an original column index) they are paired by the
+ * value in that column instead, so reordered rows keep their partners.
+ * `keys` are the original rows' values in it (read from the table when not
+ * given).
+ */
+export function diffTables(original, edited, { keyColumn = null, keys = null } = {}) {
+  const changes = [];
+  const columns = alignColumns(original, edited).map(({ a, b }) => ({
+    original: a,
+    edited: b,
+    change: null,
+  }));
+  const matchedColumns = columns.filter((col) => col.original !== null && col.edited !== null);
+
+  const origHeader = original.rows.find((row) => row.isHeader);
+  const editHeader = edited.rows.find((row) => row.isHeader);
+  columns.forEach((col, c) => {
+    if (col.original !== null && col.edited !== null) return;
+    const added = col.original === null;
+    const header = added ? editHeader : origHeader;
+    const idx = added ? col.edited : col.original;
+    col.change = {
+      id: `column:${c}`,
+      kind: 'column',
+      type: added ? 'added' : 'removed',
+      row: null,
+      column: c,
+      label: header ? plainText(header.cells[idx]) : `Column ${idx + 1}`,
+      before: '',
+      after: '',
+      formatChanges: [],
+    };
+    changes.push(col.change);
+  });
+
+  const keyed = keyColumn === null ? null : matchedColumns.find((col) => col.original === keyColumn);
+  const bodyRows = keyed
+    ? alignRowsByKey(original, edited, keyed.edited, keys || original.rows
+      .filter((row) => !row.isHeader)
+      .map((row) => (row.cells[keyColumn] ? row.cells[keyColumn].content.trim() : '')))
+    : alignRows(original, edited, matchedColumns, false);
+  const rows = [
+    ...alignRows(original, edited, matchedColumns, true).map((row) => ({ ...row, isHeader: true })),
+    ...bodyRows.map((row) => ({ ...row, isHeader: false })),
+  ];
+
+  rows.forEach((row, r) => {
+    row.change = null;
+    row.cells = columns.map(() => null);
+
+    if (row.original === null || row.edited === null) {
+      const added = row.original === null;
+      row.change = {
+        id: `row:${r}`,
+        kind: 'row',
+        type: added ? 'added' : 'removed',
+        row: r,
+        column: null,
+        label: added ? rowLabel(edited, row.edited) : rowLabel(original, row.original),
+        before: '',
+        after: '',
+        formatChanges: [],
+      };
+      changes.push(row.change);
+      return;
+    }
+
+    columns.forEach((col, c) => {
+      if (col.original === null || col.edited === null) return;
+      const before = original.rows[row.original].cells[col.original];
+      const after = edited.rows[row.edited].cells[col.edited];
+      if (cellText(before) === cellText(after)) return;
+      row.cells[c] = {
+        id: `cell:${r}:${c}`,
+        kind: 'cell',
+        type: 'changed',
+        row: r,
+        column: c,
+        label: rowLabel(edited, row.edited) || rowLabel(original, row.original),
+        before: plainText(before),
+        after: plainText(after),
+        formatChanges: numberFormatChanges(before.content, after.content),
+      };
+      changes.push(row.cells[c]);
+    });
+  });
+
+  return { original, edited, columns, rows, changes };
+}
+
+/**
+ * Describe a change in one line for the change summary.
+ */
+export function describeChange(diff, change) {
+  const named = change.label ? ` "${change.label}"` : '';
+  if (change.kind === 'column') {
+    return `Column${named} ${change.type}`;
+  }
+  if (change.kind === 'row') {
+    return `${diff.rows[change.row].isHeader ? 'Header row' : 'Row'}${named} ${change.type}`;
+  }
+  const col = diff.columns[change.column];
+  const header = diff.edited.rows.find((row) => row.isHeader);
+  const column = header ? plainText(header.cells[col.edited]) : `column ${col.edited + 1}`;
+  const where = diff.rows[change.row].isHeader ? 'Header' : `Row${named}`;
+  const format = change.formatChanges.length > 0 ? ` (number format: ${change.formatChanges.join(', ')})` : '';
+  return `${where}, ${column}: "${change.before}" → "${change.after}"${format}`;
+}
+
+function isRejected(rejected, change) {
+  return !!change && rejected.has(change.id);
+}
+
+function keepColumn(col, rejected) {
+  if (col.original !== null && col.edited !== null) return true;
+  return col.original === null ? !isRejected(rejected, col.change) : isRejected(rejected, col.change);
+}
+
+function keepRow(row, rejected) {
+  if (row.original !== null && row.edited !== null) return true;
+  return row.original === null ? !isRejected(rejected, row.change) : isRejected(rejected, row.change);
+}
+
+/**
+ * Build the final table from a diff: the edited table with every change whose
+ * id is in `rejected` reverted to the original. Column widths are kept when
+ * the edited table has them (and the original has those of its restored
+ * columns).
+ */
+export function applyDiff(diff, rejected = new Set()) {
+  const { original, edited } = diff;
+  const columns = diff.columns.filter((col) => keepColumn(col, rejected));
+
+  const rows = [];
+  for (const row of diff.rows) {
+    if (!keepRow(row, rejected)) continue;
+
+    const cells = columns.map((col) => {
+      const c = diff.columns.indexOf(col);
+      const origCell = row.original !== null && col.original !== null
+        ? original.rows[row.original].cells[col.original]
+        : null;
+      const editCell = row.edited !== null && col.edited !== null
+        ? edited.rows[row.edited].cells[col.edited]
+        : null;
+
+      let useOriginal;
+      if (row.edited === null || col.edited === null) useOriginal = true;
+      else if (row.original === null || col.original === null) useOriginal = false;
+      else useOriginal = isRejected(rejected, row.cells[c]);
+
+      const cell = useOriginal ? origCell : editCell;
+      return cell ? structuredClone(cell) : createCell();
+    });
+
+    const source = row.edited !== null ? edited.rows[row.edited] : original.rows[row.original];
+    rows.push(createRow(cells, source.isHeader));
+  }
+
+  const alignments = columns.map((col) =>
+    col.edited !== null ? edited.alignments[col.edited] : original.alignments[col.original],
+  );
+  const table = createTable(rows, alignments, !!edited.rowHeaders);
+  if (edited.columnWidths) {
+    const widths = columns.map((col) =>
+      col.edited !== null ? edited.columnWidths[col.edited] : original.columnWidths?.[col.original],
+    );
+    if (widths.every((width) => width != null)) table.columnWidths = widths;
+  }
+  return normalizeTable(repairMerges(table));
+}
+
+/**
+ * Render the diff as an HTML review table. Every cell carries a `diff-*`
+ * class (same, changed, added, removed) plus `diff-rejected` when its change
+ * is rejected; changed cells show the old value struck through before the new.
+ * Cells whose number is written in a different format also get `diff-format`
+ * and a title listing how.
+ */
+export function renderDiffTable(diff, rejected = new Set()) {
+  const { original, edited } = diff;
+  let html = '<table class="diff-view">\n';
+
+  for (const row of diff.rows) {
+    html += '  <tr>\n';
+    diff.columns.forEach((col, c) => {
+      const tag = row.isHeader ? 'th' : 'td';
+      const origCell = row.original !== null && col.original !== null
+        ? original.rows[row.original].cells[col.original]
+        : null;
+      const editCell = row.edited !== null && col.edited !== null
+        ? edited.rows[row.edited].cells[col.edited]
+        : null;
+
+      const change = row.change || col.change || row.cells[c];
+      let kind = 'same';
+      let content = escapeHtml(plainText(editCell || origCell));
+      if (change) {
+        kind = change.type;
+        if (change.kind === 'cell') {
+          content = `<del>${escapeHtml(change.before)}</del> <ins>${escapeHtml(change.after)}</ins>`;
+        }
+      }
+      const flagged = change && change.formatChanges.length > 0;
+      const classes = `diff-${kind}${flagged ? ' diff-format' : ''}${isRejected(rejected, change) ? ' diff-rejected' : ''}`;
+      const title = flagged ? ` title="${escapeHtml(`Number format: ${change.formatChanges.join(', ')}`)}"` : '';
+      html += `    <${tag} class="${classes}"${title}>${content}</${tag}>\n`;
+    });
+    html += '  </tr>\n';
+  }
+
+  html += '</table>';
+  return html;
+}
@@ -0,0 +1,334 @@
+import {
+  dedupeRows,
+  deleteColumn,
+  deleteRow,
+  filterRows,
+  getCellAlignment,
+  getCellParagraphs,
+  getMergeOwners,
+  insertColumn,
+  insertRow,
+  mergeCells,
+  moveColumn,
+  moveRow,
+  setCellParagraphs,
+  setColumnAlignment,
+  sortRows,
+  splitCell,
+  transposeTable,
+} from './tableModel.js';
+import { paragraphsToHtml, paragraphsToMarkdownLines, parseCellMarkdown } from './inlineFormat.js';
+
+/**
+ * Editable grid over a table model. Cells are edited in place as Markdown
+ * (double-click, Enter or F2; one line per paragraph), and the handles above
+ * each column and before each row move, insert, delete, align and sort by
+ * them. Clicking a cell selects it and Shift+click selects a rectangle of
+ * cells for the toolbar's Merge action; the other table actions (see the
+ * transformations in tableModel.js) work on the whole table. Every edit is
+ * passed to `onChange` with the new table. `tableCss()` and
+ * `cellCss(table, r, c)`, when given, style the grid like the output (see
+ * htmlCellCss in markdownToHtml.js); refresh() re-applies them.
+ *
+ * Edits can be undone and redone (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y, or the
+ * toolbar buttons). Tables set from outside with setTable are part of the
+ * history too; consecutive ones count as a single step, so a burst of typing
+ * in the Markdown is undone at once.
+ *
+ * Returns { setTable, getTable, refresh, undo, redo, canUndo, canRedo }.
+ */
+
+const HISTORY_LIMIT = 100;
+
+const ALIGNMENTS = [
+  ['left', 'Left'],
+  ['center', 'Center'],
+  ['right', 'Right'],
+];
+
+function cellSource(cell) {
+  return paragraphsToMarkdownLines(getCellParagraphs(cell)).join('\n');
+}
+
+export function createTableEditor(container, { onChange = () => {}, tableCss = null, cellCss = null } = {}) {
+  const doc = container.ownerDocument;
+  let table = null;
+  let undoStack = [];
+  let redoStack = [];
+  // Whether the newest history entry was left by setTable, so the next
+  // outside change joins it
+  let outsideChange = false;
+  // Selected slots: the clicked one and the Shift+clicked corner, or null
+  let selection = null;
+  let mergeButton = null;
+  let splitButton = null;
+
+  function record(previous) {
+    undoStack.push(previous);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+  }
+
+  function edit(next) {
+    record(table);
+    outsideChange = false;
+    table = next;
+    selection = null;
+    render();
+    onChange(table);
+  }
+
+  function restore(from, to) {
+    if (from.length === 0) return;
+    to.push(table);
+    table = from.pop();
+    outsideChange = false;
+    selection = null;
+    render();
+    onChange(table);
+  }
+
+  function setTable(next) {
+    if (table && JSON.stringify(next) === JSON.stringify(table)) return;
+    if (table && !outsideChange) {
+      record(table);
+      outsideChange = true;
+    }
+    table = next;
+    selection = null;
+    render();
+  }
+
+  function button(label, title, action, disabled = false) {
+    const el = doc.createElement('button');
+    el.type = 'button';
+    el.className = 'editor-button';
+    el.textContent = label;
+    el.title = title;
+    el.disabled = disabled;
+    el.addEventListener('click', action);
+    return el;
+  }
+
+  // The selected rectangle of slots, or null
+  function selectedArea() {
+    if (!selection) return null;
+    const { start, end } = selection;
+    return {
+      top: Math.min(start.row, end.row),
+      left: Math.min(start.col, end.col),
+      bottom: Math.max(start.row, end.row),
+      right: Math.max(start.col, end.col),
+    };
+  }
+
+  // Mark the selected cells and enable the actions that work on them
+  function showSelection() {
+    const area = selectedArea();
+    for (const el of container.querySelectorAll('.editor-cell')) {
+      const r = Number(el.dataset.row);
+      const c = Number(el.dataset.col);
+      el.classList.toggle('editor-selected', !!area && r >= area.top && r <= area.bottom && c >= area.left && c <= area.right);
+    }
+    const anchor = selection && table.rows[selection.start.row].cells[selection.start.col];
+    mergeButton.disabled = !area || (area.top === area.bottom && area.left === area.right);
+    splitButton.disabled = !anchor || (anchor.colspan === 1 && anchor.rowspan === 1);
+  }
+
+  function select(r, c, extend) {
+    const slot = { row: r, col: c };
+    selection = extend && selection ? { ...selection, end: slot } : { start: slot, end: slot };
+    showSelection();
+  }
+
+  function mergeSelection() {
+    const area = selectedArea();
+    edit(mergeCells(table, area.top, area.left, area.bottom, area.right));
+  }
+
+  function splitSelection() {
+    const { row, col } = selection.start;
+    edit(splitCell(table, row, col));
+  }
+
+  function filter(query) {
+    const needle = query.trim().toLowerCase();
+    if (needle) edit(filterRows(table, (texts) => texts.some((text) => text.toLowerCase().includes(needle))));
+  }
+
+  function focusCell(r, c) {
+    const el = container.querySelector(`[data-row="${r}"][data-col="${c}"]`);
+    if (el) el.focus();
+  }
+
+  function startEditing(cellEl) {
+    const r = Number(cellEl.dataset.row);
+    const c = Number(cellEl.dataset.col);
+    const source = cellSource(table.rows[r].cells[c]);
+
+    const input = doc.createElement('textarea');
+    input.className = 'cell-input';
+    input.value = source;
+    input.rows = Math.max(1, source.split('\n').length);
+    cellEl.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      if (save && input.value !== source) {
+        edit(setCellParagraphs(table, r, c, parseCellMarkdown(input.value.split('\n').join('<br>'))));
+      } else {
+        render();
+      }
+      focusCell(r, c);
+    };
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  function columnHandle(c) {
+    const th = doc.createElement('th');
+    th.className = 'column-handle';
+    const align = doc.createElement('select');
+    align.className = 'editor-align';
+    align.title = 'Column alignment';
+    for (const [value, label] of ALIGNMENTS) {
+      align.add(new Option(label, value, false, (table.alignments[c] || 'left') === value));
+    }
+    align.addEventListener('change', () => edit(setColumnAlignment(table, c, align.value)));
+    const count = table.alignments.length;
+    th.append(
+      align,
+      button('←', 'Move column left', () => edit(moveColumn(table, c, c - 1)), c === 0),
+      button('→', 'Move column right', () => edit(moveColumn(table, c, c + 1)), c === count - 1),
+      button('+', 'Insert a column to the right', () => edit(insertColumn(table, c + 1))),
+      button('×', 'Delete column', () => edit(deleteColumn(table, c)), count === 1),
+      button('▲', 'Sort rows by this column, ascending', () => edit(sortRows(table, c))),
+      button('▼', 'Sort rows by this column, descending', () => edit(sortRows(table, c, { descending: true }))),
+    );
+    return th;
+  }
+
+  function rowHandle(r) {
+    const th = doc.createElement('th');
+    th.className = 'row-handle';
+    const count = table.rows.length;
+    th.append(
+      button('↑', 'Move row up', () => edit(moveRow(table, r, r - 1)), r === 0),
+      button('↓', 'Move row down', () => edit(moveRow(table, r, r + 1)), r === count - 1),
+      button('+', 'Insert a row below', () => edit(insertRow(table, r + 1))),
+      button('×', 'Delete row', () => edit(deleteRow(table, r)), count === 1),
+    );
+    return th;
+  }
+
+  function render() {
+    container.replaceChildren();
+    if (!table) return;
+
+    const toolbar = doc.createElement('div');
+    toolbar.className = 'editor-toolbar';
+    const hint = doc.createElement('span');
+    hint.className = 'editor-hint';
+    hint.textContent = 'Double-click a cell to edit it.';
+    mergeButton = button('Merge', 'Merge the selected cells (Shift+click to select)', mergeSelection);
+    splitButton = button('Split', 'Split the selected merged cell', splitSelection);
+    const query = doc.createElement('input');
+    query.type = 'search';
+    query.className = 'editor-filter';
+    query.placeholder = 'Keep rows containing…';
+    query.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') filter(query.value);
+    });
+    toolbar.append(
+      button('Undo', 'Undo (Ctrl+Z)', () => restore(undoStack, redoStack), undoStack.length === 0),
+      button('Redo', 'Redo (Ctrl+Shift+Z)', () => restore(redoStack, undoStack), redoStack.length === 0),
+      mergeButton,
+      splitButton,
+      button('Transpose', 'Swap rows and columns', () => edit(transposeTable(table))),
+      button('Dedupe', 'Remove duplicate rows', () => edit(dedupeRows(table))),
+      query,
+      button('Filter', 'Keep only the header rows and the rows containing the text', () => filter(query.value)),
+      hint,
+    );
+
+    const tableEl = doc.createElement('table');
+    tableEl.className = 'table-editor';
+    if (tableCss) tableEl.style.cssText = tableCss();
+    const handles = tableEl.insertRow();
+    handles.append(doc.createElement('th'));
+    table.alignments.forEach((_, c) => handles.append(columnHandle(c)));
+
+    const owners = getMergeOwners(table);
+    table.rows.forEach((row, r) => {
+      const tr = tableEl.insertRow();
+      tr.className = row.isHeader ? 'editor-header-row' : '';
+      tr.append(rowHandle(r));
+      row.cells.forEach((cell, c) => {
+        if (owners[r][c].row !== r || owners[r][c].col !== c) return;
+        const isHeader = row.isHeader || (table.rowHeaders && c === 0);
+        const el = doc.createElement(isHeader ? 'th' : 'td');
+        el.className = 'editor-cell';
+        el.dataset.row = String(r);
+        el.dataset.col = String(c);
+        el.tabIndex = 0;
+        if (cell.colspan > 1) el.colSpan = cell.colspan;
+        if (cell.rowspan > 1) el.rowSpan = cell.rowspan;
+        if (cellCss) el.style.cssText = cellCss(table, r, c);
+        else el.style.textAlign = getCellAlignment(table, r, c);
+        el.innerHTML = paragraphsToHtml(getCellParagraphs(cell));
+        tr.append(el);
+      });
+    });
+
+    container.append(toolbar, tableEl);
+    showSelection();
+  }
+
+  container.addEventListener('dblclick', (e) => {
+    const cellEl = e.target.closest('.editor-cell');
+    if (cellEl && container.contains(cellEl) && !cellEl.querySelector('.cell-input')) startEditing(cellEl);
+  });
+
+  container.addEventListener('click', (e) => {
+    const cellEl = e.target.closest('.editor-cell');
+    if (cellEl && container.contains(cellEl) && !cellEl.querySelector('.cell-input')) {
+      select(Number(cellEl.dataset.row), Number(cellEl.dataset.col), e.shiftKey);
+    }
+  });
+
+  container.addEventListener('keydown', (e) => {
+    if (e.target.closest('select, textarea, input')) return;
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) restore(redoStack, undoStack);
+      else restore(undoStack, redoStack);
+    } else if ((e.key === 'Enter' || e.key === 'F2') && e.target.classList.contains('editor-cell')) {
+      e.preventDefault();
+      startEditing(e.target);
+    }
+  });
+
+  return {
+    setTable,
+    getTable: () => table,
+    refresh: render,
+    undo: () => restore(undoStack, redoStack),
+    redo: () => restore(redoStack, undoStack),
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+  };
+}
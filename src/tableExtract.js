@@ -0,0 +1,143 @@
+import { parseMarkdownTable } from './markdownToHtml.js';
+import { isMetadataComment } from './tableMetadata.js';
+
+/**
+ * Lenient extraction of Markdown tables from whole LLM responses: prose,
+ * headings and code fences around the tables are skipped, rows may leave out
+ * the outer pipes, separator cells may use a single dash or typographic
+ * dashes, and pipes inside code spans don't split cells. Each table found is
+ * rewritten as a canonical GFM table, together with the round-trip metadata
+ * comment that follows it (blank lines apart), and parsed with
+ * parseMarkdownTable.
+ */
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})/;
+const SEPARATOR_CELL_RE = /^:?[-–—]+:?$/;
+
+/**
+ * Split a row into cell sources on unescaped pipes outside code spans,
+ * dropping the optional outer pipes. Pipes inside code spans are escaped in
+ * the returned sources, as GFM requires. Returns [{ source, column }], where
+ * `column` is the 0-based offset of the source in `line`, or null for a line
+ * without any cell-separating pipe.
+ */
+export function locateCells(line) {
+  const cells = [];
+  let cell = '';
+  let cellStart = 0;
+  let pipes = 0;
+  let i = 0;
+  const endCell = () => {
+    const source = cell.trim();
+    cells.push({ source, column: cellStart + cell.length - cell.trimStart().length });
+  };
+  while (i < line.length) {
+    const c = line[i];
+    if (c === '\\') {
+      cell += line.slice(i, i + 2);
+      i += 2;
+    } else if (c === '`') {
+      let n = 0;
+      while (line[i + n] === '`') n++;
+      const fence = '`'.repeat(n);
+      let end = line.indexOf(fence, i + n);
+      while (end !== -1 && line[end + n] === '`') end = line.indexOf(fence, end + n + 1);
+      if (end === -1) {
+        cell += fence;
+        i += n;
+      } else {
+        cell += fence + line.slice(i + n, end).replace(/(?<!\\)\|/g, '\\|') + fence;
+        i = end + n;
+      }
+    } else if (c === '|') {
+      endCell();
+      cell = '';
+      pipes++;
+      i++;
+      cellStart = i;
+    } else {
+      cell += c;
+      i++;
+    }
+  }
+  endCell();
+  if (pipes === 0) return null;
+
+  if (!cells[0].source) cells.shift();
+  if (cells.length > 1 && !cells[cells.length - 1].source) cells.pop();
+  return cells;
+}
+
+/**
+ * Split a row into cell sources (see locateCells), or null for a line without
+ * any cell-separating pipe.
+ */
+export function splitRow(line) {
+  const cells = locateCells(line);
+  return cells && cells.map((cell) => cell.source);
+}
+
+function isSeparator(cells) {
+  return cells !== null && cells.length > 0 && cells.every((cell) => SEPARATOR_CELL_RE.test(cell));
+}
+
+// Dashes are kept in number (at least three), since their lengths can
+// carry column widths
+function separatorCell(cell) {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  const dashes = cell.replace(/:/g, '').length;
+  return `${left ? ':' : ''}${'-'.repeat(Math.max(3, dashes))}${right ? ':' : ''}`;
+}
+
+function toMarkdownRow(cells) {
+  return `| ${cells.join(' | ')} |`;
+}
+
+/**
+ * Find the Markdown tables in `text`. Returns, in order,
+ * [{ table, markdown, startLine, separatorLine, endLine }] where `markdown` is
+ * the table in canonical GFM form and the lines are 0-based and inclusive.
+ * Options are passed to parseMarkdownTable.
+ */
+export function extractMarkdownTables(text, options = {}) {
+  const lines = text.split(/\r?\n/);
+  // Rows per line; fence lines and blank lines are boundaries (null)
+  const rows = lines.map((line) => (FENCE_RE.test(line) || !line.trim() ? null : splitRow(line.trim())));
+
+  const found = [];
+  let floor = 0; // lines above this belong to an earlier table
+  for (let sep = 1; sep < lines.length; sep++) {
+    if (!isSeparator(rows[sep]) || !rows[sep - 1] || sep - 1 < floor || isSeparator(rows[sep - 1])) continue;
+    const width = rows[sep].length;
+
+    // Header: the row above the separator, plus rows above it of the same
+    // width (multi-row headers)
+    let start = sep - 1;
+    while (start - 1 >= floor && rows[start - 1] && rows[start - 1].length === width && !isSeparator(rows[start - 1])) {
+      start--;
+    }
+
+    // Body: rows up to a blank line, fence, prose line or another separator
+    let end = sep;
+    while (end + 1 < lines.length && rows[end + 1] && !isSeparator(rows[end + 1])) end++;
+    // A header row directly below belongs to the next table
+    if (end > sep && end + 1 < lines.length && isSeparator(rows[end + 1])) end--;
+
+    let next = end + 1;
+    while (next < lines.length && !lines[next].trim()) next++;
+    const comment = next < lines.length && isMetadataComment(lines[next]) ? [lines[next].trim()] : [];
+
+    const markdown = [
+      ...rows.slice(start, sep).map(toMarkdownRow),
+      toMarkdownRow(rows[sep].map(separatorCell)),
+      ...rows.slice(sep + 1, end + 1).map(toMarkdownRow),
+      ...comment,
+    ].join('\n');
+    const table = parseMarkdownTable(markdown, options);
+    if (table) found.push({ table, markdown, startLine: start, separatorLine: sep, endLine: end });
+    floor = end + 1;
+    sep = end;
+  }
+  return found;
+}
@@ -0,0 +1,176 @@
+import { mergeCells } from './tableModel.js';
+import { getColumnTypes } from './columnTypes.js';
+import { crc32 } from './zip.js';
+
+/**
+ * Round-trip metadata: what Markdown can't carry about a table (the
+ * application it came from, its captured styling, merges, column widths and
+ * column types) plus an ID naming the original table, written after the
+ * table as a single-line HTML comment that LLMs pass through untouched:
+ *
+ *   <!-- word-md-table v1 <id> <checksum> <payload> -->
+ *
+ * The payload is the metadata as base64url-encoded JSON, and the checksum the
+ * CRC-32 (in hex) of the version, ID and payload, so a comment that was
+ * edited or cut short is recognised and ignored.
+ *
+ * Metadata: {
+ *   id, source,        the source application's id (see sourceAdapters.js) or null
+ *   style,             captured styling (see tableStyle.js) or null
+ *   rows, columns,     the size of the original table
+ *   merges,            [{ row, col, rowspan, colspan }]
+ *   columnWidths,      in points, or null
+ *   columnTypes,       see columnTypes.js
+ * }
+ *
+ * Parsed tables carry what was read in `roundTrip`: { status, metadata },
+ * where status is 'ok', 'tampered' or 'unsupported' (a newer version) and
+ * `metadata` is only set when it is 'ok'.
+ */
+
+export const METADATA_VERSION = 1;
+
+const COMMENT_RE = /^<!--\s*word-md-table\b(.*?)-->$/;
+const BODY_RE = /^\s+v(\d+) ([\w-]+) ([0-9a-f]{8}) ([\w-]+)\s*$/;
+
+export const METADATA_MISSING_WARNING =
+  'The table has no round-trip metadata comment, so its original styling, merges and column widths could not be restored.';
+export const METADATA_TAMPERED_WARNING =
+  'The round-trip metadata comment was changed or cut short, so it was ignored and the original styling, merges and column widths were not restored.';
+
+/**
+ * A new random table ID, e.g. "t-k3x9q2mf".
+ */
+export function createTableId() {
+  return `t-${Math.random().toString(36).slice(2, 10).padEnd(8, '0')}`;
+}
+
+function toBase64Url(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(payload) {
+  const binary = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+function checksum(version, id, payload) {
+  return crc32(new TextEncoder().encode(`v${version} ${id} ${payload}`)).toString(16).padStart(8, '0');
+}
+
+/**
+ * Collect the metadata of `table`. `id`, `source` and `style` are taken from
+ * the extras; a missing ID is generated.
+ */
+export function collectMetadata(table, { id = createTableId(), source = null, style = null } = {}) {
+  const merges = [];
+  table.rows.forEach((row, r) => {
+    row.cells.forEach((cell, c) => {
+      if (!cell.covered && (cell.colspan > 1 || cell.rowspan > 1)) {
+        merges.push({ row: r, col: c, rowspan: cell.rowspan, colspan: cell.colspan });
+      }
+    });
+  });
+  return {
+    id,
+    source,
+    style,
+    rows: table.rows.length,
+    columns: table.alignments.length,
+    merges,
+    columnWidths: table.columnWidths || null,
+    columnTypes: getColumnTypes(table),
+  };
+}
+
+/**
+ * Write metadata as the comment line described above.
+ */
+export function writeMetadataComment(metadata) {
+  const { id, ...rest } = metadata;
+  const payload = toBase64Url(JSON.stringify(rest));
+  return `<!-- word-md-table v${METADATA_VERSION} ${id} ${checksum(METADATA_VERSION, id, payload)} ${payload} -->`;
+}
+
+/**
+ * Whether a line is a metadata comment, intact or not.
+ */
+export function isMetadataComment(line) {
+  return COMMENT_RE.test(line.trim());
+}
+
+/**
+ * Read and verify a metadata comment line. Returns a roundTrip object (see
+ * above), or null when the line isn't a metadata comment.
+ */
+export function readMetadataComment(line) {
+  const comment = line.trim().match(COMMENT_RE);
+  if (!comment) return null;
+  const match = comment[1].match(BODY_RE);
+  if (!match) return { status: 'tampered', metadata: null };
+  const [, version, id, sum, payload] = match;
+  if (Number(version) > METADATA_VERSION) return { status: 'unsupported', metadata: null };
+  if (checksum(version, id, payload) !== sum) return { status: 'tampered', metadata: null };
+  try {
+    return { status: 'ok', metadata: { id, ...JSON.parse(fromBase64Url(payload)) } };
+  } catch {
+    return { status: 'tampered', metadata: null };
+  }
+}
+
+/**
+ * The warning for a table whose metadata is missing or can't be used, or
+ * none. Tables are only expected to carry metadata when the user asked for
+ * it, so callers check for that first.
+ */
+export function metadataWarnings(table) {
+  const { roundTrip } = table;
+  if (!roundTrip) return [METADATA_MISSING_WARNING];
+  if (roundTrip.status === 'tampered') return [METADATA_TAMPERED_WARNING];
+  if (roundTrip.status === 'unsupported') {
+    return ['The round-trip metadata comment was written by a newer version of this tool and was ignored.'];
+  }
+  return [];
+}
+
+// Whether a merge can be put back: its slots are all separate cells and all
+// but the first empty, as tableModelToMarkdown leaves an expanded merge
+function canRestoreMerge(table, { row, col, rowspan, colspan }) {
+  for (let r = row; r < row + rowspan; r++) {
+    for (let c = col; c < col + colspan; c++) {
+      const cell = table.rows[r] && table.rows[r].cells[c];
+      if (!cell || cell.covered || cell.colspan > 1 || cell.rowspan > 1) return false;
+      if ((r !== row || c !== col) && cell.content.trim()) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Put back what a table's round-trip metadata holds and the table lost:
+ * merges that were expanded (when the table still has the original's rows
+ * and columns), column widths and column types (when it still has the
+ * original's columns). Returns a new table, or the table itself when it has
+ * no usable metadata.
+ */
+export function restoreFromMetadata(table) {
+  const { roundTrip } = table;
+  if (!roundTrip || roundTrip.status !== 'ok') return table;
+  const { metadata } = roundTrip;
+  if (metadata.columns !== table.alignments.length) return table;
+
+  let restored = table;
+  if (metadata.rows === table.rows.length) {
+    for (const merge of metadata.merges) {
+      if (canRestoreMerge(restored, merge)) {
+        restored = mergeCells(restored, merge.row, merge.col, merge.row + merge.rowspan - 1, merge.col + merge.colspan - 1);
+      }
+    }
+  }
+  restored = { ...restored, roundTrip };
+  if (!restored.columnWidths && metadata.columnWidths) restored.columnWidths = [...metadata.columnWidths];
+  if (!restored.columnTypes && metadata.columnTypes) restored.columnTypes = [...metadata.columnTypes];
+  return restored;
+}
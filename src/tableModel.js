@@ -1,32 +1,131 @@
+import { dateOrder, decimalSeparator, isDate, parseDate, parseNumberFormat } from './cellValues.js';
+
 /**
  * Intermediate table representation used by both conversion directions.
  *
  * Structure:
- *   { alignments: string[], rows: Row[] }
+ *   { alignments: string[], rows: Row[], rowHeaders: boolean,
+ *     columnWidths?: number[], columnTypes?: string[], roundTrip?: object }
  *   Row: { isHeader: boolean, cells: Cell[] }
- *   Cell: { content: string, colspan: number, rowspan: number }
+ *   Cell: { content: string, colspan: number, rowspan: number,
+ *           paragraphs: Paragraph[], covered: boolean,
+ *           align?: 'left'|'center'|'right', valign?: 'top'|'middle'|'bottom' }
+ *   Paragraph: { runs: Run[], list: { ordered: boolean, level: number }|null }
+ *   Run: { text: string, bold: boolean, italic: boolean, code: boolean,
+ *          strike: boolean, href: string|null }
+ *
+ * `content` is always the plain text of the cell, with paragraphs separated by
+ * '\n'. `paragraphs` holds the same text split into paragraphs (Word <p>
+ * elements or <br> line breaks) and spans of inline formatting; cells built by
+ * hand may omit it. A paragraph with `list` set is a list item; `level` is
+ * its nesting depth, starting at 0.
+ *
+ * Header rows come first; a table may have none. `rowHeaders` means the first
+ * cell of each body row is the header of its row; hand-built tables may omit
+ * it. `columnWidths`, when the widths are known, holds the width of each
+ * column in points; tables without it are laid out to fit their content.
+ * `columnTypes` and `roundTrip` come from the round-trip metadata a parsed
+ * Markdown table carried (see tableMetadata.js).
+ *
+ * `alignments` holds each column's horizontal alignment. A cell's `align`
+ * overrides its column's, and `valign` sets its vertical alignment; cells
+ * without them follow the column and sit at the top.
+ *
+ * Every row holds exactly one cell per grid column. A merged region is stored
+ * as its top-left (anchor) cell carrying colspan/rowspan, plus a placeholder
+ * cell with `covered: true` in every other slot the merge covers. This keeps
+ * "covered by a span" distinct from "genuinely empty".
  */
 
-export function createCell(content = '', colspan = 1, rowspan = 1) {
-  return { content, colspan, rowspan };
+// Markdown markers for slots covered by a merge: merged into the cell to the
+// left, or into the cell above.
+export const MERGE_LEFT_MARKER = '<<';
+export const MERGE_UP_MARKER = '^^';
+
+// Markdown attribute block at the end of a cell giving the cell's own
+// alignment, e.g. "{align=right valign=bottom}"
+const ALIGNMENT_BLOCK_RE = /\s*(?<!\\)\{((?:\s*v?align=[a-z]+)+)\s*\}$/;
+
+export const HORIZONTAL_ALIGNMENTS = ['left', 'center', 'right'];
+export const VERTICAL_ALIGNMENTS = ['top', 'middle', 'bottom'];
+
+// Text width of a Letter/A4 page with 1" margins, in points: what relative
+// column widths are fractions of.
+export const TEXT_WIDTH_POINTS = 468;
+
+export function createRun(text, marks = {}) {
+  return {
+    text,
+    bold: !!marks.bold,
+    italic: !!marks.italic,
+    code: !!marks.code,
+    strike: !!marks.strike,
+    href: marks.href || null,
+  };
+}
+
+export function createParagraph(runs = [], list = null) {
+  return { runs, list };
+}
+
+/**
+ * Split plain text into unformatted paragraphs, one per line.
+ */
+function textToParagraphs(text) {
+  if (!text) return [];
+  return text.split('\n').map((line) => createParagraph(line ? [createRun(line)] : []));
+}
+
+export function createCell(content = '', colspan = 1, rowspan = 1, paragraphs = null) {
+  return {
+    content,
+    colspan,
+    rowspan,
+    paragraphs: paragraphs || textToParagraphs(content),
+    covered: false,
+  };
+}
+
+/**
+ * Placeholder for a grid slot covered by another cell's colspan/rowspan.
+ */
+export function createCoveredCell() {
+  return { ...createCell(''), covered: true };
+}
+
+export function createCellFromParagraphs(paragraphs, colspan = 1, rowspan = 1) {
+  return createCell(paragraphsToText(paragraphs), colspan, rowspan, paragraphs);
+}
+
+export function runsToText(runs) {
+  return runs.map((run) => run.text).join('');
+}
+
+export function paragraphsToText(paragraphs) {
+  return paragraphs.map((paragraph) => runsToText(paragraph.runs)).join('\n');
+}
+
+/**
+ * Get the paragraphs of a cell, falling back to plain paragraphs built from
+ * `content` for cells that don't carry them.
+ */
+export function getCellParagraphs(cell) {
+  if (cell.paragraphs) return cell.paragraphs;
+  return textToParagraphs(cell.content);
 }
 
 export function createRow(cells = [], isHeader = false) {
   return { isHeader, cells };
 }
 
-export function createTable(rows = [], alignments = []) {
-  return { alignments, rows };
+export function createTable(rows = [], alignments = [], rowHeaders = false) {
+  return { alignments, rows, rowHeaders };
 }
 
 export function getColumnCount(table) {
   let max = 0;
   for (const row of table.rows) {
-    let count = 0;
-    for (const cell of row.cells) {
-      count += cell.colspan;
-    }
-    if (count > max) max = count;
+    if (row.cells.length > max) max = row.cells.length;
   }
   return max;
 }
@@ -34,25 +133,703 @@ export function getColumnCount(table) {
 /**
  * Normalize a table so every row has the same number of effective columns.
  * Short rows get padded with empty cells; alignments array gets padded with 'left'.
+ * Spans reaching past the edge of the grid are clamped, and column widths
+ * and types that don't match the columns are dropped.
  */
 export function normalizeTable(table) {
   const colCount = getColumnCount(table);
 
-  for (const row of table.rows) {
-    let currentCols = 0;
-    for (const cell of row.cells) {
-      currentCols += cell.colspan;
-    }
-    while (currentCols < colCount) {
+  table.rows.forEach((row, r) => {
+    while (row.cells.length < colCount) {
       row.cells.push(createCell());
-      currentCols++;
     }
-  }
+    row.cells.forEach((cell, c) => {
+      cell.colspan = Math.min(cell.colspan, colCount - c);
+      cell.rowspan = Math.min(cell.rowspan, table.rows.length - r);
+    });
+  });
 
   while (table.alignments.length < colCount) {
     table.alignments.push('left');
   }
   table.alignments = table.alignments.slice(0, colCount);
+  if (table.columnWidths && table.columnWidths.length !== colCount) delete table.columnWidths;
+  if (table.columnTypes && table.columnTypes.length !== colCount) delete table.columnTypes;
+
+  return table;
+}
+
+/**
+ * Resolve which cell owns each grid slot. Returns a grid (same shape as the
+ * table) of { row, col } positions pointing at the anchor of the merge that
+ * covers the slot, or at the slot itself for ordinary cells. Covered cells no
+ * merge reaches own themselves.
+ */
+export function getMergeOwners(table) {
+  const owners = table.rows.map((row) => row.cells.map(() => null));
+
+  table.rows.forEach((row, r) => {
+    row.cells.forEach((cell, c) => {
+      if (cell.covered) return;
+      const owner = { row: r, col: c };
+      owners[r][c] = owner;
+      for (let dr = 0; dr < cell.rowspan; dr++) {
+        for (let dc = 0; dc < cell.colspan; dc++) {
+          const target = table.rows[r + dr] && table.rows[r + dr].cells[c + dc];
+          if ((dr || dc) && target && target.covered && !owners[r + dr][c + dc]) {
+            owners[r + dr][c + dc] = owner;
+          }
+        }
+      }
+    });
+  });
+
+  owners.forEach((row, r) => {
+    row.forEach((owner, c) => {
+      if (!owner) row[c] = { row: r, col: c };
+    });
+  });
+  return owners;
+}
+
+// --- Alignment ---
+
+/**
+ * The horizontal alignment of the cell at row `r`, column `c`: its own, or
+ * else its column's.
+ */
+export function getCellAlignment(table, r, c) {
+  return table.rows[r].cells[c].align || table.alignments[c] || 'left';
+}
+
+/**
+ * Set each column's alignment to the one most of its body cells were read
+ * with (`align`), or its header cells' when it has no body cells; a tie goes
+ * to the header's alignment, then to the first in HORIZONTAL_ALIGNMENTS. A
+ * cell read without an alignment is left-aligned, unless no body cell of its
+ * column has one: then the alignment is taken to be set on the header, and
+ * such cells follow it. Empty, covered and multi-column cells don't vote.
+ * Afterwards a cell keeps `align` only where it differs from its column's
+ * and `valign` only where it isn't 'top'. Modifies the table in place and
+ * returns it.
+ */
+export function voteColumnAlignments(table) {
+  const voters = (c, isHeader) =>
+    table.rows
+      .filter((row) => row.isHeader === isHeader)
+      .map((row) => row.cells[c])
+      .filter((cell) => cell && !cell.covered && cell.colspan === 1 && cell.content.trim());
+
+  // The alignment of each column's cells that weren't given one
+  const implicit = table.alignments.map((_, c) => {
+    if (voters(c, false).some((cell) => cell.align)) return 'left';
+    const aligned = voters(c, true).find((cell) => cell.align);
+    return aligned ? aligned.align : 'left';
+  });
+
+  table.alignments = table.alignments.map((_, c) => {
+    const header = voters(c, true);
+    const body = voters(c, false);
+    const counts = new Map();
+    for (const cell of body.length > 0 ? body : header) {
+      const align = cell.align || implicit[c];
+      counts.set(align, (counts.get(align) || 0) + 1);
+    }
+    const most = Math.max(...counts.values());
+    const tied = HORIZONTAL_ALIGNMENTS.filter((align) => counts.get(align) === most);
+    const headerAlign = header.length > 0 ? header[0].align || implicit[c] : null;
+    if (tied.includes(headerAlign)) return headerAlign;
+    return tied[0] || 'left';
+  });
+
+  table.rows.forEach((row) => {
+    row.cells.forEach((cell, c) => {
+      const visible = !cell.covered && cell.content.trim();
+      const align = cell.align || implicit[c];
+      if (visible && align !== table.alignments[c]) cell.align = align;
+      else delete cell.align;
+      if (!visible || cell.valign === 'top') delete cell.valign;
+    });
+  });
+  return table;
+}
+
+/**
+ * Split a cell's Markdown source into the text and the alignment given by a
+ * trailing attribute block such as "{align=right valign=bottom}". Returns
+ * { source, align, valign }; a block with unknown keys or values is left in
+ * the text.
+ */
+export function splitAlignmentBlock(source) {
+  const none = { source, align: null, valign: null };
+  const match = source.match(ALIGNMENT_BLOCK_RE);
+  if (!match) return none;
+  const result = { source: source.slice(0, match.index), align: null, valign: null };
+  for (const pair of match[1].trim().split(/\s+/)) {
+    const [key, value] = pair.split('=');
+    const allowed = key === 'align' ? HORIZONTAL_ALIGNMENTS : VERTICAL_ALIGNMENTS;
+    if (!allowed.includes(value) || result[key]) return none;
+    result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * The attribute block splitAlignmentBlock reads for a cell's own alignment,
+ * or '' when it has none.
+ */
+export function alignmentBlock(cell) {
+  const attributes = [];
+  if (cell.align) attributes.push(`align=${cell.align}`);
+  if (cell.valign) attributes.push(`valign=${cell.valign}`);
+  return attributes.length > 0 ? `{${attributes.join(' ')}}` : '';
+}
+
+/**
+ * Whether Markdown for a cell's text ends in something splitAlignmentBlock
+ * would read as an attribute block, and so needs escaping.
+ */
+export function endsWithAlignmentBlock(source) {
+  return splitAlignmentBlock(source).source !== source;
+}
+
+/**
+ * Check whether every run with visible text in the paragraphs is bold (and
+ * there is at least one).
+ */
+export function isAllBold(paragraphs) {
+  const visible = paragraphs.flatMap((p) => p.runs).filter((run) => run.text.trim());
+  return visible.length > 0 && visible.every((run) => run.bold);
+}
+
+export function setBold(paragraphs, bold) {
+  return paragraphs.map((p) => ({ ...p, runs: p.runs.map((run) => ({ ...run, bold })) }));
+}
+
+/**
+ * Check whether every cell with text in the row is all bold (and there is
+ * one): a header row that wasn't marked as such.
+ */
+export function isBoldRow(row) {
+  const cells = row.cells.filter((cell) => !cell.covered && cell.content.trim());
+  return cells.length > 0 && cells.every((cell) => isAllBold(getCellParagraphs(cell)));
+}
+
+// Drop bold that covers a whole header cell: header cells are rendered bold
+// anyway
+function stripCellBold(cell) {
+  const paragraphs = getCellParagraphs(cell);
+  if (isAllBold(paragraphs)) cell.paragraphs = setBold(paragraphs, false);
+}
+
+// The first cells of the body rows, skipping slots covered by a merge
+function rowHeaderCells(table) {
+  return table.rows
+    .filter((row) => !row.isHeader && row.cells.length > 0 && !row.cells[0].covered)
+    .map((row) => row.cells[0]);
+}
+
+/**
+ * Make the first `count` rows header rows and the rest body rows. Bold that
+ * covers a whole header cell is dropped.
+ */
+export function markHeaderRows(table, count) {
+  table.rows.forEach((row, r) => {
+    row.isHeader = r < count;
+    if (row.isHeader) row.cells.filter((cell) => !cell.covered).forEach(stripCellBold);
+  });
+  return table;
+}
+
+/**
+ * Make the first cell of each body row a row header. Bold that covers a
+ * whole row header cell is dropped.
+ */
+export function markRowHeaders(table) {
+  table.rowHeaders = true;
+  rowHeaderCells(table).forEach(stripCellBold);
+  return table;
+}
+
+/**
+ * Formats without a way to mark row headers write them in bold: when the
+ * first cell of every body row with text in it is all bold, and there are at
+ * least two, they become row headers.
+ */
+export function detectBoldRowHeaders(table) {
+  const cells = rowHeaderCells(table).filter((cell) => cell.content.trim());
+  if (cells.length >= 2 && cells.every((cell) => isAllBold(getCellParagraphs(cell)))) markRowHeaders(table);
+  return table;
+}
+
+/**
+ * Return a copy of the table with its row header cells in bold, for formats
+ * without a way to mark row headers (the reverse of detectBoldRowHeaders), or
+ * the table itself when it has none.
+ */
+export function emboldenRowHeaders(table) {
+  if (!table.rowHeaders) return table;
+  const headers = new Set(rowHeaderCells(table));
+  return {
+    ...table,
+    rows: table.rows.map((row) => ({
+      ...row,
+      cells: row.cells.map((cell) =>
+        headers.has(cell)
+          ? { ...cell, paragraphs: setBold(getCellParagraphs(cell), true) }
+          : cell,
+      ),
+    })),
+  };
+}
+
+/**
+ * Apply the header rows and row headers a reader detected, overridden by
+ * the headerRows option ('auto', or a number of rows, 0 for none) and the
+ * rowHeaders option ('auto' or a boolean); missing options count as 'auto'.
+ * `detected` is { headerRows, rowHeaders }, where rowHeaders null means the
+ * reader has no signal either way and bold first cells decide.
+ */
+export function applyHeaders(table, detected, options = {}) {
+  const headerRows = options.headerRows ?? 'auto';
+  const rowHeaders = options.rowHeaders ?? 'auto';
+  markHeaderRows(table, headerRows === 'auto' ? detected.headerRows : headerRows);
+  const resolved = rowHeaders === 'auto' ? detected.rowHeaders : rowHeaders;
+  if (resolved) markRowHeaders(table);
+  else if (resolved === null) detectBoldRowHeaders(table);
+  else table.rowHeaders = false;
+  return table;
+}
+
+/**
+ * Apply the headerRows / rowHeaders options (see applyHeaders) to a table
+ * read from a format that marks its headers itself, such as Markdown. With
+ * both options 'auto' the table is left as it is.
+ */
+export function overrideHeaders(table, options = {}) {
+  const { headerRows = 'auto', rowHeaders = 'auto' } = options;
+  if (headerRows === 'auto' && rowHeaders === 'auto') return table;
+  const count = table.rows.findIndex((row) => !row.isHeader);
+  return applyHeaders(table, { headerRows: count === -1 ? table.rows.length : count, rowHeaders: !!table.rowHeaders }, options);
+}
+
+/**
+ * Check whether any cell in the table spans more than one slot.
+ */
+export function hasMergedCells(table) {
+  return table.rows.some((row) => row.cells.some((cell) => cell.colspan > 1 || cell.rowspan > 1));
+}
+
+/**
+ * Make merge information consistent after cells have been moved between
+ * tables or positions: an anchor whose span reaches a slot that isn't a free
+ * covered placeholder loses its span, and covered placeholders that no anchor
+ * reaches become empty cells.
+ */
+export function repairMerges(table) {
+  const claimed = table.rows.map((row) => row.cells.map(() => false));
 
+  table.rows.forEach((row, r) => {
+    row.cells.forEach((cell, c) => {
+      if (cell.covered || (cell.colspan === 1 && cell.rowspan === 1)) return;
+      const slots = [];
+      for (let dr = 0; dr < cell.rowspan; dr++) {
+        for (let dc = 0; dc < cell.colspan; dc++) {
+          if (dr || dc) slots.push([r + dr, c + dc]);
+        }
+      }
+      const free = slots.every(([sr, sc]) => {
+        const target = table.rows[sr] && table.rows[sr].cells[sc];
+        return target && target.covered && !claimed[sr][sc];
+      });
+      if (free) {
+        for (const [sr, sc] of slots) claimed[sr][sc] = true;
+      } else {
+        cell.colspan = 1;
+        cell.rowspan = 1;
+      }
+    });
+  });
+
+  table.rows.forEach((row, r) => {
+    row.cells.forEach((cell, c) => {
+      if (cell.covered && !claimed[r][c]) row.cells[c] = createCell();
+    });
+  });
   return table;
 }
+
+// --- Editing ---
+//
+// The editing functions return a new table and leave the one given alone.
+// They work on the table's slots: a grid holding, for every slot, the cell
+// that owns it (the anchor of the merge covering it, or its own cell).
+
+function toSlots(table) {
+  const owners = getMergeOwners(table);
+  return table.rows.map((row, r) =>
+    row.cells.map((cell, c) => {
+      const owner = table.rows[owners[r][c].row].cells[owners[r][c].col];
+      return owner.covered ? createCell() : owner;
+    }),
+  );
+}
+
+/**
+ * Rebuild a table from slots: every run of slots owned by the same cell
+ * becomes that cell with the matching colspan/rowspan. A merge whose slots
+ * no longer form a rectangle keeps its top-left part, and the slots left
+ * over become empty cells.
+ */
+function fromSlots(slots, headerFlags, table, changes = {}) {
+  const { alignments, rowHeaders, columnWidths } = { ...table, ...changes };
+  const cells = slots.map((row) => row.map(() => null));
+  const placed = new Set();
+
+  slots.forEach((row, r) => {
+    row.forEach((owner, c) => {
+      if (cells[r][c]) return;
+      if (placed.has(owner)) {
+        cells[r][c] = createCell();
+        return;
+      }
+      placed.add(owner);
+
+      let colspan = 1;
+      while (row[c + colspan] === owner && !cells[r][c + colspan]) colspan++;
+      const spansRow = (rr) => {
+        for (let dc = 0; dc < colspan; dc++) {
+          if (slots[rr][c + dc] !== owner || cells[rr][c + dc]) return false;
+        }
+        return true;
+      };
+      let rowspan = 1;
+      while (r + rowspan < slots.length && spansRow(r + rowspan)) rowspan++;
+
+      for (let dr = 0; dr < rowspan; dr++) {
+        for (let dc = 0; dc < colspan; dc++) {
+          cells[r + dr][c + dc] = dr || dc ? createCoveredCell() : { ...owner, colspan, rowspan };
+        }
+      }
+    });
+  });
+
+  const rows = cells.map((row, r) => createRow(row, headerFlags[r]));
+  const result = createTable(rows, [...alignments], !!rowHeaders);
+  if (columnWidths) result.columnWidths = [...columnWidths];
+  return result;
+}
+
+function headerFlags(table) {
+  return table.rows.map((row) => row.isHeader);
+}
+
+function headerCount(table) {
+  const count = table.rows.findIndex((row) => !row.isHeader);
+  return count === -1 ? table.rows.length : count;
+}
+
+// The cell for a slot inserted between two others: part of their merge if
+// they share one, else empty
+function insertedSlot(before, after) {
+  return before && before === after ? before : createCell();
+}
+
+/**
+ * Insert an empty row before row `index` (the row count appends one). It is
+ * a header row when the row it is inserted before is one, and it joins the
+ * merges that span across its position.
+ */
+export function insertRow(table, index) {
+  const slots = toSlots(table);
+  const width = getColumnCount(table);
+  const row = Array.from({ length: width }, (_, c) => insertedSlot(slots[index - 1]?.[c], slots[index]?.[c]));
+  slots.splice(index, 0, row);
+  const flags = headerFlags(table);
+  flags.splice(index, 0, !!table.rows[index]?.isHeader);
+  return fromSlots(slots, flags, table);
+}
+
+/**
+ * Delete row `index`. Merges that span it get one row shorter.
+ */
+export function deleteRow(table, index) {
+  const slots = toSlots(table);
+  slots.splice(index, 1);
+  const flags = headerFlags(table);
+  flags.splice(index, 1);
+  return fromSlots(slots, flags, table);
+}
+
+/**
+ * Move row `from` to position `to`. The number of header rows stays the
+ * same, so a row moved into the header rows becomes one. Merges the move
+ * cuts through are undone.
+ */
+export function moveRow(table, from, to) {
+  const slots = toSlots(table);
+  slots.splice(to, 0, ...slots.splice(from, 1));
+  const count = headerCount(table);
+  return fromSlots(slots, slots.map((_, r) => r < count), table);
+}
+
+/**
+ * Insert an empty column with the given alignment before column `index`
+ * (the column count appends one). It joins the merges that span across its
+ * position.
+ */
+export function insertColumn(table, index, alignment = 'left') {
+  const slots = toSlots(table).map((row) => {
+    const copy = [...row];
+    copy.splice(index, 0, insertedSlot(row[index - 1], row[index]));
+    return copy;
+  });
+  const alignments = [...table.alignments];
+  alignments.splice(index, 0, alignment);
+  let columnWidths = null;
+  if (table.columnWidths) {
+    columnWidths = [...table.columnWidths];
+    columnWidths.splice(index, 0, columnWidths.reduce((sum, w) => sum + w, 0) / columnWidths.length);
+  }
+  return fromSlots(slots, headerFlags(table), table, { alignments, columnWidths });
+}
+
+/**
+ * Delete column `index`. Merges that span it get one column narrower.
+ */
+export function deleteColumn(table, index) {
+  const slots = toSlots(table).map((row) => row.filter((_, c) => c !== index));
+  const alignments = table.alignments.filter((_, c) => c !== index);
+  const columnWidths = table.columnWidths && table.columnWidths.filter((_, c) => c !== index);
+  return fromSlots(slots, headerFlags(table), table, { alignments, columnWidths });
+}
+
+/**
+ * Move column `from` (with its alignment and width) to position `to`. Merges the move
+ * cuts through are undone.
+ */
+export function moveColumn(table, from, to) {
+  const move = (list) => {
+    const copy = [...list];
+    copy.splice(to, 0, ...copy.splice(from, 1));
+    return copy;
+  };
+  return fromSlots(toSlots(table).map(move), headerFlags(table), table, {
+    alignments: move(table.alignments),
+    columnWidths: table.columnWidths && move(table.columnWidths),
+  });
+}
+
+/**
+ * Set the alignment ('left', 'center' or 'right') of column `index`. Cells
+ * in the column lose their own horizontal alignment.
+ */
+export function setColumnAlignment(table, index, alignment) {
+  const alignments = [...table.alignments];
+  alignments[index] = alignment;
+  const rows = table.rows.map((row) => {
+    const cell = row.cells[index];
+    if (!cell || !cell.align) return row;
+    const { align, ...rest } = cell;
+    return { ...row, cells: row.cells.map((other, c) => (c === index ? rest : other)) };
+  });
+  return { ...table, alignments, rows };
+}
+
+/**
+ * Replace the paragraphs of the cell at row `r`, column `c`, or of the merge
+ * covering that slot.
+ */
+export function setCellParagraphs(table, r, c, paragraphs) {
+  const owner = getMergeOwners(table)[r][c];
+  return {
+    ...table,
+    rows: table.rows.map((row, rr) =>
+      rr !== owner.row
+        ? row
+        : {
+            ...row,
+            cells: row.cells.map((cell, cc) =>
+              cc !== owner.col ? cell : { ...cell, ...createCellFromParagraphs(paragraphs, cell.colspan, cell.rowspan) },
+            ),
+          },
+    ),
+  };
+}
+
+// --- Transformations ---
+
+/**
+ * Swap rows and columns. Header rows become row headers and row headers the
+ * header row; merges are turned on their side. Column alignments are reset
+ * to 'left'.
+ */
+export function transposeTable(table) {
+  const slots = toSlots(table);
+  const width = getColumnCount(table);
+  const transposed = Array.from({ length: width }, (_, c) => slots.map((row) => row[c]));
+  const flags = transposed.map((_, r) => r === 0 && !!table.rowHeaders);
+  return fromSlots(transposed, flags, table, {
+    alignments: Array(slots.length).fill('left'),
+    rowHeaders: headerCount(table) > 0,
+    columnWidths: null,
+  });
+}
+
+// How to compare the values of a column: as dates when they all read as
+// dates, as numbers when they all read as numbers, else as text
+function sortType(values) {
+  if (values.length === 0) return 'text';
+  if (values.every(isDate)) return 'date';
+  const decimal = decimalSeparator(values);
+  if (values.every((value) => parseNumberFormat(value, { decimal }))) return 'number';
+  return 'text';
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Numbers are read with the column's decimal separator and dates in its
+// date order (see cellValues.js)
+function sortKey(value, { type, decimal, order }) {
+  if (type === 'number') return parseNumberFormat(value, { decimal })?.value ?? NaN;
+  return parseDate(value, order);
+}
+
+// Values that don't read as the column's type (when the caller picked it)
+// sort after those that do
+function compareValues(a, b, reading) {
+  if (reading.type === 'text') return collator.compare(a, b);
+  const x = sortKey(a, reading);
+  const y = sortKey(b, reading);
+  if (Number.isNaN(x) || Number.isNaN(y)) return Number.isNaN(x) - Number.isNaN(y) || collator.compare(a, b);
+  return x - y;
+}
+
+/**
+ * Sort the body rows by the text in column `column`; header rows stay on
+ * top and empty cells sort last. Options:
+ *   descending — sort from largest to smallest.
+ *   type — 'number', 'date', 'text' or 'auto' (the default): dates when
+ *     every filled cell is one (ISO, numeric day first or month first, or
+ *     with a month name), numbers when every filled cell is one (in any
+ *     locale's format, with currency signs, % and negatives in parentheses
+ *     allowed), else text (with numbers inside it in numeric order).
+ * Equal rows keep their order. Merges across body rows are undone.
+ */
+export function sortRows(table, column, options = {}) {
+  const { descending = false } = options;
+  const slots = toSlots(table);
+  const count = headerCount(table);
+  const body = slots.slice(count).map((row) => ({ row, value: row[column].content.trim() }));
+  const values = body.map((entry) => entry.value).filter(Boolean);
+  const type = !options.type || options.type === 'auto' ? sortType(values) : options.type;
+  const reading = { type, decimal: decimalSeparator(values), order: dateOrder(values) };
+
+  body.sort((a, b) => {
+    if (!a.value || !b.value) return !a.value - !b.value;
+    const order = compareValues(a.value, b.value, reading);
+    return descending ? -order : order;
+  });
+  const sorted = [...slots.slice(0, count), ...body.map((entry) => entry.row)];
+  return fromSlots(sorted, headerFlags(table), table);
+}
+
+/**
+ * Keep the header rows and the body rows for which `predicate(texts, index)`
+ * is true, where `texts` is the plain text of each of the row's slots (a
+ * slot covered by a merge has the merge's text) and `index` the row's
+ * position in the table.
+ */
+export function filterRows(table, predicate) {
+  const slots = toSlots(table);
+  const keep = slots.map((row, r) => table.rows[r].isHeader || predicate(row.map((cell) => cell.content), r));
+  return fromSlots(
+    slots.filter((_, r) => keep[r]),
+    headerFlags(table).filter((_, r) => keep[r]),
+    table,
+  );
+}
+
+/**
+ * Remove body rows whose text (in the given columns, or all of them) is the
+ * same as an earlier body row's. Differences in case and surrounding spaces
+ * count as the same.
+ */
+export function dedupeRows(table, columns = null) {
+  const seen = new Set();
+  return filterRows(table, (texts) => {
+    const key = JSON.stringify(
+      (columns || texts.map((_, c) => c)).map((c) => (texts[c] || '').trim().toLowerCase()),
+    );
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// The cells owning the slots from (top, left) to (bottom, right)
+function areaOwners(slots, { top, left, bottom, right }) {
+  const owners = new Set();
+  for (let r = top; r <= bottom; r++) {
+    for (let c = left; c <= right; c++) owners.add(slots[r][c]);
+  }
+  return owners;
+}
+
+// Grow an area to take in every slot of the merges it overlaps
+function growArea(slots, area) {
+  const owners = areaOwners(slots, area);
+  const grown = { ...area };
+  slots.forEach((row, r) => {
+    row.forEach((owner, c) => {
+      if (!owners.has(owner)) return;
+      grown.top = Math.min(grown.top, r);
+      grown.left = Math.min(grown.left, c);
+      grown.bottom = Math.max(grown.bottom, r);
+      grown.right = Math.max(grown.right, c);
+    });
+  });
+  return grown;
+}
+
+/**
+ * Merge the rectangle of slots from (top, left) to (bottom, right),
+ * inclusive, into one cell. The rectangle grows to take in whole any merge
+ * it overlaps. The merged cell holds the paragraphs of every cell in it, in
+ * reading order.
+ */
+export function mergeCells(table, top, left, bottom, right) {
+  const slots = toSlots(table);
+  let area = { top, left, bottom, right };
+  for (let grown = growArea(slots, area); JSON.stringify(grown) !== JSON.stringify(area); grown = growArea(slots, area)) {
+    area = grown;
+  }
+
+  const paragraphs = [...areaOwners(slots, area)].flatMap((cell) =>
+    getCellParagraphs(cell).filter((p) => runsToText(p.runs).trim()),
+  );
+  const merged = createCellFromParagraphs(paragraphs);
+  for (let r = area.top; r <= area.bottom; r++) {
+    for (let c = area.left; c <= area.right; c++) slots[r][c] = merged;
+  }
+  return fromSlots(slots, headerFlags(table), table);
+}
+
+/**
+ * Undo the merge covering the slot at row `r`, column `c`: its top-left slot
+ * keeps the content and the others become empty cells.
+ */
+export function splitCell(table, r, c) {
+  const slots = toSlots(table);
+  const owner = slots[r][c];
+  let kept = false;
+  const split = slots.map((row) =>
+    row.map((cell) => {
+      if (cell !== owner) return cell;
+      if (kept) return createCell();
+      kept = true;
+      return cell;
+    }),
+  );
+  return fromSlots(split, headerFlags(table), table);
+}
@@ -0,0 +1,236 @@
+import { escapeHtml } from './inlineFormat.js';
+import { TEXT_WIDTH_POINTS } from './tableModel.js';
+
+/**
+ * Captures the look of a pasted Word table (cell shading, borders, padding,
+ * fonts and the header row's appearance) before sanitizeWordHtml strips it,
+ * so it can be re-applied by grid position when HTML is generated from the
+ * edited Markdown. Column widths are captured separately, into the table
+ * model (see captureColumnWidths).
+ *
+ * Structure:
+ *   { table: Declarations, rows: StyleRow[] }
+ *   StyleRow: { isHeader: boolean, cells: Declarations[] }  one per grid column
+ *   Declarations: { [cssProperty]: value }
+ */
+
+const DEFAULT_TABLE_DECLARATIONS = { 'border-collapse': 'collapse', border: '1px solid black' };
+const DEFAULT_CELL_DECLARATIONS = { border: '1px solid black', padding: '6px 12px' };
+
+// Word-only properties (mso-*) are never captured.
+const TABLE_PROPERTY_RE = /^(border|background)/;
+const CELL_PROPERTY_RE = /^(border(?!-collapse)|background|padding)/;
+const TEXT_PROPERTIES = ['font-family', 'font-size', 'color'];
+
+/**
+ * Parse an inline style attribute into a declarations object.
+ */
+export function parseStyleDeclarations(styleString) {
+  const declarations = {};
+  for (const part of (styleString || '').split(';')) {
+    const colon = part.indexOf(':');
+    if (colon === -1) continue;
+    const property = part.slice(0, colon).trim().toLowerCase();
+    const value = part.slice(colon + 1).trim();
+    if (property && value && !property.startsWith('mso-')) {
+      declarations[property] = value;
+    }
+  }
+  return declarations;
+}
+
+function pick(declarations, propertyRe) {
+  const picked = {};
+  for (const [property, value] of Object.entries(declarations)) {
+    if (propertyRe.test(property)) picked[property] = value;
+  }
+  return picked;
+}
+
+/**
+ * Font properties that apply to a cell's text: taken from the elements
+ * between the cell and its first piece of text, nearest element winning.
+ */
+function captureTextStyle(cellEl) {
+  const doc = cellEl.ownerDocument;
+  const walker = doc.createTreeWalker(cellEl, 4 /* NodeFilter.SHOW_TEXT */);
+  let textNode = walker.nextNode();
+  while (textNode && !textNode.textContent.trim()) textNode = walker.nextNode();
+  if (!textNode) return {};
+
+  const captured = {};
+  for (let el = textNode.parentElement; el; el = el.parentElement) {
+    const declarations = parseStyleDeclarations(el.getAttribute('style'));
+    for (const property of TEXT_PROPERTIES) {
+      if (declarations[property] && !captured[property]) {
+        captured[property] = declarations[property];
+      }
+    }
+    if (el === cellEl) break;
+  }
+  return captured;
+}
+
+/**
+ * Capture the styling of a raw (unsanitized) <table> element. Cells are
+ * placed on the same grid htmlTableToModel builds, so slots covered by a
+ * merge repeat the style of the cell that covers them.
+ */
+export function captureTableStyle(tableEl) {
+  const trElements = tableEl.querySelectorAll('tr');
+  const thead = tableEl.querySelector('thead');
+  const theadRows = new Set(thead ? thead.querySelectorAll('tr') : []);
+  const grid = [];
+
+  trElements.forEach((tr, rowIdx) => {
+    grid[rowIdx] = grid[rowIdx] || [];
+    let colIdx = 0;
+    for (const cellEl of tr.querySelectorAll('td, th')) {
+      while (grid[rowIdx][colIdx]) colIdx++;
+      const colspan = Math.max(1, parseInt(cellEl.getAttribute('colspan') || '1', 10) || 1);
+      const rowspan = Math.max(1, parseInt(cellEl.getAttribute('rowspan') || '1', 10) || 1);
+
+      const declarations = {
+        ...pick(parseStyleDeclarations(cellEl.getAttribute('style')), CELL_PROPERTY_RE),
+        ...captureTextStyle(cellEl),
+      };
+      const bgcolor = cellEl.getAttribute('bgcolor');
+      if (bgcolor && !declarations.background && !declarations['background-color']) {
+        declarations['background-color'] = bgcolor;
+      }
+
+      for (let r = 0; r < rowspan && rowIdx + r < trElements.length; r++) {
+        grid[rowIdx + r] = grid[rowIdx + r] || [];
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIdx + r][colIdx + c] = declarations;
+        }
+      }
+      colIdx += colspan;
+    }
+  });
+
+  const rows = grid.map((cells, rowIdx) => ({
+    isHeader: theadRows.size > 0 ? theadRows.has(trElements[rowIdx]) : rowIdx === 0,
+    cells: Array.from(cells, (declarations) => declarations || {}),
+  }));
+
+  return {
+    table: pick(parseStyleDeclarations(tableEl.getAttribute('style')), TABLE_PROPERTY_RE),
+    rows,
+  };
+}
+
+const LENGTH_RE = /^(\d*\.?\d+)\s*(pt|px|in|cm|mm|%)?$/i;
+const POINTS_PER_UNIT = { pt: 1, px: 0.75, in: 72, cm: 72 / 2.54, mm: 72 / 25.4 };
+
+/**
+ * Convert a CSS or HTML length (a bare number is in pixels, a percentage is
+ * of the page's text width) to points, or null for one we can't size, such
+ * as `auto` or a relative `128*`.
+ */
+function lengthToPoints(length) {
+  const match = (length || '').trim().match(LENGTH_RE);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || 'px').toLowerCase();
+  const points = unit === '%' ? (value / 100) * TEXT_WIDTH_POINTS : value * POINTS_PER_UNIT[unit];
+  return points > 0 ? points : null;
+}
+
+function elementWidth(el) {
+  return lengthToPoints(parseStyleDeclarations(el.getAttribute('style')).width) ?? lengthToPoints(el.getAttribute('width'));
+}
+
+/**
+ * Capture the width of each grid column of a raw (unsanitized) <table>
+ * element in points, from its <col> elements, or else from the cells that
+ * span a single column. Returns null unless every column's width is known.
+ */
+export function captureColumnWidths(tableEl) {
+  const own = (el) => el.closest('table') === tableEl;
+  const widths = [];
+
+  const cols = [...tableEl.querySelectorAll('col')].filter(own);
+  for (const col of cols) {
+    const span = Math.max(1, parseInt(col.getAttribute('span') || '1', 10) || 1);
+    for (let i = 0; i < span; i++) widths.push(elementWidth(col));
+  }
+
+  const trElements = [...tableEl.querySelectorAll('tr')].filter(own);
+  const occupied = [];
+  trElements.forEach((tr, rowIdx) => {
+    occupied[rowIdx] = occupied[rowIdx] || [];
+    let colIdx = 0;
+    for (const cellEl of [...tr.children].filter((el) => /^T[DH]$/.test(el.tagName))) {
+      while (occupied[rowIdx][colIdx]) colIdx++;
+      const colspan = Math.max(1, parseInt(cellEl.getAttribute('colspan') || '1', 10) || 1);
+      const rowspan = Math.max(1, parseInt(cellEl.getAttribute('rowspan') || '1', 10) || 1);
+      for (let r = 0; r < rowspan; r++) {
+        occupied[rowIdx + r] = occupied[rowIdx + r] || [];
+        for (let c = 0; c < colspan; c++) occupied[rowIdx + r][colIdx + c] = true;
+      }
+      if (colspan === 1 && widths[colIdx] == null) widths[colIdx] = elementWidth(cellEl);
+      colIdx += colspan;
+    }
+  });
+
+  const count = Math.max(0, ...occupied.map((row) => row.length));
+  if (count === 0) return null;
+  const result = Array.from({ length: count }, (_, c) => widths[c]);
+  return result.every((width) => width != null) ? result.map((width) => Math.round(width * 100) / 100) : null;
+}
+
+/**
+ * Find the captured declarations for a cell of the generated table. `index`
+ * counts rows within the header or body section. Rows beyond the original
+ * ones alternate between the last two captured rows, so banded shading
+ * carries on; columns beyond the original ones reuse the last column.
+ */
+export function getCapturedCellStyle(style, isHeader, index, col) {
+  const rows = style.rows.filter((row) => row.isHeader === isHeader);
+  const n = rows.length;
+  if (n === 0) return null;
+
+  let row = rows[Math.min(index, n - 1)];
+  if (index >= n && n >= 2) row = rows[n - 2 + ((index - n) % 2)];
+  if (row.cells.length === 0) return null;
+  return row.cells[Math.min(col, row.cells.length - 1)];
+}
+
+/**
+ * Serialize declarations as an inline style string. Double quotes (common in
+ * Word font names) are swapped for single quotes so the result can sit inside
+ * a style="" attribute.
+ */
+export function declarationsToCss(declarations) {
+  return Object.entries(declarations)
+    .map(([property, value]) => `${property}: ${escapeHtml(value.replace(/"/g, "'"))};`)
+    .join(' ');
+}
+
+/**
+ * Layer captured declarations over the defaults. A captured border or padding
+ * replaces the default shorthand entirely rather than mixing with it.
+ */
+function mergeDeclarations(defaults, captured) {
+  const merged = { ...defaults };
+  const keys = Object.keys(captured || {});
+  for (const shorthand of ['border', 'padding']) {
+    if (keys.some((key) => key.startsWith(shorthand) && key !== 'border-collapse')) {
+      delete merged[shorthand];
+    }
+  }
+  return { ...merged, ...captured };
+}
+
+/**
+ * The table's inline CSS: the captured declarations over `defaults` (a
+ * theme's, or black borders).
+ */
+export function tableCss(style, defaults = DEFAULT_TABLE_DECLARATIONS) {
+  return declarationsToCss(mergeDeclarations(defaults, style && style.table));
+}
+
+export function cellCss(captured, defaults = DEFAULT_CELL_DECLARATIONS) {
+  return declarationsToCss(mergeDeclarations(defaults, captured));
+}
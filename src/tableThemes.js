@@ -0,0 +1,163 @@
+/**
+ * Looks for the HTML tables generated for Word, modelled on Word's built-in
+ * table styles. A theme is a set of plain settings (so a custom one can be
+ * edited in a form and saved as JSON), turned into CSS declarations for the
+ * table and each kind of cell.
+ *
+ * Theme: {
+ *   label,
+ *   borders: 'grid'|'horizontal'|'outer'|'none', borderColor,
+ *   padding, fontFamily, fontSize, color,   ('' leaves them to Word)
+ *   headerBackground, headerColor,          ('' for none)
+ *   bandBackground,                         every other body row, '' for none
+ * }
+ */
+
+export const THEMES = {
+  grid: {
+    label: 'Table Grid',
+    borders: 'grid',
+    borderColor: 'black',
+    padding: '6px 12px',
+    fontFamily: '',
+    fontSize: '',
+    color: '',
+    headerBackground: '',
+    headerColor: '',
+    bandBackground: '',
+  },
+  'grid-light': {
+    label: 'Grid Table Light',
+    borders: 'grid',
+    borderColor: '#bfbfbf',
+    padding: '4px 8px',
+    fontFamily: '',
+    fontSize: '',
+    color: '',
+    headerBackground: '',
+    headerColor: '',
+    bandBackground: '',
+  },
+  'shaded-header': {
+    label: 'Shaded Header',
+    borders: 'grid',
+    borderColor: '#7f7f7f',
+    padding: '6px 12px',
+    fontFamily: '',
+    fontSize: '',
+    color: '',
+    headerBackground: '#d9d9d9',
+    headerColor: '',
+    bandBackground: '',
+  },
+  banded: {
+    label: 'Banded Rows (Blue)',
+    borders: 'grid',
+    borderColor: '#8eaadb',
+    padding: '6px 12px',
+    fontFamily: '',
+    fontSize: '',
+    color: '',
+    headerBackground: '#4472c4',
+    headerColor: '#ffffff',
+    bandBackground: '#d9e2f3',
+  },
+  horizontal: {
+    label: 'Horizontal Lines',
+    borders: 'horizontal',
+    borderColor: '#7f7f7f',
+    padding: '4px 8px',
+    fontFamily: '',
+    fontSize: '',
+    color: '',
+    headerBackground: '',
+    headerColor: '',
+    bandBackground: '',
+  },
+  borderless: {
+    label: 'Borderless',
+    borders: 'none',
+    borderColor: 'black',
+    padding: '4px 8px',
+    fontFamily: '',
+    fontSize: '',
+    color: '',
+    headerBackground: '',
+    headerColor: '',
+    bandBackground: '#f2f2f2',
+  },
+  corporate: {
+    label: 'Corporate',
+    borders: 'horizontal',
+    borderColor: '#1f3864',
+    padding: '5px 10px',
+    fontFamily: 'Calibri, sans-serif',
+    fontSize: '10pt',
+    color: '#262626',
+    headerBackground: '#1f3864',
+    headerColor: '#ffffff',
+    bandBackground: '#edf1f8',
+  },
+};
+
+export const DEFAULT_THEME = 'grid';
+
+export const BORDER_STYLES = {
+  grid: 'All borders',
+  horizontal: 'Horizontal lines',
+  outer: 'Outside border',
+  none: 'No borders',
+};
+
+// Settings a theme can't leave empty
+const REQUIRED_SETTINGS = ['borders', 'borderColor', 'padding'];
+
+/**
+ * Fill in the settings a (possibly partial or hand-edited) theme leaves out
+ * or empty from the default theme.
+ */
+export function completeTheme(theme) {
+  const defaults = THEMES[DEFAULT_THEME];
+  const complete = { ...defaults, label: 'Custom', ...theme };
+  for (const setting of REQUIRED_SETTINGS) {
+    if (!complete[setting]) complete[setting] = defaults[setting];
+  }
+  if (!BORDER_STYLES[complete.borders]) complete.borders = defaults.borders;
+  return complete;
+}
+
+function line(theme) {
+  return `1px solid ${theme.borderColor}`;
+}
+
+export function themeTableDeclarations(theme) {
+  const declarations = { 'border-collapse': 'collapse' };
+  declarations.border = theme.borders === 'grid' || theme.borders === 'outer' ? line(theme) : 'none';
+  return declarations;
+}
+
+/**
+ * Declarations for a cell. `header` is true for header rows, `banded` for
+ * the body rows the theme shades.
+ */
+export function themeCellDeclarations(theme, { header = false, banded = false } = {}) {
+  const declarations = {};
+  if (theme.borders === 'grid') {
+    declarations.border = line(theme);
+  } else if (theme.borders === 'horizontal') {
+    declarations.border = 'none';
+    declarations['border-top'] = line(theme);
+    declarations['border-bottom'] = line(theme);
+  } else {
+    declarations.border = 'none';
+  }
+  declarations.padding = theme.padding;
+  if (theme.fontFamily) declarations['font-family'] = theme.fontFamily;
+  if (theme.fontSize) declarations['font-size'] = theme.fontSize;
+
+  const background = header ? theme.headerBackground : banded && theme.bandBackground;
+  if (background) declarations['background-color'] = background;
+  const color = (header && theme.headerColor) || theme.color;
+  if (color) declarations.color = color;
+  return declarations;
+}
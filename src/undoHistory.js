@@ -0,0 +1,60 @@
+/**
+ * Undo and redo for the text of an input: the values it had before and
+ * after the current one. Typing in quick succession is one step, so undo
+ * takes back a word or a phrase rather than a single letter.
+ *
+ * Options: limit (the number of steps kept, 100 by default) and mergeWithin
+ * (how many ms apart typed changes still join one step, 1000 by default).
+ */
+export function createUndoHistory(initial = '', { limit = 100, mergeWithin = 1000 } = {}) {
+  const past = [];
+  let future = [];
+  let current = initial;
+  // When the last typed change was recorded, or null after any other step
+  let lastTyped = null;
+
+  return {
+    /**
+     * Record a new value. `typed` marks a change typed by the user, which
+     * joins the previous step when it was typed too, and recently.
+     */
+    record(value, { typed = false, now = Date.now() } = {}) {
+      if (value === current) return;
+      const merge = typed && lastTyped !== null && now - lastTyped < mergeWithin;
+      if (!merge) {
+        past.push(current);
+        if (past.length > limit) past.shift();
+      }
+      current = value;
+      future = [];
+      lastTyped = typed ? now : null;
+    },
+
+    /**
+     * Step back. Returns the value to show, or null when there is nothing
+     * to undo.
+     */
+    undo() {
+      if (past.length === 0) return null;
+      future.push(current);
+      current = past.pop();
+      lastTyped = null;
+      return current;
+    },
+
+    /**
+     * Step forward again. Returns the value to show, or null when there is
+     * nothing to redo.
+     */
+    redo() {
+      if (future.length === 0) return null;
+      past.push(current);
+      current = future.pop();
+      lastTyped = null;
+      return current;
+    },
+
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+  };
+}
@@ -0,0 +1,303 @@
+/**
+ * Minimal YAML reader and writer for tables as records: block sequences and
+ * mappings, flow sequences and mappings ([a, b], {a: 1}), and plain, single-
+ * and double-quoted scalars. Anchors, tags, block scalars (| and >) and
+ * multiple documents are not supported. Mappings are read as Maps, so keys
+ * keep their order even when they look like numbers. Since JSON is written
+ * like YAML flow collections, JSON text is read too.
+ */
+
+export class YamlError extends Error {}
+
+const NUMBER_RE = /^[-+]?(?:\d+|\d*\.\d+|\d+\.\d*)(?:[eE][-+]?\d+)?$/;
+
+// The value of a plain (unquoted) scalar
+function plainScalar(text) {
+  if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+  if (/^true$/i.test(text)) return true;
+  if (/^false$/i.test(text)) return false;
+  if (NUMBER_RE.test(text)) return Number(text);
+  return text;
+}
+
+// --- Flow collections and scalars ---
+
+function skipSpace(text, pos) {
+  while (pos < text.length && /\s/.test(text[pos])) pos++;
+  return pos;
+}
+
+// Read a quoted scalar starting at `pos`. Returns [value, end].
+function readQuoted(text, pos) {
+  const quote = text[pos];
+  let end = pos + 1;
+  while (end < text.length) {
+    if (quote === '"' && text[end] === '\\') end += 2;
+    else if (text[end] === quote && quote === "'" && text[end + 1] === "'") end += 2;
+    else if (text[end] === quote) break;
+    else end++;
+  }
+  if (end >= text.length) throw new YamlError('Unclosed quoted string.');
+  const body = text.slice(pos, end + 1);
+  if (quote === "'") return [body.slice(1, -1).replace(/''/g, "'"), end + 1];
+  try {
+    return [JSON.parse(body.replace(/\n\s*/g, ' ')), end + 1];
+  } catch {
+    throw new YamlError(`Invalid string ${body}.`);
+  }
+}
+
+// Read a flow value (collection or scalar) starting at `pos`. `inFlow` is
+// true inside [] or {}, where commas and brackets end a plain scalar.
+function readFlow(text, pos, inFlow) {
+  pos = skipSpace(text, pos);
+  const char = text[pos];
+  if (char === '[' || char === '{') {
+    const isSequence = char === '[';
+    const close = isSequence ? ']' : '}';
+    const result = isSequence ? [] : new Map();
+    pos = skipSpace(text, pos + 1);
+    while (text[pos] !== close) {
+      if (pos >= text.length) throw new YamlError(`Missing "${close}".`);
+      if (isSequence) {
+        let value;
+        [value, pos] = readFlow(text, pos, true);
+        result.push(value);
+      } else {
+        let key;
+        [key, pos] = readFlow(text, pos, true);
+        pos = skipSpace(text, pos);
+        if (text[pos] !== ':') throw new YamlError(`Missing ":" after "${key}".`);
+        let value;
+        [value, pos] = readFlow(text, pos + 1, true);
+        result.set(String(key), value);
+      }
+      pos = skipSpace(text, pos);
+      if (text[pos] === ',') pos = skipSpace(text, pos + 1);
+      else if (text[pos] !== close) throw new YamlError(`Expected "," or "${close}".`);
+    }
+    return [result, pos + 1];
+  }
+  if (char === '"' || char === "'") return readQuoted(text, pos);
+
+  // A plain scalar ends at ": " (a key), and in flow context at , ] } too
+  let end = pos;
+  while (end < text.length) {
+    if (text[end] === ':' && (end + 1 === text.length || /[\s,\]}]/.test(text[end + 1]))) break;
+    if (inFlow && /[,\]}]/.test(text[end])) break;
+    if (!inFlow && text[end] === '\n') break;
+    end++;
+  }
+  return [plainScalar(text.slice(pos, end).trim()), end];
+}
+
+// A whole inline value: a flow collection or a scalar, with nothing after it
+function inlineValue(text) {
+  const [value, end] = readFlow(text, 0, false);
+  if (text.slice(end).trim()) throw new YamlError(`Unexpected "${text.slice(end).trim()}".`);
+  return value;
+}
+
+// --- Block collections ---
+
+// Remove a comment: a # at the start or after a space, outside quotes
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+// Split "key: value" at the first colon outside quotes followed by a space or
+// the end. Returns null for a line that isn't a mapping entry.
+function splitEntry(content) {
+  let start = 0;
+  let key;
+  if (content[0] === '"' || content[0] === "'") {
+    [key, start] = readQuoted(content, 0);
+    if (content[start] !== ':') return null;
+  } else {
+    const match = content.match(/^([^:#[\]{},]+?)\s*:(?:\s|$)/) || content.match(/^([^:#[\]{},]*?[^\s:])\s*:(?:\s|$)/);
+    if (!match) return null;
+    key = match[1];
+    start = content.indexOf(':', match[1].length);
+  }
+  return { key: String(key), value: content.slice(start + 1).trim() };
+}
+
+function parseBlock(lines, index, indent) {
+  const first = lines[index];
+  if (first.content.startsWith('- ') || first.content === '-') return parseSequence(lines, index, first.indent);
+  if (splitEntry(first.content)) return parseMapping(lines, index, first.indent);
+  if (first.indent < indent) throw new YamlError(`Unexpected indentation on line ${first.number}.`);
+  return [inlineValue(first.content), index + 1];
+}
+
+// The value of an entry or item whose text after ":" or "-" is `rest`: inline,
+// or the block on the following lines
+function parseValue(lines, index, rest, parentIndent, allowSameIndentSequence) {
+  if (rest) return [inlineValue(rest), index];
+  const next = lines[index];
+  if (!next) return [null, index];
+  const nested = next.indent > parentIndent || (allowSameIndentSequence && next.indent === parentIndent && next.content.startsWith('-'));
+  return nested ? parseBlock(lines, index, parentIndent) : [null, index];
+}
+
+function parseSequence(lines, index, indent) {
+  const items = [];
+  while (index < lines.length && lines[index].indent === indent && /^-(?:\s|$)/.test(lines[index].content)) {
+    const line = lines[index];
+    const rest = line.content.slice(1).trimStart();
+    const offset = line.content.length - rest.length;
+    if (rest && !/^[[{]/.test(rest) && splitEntry(rest)) {
+      // "- key: value" starts a mapping indented to where the key starts
+      const lines2 = [...lines];
+      lines2[index] = { ...line, indent: indent + offset, content: rest };
+      let value;
+      [value, index] = parseMapping(lines2, index, indent + offset);
+      items.push(value);
+    } else {
+      let value;
+      [value, index] = parseValue(lines, index + 1, rest, indent, false);
+      items.push(value);
+    }
+  }
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new YamlError(`Unexpected indentation on line ${lines[index].number}.`);
+  }
+  return [items, index];
+}
+
+function parseMapping(lines, index, indent) {
+  const map = new Map();
+  while (index < lines.length && lines[index].indent === indent) {
+    const line = lines[index];
+    const entry = splitEntry(line.content);
+    if (!entry) throw new YamlError(`Expected "key: value" on line ${line.number}.`);
+    let value;
+    [value, index] = parseValue(lines, index + 1, entry.value, indent, true);
+    map.set(entry.key, value);
+  }
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new YamlError(`Unexpected indentation on line ${lines[index].number}.`);
+  }
+  return [map, index];
+}
+
+/**
+ * Parse a YAML document. Throws a YamlError when the text isn't valid YAML
+ * (as far as the supported subset goes).
+ */
+export function parseYaml(text) {
+  const trimmed = text.trim();
+  // JSON, or a document that is one flow collection
+  if (/^[[{]/.test(trimmed)) return inlineValue(trimmed);
+
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (/^(?:---|\.\.\.)\s*$/.test(raw)) return;
+    if (/\t/.test(raw.match(/^\s*/)[0])) throw new YamlError(`Tabs can't indent YAML (line ${i + 1}).`);
+    const line = stripComment(raw).trimEnd();
+    if (!line.trim()) return;
+    if (/^\s*[|>][-+]?$/.test(line.split(':').pop())) throw new YamlError('Block scalars (| and >) are not supported.');
+    lines.push({ number: i + 1, indent: line.length - line.trimStart().length, content: line.trim() });
+  });
+  if (lines.length === 0) return null;
+  const [value, end] = parseBlock(lines, 0, 0);
+  if (end < lines.length) throw new YamlError(`Unexpected content on line ${lines[end].number}.`);
+  return value;
+}
+
+// --- Writing ---
+
+const RESERVED_RE = /^(?:~|null|true|false|yes|no|on|off)$/i;
+// Plain scalars other YAML readers (js-yaml, PyYAML, YAML 1.1) turn into
+// something other than a string: dates and timestamps, hexadecimal, octal and
+// binary integers, infinity and not-a-number, numbers with underscores and
+// sexagesimal ("12:30:00") numbers
+const TYPED_RE = [
+  /^\d{4}-\d\d?-\d\d?(?:$|[Tt\s])/,
+  /^[-+]?0[xob]/i,
+  /^[-+]?\.(?:inf|nan)$/i,
+  /^[-+]?(?=[\d_.]*\d)[\d_.]*_[\d_.]*$/,
+  /^[-+]?\d+(?::\d+)+(?:\.\d*)?$/,
+];
+
+// Characters that have to be escaped in YAML (tabs and line breaks only in
+// plain scalars)
+const NON_PRINTABLE_RE = /[\u0000-\u001f\u007f-\u009f\ufffe\uffff]/;
+
+/**
+ * Write a scalar, quoted when a plain one would read back differently here
+ * or in other YAML readers. Control characters are written as escapes.
+ */
+export function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  const needsQuotes =
+    value === '' ||
+    value !== value.trim() ||
+    RESERVED_RE.test(value) ||
+    NUMBER_RE.test(value) ||
+    TYPED_RE.some((re) => re.test(value)) ||
+    /^[-?:,[\]{}#&*!|>'"%@`]/.test(value) ||
+    /: |:$| #|\\/.test(value) ||
+    NON_PRINTABLE_RE.test(value) ||
+    /[,[\]{}]/.test(value);
+  if (!needsQuotes) return value;
+  // JSON escapes C0 controls; YAML wants the others escaped too
+  return JSON.stringify(value).replace(/[\u007f-\u009f\ufffe\uffff]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== 'object';
+}
+
+function isFlat(value) {
+  const items = value instanceof Map ? [...value.values()] : value;
+  return items.every(isScalar);
+}
+
+function flow(value) {
+  if (value instanceof Map) return `{${[...value].map(([key, item]) => `${yamlScalar(key)}: ${yamlScalar(item)}`).join(', ')}}`;
+  return `[${value.map(yamlScalar).join(', ')}]`;
+}
+
+function writeBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}[]`];
+    return value.flatMap((item) => {
+      if (isScalar(item)) return [`${pad}- ${yamlScalar(item)}`];
+      if (Array.isArray(item)) return [`${pad}- ${flow(item)}`];
+      if (item.size === 0) return [`${pad}- {}`];
+      const [first, ...rest] = writeBlock(item, indent + 2);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    });
+  }
+  if (value.size === 0) return [`${pad}{}`];
+  return [...value].flatMap(([key, item]) => {
+    const name = `${pad}${yamlScalar(key)}:`;
+    if (isScalar(item)) return [`${name} ${yamlScalar(item)}`];
+    if (isFlat(item) && (Array.isArray(item) ? item.length : item.size) <= 8) return [`${name} ${flow(item)}`];
+    return [name, ...writeBlock(item, indent + 2)];
+  });
+}
+
+/**
+ * Write a value (arrays, Maps and scalars) as a YAML document. Sequences of
+ * scalars are written inline, like table rows.
+ */
+export function stringifyYaml(value) {
+  if (isScalar(value)) return yamlScalar(value);
+  return writeBlock(value, 0).join('\n');
+}
@@ -0,0 +1,173 @@
+/**
+ * Minimal ZIP support for .docx files, with no dependencies: reading handles
+ * stored and deflated entries (inflated with the platform's
+ * DecompressionStream, available in browsers and Node), writing stores
+ * entries uncompressed.
+ */
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIG = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+let crcTable = null;
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    },
+  }).pipeThrough(new DecompressionStream('deflate-raw'));
+
+  const chunks = [];
+  let length = 0;
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of at most 65535 bytes
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIR_SIG) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read the entries of a ZIP archive. Returns a Map of entry name to bytes.
+ * Throws if the data is not a ZIP archive or uses an unsupported
+ * compression method.
+ */
+export async function readZip(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd === -1) throw new Error('Not a ZIP archive.');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIG) throw new Error('Corrupt ZIP directory.');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (view.getUint32(localOffset, true) !== LOCAL_HEADER_SIG) throw new Error('Corrupt ZIP entry.');
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORE) {
+      entries.set(name, raw);
+    } else if (method === METHOD_DEFLATE) {
+      entries.set(name, await inflateRaw(raw));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}.`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Build a ZIP archive from [{ name, data }] where data is a string (written
+ * as UTF-8) or bytes. Entries are stored uncompressed.
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, LOCAL_HEADER_SIG, true);
+    lv.setUint16(4, 20, true); // version needed
+    lv.setUint16(6, 0x0800, true); // UTF-8 names
+    lv.setUint16(8, METHOD_STORE, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const central = new Uint8Array(46 + name.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, CENTRAL_HEADER_SIG, true);
+    cv.setUint16(4, 20, true); // version made by
+    cv.setUint16(6, 20, true); // version needed
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, METHOD_STORE, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    locals.push(local, data);
+    centrals.push(central);
+    offset += local.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, END_OF_CENTRAL_DIR_SIG, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, end];
+  const result = new Uint8Array(offset + centralSize + end.length);
+  let pos = 0;
+  for (const part of parts) {
+    result.set(part, pos);
+    pos += part.length;
+  }
+  return result;
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { parseAsciidocTable, parseInlineAsciidoc, runsToAsciidoc, tableModelToAsciidoc } from '../src/asciidocTable.js';
+import { createRun } from '../src/tableModel.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+
+describe('parseInlineAsciidoc', () => {
+  it('parses constrained and unconstrained markup and links', () => {
+    const runs = parseInlineAsciidoc('*a* __b__c `d` [.line-through]#e# link:http://e.com[site]');
+    expect(runs.filter((run) => run.text.trim())).toMatchObject([
+      { text: 'a', bold: true },
+      { text: 'b', italic: true },
+      { text: 'c ', italic: false },
+      { text: 'd', code: true },
+      { text: 'e', strike: true },
+      { text: 'site', href: 'http://e.com' },
+    ]);
+  });
+
+  it('leaves intraword markup characters alone', () => {
+    expect(parseInlineAsciidoc('snake_case_name')).toMatchObject([{ text: 'snake_case_name', italic: false }]);
+  });
+});
+
+describe('runsToAsciidoc', () => {
+  it('escapes markup characters and reads back', () => {
+    const runs = [createRun('*not bold* a|b snake_case '), createRun('x+y', { code: true })];
+    const text = runsToAsciidoc(runs);
+    expect(text).toBe('\\*not bold\\* a\\|b snake_case `+x+y+`');
+  });
+});
+
+describe('parseAsciidocTable', () => {
+  it('reads cols, the header option and spans', () => {
+    const table = parseAsciidocTable(`
+[cols="1,>1,^1",options="header"]
+|===
+|Name |Score |Notes
+
+.2+|Ann |1 |a
+|2 |b
+2+|Total |3
+|===
+`);
+    expect(table.alignments).toEqual(['left', 'right', 'center']);
+    expect(table.rows.map((row) => row.isHeader)).toEqual([true, false, false, false]);
+    expect(table.rows[1].cells[0]).toMatchObject({ content: 'Ann', rowspan: 2 });
+    expect(table.rows[2].cells[0].covered).toBe(true);
+    expect(table.rows[2].cells[1].content).toBe('2');
+    expect(table.rows[3].cells[0]).toMatchObject({ content: 'Total', colspan: 2 });
+    expect(table.rows[3].cells[2].content).toBe('3');
+  });
+
+  it('takes the column count from the first line and detects an implicit header', () => {
+    const table = parseAsciidocTable('|===\n|a |b\n\n|1\n|2\n|===');
+    expect(table.alignments).toHaveLength(2);
+    expect(table.rows[0].isHeader).toBe(true);
+    expect(table.rows[1].cells.map((cell) => cell.content)).toEqual(['1', '2']);
+
+    expect(parseAsciidocTable('|===\n|a |b\n|1 |2\n|===').rows[0].isHeader).toBe(false);
+  });
+
+  it('reads and writes row headers as a header-style first column', () => {
+    const table = parseAsciidocTable('[cols="1h,1",options="header"]\n|===\n|Name |Age\n\n|Ann |31\n|===');
+    expect(table.rowHeaders).toBe(true);
+    expect(tableModelToAsciidoc(table).split('\n')[0]).toBe('[cols="<h,<",options="header"]');
+  });
+
+  it('reads lists in AsciiDoc-style cells', () => {
+    const table = parseAsciidocTable('|===\n|Steps\n\na|\nIntro\n\n. one\n** two\n. three\n|===');
+    const paragraphs = table.rows[1].cells[0].paragraphs;
+    expect(paragraphs.map((p) => p.list)).toEqual([
+      null,
+      { ordered: true, level: 0 },
+      { ordered: false, level: 1 },
+      { ordered: true, level: 0 },
+    ]);
+  });
+
+  it('returns null without a table block', () => {
+    expect(parseAsciidocTable('| a |\n|---|\n| 1 |')).toBeNull();
+  });
+});
+
+describe('tableModelToAsciidoc', () => {
+  it('writes alignment, the header and spans', () => {
+    const table = parseMarkdownTable('| Item | Cost |\n|------|-----:|\n| Ink  | 9    |\n| Pens | <<   |');
+    expect(tableModelToAsciidoc(table)).toBe('[cols="<,>",options="header"]\n|===\n|Item |Cost\n\n|Ink |9\n\n2+|Pens\n|===');
+  });
+
+  it('round-trips merges, lists and inline formatting', () => {
+    const markdown = [
+      '| Name    | Notes                          |',
+      '|---------|--------------------------------|',
+      '| **Ann** | A<br>- x<br>  1. y<br>- z      |',
+      '| ^^      | `a\\|b` and [link](http://e.com) |',
+      '| ~~Cy~~  | <<                             |',
+    ].join('\n');
+    const table = parseMarkdownTable(markdown);
+    const back = parseAsciidocTable(tableModelToAsciidoc(table));
+    expect(tableModelToMarkdown(back, { preserveMerges: true })).toBe(tableModelToMarkdown(table, { preserveMerges: true }));
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { dateOrder, decimalSeparator, isDate, parseDate, parseNumberFormat } from '../src/cellValues.js';
+
+describe('parseNumberFormat', () => {
+  it('reads thousands separators and decimal places', () => {
+    expect(parseNumberFormat('1,234.50')).toMatchObject({ type: 'decimal', value: 1234.5, thousands: ',', decimal: '.', decimals: 2 });
+    expect(parseNumberFormat('1.234.567,8')).toMatchObject({ value: 1234567.8, thousands: '.', decimal: ',' });
+    expect(parseNumberFormat('1 234')).toMatchObject({ type: 'integer', value: 1234, thousands: ' ' });
+    expect(parseNumberFormat('1234')).toMatchObject({ thousands: null, decimal: null });
+    expect(parseNumberFormat('12')).toMatchObject({ thousands: undefined });
+  });
+
+  it('tells a lone point before three digits from a group separator', () => {
+    expect(parseNumberFormat('1.234')).toMatchObject({ type: 'decimal', value: 1.234, decimals: 3 });
+    expect(parseNumberFormat('1,234')).toMatchObject({ type: 'integer', value: 1234, thousands: ',' });
+  });
+
+  it('reads currencies, percentages and negatives', () => {
+    expect(parseNumberFormat('$1,200')).toMatchObject({ type: 'currency', currency: '$', value: 1200 });
+    expect(parseNumberFormat('12,50 €')).toMatchObject({ type: 'currency', currency: '€', value: 12.5 });
+    expect(parseNumberFormat('EUR 5')).toMatchObject({ currency: 'EUR' });
+    expect(parseNumberFormat('-4.5%')).toMatchObject({ type: 'percentage', value: -4.5, negative: '-' });
+    expect(parseNumberFormat('($300)')).toMatchObject({ value: -300, negative: '()' });
+  });
+
+  it('reads a lone comma before three digits as a decimal comma when asked', () => {
+    expect(parseNumberFormat('1,234', { decimal: ',' })).toMatchObject({ type: 'decimal', value: 1.234, decimal: ',' });
+    expect(parseNumberFormat('1.234', { decimal: ',' })).toMatchObject({ type: 'integer', value: 1234, thousands: '.' });
+  });
+
+  it('rejects text that is not a number', () => {
+    for (const text of ['abc', '12 apples', '1,2,3', '', '1.234,567.8']) {
+      expect(parseNumberFormat(text)).toBeNull();
+    }
+  });
+});
+
+describe('decimalSeparator', () => {
+  it('picks the comma when a number can only be read with one', () => {
+    expect(decimalSeparator(['1,5', '1,234', '2'])).toBe(',');
+    expect(decimalSeparator(['1.234,56 €', '2'])).toBe(',');
+    expect(decimalSeparator(['1,234', '1.5'])).toBe('.');
+  });
+});
+
+describe('parseDate', () => {
+  it('reads ISO, numeric and month-name dates', () => {
+    expect(parseDate('2024-03-01')).toBe(Date.UTC(2024, 2, 1));
+    expect(parseDate('2024-03-01T10:30')).toBe(Date.UTC(2024, 2, 1, 10, 30));
+    expect(parseDate('03/01/2024', 'mdy')).toBe(Date.UTC(2024, 2, 1));
+    expect(parseDate('01.03.24', 'dmy')).toBe(Date.UTC(2024, 2, 1));
+    expect(parseDate('Mar 1, 2024')).toBe(Date.UTC(2024, 2, 1));
+    expect(parseDate('1 March 2024')).toBe(Date.UTC(2024, 2, 1));
+  });
+
+  it('rejects days that do not exist', () => {
+    for (const text of ['2024-13-45', '2023-02-29', '2024-01-01T25:00', '31/04/2024', '30 Feb 2024', 'May']) {
+      expect(parseDate(text, 'dmy')).toBeNaN();
+    }
+    expect(isDate('2024-02-29')).toBe(true);
+    expect(isDate('13/05/2024')).toBe(true);
+    expect(isDate('13/13/2024')).toBe(false);
+  });
+});
+
+describe('dateOrder', () => {
+  it('picks the order every numeric date exists in', () => {
+    expect(dateOrder(['01/02/2024', '06/30/2023'])).toBe('mdy');
+    expect(dateOrder(['01/02/2024', '30/06/2023'])).toBe('dmy');
+    expect(dateOrder(['01.02.2024', '02.03.2024'])).toBe('dmy');
+  });
+});
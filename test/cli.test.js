@@ -0,0 +1,279 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runCli } from '../src/cli.js';
+import { readDocxTables } from '../src/docx.js';
+
+function makeIo(stdin = '') {
+  const io = {
+    stdout: '',
+    stderr: '',
+    readStdin: async () => Buffer.from(stdin),
+    writeStdout: (text) => {
+      io.stdout += text;
+    },
+    writeStderr: (text) => {
+      io.stderr += text;
+    },
+  };
+  return io;
+}
+
+const mergedHtml = '<table><tr><th colspan="2">Team</th></tr><tr><td>Ann</td><td>Bob</td></tr></table>';
+
+describe('runCli', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'word-md-table-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('converts HTML on stdin to Markdown on stdout with warnings on stderr', async () => {
+    const io = makeIo(mergedHtml);
+    expect(await runCli(['to-markdown'], io)).toBe(0);
+    expect(io.stdout).toBe('| Team |     |\n|------|-----|\n| Ann  | Bob |\n');
+    expect(io.stderr).toBe('warning: Merged cells were expanded into separate cells.\n');
+  });
+
+  it('passes conversion options through', async () => {
+    const io = makeIo(mergedHtml);
+    expect(await runCli(['to-markdown', '--preserve-merges'], io)).toBe(0);
+    expect(io.stdout).toContain('| Team | <<  |');
+    expect(io.stderr).toBe('');
+  });
+
+  it('reads and writes files, carrying styling between the two directions', async () => {
+    const input = join(dir, 'table.html');
+    const markdownFile = join(dir, 'table.md');
+    const styleFile = join(dir, 'style.json');
+    const htmlFile = join(dir, 'out.html');
+    await writeFile(input, '<table><tr><td style="background:#ABCDEF">A</td></tr><tr><td>1</td></tr></table>');
+
+    const io = makeIo();
+    expect(await runCli(['to-markdown', input, '-o', markdownFile, '--save-style', styleFile], io)).toBe(0);
+    expect(io.stdout).toBe('');
+    expect(await readFile(markdownFile, 'utf8')).toContain('| A   |');
+
+    expect(await runCli(['to-html', markdownFile, '--style', styleFile, '--output', htmlFile], io)).toBe(0);
+    expect(await readFile(htmlFile, 'utf8')).toContain('background: #ABCDEF');
+  });
+
+  it('writes and reads .docx files', async () => {
+    const docxFile = join(dir, 'table.docx');
+    let io = makeIo('| Item | Cost |\n|------|-----:|\n| Ink  | 9    |\n');
+    expect(await runCli(['to-docx', '-o', docxFile], io)).toBe(0);
+    const [table] = await readDocxTables(await readFile(docxFile));
+    expect(table.alignments).toEqual(['left', 'right']);
+
+    io = makeIo();
+    expect(await runCli(['to-markdown', docxFile], io)).toBe(0);
+    expect(io.stdout).toBe('| Item | Cost |\n|------|-----:|\n| Ink  | 9    |\n');
+
+    io = makeIo('| a |\n|---|\n| 1 |\n');
+    expect(await runCli(['to-docx'], io)).toBe(1);
+    expect(io.stderr).toContain('-o');
+  });
+
+  it('writes other table dialects and detects them on input', async () => {
+    let io = makeIo(mergedHtml);
+    expect(await runCli(['to-markdown', '--dialect', 'asciidoc'], io)).toBe(0);
+    expect(io.stdout).toBe('[cols="<,<",options="header"]\n|===\n2+|Team\n\n|Ann |Bob\n|===\n');
+    expect(io.stderr).toBe('');
+
+    const asciidoc = io.stdout;
+    io = makeIo(asciidoc);
+    expect(await runCli(['to-html'], io)).toBe(0);
+    expect(io.stdout).toContain('colspan="2"');
+
+    io = makeIo();
+    expect(await runCli(['to-markdown', '--dialect', 'latex'], io)).toBe(2);
+    expect(io.stderr).toContain('Unknown dialect "latex"');
+  });
+
+  it('converts JSON and YAML records in both directions', async () => {
+    const html = '<table><tr><th>Item</th><th style="text-align: right">Cost</th></tr><tr><td>Ink</td><td style="text-align: right">9</td></tr></table>';
+    let io = makeIo(html);
+    expect(await runCli(['to-markdown', '--dialect', 'json', '--records', 'columns'], io)).toBe(0);
+    expect(JSON.parse(io.stdout)).toEqual({
+      columns: [
+        { key: 'Item', align: 'left' },
+        { key: 'Cost', align: 'right' },
+      ],
+      rows: [{ Item: 'Ink', Cost: 9 }],
+    });
+
+    io = makeIo(io.stdout);
+    expect(await runCli(['to-markdown'], io)).toBe(0);
+    expect(io.stdout).toBe('| Item | Cost |\n|------|-----:|\n| Ink  | 9    |\n');
+
+    io = makeIo('- Item: Ink\n  Cost: 9\n');
+    expect(await runCli(['to-html'], io)).toBe(0);
+    expect(io.stdout).toContain('<td');
+    expect(io.stdout).toContain('Ink');
+
+    io = makeIo();
+    expect(await runCli(['to-markdown', '--records', 'rows'], io)).toBe(2);
+    expect(io.stderr).toContain('Unknown record shape "rows"');
+  });
+
+  it('converts CSV/TSV in both directions', async () => {
+    let io = makeIo('Item,Cost\r\n"Ink, black",9\r\n');
+    expect(await runCli(['to-markdown'], io)).toBe(0);
+    expect(io.stdout).toBe('| Item       | Cost |\n|------------|------|\n| Ink, black | 9    |\n');
+
+    io = makeIo(io.stdout);
+    expect(await runCli(['to-csv', '--delimiter', 'tab'], io)).toBe(0);
+    expect(io.stdout).toBe('Item\tCost\r\nInk, black\t9\r\n');
+
+    io = makeIo();
+    expect(await runCli(['to-csv', '--delimiter', ',,'], io)).toBe(2);
+  });
+
+  it('picks one of several tables with --table', async () => {
+    const reply = 'Here you go:\n\n| a |\n|---|\n| 1 |\n\nAnd another:\n\n| b |\n|---|\n| 2 |\n';
+    let io = makeIo(reply);
+    expect(await runCli(['to-csv', '--table', '2'], io)).toBe(0);
+    expect(io.stdout).toBe('b\r\n2\r\n');
+    expect(io.stderr).toBe('warning: Found 2 tables — table 2 was converted.\n');
+
+    io = makeIo(reply);
+    expect(await runCli(['to-csv', '--table', '3'], io)).toBe(1);
+    expect(io.stderr).toBe('error: The input has no table 3.\n');
+
+    io = makeIo(reply);
+    expect(await runCli(['to-csv', '--table', '0'], io)).toBe(2);
+  });
+
+  it('reports problems in Markdown tables, refusing lossy ones with --strict', async () => {
+    const ragged = '| a | b |\n|---|---|\n| 1 | 2 | 3 |\n';
+    let io = makeIo(ragged);
+    expect(await runCli(['to-csv'], io)).toBe(0);
+    expect(io.stdout).toBe('a,b,\r\n1,2,3\r\n');
+    expect(io.stderr).toMatch(/^warning: line 3, column 11: Row has 3 cells but the header has 2\./);
+
+    io = makeIo(ragged);
+    expect(await runCli(['to-csv', '--strict'], io)).toBe(1);
+    expect(io.stdout).toBe('');
+    expect(io.stderr).toMatch(/^error: The table was not converted because data would be lost \(--strict\):\n  line 3, column 11: /);
+
+    io = makeIo('| a | b |\n| 1 | 2 |\n');
+    expect(await runCli(['to-html'], io)).toBe(1);
+    expect(io.stderr).toContain('line 2, column 1: No separator row');
+  });
+
+  it('overrides the detected headers', async () => {
+    let io = makeIo('a,b\n1,2\n');
+    expect(await runCli(['to-markdown', '--header-rows', '0'], io)).toBe(0);
+    expect(io.stdout).toBe('|     |     |\n|-----|-----|\n| a   | b   |\n| 1   | 2   |\n');
+
+    io = makeIo('| a | b |\n|---|---|\n| 1 | 2 |\n');
+    expect(await runCli(['to-html', '--row-headers', 'yes'], io)).toBe(0);
+    expect(io.stdout).toContain('<th scope="row"');
+
+    io = makeIo();
+    expect(await runCli(['to-html', '--row-headers', 'maybe'], io)).toBe(2);
+  });
+
+  it('applies a theme to the HTML', async () => {
+    let io = makeIo('| a | b |\n|---|---|\n| 1 | 2 |\n');
+    expect(await runCli(['to-html', '--theme', 'banded'], io)).toBe(0);
+    expect(io.stdout).toContain('background-color: #4472c4;');
+
+    io = makeIo();
+    expect(await runCli(['to-html', '--theme', 'fancy'], io)).toBe(2);
+    expect(io.stderr).toContain('Unknown theme "fancy"');
+  });
+
+  it('carries column widths through Markdown and lays them out', async () => {
+    let io = makeIo('<table><col width="100"><col width="300"><tr><td>a</td><td>b</td></tr></table>');
+    expect(await runCli(['to-markdown', '--column-widths'], io)).toBe(0);
+    const markdown = io.stdout;
+    expect(markdown.split('\n')[1]).toBe(`|${'-'.repeat(18)}|${'-'.repeat(54)}|`);
+
+    io = makeIo(markdown);
+    expect(await runCli(['to-html', '--column-widths', '--layout', 'percent'], io)).toBe(0);
+    expect(io.stdout).toContain('<col width="25%" style="width: 25%;">');
+
+    io = makeIo(markdown);
+    expect(await runCli(['to-html'], io)).toBe(0);
+    expect(io.stdout).not.toContain('<colgroup>');
+
+    io = makeIo();
+    expect(await runCli(['to-html', '--layout', 'wide'], io)).toBe(2);
+    expect(io.stderr).toContain('Unknown layout "wide"');
+  });
+
+  it('keeps the alignment of single cells when asked', async () => {
+    const io = makeIo('<table><tr><th align="center">Item</th></tr><tr><td align="right">Tea</td></tr><tr><td align="right">Cake</td></tr></table>');
+    expect(await runCli(['to-markdown', '--preserve-alignment'], io)).toBe(0);
+    expect(io.stdout).toBe('| Item {align=center} |\n|--------------------:|\n| Tea                 |\n| Cake                |\n');
+  });
+
+  it('carries merges and styling through a round-trip comment', async () => {
+    let io = makeIo('<table><tr><th colspan="2" style="background:#ABCDEF">Team</th></tr><tr><td>Ann</td><td>Bob</td></tr></table>');
+    expect(await runCli(['to-markdown', '--metadata'], io)).toBe(0);
+    const markdown = io.stdout;
+    expect(markdown).toMatch(/\n<!-- word-md-table v1 t-\w+ [0-9a-f]{8} [\w-]+ -->\n$/);
+
+    io = makeIo(markdown.replace('Bob', 'Cy'));
+    expect(await runCli(['to-html'], io)).toBe(0);
+    expect(io.stdout).toContain('colspan="2"');
+    expect(io.stdout).toContain('#ABCDEF');
+    expect(io.stderr).toBe('');
+
+    io = makeIo(markdown.replace(/ [0-9a-f]{8} /, ' 00000000 '));
+    expect(await runCli(['to-html'], io)).toBe(0);
+    expect(io.stdout).not.toContain('colspan');
+    expect(io.stderr).toContain('round-trip metadata comment was changed');
+
+    io = makeIo('| a |\n|---|\n| 1 |\n');
+    expect(await runCli(['to-html', '--metadata'], io)).toBe(0);
+    expect(io.stderr).toContain('no round-trip metadata comment');
+  });
+
+  it('aligns numeric columns', async () => {
+    let io = makeIo('<table><tr><td>Item</td><td>Qty</td></tr><tr><td>Tea</td><td>1.5</td></tr><tr><td>Cake</td><td>12</td></tr></table>');
+    expect(await runCli(['to-markdown', '--number-alignment', 'decimal'], io)).toBe(0);
+    expect(io.stdout).toBe('| Item |  Qty |\n|------|-----:|\n| Tea  |  1.5 |\n| Cake | 12   |\n');
+
+    io = makeIo('| Item | Qty |\n|---|---|\n| Tea | 1.5 |');
+    expect(await runCli(['to-html', '--number-alignment', 'right'], io)).toBe(0);
+    expect(io.stdout).toMatch(/text-align: right;[^"]*">1\.5</);
+
+    io = makeIo();
+    expect(await runCli(['to-html', '--number-alignment', 'center'], io)).toBe(2);
+    expect(io.stderr).toContain('Unknown number alignment "center"');
+  });
+
+  it('fails with exit code 1 when no table is found', async () => {
+    const io = makeIo('just text');
+    expect(await runCli(['to-html'], io)).toBe(1);
+    expect(io.stdout).toBe('');
+    expect(io.stderr).toMatch(/^error: /);
+  });
+
+  it('fails with exit code 2 on usage and file errors', async () => {
+    let io = makeIo();
+    expect(await runCli(['to-pdf'], io)).toBe(2);
+    expect(io.stderr).toContain('Unknown command "to-pdf"');
+    expect(io.stderr).toContain('Usage:');
+
+    io = makeIo();
+    expect(await runCli(['to-html', '--bogus'], io)).toBe(2);
+
+    io = makeIo();
+    expect(await runCli(['to-html', join(dir, 'missing.md')], io)).toBe(2);
+    expect(io.stderr).toContain('ENOENT');
+  });
+
+  it('prints help', async () => {
+    const io = makeIo();
+    expect(await runCli(['--help'], io)).toBe(0);
+    expect(io.stdout).toContain('to-markdown');
+  });
+});
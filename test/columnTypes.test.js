@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyNumberAlignment,
+  cellType,
+  decimalPadding,
+  inferColumnTypes,
+  numberFormatChanges,
+} from '../src/columnTypes.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+
+describe('inferColumnTypes', () => {
+  it('infers a type per column from the body cells', () => {
+    const table = parseMarkdownTable(`
+| Name | Count | Price  | Share | Due        | Ratio |
+|------|-------|--------|-------|------------|-------|
+| Ann  | 1,200 | $4.00  | 12%   | 2024-03-01 | 1     |
+| Bob  | 35    | $12.50 | 8.5%  | 5 Mar 2024 | 0.25  |
+| Cy   | n/a   | —      |       | 03/04/2024 | 2     |
+`);
+    expect(inferColumnTypes(table)).toEqual(['text', 'integer', 'currency', 'percentage', 'date', 'decimal']);
+  });
+
+  it('treats a column of row headers and a mixed column as text', () => {
+    const table = parseMarkdownTable('| | 2023 | Mixed |\n|---|---|---|\n| **2023** | 1 | 1 |\n| **2024** | 2 | two |');
+    expect(table.rowHeaders).toBe(true);
+    expect(inferColumnTypes(table)).toEqual(['text', 'integer', 'text']);
+  });
+
+  it('leaves empty cells and placeholders untyped', () => {
+    expect(cellType('')).toBeNull();
+    expect(cellType(' N/A ')).toBeNull();
+    expect(cellType('TBD')).toBeNull();
+  });
+
+  it('only types days that exist as dates', () => {
+    expect(cellType('2024-02-29')).toBe('date');
+    expect(cellType('13/05/2024')).toBe('date');
+    expect(cellType('2024-13-45')).toBe('text');
+    expect(cellType('31/31/2024')).toBe('text');
+  });
+});
+
+describe('number alignment', () => {
+  const table = parseMarkdownTable('| Item | Cost |\n|---|---|\n| A | 1.5 |\n| B | 12 |\n| C | 3.25 |');
+
+  it('pads numbers so their decimal points line up', () => {
+    expect(decimalPadding(['1.5', '12', '3.25', 'n/a'])).toEqual([1, 3, 0, 0]);
+    expect(decimalPadding(['5%', '10%'])).toEqual([0, 0]);
+  });
+
+  it('right-aligns numeric columns and appends figure spaces for decimal alignment', () => {
+    expect(applyNumberAlignment(table)).toBe(table);
+    expect(applyNumberAlignment(table, 'right').alignments).toEqual(['left', 'right']);
+    const padded = applyNumberAlignment(table, 'decimal');
+    const last = (row) => row.cells[1].paragraphs[0].runs.at(-1).text;
+    expect(padded.rows.slice(1).map(last)).toEqual(['\u2007', '\u2007'.repeat(3), '3.25']);
+    expect(table.rows[1].cells[1].paragraphs[0].runs).toHaveLength(1);
+  });
+});
+
+describe('numberFormatChanges', () => {
+  it('lists how the format of a number changed', () => {
+    expect(numberFormatChanges('1,234.50', '1234.5')).toEqual(['thousands separators removed', 'decimal places 2 → 1']);
+    expect(numberFormatChanges('$12.00', '12.00')).toEqual(['currency $ removed']);
+    expect(numberFormatChanges('1,234.5', '1.234,5')).toEqual([
+      'thousands separator "," → "."',
+      'decimal separator "." → "," (another locale)',
+    ]);
+    expect(numberFormatChanges('(5)', '-5')).toEqual(['negative written as -…']);
+    expect(numberFormatChanges('50%', '0.5')).toEqual(['decimal places 0 → 1', 'percent sign removed']);
+  });
+
+  it('reports nothing for the same format or text that is not a number', () => {
+    expect(numberFormatChanges('1,234', '5,678')).toEqual([]);
+    expect(numberFormatChanges('12', '1,200')).toEqual([]);
+    expect(numberFormatChanges('Open', 'Done')).toEqual([]);
+  });
+});
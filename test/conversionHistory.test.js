@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HISTORY_STORAGE_KEY,
+  addEntry,
+  createEntry,
+  deleteEntry,
+  entryName,
+  evictEntries,
+  loadHistory,
+  saveHistory,
+  searchHistory,
+  updateEntry,
+} from '../src/conversionHistory.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+
+function entry(name, fields = {}) {
+  return createEntry({ name, input: name, markdown: `| ${name} |\n|---|`, ...fields }, 0);
+}
+
+// A stand-in for localStorage that holds at most `capacity` characters
+function fakeStorage(capacity = Infinity) {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (value.length > capacity) throw new Error('QuotaExceededError');
+      items.set(key, value);
+    },
+  };
+}
+
+describe('conversion history entries', () => {
+  it('are named after the first row of their table', () => {
+    expect(entryName(parseMarkdownTable('| Name | Status |\n|---|---|\n| Ann | Open |'))).toBe('Name, Status');
+    expect(entryName(null)).toBe('Table');
+    const long = parseMarkdownTable(`| ${'x'.repeat(50)} |\n|---|`);
+    expect(entryName(long)).toHaveLength(40);
+  });
+
+  it('are added newest first, and a repeated conversion replaces the newest', () => {
+    let history = addEntry([], entry('a'));
+    history = addEntry(history, entry('b'));
+    expect(history.map((e) => e.name)).toEqual(['b', 'a']);
+
+    history = updateEntry(history, history[0].id, { name: 'Renamed', pinned: true });
+    const again = addEntry(history, entry('b', { name: 'b', warnings: ['changed'] }));
+    expect(again).toHaveLength(2);
+    expect(again[0]).toMatchObject({ id: history[0].id, name: 'Renamed', pinned: true, warnings: ['changed'] });
+    expect(addEntry(history, entry('b', { direction: 'to-word' }))).toHaveLength(3);
+  });
+
+  it('can be deleted', () => {
+    const history = [entry('a'), entry('b')];
+    expect(deleteEntry(history, history[0].id).map((e) => e.name)).toEqual(['b']);
+  });
+
+  it('are searched by name and content, pinned first', () => {
+    const history = [entry('Budget 2024'), entry('Team list', { markdown: '| Ann | budget |' }), entry('Other', { pinned: true, input: 'BUDGET' })];
+    expect(searchHistory(history, 'budget').map((e) => e.name)).toEqual(['Other', 'Budget 2024', 'Team list']);
+    expect(searchHistory(history, 'team ann').map((e) => e.name)).toEqual(['Team list']);
+    expect(searchHistory(history, '')).toHaveLength(3);
+  });
+});
+
+describe('evictEntries', () => {
+  it('drops the oldest entries that are not pinned', () => {
+    const history = [entry('new'), entry('pinned', { pinned: true }), entry('middle'), entry('old')];
+    expect(evictEntries(history, { maxEntries: 2 }).map((e) => e.name)).toEqual(['new', 'pinned']);
+    expect(evictEntries(history, { maxEntries: 3 }).map((e) => e.name)).toEqual(['new', 'pinned', 'middle']);
+  });
+
+  it('keeps the history under a size cap, and always the newest entry', () => {
+    const big = entry('big', { sourceHtml: 'x'.repeat(1000) });
+    const history = [big, entry('a'), entry('b')];
+    expect(evictEntries(history, { maxSize: 2000 }).map((e) => e.name)).toEqual(['big', 'a', 'b']);
+    expect(evictEntries(history, { maxSize: 1000 }).map((e) => e.name)).toEqual(['big']);
+    expect(addEntry(history, entry('c'), { maxEntries: 2 }).map((e) => e.name)).toEqual(['c', 'big']);
+  });
+});
+
+describe('saving the history', () => {
+  it('reads back what was saved, and nothing from unreadable storage', () => {
+    const storage = fakeStorage();
+    const history = [entry('a')];
+    expect(saveHistory(storage, history)).toBe(history);
+    expect(loadHistory(storage)).toEqual(history);
+    storage.setItem(HISTORY_STORAGE_KEY, '{not json');
+    expect(loadHistory(storage)).toEqual([]);
+  });
+
+  it('evicts old entries when the storage is full', () => {
+    const history = [entry('new'), entry('pinned', { pinned: true, sourceHtml: 'x'.repeat(300) }), entry('old', { sourceHtml: 'x'.repeat(300) })];
+    const storage = fakeStorage(JSON.stringify(history).length - 100);
+    expect(saveHistory(storage, history).map((e) => e.name)).toEqual(['new', 'pinned']);
+    expect(loadHistory(storage).map((e) => e.name)).toEqual(['new', 'pinned']);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsvTable, parseDelimited, sniffDelimiter, tableModelToCsv } from '../src/csvTable.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+
+describe('parseDelimited', () => {
+  it('handles quoted fields, doubled quotes and embedded line breaks', () => {
+    const text = 'a,"b, c","say ""hi"""\r\n1,"two\nlines",3\r\n';
+    expect(parseDelimited(text)).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', 'two\nlines', '3'],
+    ]);
+  });
+
+  it('keeps empty fields, skips blank lines and reads quotes mid-field literally', () => {
+    expect(parseDelimited('\tb\t\n\n5" tall\tx\t', '\t')).toEqual([
+      ['', 'b', ''],
+      ['5" tall', 'x', ''],
+    ]);
+  });
+});
+
+describe('sniffDelimiter', () => {
+  it('finds the delimiter that splits every record evenly', () => {
+    expect(sniffDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(sniffDelimiter('a,b\n1,2')).toBe(',');
+    expect(sniffDelimiter('price;qty\n1,50;2\n3,25;1')).toBe(';');
+    expect(sniffDelimiter('"x, y",z\n1,2')).toBe(',');
+  });
+
+  it('returns null for text that is not delimited data', () => {
+    expect(sniffDelimiter('Hello, world.\nHow are you?')).toBeNull();
+    expect(sniffDelimiter('a,b')).toBeNull();
+    expect(sniffDelimiter('| a | b |\n|---|---|\n| 1 | 2 |')).toBeNull();
+  });
+});
+
+describe('parseCsvTable', () => {
+  it('builds a table with the first record as header', () => {
+    const table = parseCsvTable('Name\tNotes\nAnn\t"line 1\nline 2"\n');
+    expect(table.alignments).toEqual(['left', 'left']);
+    expect(table.rows.map((row) => row.isHeader)).toEqual([true, false]);
+    expect(table.rows[1].cells[1].paragraphs).toHaveLength(2);
+    expect(tableModelToMarkdown(table)).toBe('| Name | Notes            |\n|------|------------------|\n| Ann  | line 1<br>line 2 |');
+  });
+
+  it('takes header options', () => {
+    const table = parseCsvTable('a,b\n1,2\n', { headerRows: 0, rowHeaders: true });
+    expect(table.rows.map((row) => row.isHeader)).toEqual([false, false]);
+    expect(table.rowHeaders).toBe(true);
+  });
+
+  it('uses a given delimiter and pads short records', () => {
+    const table = parseCsvTable('a|b\n1', { delimiter: '|' });
+    expect(table.rows[1].cells.map((cell) => cell.content)).toEqual(['1', '']);
+    expect(parseCsvTable('just some text')).toBeNull();
+  });
+});
+
+describe('tableModelToCsv', () => {
+  it('quotes fields that need it and ends records with CRLF', () => {
+    const table = parseMarkdownTable('| Item | Notes |\n|------|-------|\n| Ink, black | say "hi"<br>twice |\n| Pens | << |');
+    expect(tableModelToCsv(table)).toBe('Item,Notes\r\n"Ink, black","say ""hi""\ntwice"\r\nPens,\r\n');
+    expect(tableModelToCsv(table, { delimiter: '\t' })).toBe('Item\tNotes\r\nInk, black\t"say ""hi""\ntwice"\r\nPens\t\r\n');
+  });
+
+  it('round-trips through parseCsvTable', () => {
+    const table = parseMarkdownTable('| a | b |\n|---|---|\n| "q" | x<br>y |\n|   | 2 |');
+    expect(tableModelToMarkdown(parseCsvTable(tableModelToCsv(table)))).toBe(tableModelToMarkdown(table));
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import { readDocxTables, tableModelToDocx } from '../src/docx.js';
+import { createZip, readZip } from '../src/zip.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const R = 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+function cell(text, props = '', pPr = '') {
+  return `<w:tc><w:tcPr>${props}</w:tcPr><w:p><w:pPr>${pPr}</w:pPr><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+}
+
+function docxWith(bodyXml, extraFiles = []) {
+  return createZip([
+    { name: 'word/document.xml', data: `<w:document ${W} ${R}><w:body>${bodyXml}</w:body></w:document>` },
+    ...extraFiles,
+  ]);
+}
+
+describe('readDocxTables', () => {
+  it('reads merges, header flags and alignment', async () => {
+    const bytes = docxWith(`
+      <w:tbl>
+        <w:tr><w:trPr><w:tblHeader/></w:trPr>
+          ${cell('Name', '<w:gridSpan w:val="2"/>')}${cell('Score', '', '<w:jc w:val="right"/>')}
+        </w:tr>
+        <w:tr>${cell('Ann', '<w:vMerge w:val="restart"/>')}${cell('A')}${cell('1')}</w:tr>
+        <w:tr>${cell('', '<w:vMerge/>')}${cell('B')}${cell('2')}</w:tr>
+      </w:tbl>
+      <w:p/>
+      <w:tbl><w:tr>${cell('Second')}</w:tr></w:tbl>`);
+
+    const tables = await readDocxTables(bytes);
+    expect(tables).toHaveLength(2);
+    const [table] = tables;
+    expect(table.alignments).toEqual(['left', 'left', 'right']);
+    expect(table.rows.map((row) => row.isHeader)).toEqual([true, false, false]);
+    expect(table.rows[0].cells[0]).toMatchObject({ content: 'Name', colspan: 2 });
+    expect(table.rows[0].cells[1].covered).toBe(true);
+    expect(table.rows[1].cells[0]).toMatchObject({ content: 'Ann', rowspan: 2 });
+    expect(table.rows[2].cells[0].covered).toBe(true);
+    expect(tableModelToMarkdown(table, { preserveMerges: true })).toBe(
+      [
+        '| Name | <<  | Score |',
+        '|------|-----|------:|',
+        '| Ann  | A   | 1     |',
+        '| ^^   | B   | 2     |',
+      ].join('\n'),
+    );
+  });
+
+  it('reads formatting, links, line breaks and lists', async () => {
+    const rels = `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+      <Relationship Id="rId9" Type="hyperlink" Target="https://example.com" TargetMode="External"/>
+    </Relationships>`;
+    const numbering = `<w:numbering ${W}>
+      <w:abstractNum w:abstractNumId="3"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>
+      <w:num w:numId="5"><w:abstractNumId w:val="3"/></w:num>
+    </w:numbering>`;
+    const bytes = docxWith(
+      `<w:tbl>
+        <w:tr>${cell('Notes')}</w:tr>
+        <w:tr><w:tc>
+          <w:p>
+            <w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Bold </w:t></w:r>
+            <w:r><w:rPr><w:b w:val="0"/><w:i/></w:rPr><w:t>it</w:t></w:r>
+            <w:r><w:br/><w:t>next</w:t></w:r>
+            <w:r><w:rPr><w:rFonts w:ascii="Consolas"/></w:rPr><w:t>x()</w:t></w:r>
+            <w:hyperlink r:id="rId9"><w:r><w:t>link</w:t></w:r></w:hyperlink>
+            <w:del><w:r><w:delText>gone</w:delText></w:r></w:del>
+          </w:p>
+          <w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="5"/></w:numPr></w:pPr><w:r><w:t>one</w:t></w:r></w:p>
+          <w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="5"/></w:numPr></w:pPr><w:r><w:t>two</w:t></w:r></w:p>
+        </w:tc></w:tr>
+      </w:tbl>`,
+      [
+        { name: 'word/_rels/document.xml.rels', data: rels },
+        { name: 'word/numbering.xml', data: numbering },
+      ],
+    );
+
+    const [table] = await readDocxTables(bytes);
+    expect(tableModelToMarkdown(table).split('\n')[2]).toBe(
+      '| **Bold** *it*<br>next`x()`[link](https://example.com)<br>1. one<br>2. two |',
+    );
+  });
+
+  it('uses the table style options for tables without header flags', async () => {
+    const look = (attrs) => `<w:tblPr><w:tblLook ${attrs}/></w:tblPr>`;
+    const rows = `<w:tr>${cell('a')}${cell('b')}</w:tr><w:tr>${cell('1')}${cell('2')}</w:tr>`;
+    const [noHeader, defaults] = await readDocxTables(
+      docxWith(`<w:tbl>${look('w:val="0400"')}${rows}</w:tbl><w:p/><w:tbl>${look('w:val="04A0"')}${rows}</w:tbl>`),
+    );
+    expect(noHeader.rows.map((row) => row.isHeader)).toEqual([false, false]);
+    expect(defaults.rows.map((row) => row.isHeader)).toEqual([true, false]);
+
+    const shd = '<w:shd w:val="clear" w:color="auto" w:fill="D9D9D9"/>';
+    const [shaded] = await readDocxTables(
+      docxWith(`<w:tbl>${look('w:firstRow="0" w:firstColumn="1"')}<w:tr>${cell('a', shd)}${cell('b', shd)}</w:tr>
+        <w:tr>${cell('Ann', shd)}${cell('1')}</w:tr><w:tr>${cell('Bob', shd)}${cell('2')}</w:tr></w:tbl>`),
+    );
+    expect(shaded.rows.map((row) => row.isHeader)).toEqual([true, false, false]);
+    expect(shaded.rowHeaders).toBe(true);
+  });
+
+  it('rejects files that are not Word documents', async () => {
+    await expect(readDocxTables(new TextEncoder().encode('plain text'))).rejects.toThrow('Not a .docx file');
+    await expect(readDocxTables(createZip([{ name: 'a.txt', data: 'x' }]))).rejects.toThrow('word/document.xml');
+  });
+});
+
+describe('tableModelToDocx', () => {
+  const markdown = [
+    '| Item        | Owner | Cost |',
+    '|-------------|:-----:|-----:|',
+    '| **Design**  | Ann   | 5    |',
+    '| ^^          | Bob   | <<   |',
+    '| See [docs](https://example.com)<br>- a<br>- b | Cy | 1. x<br>2. y |',
+  ].join('\n');
+
+  it('writes a package Word can open', async () => {
+    const entries = await readZip(tableModelToDocx(parseMarkdownTable(markdown)));
+    expect([...entries.keys()]).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'word/document.xml',
+      'word/_rels/document.xml.rels',
+      'word/numbering.xml',
+    ]);
+    const documentXml = new TextDecoder().decode(entries.get('word/document.xml'));
+    expect(new DOMParser().parseFromString(documentXml, 'application/xml').querySelector('parsererror')).toBeNull();
+    expect(documentXml).toContain('<w:tblHeader/>');
+    expect(documentXml).toContain('<w:vMerge w:val="restart"/>');
+    expect(documentXml).toContain('<w:gridSpan w:val="2"/>');
+  });
+
+  it('drops characters XML does not allow and writes vertical tabs as line breaks', async () => {
+    const table = parseMarkdownTable('| Item | Notes |\n|---|---|\n| Tea\u0001 | Hot\u000Bstrong\u001F |');
+    const documentXml = new TextDecoder().decode((await readZip(tableModelToDocx(table))).get('word/document.xml'));
+    expect(new DOMParser().parseFromString(documentXml, 'application/xml').querySelector('parsererror')).toBeNull();
+    expect(documentXml).toContain('Hot</w:t><w:br/><w:t xml:space="preserve">strong</w:t>');
+    const [readBack] = await readDocxTables(tableModelToDocx(table));
+    expect(readBack.rows[1].cells.map((cell) => cell.content)).toEqual(['Tea', 'Hot\nstrong']);
+  });
+
+  it('reads back tables without a header and with row headers', async () => {
+    for (const source of ['|   |   |\n|---|---|\n| a | b |\n| 1 | 2 |', '| N | A |\n|---|---|\n| **Ann** | 1 |\n| **Bob** | 2 |']) {
+      const table = parseMarkdownTable(source);
+      const [readBack] = await readDocxTables(tableModelToDocx(table));
+      expect(readBack.rows.map((row) => row.isHeader)).toEqual(table.rows.map((row) => row.isHeader));
+      expect(readBack.rowHeaders).toBe(table.rowHeaders);
+    }
+  });
+
+  it('fixes known column widths and reads them back', async () => {
+    const table = { ...parseMarkdownTable('| a | b |\n|---|---|\n| 1 | 2 |'), columnWidths: [100, 250.5] };
+    const documentXml = new TextDecoder().decode((await readZip(tableModelToDocx(table))).get('word/document.xml'));
+    expect(documentXml).toContain('<w:tblW w:w="7010" w:type="dxa"/>');
+    expect(documentXml).toContain('<w:tblLayout w:type="fixed"/>');
+    expect(documentXml).toContain('<w:gridCol w:w="2000"/><w:gridCol w:w="5010"/>');
+    const [readBack] = await readDocxTables(tableModelToDocx(table));
+    expect(readBack.columnWidths).toEqual([100, 250.5]);
+  });
+
+  it('right-aligns numeric columns when asked', async () => {
+    const table = parseMarkdownTable('| Item | Qty |\n|---|---|\n| Tea | 1.5 |\n| Cake | 12 |');
+    const [plain] = await readDocxTables(tableModelToDocx(table));
+    expect(plain.alignments).toEqual(['left', 'left']);
+    const [aligned] = await readDocxTables(tableModelToDocx(table, { numberAlignment: 'right' }));
+    expect(aligned.alignments).toEqual(['left', 'right']);
+  });
+
+  it('writes and reads back the alignment of single cells', async () => {
+    const table = parseMarkdownTable('| Item | Cost {align=center} |\n|---|---:|\n| Tea {valign=bottom} | 1.50 |\n| Cake | 3.00 |');
+    const documentXml = new TextDecoder().decode((await readZip(tableModelToDocx(table))).get('word/document.xml'));
+    expect(documentXml).toContain('<w:vAlign w:val="bottom"/>');
+    const [readBack] = await readDocxTables(tableModelToDocx(table));
+    expect(readBack.alignments).toEqual(['left', 'right']);
+    expect(readBack.rows[0].cells[1].align).toBe('center');
+    expect(readBack.rows[1].cells[0].valign).toBe('bottom');
+  });
+
+  it('reads back the same table', async () => {
+    const table = parseMarkdownTable(markdown);
+    const [readBack] = await readDocxTables(tableModelToDocx(table));
+    expect(tableModelToMarkdown(readBack, { preserveMerges: true })).toBe(
+      tableModelToMarkdown(table, { preserveMerges: true }),
+    );
+  });
+});
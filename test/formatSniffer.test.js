@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { INPUT_FORMATS, sniffFormat } from '../src/formatSniffer.js';
+
+describe('sniffFormat', () => {
+  it('detects each supported format', () => {
+    const cases = {
+      html: '<table><tr><td>a</td><td>b</td></tr></table>',
+      tsv: 'Name\tAge\nAnn\t31\nBob\t42',
+      csv: 'Name,Age\nAnn,31\nBob,42',
+      json: '[{"Name": "Ann", "Age": 31}, {"Name": "Bob", "Age": 42}]',
+      yaml: '- Name: Ann\n  Age: 31\n- Name: Bob\n  Age: 42',
+      gfm: '| Name | Age |\n|------|-----|\n| Ann  | 31  |',
+      'pandoc-grid': '+------+-----+\n| Name | Age |\n+======+=====+\n| Ann  | 31  |\n+------+-----+',
+      asciidoc: '|===\n| Name | Age\n\n| Ann | 31\n|===',
+      'rst-list': '.. list-table::\n   :header-rows: 1\n\n   * - Name\n     - Age\n   * - Ann\n     - 31',
+    };
+    for (const [format, text] of Object.entries(cases)) {
+      expect(sniffFormat(text).format, format).toBe(format);
+      expect(INPUT_FORMATS[format]).toBeDefined();
+    }
+  });
+
+  it('scores a Markdown table in an LLM reply lower than a bare one, but above CSV', () => {
+    const bare = sniffFormat('| a, b | c |\n|---|---|\n| 1, 2 | 3 |');
+    const reply = sniffFormat('Sure, here it is:\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\nAnything else, or done?');
+    expect(bare).toMatchObject({ format: 'gfm', confidence: 0.95 });
+    expect(reply.format).toBe('gfm');
+    expect(reply.confidence).toBeLessThan(bare.confidence);
+    expect(bare.candidates.map((candidate) => candidate.format)).toEqual(['gfm', 'csv']);
+  });
+
+  it('takes only records for JSON or YAML, and is less sure of ragged CSV', () => {
+    expect(sniffFormat('{"a": 1}')).toMatchObject({ format: null });
+    expect(sniffFormat('[{"a": 1},')).toMatchObject({ format: null });
+    expect(sniffFormat('- milk\n- eggs')).toMatchObject({ format: null });
+    const ragged = sniffFormat('a,b\n1,2\n3,4\n5,6,7,8');
+    expect(ragged.format).toBe('csv');
+    expect(ragged.confidence).toBeLessThan(0.7);
+  });
+
+  it('finds nothing in prose or empty input', () => {
+    expect(sniffFormat('Just a sentence.')).toEqual({ format: null, confidence: 0, candidates: [] });
+    expect(sniffFormat('  \n')).toMatchObject({ format: null });
+    expect(sniffFormat(',\n;')).toMatchObject({ format: null });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { parsePandocGridTable, tableModelToPandocGrid } from '../src/gridTable.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+
+describe('parsePandocGridTable', () => {
+  it('parses header, alignment and cell formatting', () => {
+    const table = parsePandocGridTable(`
++--------+-------+
+| Item   | Cost  |
++:=======+======:+
+| **Ink**| 9     |
++--------+-------+
+`);
+    expect(table.alignments).toEqual(['left', 'right']);
+    expect(table.rows.map((row) => row.isHeader)).toEqual([true, false]);
+    expect(table.rows[1].cells[0].paragraphs[0].runs[0]).toMatchObject({ text: 'Ink', bold: true });
+    expect(table.rows[1].cells[1].content).toBe('9');
+  });
+
+  it('reads row and column spans', () => {
+    const table = parsePandocGridTable(`
++-----+-----+-----+
+| A   | B         |
++-----+-----+-----+
+| C   | D   | E   |
++     +-----+-----+
+|     | F   | G   |
++-----+-----+-----+
+`);
+    expect(table.rows[0].cells[1]).toMatchObject({ content: 'B', colspan: 2 });
+    expect(table.rows[0].cells[2].covered).toBe(true);
+    expect(table.rows[1].cells[0]).toMatchObject({ content: 'C', rowspan: 2 });
+    expect(table.rows[2].cells[0].covered).toBe(true);
+    expect(table.rows[2].cells[2].content).toBe('G');
+  });
+
+  it('reads paragraphs and lists spread over several lines', () => {
+    const table = parsePandocGridTable(`
++-----------+
+| Steps     |
++===========+
+| Intro     |
+|           |
+| - one     |
+|   - two   |
++-----------+
+`);
+    const paragraphs = table.rows[1].cells[0].paragraphs;
+    expect(paragraphs.map((p) => p.list)).toEqual([null, { ordered: false, level: 0 }, { ordered: false, level: 1 }]);
+  });
+
+  it('returns null when there is no grid table', () => {
+    expect(parsePandocGridTable('| a |\n|---|\n| 1 |')).toBeNull();
+    expect(parsePandocGridTable('+---+\n| a\n+---+')).toBeNull();
+  });
+});
+
+describe('tableModelToPandocGrid', () => {
+  it('writes spans, alignment and the header separator', () => {
+    const table = parseMarkdownTable('| Item | Cost |\n|------|-----:|\n| Ink  | 9    |\n| Pens | <<   |');
+    expect(tableModelToPandocGrid(table)).toBe(
+      [
+        '+------+------+',
+        '| Item | Cost |',
+        '+:=====+=====:+',
+        '| Ink  | 9    |',
+        '+------+------+',
+        '| Pens        |',
+        '+-------------+',
+      ].join('\n'),
+    );
+  });
+
+  it('round-trips merges, lists and inline formatting', () => {
+    const markdown = [
+      '| Name    | Notes                          |',
+      '|---------|--------------------------------|',
+      '| **Ann** | A<br>- x<br>  1. y<br>- z      |',
+      '| ^^      | `a\\|b` and [link](http://e.com) |',
+    ].join('\n');
+    const table = parseMarkdownTable(markdown);
+    const back = parsePandocGridTable(tableModelToPandocGrid(table));
+    expect(tableModelToMarkdown(back, { preserveMerges: true })).toBe(tableModelToMarkdown(table, { preserveMerges: true }));
+  });
+});
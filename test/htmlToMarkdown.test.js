@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { htmlTableToModel, tableModelToMarkdown, htmlToMarkdown } from '../src/htmlToMarkdown.js';
 import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { sanitizeWordHtml } from '../src/htmlSanitizer.js';
 
 function makeTable(html) {
   const parser = new DOMParser();
@@ -46,6 +47,27 @@ describe('htmlTableToModel', () => {
     expect(model.alignments).toEqual(['left', 'center', 'right']);
   });
 
+  it('aligns columns as most of their data cells are', () => {
+    const table = makeTable(`
+      <table>
+        <tr><th align="center">Item</th><th align="center">Cost</th></tr>
+        <tr><td>Tea</td><td><p align="right">1.50</p></td></tr>
+        <tr><td>Cake</td><td style="text-align: right">3.00</td></tr>
+        <tr><td>Total</td><td valign="bottom">4.50</td></tr>
+      </table>
+    `);
+    const model = htmlTableToModel(table);
+    // The first column's data cells follow its header
+    expect(model.alignments).toEqual(['center', 'right']);
+    expect(model.rows.map((row) => row.cells.map((cell) => cell.align || null))).toEqual([
+      [null, 'center'],
+      [null, null],
+      [null, null],
+      [null, 'left'],
+    ]);
+    expect(model.rows[3].cells[1].valign).toBe('bottom');
+  });
+
   it('handles colspan by expanding cells', () => {
     const table = makeTable(`
       <table>
@@ -157,7 +179,7 @@ describe('htmlToMarkdown', () => {
         </tr>
       </table>
     `;
-    const result = htmlToMarkdown(html);
+    const result = htmlToMarkdown(html, { collapseLineBreaks: true });
     expect(result).not.toBeNull();
     // Each row must be a single line — no newlines within a row
     const lines = result.markdown.split('\n');
@@ -167,6 +189,27 @@ describe('htmlToMarkdown', () => {
     expect(result.markdown).toContain('First paragraph of content. Second paragraph with more detail.');
   });
 
+  it('writes paragraphs inside a cell as <br>', () => {
+    const html = `
+      <table>
+        <tr><th>Step</th><th>Action</th></tr>
+        <tr>
+          <td>1</td>
+          <td>
+            <p>First paragraph of content.</p>
+            <p>Second paragraph<br>with a line break.</p>
+          </td>
+        </tr>
+      </table>
+    `;
+    const result = htmlToMarkdown(html);
+    const lines = result.markdown.split('\n');
+    for (const line of lines) {
+      expect(line).toMatch(/^\|.*\|$/);
+    }
+    expect(result.markdown).toContain('First paragraph of content.<br>Second paragraph<br>with a line break.');
+  });
+
   it('preserves comment markers like [CD1] in cell content', () => {
     const html = `
       <table>
@@ -212,4 +255,285 @@ describe('htmlToMarkdown', () => {
     expect(result.markdown).toContain('Foo');
     expect(result.markdown).toContain('Bar');
   });
+
+  it('converts inline formatting to Markdown', () => {
+    const html = `
+      <table>
+        <tr><th>Term</th><th>Notes</th></tr>
+        <tr>
+          <td><b>Must</b></td>
+          <td>See <a href="https://example.com/spec">the <i>spec</i></a> and <s>old</s> <code>cfg.yml</code></td>
+        </tr>
+      </table>
+    `;
+    const result = htmlToMarkdown(html);
+    expect(result.markdown).toContain('**Must**');
+    expect(result.markdown).toContain('See [the *spec*](https://example.com/spec) and ~~old~~ `cfg.yml`');
+  });
+
+  it('converts Word style-based formatting to Markdown', () => {
+    const html = `
+      <table class="MsoTableGrid">
+        <tr><td><p class="MsoNormal">Key</p></td><td><p class="MsoNormal">Value</p></td></tr>
+        <tr>
+          <td><p class="MsoNormal"><span style="font-weight:bold;mso-bidi-font-weight:normal">Bold</span></p></td>
+          <td><p class="MsoNormal"><span style='font-family:"Courier New"'>run()</span></p></td>
+        </tr>
+      </table>
+    `;
+    const result = htmlToMarkdown(html);
+    expect(result.markdown).toContain('**Bold**');
+    expect(result.markdown).toContain('`run()`');
+  });
+
+  it('drops bold that covers a whole header cell', () => {
+    const html = `
+      <table>
+        <tr><td><b>Name</b></td><td><b>Bold</b> and plain</td></tr>
+        <tr><td>a</td><td>b</td></tr>
+      </table>
+    `;
+    const lines = htmlToMarkdown(html).markdown.split('\n');
+    expect(lines[0]).toContain('| Name');
+    expect(lines[0]).toContain('**Bold** and plain');
+  });
+});
+
+describe('header rows and row headers', () => {
+  const headers = (table) => table.rows.map((row) => row.isHeader);
+
+  it('takes leading rows of <th> cells as header rows', () => {
+    const model = htmlTableToModel(
+      makeTable('<table><tr><th>Q1</th><th>Q2</th></tr><tr><th>Jan</th><th>Apr</th></tr><tr><td>1</td><td>2</td></tr></table>'),
+    );
+    expect(headers(model)).toEqual([true, true, false]);
+  });
+
+  it('uses Word\'s "Header Row" option and bold first rows', () => {
+    const noHeader = '<table style="mso-yfti-tbllook:1024"><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr></table>';
+    expect(headers(htmlToMarkdown(noHeader).table)).toEqual([false, false]);
+    expect(htmlToMarkdown(noHeader).markdown.split('\n').slice(0, 3)).toEqual(['|     |     |', '|-----|-----|', '| a   | b   |']);
+
+    const boldFirstRow = noHeader.replace('<td>a</td><td>b</td>', '<td><b>a</b></td><td><b>b</b></td>');
+    expect(headers(htmlToMarkdown(boldFirstRow).table)).toEqual([true, false]);
+  });
+
+  it('makes Word\'s shaded first row and first column headers', () => {
+    const html = `
+      <table style="mso-yfti-tbllook:1184">
+        <tr><td style="background:#D9D9D9">Name</td><td style="background:#D9D9D9">Age</td></tr>
+        <tr><td style="background:#F2F2F2">Ann</td><td>31</td></tr>
+        <tr><td style="background:#F2F2F2">Bob</td><td>42</td></tr>
+      </table>`;
+    const { table } = htmlToMarkdown(html);
+    expect(headers(table)).toEqual([true, false, false]);
+    expect(table.rowHeaders).toBe(true);
+  });
+
+  it('finds row headers in <th> or bold first cells', () => {
+    const th = htmlTableToModel(makeTable('<table><tr><td>Name</td><td>Age</td></tr><tr><th>Ann</th><td>31</td></tr></table>'));
+    expect(th.rowHeaders).toBe(true);
+
+    const bold = htmlTableToModel(
+      makeTable('<table><tr><td>Name</td><td>Age</td></tr><tr><td><b>Ann</b></td><td>31</td></tr><tr><td><b>Bob</b></td><td>42</td></tr></table>'),
+    );
+    expect(bold.rowHeaders).toBe(true);
+    expect(bold.rows[1].cells[0].paragraphs[0].runs[0].bold).toBe(false);
+  });
+
+  it('lets options override the detected headers', () => {
+    const el = makeTable('<table><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr><tr><td>3</td><td>4</td></tr></table>');
+    expect(headers(htmlTableToModel(el, { headerRows: 0 }))).toEqual([false, false, false]);
+    expect(headers(htmlTableToModel(el, { headerRows: 2 }))).toEqual([true, true, false]);
+    expect(htmlTableToModel(el, { rowHeaders: true }).rowHeaders).toBe(true);
+  });
+
+  it('writes row headers in bold and reads them back', () => {
+    const el = makeTable('<table><tr><th>Name</th><th>Age</th></tr><tr><th>Ann</th><td>31</td></tr><tr><th>Bob</th><td>42</td></tr></table>');
+    const markdown = tableModelToMarkdown(htmlTableToModel(el));
+    expect(markdown.split('\n')[2]).toBe('| **Ann** | 31  |');
+    expect(parseMarkdownTable(markdown).rowHeaders).toBe(true);
+  });
+});
+
+describe('merged cells', () => {
+  const html = `
+    <table>
+      <tr><th colspan="2">Region</th><th>Q1</th></tr>
+      <tr><td rowspan="2">North</td><td>Oslo</td><td>10</td></tr>
+      <tr><td>Bergen</td><td></td></tr>
+    </table>
+  `;
+
+  it('keeps span information and marks covered slots', () => {
+    const model = htmlTableToModel(makeTable(html));
+    expect(model.rows[0].cells[0]).toMatchObject({ content: 'Region', colspan: 2 });
+    expect(model.rows[0].cells[1].covered).toBe(true);
+    expect(model.rows[1].cells[0]).toMatchObject({ content: 'North', rowspan: 2 });
+    expect(model.rows[2].cells[0].covered).toBe(true);
+    // A genuinely empty cell is not covered
+    expect(model.rows[2].cells[2].covered).toBe(false);
+  });
+
+  it('writes merge markers when preserving merges', () => {
+    const result = htmlToMarkdown(html, { preserveMerges: true });
+    const lines = result.markdown.split('\n');
+    expect(lines[0]).toMatch(/^\| Region +\| << +\| Q1 +\|$/);
+    expect(lines[3]).toMatch(/^\| \^\^ +\| Bergen +\| +\|$/);
+    expect(result.warnings).toHaveLength(0);
+  });
+
+  it('leaves covered slots empty by default', () => {
+    const result = htmlToMarkdown(html);
+    expect(result.markdown).not.toContain('<<');
+    expect(result.markdown).not.toContain('^^');
+  });
+
+  it('escapes cells that look like merge markers', () => {
+    const result = htmlToMarkdown('<table><tr><th>A</th></tr><tr><td>^^</td></tr></table>', {
+      preserveMerges: true,
+    });
+    expect(result.markdown).toContain('\\^^');
+  });
+});
+
+describe('Word lists in cells', () => {
+  const wordList = `
+    <table class="MsoTableGrid">
+      <tr><td><p class="MsoNormal">Area</p></td><td><p class="MsoNormal">Actions</p></td></tr>
+      <tr>
+        <td><p class="MsoNormal">Build</p></td>
+        <td>
+          <p class="MsoNormal">Before release:</p>
+          <p class="MsoListParagraphCxSpFirst" style="text-indent:-.25in;mso-list:l0 level1 lfo1"><![if !supportLists]><span style="font-family:Symbol"><span style="mso-list:Ignore">·<span style="font:7.0pt 'Times New Roman'">&nbsp;&nbsp;&nbsp; </span></span></span><![endif]>Run tests<o:p></o:p></p>
+          <p class="MsoListParagraphCxSpMiddle" style="margin-left:1.0in;mso-list:l0 level2 lfo2"><![if !supportLists]><span><span style="mso-list:Ignore">1.<span style="font:7.0pt 'Times New Roman'">&nbsp;&nbsp; </span></span></span><![endif]>Unit<o:p></o:p></p>
+          <p class="MsoListParagraphCxSpMiddle" style="margin-left:1.0in;mso-list:l0 level2 lfo2"><![if !supportLists]><span><span style="mso-list:Ignore">2.<span style="font:7.0pt 'Times New Roman'">&nbsp;&nbsp; </span></span></span><![endif]>Integration<o:p></o:p></p>
+          <p class="MsoListParagraphCxSpLast" style="text-indent:-.25in;mso-list:l0 level1 lfo1"><![if !supportLists]><span style="font-family:Symbol"><span style="mso-list:Ignore">·<span style="font:7.0pt 'Times New Roman'">&nbsp;&nbsp;&nbsp; </span></span></span><![endif]>Tag the <b>release</b><o:p></o:p></p>
+        </td>
+      </tr>
+    </table>
+  `;
+
+  it('turns Word list paragraphs into list items', () => {
+    const model = htmlTableToModel(sanitizeWordHtml(wordList).table);
+    const paragraphs = model.rows[1].cells[1].paragraphs;
+    expect(paragraphs.map((p) => p.list)).toEqual([
+      null,
+      { ordered: false, level: 0 },
+      { ordered: true, level: 1 },
+      { ordered: true, level: 1 },
+      { ordered: false, level: 0 },
+    ]);
+    expect(model.rows[1].cells[1].content).not.toContain('·');
+  });
+
+  it('writes the list as <br>-separated Markdown items', () => {
+    const result = htmlToMarkdown(wordList);
+    expect(result.markdown).toContain(
+      'Before release:<br>- Run tests<br>  1. Unit<br>  2. Integration<br>- Tag the **release**',
+    );
+  });
+
+  // Newer Word versions leave out the mso-list:Ignore span: the marker is
+  // just what sits between the supportLists comments
+  const withoutIgnore = `
+    <table class="MsoTableGrid">
+      <tr><td><p class="MsoNormal">Steps</p></td></tr>
+      <tr>
+        <td>
+          <p class="MsoListParagraphCxSpFirst" style="text-indent:-.25in;mso-list:l0 level1 lfo1"><![if !supportLists]><span style="font-family:Symbol">·<span style="font:7.0pt 'Times New Roman'">&nbsp;&nbsp;&nbsp; </span></span><![endif]>First<o:p></o:p></p>
+          <p class="MsoListParagraphCxSpMiddle" style="margin-left:1.0in;mso-list:l0 level2 lfo1"><![if !supportLists]><span style="font-family:'Courier New'">o<span style="font:7.0pt 'Times New Roman'">&nbsp;&nbsp; </span></span><![endif]>Nested<o:p></o:p></p>
+          <p class="MsoListParagraphCxSpLast" style="text-indent:-.25in;mso-list:l1 level1 lfo2"><![if !supportLists]><span>1.<span style="font:7.0pt 'Times New Roman'">&nbsp;&nbsp; </span></span><![endif]>Numbered<o:p></o:p></p>
+        </td>
+      </tr>
+    </table>
+  `;
+
+  it('drops the marker between the supportLists comments without an Ignore span', () => {
+    const model = htmlTableToModel(sanitizeWordHtml(withoutIgnore).table);
+    expect(model.rows[1].cells[0].paragraphs.map((p) => p.list)).toEqual([
+      { ordered: false, level: 0 },
+      { ordered: false, level: 1 },
+      { ordered: true, level: 0 },
+    ]);
+    expect(htmlToMarkdown(withoutIgnore).markdown).toContain('| - First<br>  - Nested<br>1. Numbered |');
+  });
+});
+
+describe('column widths', () => {
+  const sized = `
+    <table>
+      <colgroup><col style="width:100pt"><col style="width:300pt"></colgroup>
+      <tr><td>Name</td><td>Notes</td></tr>
+      <tr><td>Ann</td><td>Lead</td></tr>
+    </table>
+  `;
+
+  it('carries the pasted widths into the model', () => {
+    expect(htmlToMarkdown(sized).table.columnWidths).toEqual([100, 300]);
+    expect(htmlToMarkdown('<table><tr><td>a</td></tr></table>').table.columnWidths).toBeUndefined();
+  });
+
+  it('writes them as relative separator lengths when asked', () => {
+    expect(htmlToMarkdown(sized).markdown.split('\n')[1]).toBe('|------|-------|');
+    const lines = htmlToMarkdown(sized, { columnWidths: true }).markdown.split('\n');
+    const lengths = lines[1].split('|').slice(1, -1).map((cell) => cell.length);
+    expect(lengths).toEqual([18, 54]);
+    expect(lines.every((line) => line.length === lines[1].length)).toBe(true);
+  });
+
+  it('reads them back from the separator row', () => {
+    const { markdown } = htmlToMarkdown(sized, { columnWidths: true });
+    expect(parseMarkdownTable(markdown, { columnWidths: true }).columnWidths).toEqual([117, 351]);
+    expect(parseMarkdownTable(markdown).columnWidths).toBeUndefined();
+  });
+});
+
+describe('number alignment', () => {
+  const prices = '<table><tr><th>Item</th><th>Price</th></tr><tr><td>Tea</td><td>$1.5</td></tr><tr><td>Cake</td><td>$12</td></tr></table>';
+
+  it('keeps the table\'s alignment by default', () => {
+    expect(htmlToMarkdown(prices).markdown.split('\n')[1]).toBe('|------|-------|');
+  });
+
+  it('right-aligns numeric columns', () => {
+    expect(htmlToMarkdown(prices, { numberAlignment: 'right' }).markdown).toBe(
+      '| Item | Price |\n|------|------:|\n| Tea  |  $1.5 |\n| Cake |   $12 |',
+    );
+  });
+
+  it('lines up decimal points in the source', () => {
+    expect(htmlToMarkdown(prices, { numberAlignment: 'decimal' }).markdown).toBe(
+      '| Item | Price |\n|------|------:|\n| Tea  |  $1.5 |\n| Cake | $12   |',
+    );
+  });
+});
+
+describe('cell alignment', () => {
+  const html = `
+    <table>
+      <tr><td align="center" valign="top">Item</td><td align="center">Cost</td></tr>
+      <tr><td>Tea</td><td style="text-align:right;vertical-align:middle">1.50</td></tr>
+      <tr><td>{align=right}</td><td align="right">3.00</td></tr>
+    </table>
+  `;
+
+  it('keeps vertical alignment through the sanitizer', () => {
+    const { table } = sanitizeWordHtml(html);
+    expect(table.querySelectorAll('td')[3].getAttribute('valign')).toBe('middle');
+  });
+
+  it('writes cells aligned unlike their column as attribute blocks when asked', () => {
+    expect(htmlToMarkdown(html).markdown).toBe(
+      '| Item           | Cost |\n|:--------------:|-----:|\n| Tea            | 1.50 |\n| \\{align=right} | 3.00 |',
+    );
+    const { markdown } = htmlToMarkdown(html, { preserveAlignment: true });
+    expect(markdown.split('\n')[0]).toBe('| Item           | Cost {align=center}  |');
+    expect(markdown.split('\n')[2]).toBe('| Tea            | 1.50 {valign=middle} |');
+    const table = parseMarkdownTable(markdown);
+    expect(table.rows[0].cells[1].align).toBe('center');
+    expect(table.rows[1].cells[1].valign).toBe('middle');
+    expect(table.rows[2].cells[0]).toMatchObject({ content: '{align=right}' });
+    expect(table.rows[2].cells[0].align).toBeUndefined();
+  });
 });
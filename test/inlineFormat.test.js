@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCellHtml,
+  parseCellMarkdown,
+  parseInlineMarkdown,
+  paragraphsToHtml,
+  paragraphsToMarkdown,
+  runsToMarkdown,
+  runsToHtml,
+} from '../src/inlineFormat.js';
+import { createRun } from '../src/tableModel.js';
+
+function cellFrom(html) {
+  const doc = new DOMParser().parseFromString(`<table><tr><td>${html}</td></tr></table>`, 'text/html');
+  return doc.querySelector('td');
+}
+
+describe('parseCellHtml', () => {
+  it('reads bold, italic, code, strike and links', () => {
+    const [{ runs }] = parseCellHtml(
+      cellFrom('<b>Bold</b> <i>it</i> <code>x()</code> <s>old</s> <a href="https://x.test">link</a>'),
+    );
+    expect(runs.find((r) => r.text === 'Bold').bold).toBe(true);
+    expect(runs.find((r) => r.text === 'it').italic).toBe(true);
+    expect(runs.find((r) => r.text === 'x()').code).toBe(true);
+    expect(runs.find((r) => r.text === 'old').strike).toBe(true);
+    expect(runs.find((r) => r.text === 'link').href).toBe('https://x.test');
+  });
+
+  it('collapses whitespace across runs and trims the cell', () => {
+    const [{ runs }] = parseCellHtml(cellFrom('\n  <b>A </b>  B\n '));
+    expect(runs.map((r) => r.text).join('')).toBe('A B');
+  });
+
+  it('drops javascript: links', () => {
+    const [{ runs }] = parseCellHtml(cellFrom('<a href="javascript:alert(1)">x</a>'));
+    expect(runs[0].href).toBeNull();
+  });
+
+  it('splits paragraphs and line breaks', () => {
+    const paragraphs = parseCellHtml(cellFrom('\n<p>First <b>one</b></p>\n<p>Second<br>line</p>\n<p>&nbsp;</p>'));
+    expect(paragraphs.map((p) => p.runs.map((r) => r.text).join(''))).toEqual(['First one', 'Second', 'line']);
+  });
+
+  it('keeps blank lines made by consecutive <br>', () => {
+    const paragraphs = parseCellHtml(cellFrom('a<br><br>b'));
+    expect(paragraphs).toHaveLength(3);
+    expect(paragraphs[1].runs).toEqual([]);
+  });
+
+  it('collapses everything into one paragraph on request', () => {
+    const paragraphs = parseCellHtml(cellFrom('<p>a</p><p>b<br>c</p>'), { collapseLineBreaks: true });
+    expect(paragraphs).toHaveLength(1);
+    expect(paragraphs[0].runs[0].text).toBe('a b c');
+  });
+});
+
+describe('parseInlineMarkdown', () => {
+  it('parses emphasis markers', () => {
+    const runs = parseInlineMarkdown('**bold** *it* _also_ ~~gone~~ `code`');
+    expect(runs.find((r) => r.text === 'bold').bold).toBe(true);
+    expect(runs.find((r) => r.text === 'it').italic).toBe(true);
+    expect(runs.find((r) => r.text === 'also').italic).toBe(true);
+    expect(runs.find((r) => r.text === 'gone').strike).toBe(true);
+    expect(runs.find((r) => r.text === 'code').code).toBe(true);
+  });
+
+  it('parses nested bold and italic', () => {
+    const runs = parseInlineMarkdown('**bold *both***');
+    expect(runs).toHaveLength(2);
+    expect(runs[1]).toMatchObject({ text: 'both', bold: true, italic: true });
+  });
+
+  it('parses links with formatted text', () => {
+    const runs = parseInlineMarkdown('see [the **spec**](https://example.com/a_(b))');
+    expect(runs[1]).toMatchObject({ text: 'the ', href: 'https://example.com/a_(b)' });
+    expect(runs[2]).toMatchObject({ text: 'spec', bold: true, href: 'https://example.com/a_(b)' });
+  });
+
+  it('keeps unmatched markers and intraword underscores literal', () => {
+    expect(parseInlineMarkdown('5 * 3 = 15').map((r) => r.text).join('')).toBe('5 * 3 = 15');
+    const runs = parseInlineMarkdown('snake_case_name');
+    expect(runs).toHaveLength(1);
+    expect(runs[0].italic).toBe(false);
+  });
+
+  it('resolves backslash escapes but keeps other backslashes', () => {
+    const runs = parseInlineMarkdown('\\*not\\* C:\\Users a \\| b');
+    expect(runs[0].text).toBe('*not* C:\\Users a | b');
+  });
+
+  it('does not treat comment markers as links', () => {
+    expect(parseInlineMarkdown('operational [CD1] on laptop')[0].text).toBe('operational [CD1] on laptop');
+  });
+
+  it('unescapes pipes inside code spans', () => {
+    expect(parseInlineMarkdown('`a \\| b`')[0]).toMatchObject({ text: 'a | b', code: true });
+  });
+});
+
+describe('runsToMarkdown', () => {
+  it('keeps whitespace outside delimiters', () => {
+    const runs = [createRun('plain '), createRun('bold ', { bold: true }), createRun('end')];
+    expect(runsToMarkdown(runs)).toBe('plain **bold** end');
+  });
+
+  it('shares delimiters between adjacent runs', () => {
+    const runs = [createRun('a', { bold: true }), createRun('b', { bold: true, italic: true })];
+    expect(runsToMarkdown(runs)).toBe('**a*b***');
+  });
+
+  it('escapes markdown characters in plain text', () => {
+    const runs = [createRun('2*3 | _x_ ~~y~~')];
+    expect(runsToMarkdown(runs)).toBe('2\\*3 \\| \\_x\\_ \\~\\~y\\~\\~');
+  });
+
+  it('uses longer fences for code containing backticks', () => {
+    expect(runsToMarkdown([createRun('a`b', { code: true })])).toBe('``a`b``');
+  });
+
+  it('round-trips mixed formatting through the parser', () => {
+    const samples = [
+      '**Bold** and *italic* with `code` and ~~strike~~',
+      '[**linked** text](https://example.com) after',
+      '*a***b**',
+      'literal \\*stars\\* and \\_under\\_',
+      '***both*** then plain',
+    ];
+    for (const md of samples) {
+      const runs = parseInlineMarkdown(md);
+      expect(parseInlineMarkdown(runsToMarkdown(runs))).toEqual(runs);
+    }
+  });
+});
+
+describe('runsToHtml', () => {
+  it('emits semantic tags and escapes text', () => {
+    const runs = parseInlineMarkdown('**a<b** [x](https://e.test/?q="1") ~~s~~ `c`');
+    expect(runsToHtml(runs)).toBe(
+      '<strong>a&lt;b</strong> <a href="https://e.test/?q=&quot;1&quot;">x</a> <s>s</s> <code>c</code>',
+    );
+  });
+});
+
+describe('cell paragraphs in Markdown and HTML', () => {
+  it('joins paragraphs with <br> and splits them back', () => {
+    const paragraphs = parseCellMarkdown('**one**<br>two<BR/>`a<br>b`');
+    expect(paragraphs).toHaveLength(3);
+    expect(paragraphs[2].runs[0]).toMatchObject({ text: 'a<br>b', code: true });
+    expect(paragraphsToMarkdown(paragraphs)).toBe('**one**<br>two<br>`a<br>b`');
+  });
+
+  it('escapes literal <br> text', () => {
+    const paragraphs = parseCellMarkdown('use \\<br> tags');
+    expect(paragraphs).toHaveLength(1);
+    expect(paragraphs[0].runs[0].text).toBe('use <br> tags');
+    expect(paragraphsToMarkdown(paragraphs)).toBe('use \\<br> tags');
+  });
+
+  it('writes several paragraphs as <p> elements', () => {
+    expect(paragraphsToHtml(parseCellMarkdown('one'))).toBe('one');
+    expect(paragraphsToHtml(parseCellMarkdown('one<br><br>two'))).toBe(
+      '<p style="margin: 0;">one</p><p style="margin: 0;">&nbsp;</p><p style="margin: 0;">two</p>',
+    );
+  });
+});
+
+describe('lists in cells', () => {
+  it('reads nested HTML lists', () => {
+    const paragraphs = parseCellHtml(
+      cellFrom('Risks:<ul><li>Cost<ol><li>Labour</li><li>Parts</li></ol></li><li>Time</li></ul>'),
+    );
+    expect(paragraphs.map((p) => p.list)).toEqual([
+      null,
+      { ordered: false, level: 0 },
+      { ordered: true, level: 1 },
+      { ordered: true, level: 1 },
+      { ordered: false, level: 0 },
+    ]);
+    expect(paragraphs[2].runs[0].text).toBe('Labour');
+  });
+
+  it('writes list items with markers and numbering', () => {
+    const paragraphs = parseCellMarkdown('Risks:<br>- Cost<br>  1. Labour<br>  2. Parts<br>- Time');
+    expect(paragraphs[2].list).toEqual({ ordered: true, level: 1 });
+    expect(paragraphsToMarkdown(paragraphs)).toBe('Risks:<br>- Cost<br>  1. Labour<br>  2. Parts<br>- Time');
+  });
+
+  it('renumbers ordered items', () => {
+    const paragraphs = parseCellMarkdown('1. a<br>1. b<br>7. c');
+    expect(paragraphsToMarkdown(paragraphs)).toBe('1. a<br>2. b<br>3. c');
+  });
+
+  it('escapes plain paragraphs that look like list items', () => {
+    const paragraphs = [
+      { runs: [createRun('- not a bullet')], list: null },
+      { runs: [createRun('1. not numbered')], list: null },
+    ];
+    const markdown = paragraphsToMarkdown(paragraphs);
+    expect(markdown).toBe('\\- not a bullet<br>1\\. not numbered');
+    expect(parseCellMarkdown(markdown).every((p) => p.list === null)).toBe(true);
+  });
+
+  it('leaves a single numbered line as text', () => {
+    const [paragraph] = parseCellMarkdown('2024. Budget approved');
+    expect(paragraph.list).toBeNull();
+    expect(paragraph.runs[0].text).toBe('2024. Budget approved');
+  });
+
+  it('writes nested <ul>/<ol> markup', () => {
+    const html = paragraphsToHtml(parseCellMarkdown('Risks:<br>- Cost<br>  1. Labour<br>- Time'));
+    expect(html).toBe(
+      '<p style="margin: 0;">Risks:</p>' +
+        '<ul style="margin-top: 0; margin-bottom: 0;"><li>Cost' +
+        '<ol style="margin-top: 0; margin-bottom: 0;"><li>Labour</li></ol>' +
+        '</li><li>Time</li></ul>',
+    );
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { readMetadataComment } from '../src/tableMetadata.js';
+
+// The page script runs against index.html, as in the browser
+beforeAll(async () => {
+  const page = readFileSync(join(import.meta.dirname, '..', 'index.html'), 'utf8');
+  document.body.innerHTML = page.slice(page.indexOf('<body>') + 6, page.indexOf('<script'));
+  await import('../src/main.js');
+});
+
+describe('Word → Markdown from HTML typed into the input', () => {
+  const tableHtml = (name) => `<table><tr><th>Name</th></tr><tr><td>${name}</td></tr></table>`;
+
+  function convert(html) {
+    document.getElementById('input').value = html;
+    document.getElementById('to-markdown').click();
+    return document.getElementById('output').value;
+  }
+
+  it('makes the table the original its round-trip comment names', () => {
+    document.getElementById('embed-metadata').checked = true;
+    const first = convert(tableHtml('Ann'));
+    expect(first).toContain('| Ann');
+    const comment = readMetadataComment(first.split('\n').at(-1));
+    expect(comment.status).toBe('ok');
+    expect(sessionStorage.getItem('wordTableId')).toBe(JSON.stringify(comment.metadata.id));
+    expect(JSON.parse(sessionStorage.getItem('wordTableModel')).rows[1].cells[0].content).toBe('Ann');
+
+    const second = readMetadataComment(convert(tableHtml('Bob')).split('\n').at(-1));
+    expect(second.metadata.id).not.toBe(comment.metadata.id);
+    expect(JSON.parse(sessionStorage.getItem('wordTableModel')).rows[1].cells[0].content).toBe('Bob');
+  });
+});
+
+describe('Convert button', () => {
+  it('converts detected JSON records to Markdown', () => {
+    document.getElementById('input-format').value = 'auto';
+    document.getElementById('input').value = '[{"Name": "Ann", "Age": 31}, {"Name": "Bob", "Age": 4}]';
+    document.getElementById('convert').click();
+    const lines = document.getElementById('output').value.split('\n');
+    expect(lines[0]).toMatch(/^\| Name +\| Age +\|$/);
+    expect(lines[2]).toMatch(/^\| Ann +\| *31 +\|$/);
+    expect(document.getElementById('toast').textContent).toBe('Converted to Markdown');
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { parseMarkdownTable, markdownToHtml } from '../src/markdownToHtml.js';
+import { htmlCellCss, parseMarkdownTable, markdownToHtml, tableModelToHtml } from '../src/markdownToHtml.js';
+import { THEMES } from '../src/tableThemes.js';
 
 describe('parseMarkdownTable', () => {
   it('parses a simple 3x3 table', () => {
@@ -119,4 +120,218 @@ describe('markdownToHtml', () => {
   it('returns null for invalid markdown', () => {
     expect(markdownToHtml('just text')).toBeNull();
   });
+
+  it('converts inline formatting to HTML tags', () => {
+    const md = `
+| Item | Notes |
+|------|-------|
+| **Key** | *see* [docs](https://example.com) ~~old~~ \`x | y\` |
+    `;
+    const html = markdownToHtml(md);
+    expect(html).toContain('<strong>Key</strong>');
+    expect(html).toContain('<em>see</em>');
+    expect(html).toContain('<a href="https://example.com">docs</a>');
+    expect(html).toContain('<s>old</s>');
+  });
+});
+
+describe('headers', () => {
+  it('reads a single empty header row as no header', () => {
+    const table = parseMarkdownTable('|   |   |\n|---|---|\n| a | b |\n| 1 | 2 |');
+    expect(table.rows.map((row) => row.isHeader)).toEqual([false, false]);
+    expect(markdownToHtml('|   |   |\n|---|---|\n| a | b |')).not.toContain('<thead>');
+  });
+
+  it('marks header cells and row headers with scope', () => {
+    const html = markdownToHtml('| Name | Age |\n|---|---|\n| **Ann** | 31 |\n| **Bob** | 42 |');
+    expect(html).toContain('<th scope="col"');
+    expect(html).toMatch(/<th scope="row" [^>]*font-weight: bold;">Ann<\/th>/);
+    expect(html).toMatch(/<td [^>]*>31<\/td>/);
+    expect(markdownToHtml('| A | << |\n|---|---|\n| 1 | 2 |')).toContain('<th colspan="2" scope="colgroup"');
+  });
+
+  it('needs two bold first cells to find row headers', () => {
+    expect(parseMarkdownTable('| Name | Age |\n|---|---|\n| **Ann** | 31 |').rowHeaders).toBe(false);
+  });
+});
+
+describe('themes', () => {
+  const markdown = '| Name | Age |\n|---|---|\n| Ann | 31 |\n| Bob | 42 |\n| Cy | 27 |';
+
+  it('shades the header and every other body row', () => {
+    const html = markdownToHtml(markdown, { theme: THEMES.banded });
+    expect(html).toMatch(/<th scope="col" style="[^"]*background-color: #4472c4; color: #ffffff;/);
+    const rows = html.split('<tr>').slice(2);
+    expect(rows.map((row) => row.includes('#d9e2f3'))).toEqual([true, false, true]);
+  });
+
+  it('draws only the borders the theme has', () => {
+    const horizontal = markdownToHtml(markdown, { theme: THEMES.horizontal });
+    expect(horizontal).toContain('<table style="border-collapse: collapse; border: none;">');
+    expect(horizontal).toContain('border: none; border-top: 1px solid #7f7f7f; border-bottom: 1px solid #7f7f7f;');
+    expect(markdownToHtml(markdown, { theme: THEMES.borderless })).not.toMatch(/solid/);
+  });
+
+  it('sets the font, and lets captured styling win over the theme', () => {
+    const table = parseMarkdownTable(markdown);
+    expect(htmlCellCss(table, 2, 0, { theme: THEMES.corporate })).toContain("font-family: Calibri, sans-serif; font-size: 10pt; color: #262626;");
+    const style = { table: {}, rows: [{ isHeader: false, cells: [{ 'background-color': 'yellow' }] }] };
+    expect(htmlCellCss(table, 1, 0, { theme: THEMES.banded, style })).toContain('background-color: yellow;');
+  });
+
+  it('keeps Word\'s plain grid by default', () => {
+    expect(markdownToHtml(markdown, { theme: THEMES.grid })).toBe(markdownToHtml(markdown));
+  });
+});
+
+describe('column widths', () => {
+  const table = { ...parseMarkdownTable('| Name | Notes |\n|---|---|\n| Ann | Lead |'), columnWidths: [90, 270] };
+
+  it('fixes the widths in points by default', () => {
+    const html = tableModelToHtml(table);
+    expect(html).toMatch(/^<table style="[^"]* width: 360pt; table-layout: fixed;">/);
+    expect(html).toContain('<colgroup>\n    <col width="120" style="width: 90pt;">\n    <col width="360" style="width: 270pt;">\n  </colgroup>');
+  });
+
+  it('gives them as percentages of a full-width table', () => {
+    const html = tableModelToHtml(table, { layout: 'percent' });
+    expect(html).toContain('width: 100%; table-layout: fixed;');
+    expect(html).toContain('<col width="25%" style="width: 25%;">');
+  });
+
+  it('leaves them out for autofit and tables without widths', () => {
+    expect(tableModelToHtml(table, { layout: 'auto' })).not.toMatch(/colgroup|width/);
+    expect(markdownToHtml('| a |\n|---|\n| 1 |')).not.toMatch(/colgroup|width/);
+  });
+
+  it('reads them from the separator row when asked', () => {
+    const markdown = '| a | b |\n|------|------------------|\n| 1 | 2 |';
+    expect(parseMarkdownTable(markdown, { columnWidths: true }).columnWidths).toEqual([117, 351]);
+    expect(markdownToHtml(markdown, { columnWidths: true })).toContain('width: 117pt;');
+  });
+});
+
+describe('line breaks in cells', () => {
+  it('turns <br> into separate paragraphs', () => {
+    const md = `
+| Step | Action |
+|------|--------|
+| 1 | Open it.<br>Close it. |
+    `;
+    const table = parseMarkdownTable(md);
+    expect(table.rows[1].cells[1].content).toBe('Open it.\nClose it.');
+    const html = markdownToHtml(md);
+    expect(html).toContain('<p style="margin: 0;">Open it.</p><p style="margin: 0;">Close it.</p>');
+  });
+});
+
+describe('lists in cells', () => {
+  it('produces real list markup', () => {
+    const md = `
+| Area | Actions |
+|------|---------|
+| Build | - Run tests<br>- Tag release |
+    `;
+    const html = markdownToHtml(md);
+    expect(html).toContain('<ul style="margin-top: 0; margin-bottom: 0;"><li>Run tests</li><li>Tag release</li></ul>');
+  });
+});
+
+describe('merge markers', () => {
+  it('rebuilds colspan and rowspan from markers', () => {
+    const md = `
+| Region | << | Q1 |
+|--------|----|----|
+| North | Oslo | 10 |
+| ^^ | Bergen | 12 |
+    `;
+    const table = parseMarkdownTable(md);
+    expect(table.rows[0].cells[0].colspan).toBe(2);
+    expect(table.rows[0].cells[1].covered).toBe(true);
+    expect(table.rows[1].cells[0].rowspan).toBe(2);
+
+    const html = markdownToHtml(md);
+    expect(html).toContain('<th colspan="2"');
+    expect(html).toContain('<td rowspan="2"');
+    expect(html.match(/<td/g)).toHaveLength(5);
+  });
+
+  it('merges a block using both markers', () => {
+    const md = `
+| A | B | C |
+|---|---|---|
+| x | << | 1 |
+| ^^ | << | 2 |
+    `;
+    const table = parseMarkdownTable(md);
+    expect(table.rows[1].cells[0]).toMatchObject({ content: 'x', colspan: 2, rowspan: 2 });
+  });
+
+  it('undoes merges that do not form a rectangle', () => {
+    const md = `
+| A | B |
+|---|---|
+| x | << |
+| ^^ | y |
+    `;
+    const table = parseMarkdownTable(md);
+    expect(table.rows[1].cells[0]).toMatchObject({ colspan: 1, rowspan: 1 });
+    expect(table.rows[1].cells[1].covered).toBe(false);
+    expect(table.rows[2].cells[0].covered).toBe(false);
+  });
+
+  it('treats markers with nothing to merge into as empty cells', () => {
+    const table = parseMarkdownTable('| << | A |\n|---|---|\n| 1 | 2 |');
+    expect(table.rows[0].cells[0]).toMatchObject({ content: '', covered: false });
+  });
+
+  it('reads escaped markers as text', () => {
+    const table = parseMarkdownTable('| A |\n|---|\n| \\^^ |');
+    expect(table.rows[1].cells[0].content).toBe('^^');
+  });
+
+  it('cuts merges at the header/body boundary', () => {
+    const html = markdownToHtml('| A | B |\n|---|---|\n| ^^ | 1 |');
+    expect(html).not.toContain('rowspan');
+    expect(html.match(/<td/g)).toHaveLength(2);
+  });
+});
+
+describe('number alignment', () => {
+  const markdown = '| Item | Price |\n|---|---|\n| Tea | 1.5 |\n| Cake | 12 |';
+
+  it('right-aligns numeric columns', () => {
+    const html = tableModelToHtml(parseMarkdownTable(markdown), { numberAlignment: 'right' });
+    expect(html).toMatch(/<td style="[^"]*text-align: right;[^"]*">1\.5<\/td>/);
+    expect(html).toMatch(/<td style="[^"]*text-align: left;[^"]*">Tea<\/td>/);
+  });
+
+  it('pads numbers with figure spaces to line up decimal points', () => {
+    const html = markdownToHtml(markdown, { numberAlignment: 'decimal' });
+    expect(html).toContain('>12\u2007\u2007</td>');
+    expect(html).toContain('>1.5</td>');
+  });
+});
+
+describe('cell alignment', () => {
+  const markdown = '| Item | Cost {align=center} |\n|---|---:|\n| Tea {valign=bottom} | 1.50 |\n| Total | 4.50 {align=left valign=middle} |';
+
+  it('reads attribute blocks into the cells', () => {
+    const table = parseMarkdownTable(markdown);
+    expect(table.rows.map((row) => row.cells.map((cell) => cell.content))).toEqual([
+      ['Item', 'Cost'],
+      ['Tea', '1.50'],
+      ['Total', '4.50'],
+    ]);
+    expect(table.rows[0].cells[1].align).toBe('center');
+    expect(table.rows[2].cells[1]).toMatchObject({ align: 'left', valign: 'middle' });
+  });
+
+  it('writes each cell with its own alignment, or else its column\'s', () => {
+    const html = markdownToHtml(markdown);
+    expect(html).toMatch(/<th scope="col" style="[^"]*text-align: center;[^"]*">Cost<\/th>/);
+    expect(html).toMatch(/<td style="[^"]*text-align: left; vertical-align: bottom;[^"]*">Tea<\/td>/);
+    expect(html).toMatch(/<td style="[^"]*text-align: right;[^"]*">1\.50<\/td>/);
+    expect(html).toMatch(/<td style="[^"]*text-align: left; vertical-align: middle;[^"]*">4\.50<\/td>/);
+  });
 });
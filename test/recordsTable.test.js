@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseJsonTable,
+  parseYamlTable,
+  recordKeys,
+  recordsToTableModel,
+  tableModelToJson,
+  tableModelToYaml,
+} from '../src/recordsTable.js';
+import { parseMarkdownTable, tableModelToHtml } from '../src/markdownToHtml.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+
+const table = parseMarkdownTable(`
+| Name | Qty | Name | 2024 |
+|------|----:|:----:|------|
+| Ann  | 12  | a: b | 1.50 |
+| Bob  |     | true | -3   |
+`);
+
+function contents(model) {
+  return model.rows.map((row) => row.cells.map((cell) => cell.content));
+}
+
+describe('recordKeys', () => {
+  it('names blank headers after their column and numbers repeated ones', () => {
+    expect(recordKeys(table)).toEqual(['Name', 'Qty', 'Name (2)', '2024']);
+    expect(recordKeys(parseMarkdownTable('|   | a |   |\n|---|---|---|\n| 1 | 2 | 3 |'))).toEqual(['Column 1', 'a', 'Column 3']);
+  });
+
+  it('joins several header rows, counting a merged header once', () => {
+    const twoRows = parseMarkdownTable('| Sales | <<  |\n| Q1    | Q2  |\n|-------|-----|\n| 1     | 2   |');
+    twoRows.rows[1].isHeader = true;
+    expect(recordKeys(twoRows)).toEqual(['Sales / Q1', 'Sales / Q2']);
+  });
+});
+
+describe('tableModelToJson', () => {
+  it('writes an array of objects keyed by header, one row per line', () => {
+    expect(tableModelToJson(table)).toBe(
+      [
+        '[',
+        '  {"Name": "Ann", "Qty": 12, "Name (2)": "a: b", "2024": "1.50"},',
+        '  {"Name": "Bob", "Qty": "", "Name (2)": "true", "2024": -3}',
+        ']',
+      ].join('\n'),
+    );
+  });
+
+  it('writes an array of arrays', () => {
+    expect(JSON.parse(tableModelToJson(table, { recordShape: 'arrays' }))).toEqual([
+      ['Name', 'Qty', 'Name (2)', '2024'],
+      ['Ann', 12, 'a: b', '1.50'],
+      ['Bob', '', 'true', -3],
+    ]);
+  });
+
+  it('writes the column order, alignment and original headers with column info', () => {
+    const value = JSON.parse(tableModelToJson(table, { recordShape: 'columns' }));
+    expect(value.columns).toEqual([
+      { key: 'Name', align: 'left' },
+      { key: 'Qty', align: 'right' },
+      { key: 'Name (2)', header: 'Name', align: 'center' },
+      { key: '2024', align: 'left' },
+    ]);
+    expect(value.rows[0]).toEqual({ Name: 'Ann', Qty: 12, 'Name (2)': 'a: b', 2024: '1.50' });
+  });
+
+  it('fills every slot a merged cell covers with its text', () => {
+    const merged = parseMarkdownTable('| Team | Name |\n|------|------|\n| Red  | Ann  |\n| ^^   | Bob  |');
+    expect(JSON.parse(tableModelToJson(merged))).toEqual([
+      { Team: 'Red', Name: 'Ann' },
+      { Team: 'Red', Name: 'Bob' },
+    ]);
+  });
+});
+
+describe('parseJsonTable', () => {
+  it('reads every shape back, keeping the order of the keys', () => {
+    for (const recordShape of ['objects', 'arrays', 'columns']) {
+      const parsed = parseJsonTable(tableModelToJson(table, { recordShape }));
+      // Column info keeps the header as written; the key tells them apart
+      const header = ['Name', 'Qty', recordShape === 'columns' ? 'Name' : 'Name (2)', '2024'];
+      expect(contents(parsed)[0], recordShape).toEqual(header);
+      expect(parsed.rows[0].isHeader).toBe(true);
+      expect(contents(parsed).slice(1)).toEqual([
+        ['Ann', '12', 'a: b', '1.50'],
+        ['Bob', '', 'true', '-3'],
+      ]);
+    }
+  });
+
+  it('round-trips to Markdown with column info', () => {
+    const markdown = tableModelToMarkdown(table);
+    expect(tableModelToMarkdown(parseJsonTable(tableModelToJson(table, { recordShape: 'columns' })))).toBe(markdown);
+    expect(tableModelToHtml(parseJsonTable(tableModelToJson(table, { recordShape: 'columns' })))).toBe(tableModelToHtml(table));
+  });
+
+  it('takes the columns from every record, in the order first seen', () => {
+    const parsed = parseJsonTable('[{"b": 1, "a": {"x": [1]}}, {"c": null, "a": 2}]');
+    expect(contents(parsed)).toEqual([
+      ['b', 'a', 'c'],
+      ['1', '{"x": [1]}', ''],
+      ['', '2', ''],
+    ]);
+  });
+
+  it('returns null for JSON that holds no records, and for invalid JSON', () => {
+    expect(parseJsonTable('{"a": 1}')).toBeNull();
+    expect(parseJsonTable('[1, 2]')).toBeNull();
+    expect(parseJsonTable('[]')).toBeNull();
+    expect(parseJsonTable('[{"a": 1},')).toBeNull();
+    expect(parseJsonTable('| a |')).toBeNull();
+  });
+
+  it('applies the header options', () => {
+    expect(parseJsonTable('[["a", "b"], [1, 2]]', { headerRows: 0 }).rows[0].isHeader).toBe(false);
+  });
+});
+
+describe('YAML records', () => {
+  it('writes objects with keys and values quoted only where needed', () => {
+    expect(tableModelToYaml(table)).toBe(
+      [
+        '- Name: Ann',
+        '  Qty: 12',
+        '  Name (2): "a: b"',
+        '  "2024": "1.50"',
+        '- Name: Bob',
+        '  Qty: ""',
+        '  Name (2): "true"',
+        '  "2024": -3',
+      ].join('\n'),
+    );
+    expect(tableModelToYaml(table, { recordShape: 'arrays' }).split('\n')[0]).toBe('- [Name, Qty, Name (2), "2024"]');
+  });
+
+  it('reads every shape back', () => {
+    for (const recordShape of ['objects', 'arrays', 'columns']) {
+      expect(contents(parseYamlTable(tableModelToYaml(table, { recordShape }))), recordShape).toEqual(
+        contents(parseJsonTable(tableModelToJson(table, { recordShape }))),
+      );
+    }
+    const columns = parseYamlTable(tableModelToYaml(table, { recordShape: 'columns' }));
+    expect(tableModelToMarkdown(columns)).toBe(tableModelToMarkdown(table));
+  });
+
+  it('reads YAML as an LLM writes it, and nothing that is not records', () => {
+    const parsed = parseYamlTable("# Team\n- name: Ann  # lead\n  tags: [a, 'b, c']\n- name: 'Bo''b'\n  age:\n");
+    expect(contents(parsed)).toEqual([
+      ['name', 'tags', 'age'],
+      ['Ann', '["a", "b, c"]', ''],
+      ["Bo'b", '', ''],
+    ]);
+    expect(parseYamlTable('- milk\n- eggs')).toBeNull();
+    expect(parseYamlTable('Note: the table follows')).toBeNull();
+    expect(parseYamlTable('| a |\n|---|')).toBeNull();
+  });
+});
+
+describe('recordsToTableModel', () => {
+  it('accepts plain objects', () => {
+    expect(contents(recordsToTableModel([{ a: 1, b: 'x' }]))).toEqual([
+      ['a', 'b'],
+      ['1', 'x'],
+    ]);
+    expect(recordsToTableModel({ columns: ['a'], rows: [[1]], rowHeaders: true }).rowHeaders).toBe(true);
+  });
+});
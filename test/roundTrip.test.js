@@ -134,4 +134,98 @@ describe('round-trip: HTML → Markdown → HTML (model comparison)', () => {
 
     expect(model2.alignments).toEqual(['left', 'center', 'right']);
   });
+
+  it('preserves inline formatting through HTML→MD→HTML', () => {
+    const html = `
+      <table>
+        <thead><tr><th>Rule</th><th>Detail</th></tr></thead>
+        <tbody>
+          <tr><td><strong>Must</strong> use</td><td><a href="https://example.com">link</a> and <code>a|b</code></td></tr>
+          <tr><td><em>Should</em></td><td><s>removed</s> text</td></tr>
+        </tbody>
+      </table>
+    `;
+    const parser = new DOMParser();
+    const model1 = htmlTableToModel(parser.parseFromString(html, 'text/html').querySelector('table'));
+    const md = tableModelToMarkdown(model1);
+    const model2 = parseMarkdownTable(md);
+    const model3 = htmlTableToModel(
+      parser.parseFromString(tableModelToHtml(model2), 'text/html').querySelector('table'),
+    );
+
+    assertModelsEqual(model1, model2);
+    for (const model of [model2, model3]) {
+      for (let r = 0; r < model1.rows.length; r++) {
+        for (let c = 0; c < model1.rows[r].cells.length; c++) {
+          expect(model.rows[r].cells[c].paragraphs).toEqual(model1.rows[r].cells[c].paragraphs);
+        }
+      }
+    }
+  });
+  it('preserves merged cells through HTML→MD→HTML', () => {
+    const html = `
+      <table>
+        <tr><th colspan="3">Quarterly</th></tr>
+        <tr><td rowspan="2">North</td><td>Oslo</td><td>10</td></tr>
+        <tr><td colspan="2">Bergen</td></tr>
+      </table>
+    `;
+    const parser = new DOMParser();
+    const model1 = htmlTableToModel(parser.parseFromString(html, 'text/html').querySelector('table'));
+    const md = tableModelToMarkdown(model1, { preserveMerges: true });
+    const model2 = parseMarkdownTable(md);
+    const model3 = htmlTableToModel(
+      parser.parseFromString(tableModelToHtml(model2), 'text/html').querySelector('table'),
+    );
+
+    for (const model of [model2, model3]) {
+      assertModelsEqual(model1, model);
+      for (let r = 0; r < model1.rows.length; r++) {
+        for (let c = 0; c < model1.rows[r].cells.length; c++) {
+          const { colspan, rowspan, covered } = model1.rows[r].cells[c];
+          expect(model.rows[r].cells[c]).toMatchObject({ colspan, rowspan, covered });
+        }
+      }
+    }
+  });
+
+  it('preserves multi-paragraph cells through HTML→MD→HTML', () => {
+    const html = `
+      <table>
+        <tr><th>Step</th><th>Action</th></tr>
+        <tr><td>1</td><td><p>Open the <b>valve</b>.</p><p>Wait.<br>Then close it.</p></td></tr>
+      </table>
+    `;
+    const parser = new DOMParser();
+    const model1 = htmlTableToModel(parser.parseFromString(html, 'text/html').querySelector('table'));
+    const model2 = parseMarkdownTable(tableModelToMarkdown(model1));
+    const model3 = htmlTableToModel(
+      parser.parseFromString(tableModelToHtml(model2), 'text/html').querySelector('table'),
+    );
+
+    expect(model1.rows[1].cells[1].content).toBe('Open the valve.\nWait.\nThen close it.');
+    for (const model of [model2, model3]) {
+      assertModelsEqual(model1, model);
+      expect(model.rows[1].cells[1].paragraphs).toEqual(model1.rows[1].cells[1].paragraphs);
+    }
+  });
+
+  it('preserves lists in cells through HTML→MD→HTML', () => {
+    const html = `
+      <table>
+        <tr><th>Area</th><th>Risks</th></tr>
+        <tr><td>Plan</td><td>Known:<ul><li>Cost<ol><li>Labour</li><li>Parts</li></ol></li><li>Time</li></ul></td></tr>
+      </table>
+    `;
+    const parser = new DOMParser();
+    const model1 = htmlTableToModel(parser.parseFromString(html, 'text/html').querySelector('table'));
+    const model2 = parseMarkdownTable(tableModelToMarkdown(model1));
+    const model3 = htmlTableToModel(
+      parser.parseFromString(tableModelToHtml(model2), 'text/html').querySelector('table'),
+    );
+
+    for (const model of [model2, model3]) {
+      expect(model.rows[1].cells[1].paragraphs).toEqual(model1.rows[1].cells[1].paragraphs);
+    }
+  });
 });
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseInlineRst,
+  parseRstGridTable,
+  parseRstListTable,
+  runsToRst,
+  tableModelToRstGrid,
+  tableModelToRstListTable,
+} from '../src/rstTable.js';
+import { createRun } from '../src/tableModel.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+
+describe('parseInlineRst', () => {
+  it('parses strong, emphasis, literals and links', () => {
+    const runs = parseInlineRst('**a** *b* ``c*d`` `site <http://e.com>`__');
+    expect(runs.filter((run) => run.text.trim())).toMatchObject([
+      { text: 'a', bold: true },
+      { text: 'b', italic: true },
+      { text: 'c*d', code: true },
+      { text: 'site', href: 'http://e.com' },
+    ]);
+  });
+
+  it('leaves markup characters inside words and escapes alone', () => {
+    expect(parseInlineRst('2*3*4 and \\*x\\*')).toMatchObject([{ text: '2*3*4 and *x*', bold: false, italic: false }]);
+  });
+});
+
+describe('runsToRst', () => {
+  it('keeps the strongest mark and joins markup inside words', () => {
+    const runs = [createRun('un'), createRun('bold', { bold: true, italic: true }), createRun('ed')];
+    expect(runsToRst(runs)).toBe('un\\ **bold**\\ ed');
+    expect(parseInlineRst(runsToRst(runs)).map((run) => run.text).join('')).toBe('unbolded');
+  });
+});
+
+describe('reStructuredText grid tables', () => {
+  it('writes a grid table without alignment', () => {
+    const table = parseMarkdownTable('| Item | Cost |\n|------|-----:|\n| Ink  | 9    |');
+    expect(tableModelToRstGrid(table)).toBe('+------+------+\n| Item | Cost |\n+======+======+\n| Ink  | 9    |\n+------+------+');
+  });
+
+  it('round-trips merges and nested lists', () => {
+    const markdown = '| Team | <<          |\n|------|-------------|\n| Ann  | x<br>- a<br>  - b<br>- c |';
+    const table = parseMarkdownTable(markdown);
+    const text = tableModelToRstGrid(table);
+    expect(text).toContain('|     |   - b |');
+    const back = parseRstGridTable(text);
+    expect(tableModelToMarkdown(back, { preserveMerges: true })).toBe(tableModelToMarkdown(table, { preserveMerges: true }));
+  });
+});
+
+describe('reStructuredText list tables', () => {
+  it('parses rows, cells and header rows', () => {
+    const table = parseRstListTable(`
+.. list-table:: Prices
+   :header-rows: 1
+
+   * - Item
+     - Cost
+   * - Ink
+     - 9
+
+       more
+   * - Pens
+`);
+    expect(table.rows).toHaveLength(3);
+    expect(table.rows.map((row) => row.isHeader)).toEqual([true, false, false]);
+    expect(table.rows[1].cells[1].paragraphs.map((p) => p.runs[0].text)).toEqual(['9', 'more']);
+    expect(table.rows[2].cells[1].content).toBe('');
+  });
+
+  it('writes merged cells as separate cells and reads them back', () => {
+    const table = parseMarkdownTable('| Item | Cost |\n|------|------|\n| Pens | <<   |');
+    const text = tableModelToRstListTable(table);
+    expect(text).toBe('.. list-table::\n   :header-rows: 1\n\n   * - Item\n     - Cost\n   * - Pens\n     -');
+    expect(parseRstListTable(text).rows[1].cells.map((cell) => cell.content)).toEqual(['Pens', '']);
+  });
+
+  it('writes row headers as a stub column and reads them back', () => {
+    const table = parseMarkdownTable('| N | A |\n|---|---|\n| **Ann** | 1 |\n| **Bob** | 2 |');
+    const text = tableModelToRstListTable(table);
+    expect(text).toContain('   :stub-columns: 1');
+    expect(text).toContain('   * - Ann');
+    expect(parseRstListTable(text).rowHeaders).toBe(true);
+  });
+
+  it('returns null without a list-table directive', () => {
+    expect(parseRstListTable('* - a\n  - b')).toBeNull();
+  });
+});
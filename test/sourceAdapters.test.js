@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { SOURCES, detectSource } from '../src/sourceAdapters.js';
+import { htmlToMarkdown } from '../src/htmlToMarkdown.js';
+
+function fixture(name) {
+  return readFileSync(join(import.meta.dirname, 'fixtures', `${name}.html`), 'utf8');
+}
+
+function convert(name) {
+  return htmlToMarkdown(fixture(name));
+}
+
+describe('detectSource', () => {
+  it('recognizes each fixture', () => {
+    for (const id of ['excel', 'google-sheets', 'google-docs', 'libreoffice', 'outlook', 'word', 'chat']) {
+      const html = fixture(id);
+      expect(detectSource(html, new DOMParser().parseFromString(html, 'text/html'))).toBe(id);
+    }
+  });
+
+  it('falls back to plain HTML', () => {
+    const html = '<table><tr><td>a</td></tr></table>';
+    expect(detectSource(html, new DOMParser().parseFromString(html, 'text/html'))).toBe('html');
+    expect(SOURCES.html.label).toBe('HTML');
+  });
+});
+
+describe('source adapters', () => {
+  it('Excel: applies class styles, drops hidden rows and restores full numbers', () => {
+    const result = convert('excel');
+    expect(result.source).toBe('excel');
+    expect(result.markdown).toBe(
+      [
+        '| Region | Sales       | Notes      |',
+        '|:------:|------------:|:----------:|',
+        '| North  | 1,234.50    | *on track* |',
+        '| South  | 98765432101 |            |',
+      ].join('\n'),
+    );
+  });
+
+  it('Google Sheets: keeps cell formatting, hyperlinks and checkbox values', () => {
+    const result = convert('google-sheets');
+    expect(result.source).toBe('google-sheets');
+    expect(result.markdown).toBe(
+      [
+        '| Task         | Done  | Link                             |',
+        '|--------------|-------|----------------------------------|',
+        '| *Write spec* | TRUE  | [docs](https://example.com/spec) |',
+        '| Review       | FALSE |                                  |',
+      ].join('\n'),
+    );
+  });
+
+  it('Google Docs: ignores the bold wrapper and reads paragraph alignment', () => {
+    const result = convert('google-docs');
+    expect(result.source).toBe('google-docs');
+    expect(result.markdown).toBe(
+      ['| Feature           | Status    |', '|-------------------|:---------:|', '| Export to `.docx` | *Shipped* |'].join('\n'),
+    );
+  });
+
+  it('LibreOffice: reads monospace fonts and paragraph alignment', () => {
+    const result = convert('libreoffice');
+    expect(result.source).toBe('libreoffice');
+    expect(result.markdown).toBe(['| Command      | Time |', '|--------------|-----:|', '| `make build` | 12 s |'].join('\n'));
+  });
+
+  it('Outlook: skips layout tables around the data table', () => {
+    const result = convert('outlook');
+    expect(result.source).toBe('outlook');
+    expect(result.warnings).toEqual([]);
+    expect(result.markdown).toBe(['| Week | Tickets |', '|------|--------:|', '| 32   | 148     |'].join('\n'));
+  });
+
+  it('Word: converts as before', () => {
+    const result = convert('word');
+    expect(result.source).toBe('word');
+    expect(result.markdown).toBe(['| Name | Role   |', '|------|--------|', '| Ann  | *Lead* |'].join('\n'));
+  });
+
+  it('chat UIs: keeps formulas once and drops buttons', () => {
+    const result = convert('chat');
+    expect(result.source).toBe('chat');
+    expect(result.markdown).toBe(['| Formula | Meaning       |', '|---------|---------------|', '| $x^2$   | Square of `x` |'].join('\n'));
+  });
+
+  it('captures the column widths of every source that gives them', () => {
+    const widths = Object.fromEntries(
+      ['word', 'outlook', 'excel', 'google-sheets', 'google-docs', 'libreoffice', 'chat'].map((id) => [id, convert(id).table.columnWidths]),
+    );
+    expect(widths).toEqual({
+      word: [150, 150],
+      outlook: [90, 90],
+      excel: [48, 48, 48],
+      'google-sheets': [75, 75, 75],
+      'google-docs': [150, 90],
+      libreoffice: [234, 234],
+      chat: undefined,
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import { checkContract, createContract, describeContract, diffWithContract, hasLocks } from '../src/tableContract.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { applyDiff, diffTables } from '../src/tableDiff.js';
+
+const original = parseMarkdownTable(`
+| Name | Status | Due   |
+|------|--------|-------|
+| Ann  | Open   | May 1 |
+| Bob  | Open   | May 3 |
+| Cy   | Done   | May 2 |
+`);
+
+function contents(table) {
+  return table.rows.map((row) => row.cells.map((cell) => cell.content));
+}
+
+describe('createContract', () => {
+  it('records the headers, size and row keys', () => {
+    const contract = createContract(original, { locks: { headers: true } });
+    expect(contract).toEqual({
+      headers: ['Name', 'Status', 'Due'],
+      columns: 3,
+      rows: 4,
+      keyColumn: 0,
+      keys: ['Ann', 'Bob', 'Cy'],
+      locks: { headers: true, columns: [], rowKeys: false },
+    });
+    expect(createContract(original, { keyColumn: 2 }).keys).toEqual(['May 1', 'May 3', 'May 2']);
+  });
+
+  it('summarizes what is locked', () => {
+    expect(hasLocks(createContract(original))).toBe(false);
+    expect(describeContract(createContract(original))).toBe('3 columns, 4 rows. Nothing is locked.');
+    const contract = createContract(original, { locks: { headers: true, columns: [0, 2], rowKeys: true } });
+    expect(describeContract(contract)).toBe('3 columns, 4 rows. Locked: headers, columns "Name", "Due", row keys ("Name").');
+  });
+});
+
+describe('checkContract', () => {
+  // The LLM was asked to change the Status column only
+  const edited = parseMarkdownTable(`
+| Name | State  | Due   | Owner |
+|------|--------|-------|-------|
+| Ann  | Done   | May 1 | Dee   |
+| Bob  | Open   | May 4 | Dee   |
+| Dan  | Done   | May 2 | Dee   |
+| Eve  | Open   | May 9 | Dee   |
+`);
+  const diff = diffTables(original, edited);
+
+  it('reports nothing without locks', () => {
+    expect(checkContract(createContract(original), diff)).toEqual([]);
+  });
+
+  it('reports renamed and added columns when the headers are locked', () => {
+    const violations = checkContract(createContract(original, { locks: { headers: true } }), diff);
+    expect(violations.map((violation) => violation.message)).toEqual([
+      'Column "Owner" added: the headers are locked',
+      'Header, State: "Status" → "State": the headers are locked',
+    ]);
+  });
+
+  it('reports changed cells of locked columns and changed row keys row by row', () => {
+    const contract = createContract(original, { locks: { columns: [2], rowKeys: true } });
+    const keyed = diffWithContract(contract, original, edited);
+    expect(checkContract(contract, keyed).map((violation) => violation.message)).toEqual([
+      'Row "Bob", Due: "May 3" → "May 4": the column is locked',
+      'Row "Dan" added: the row keys are locked',
+      'Row "Eve" added: the row keys are locked',
+      'Row "Cy" removed: the row keys are locked',
+    ]);
+  });
+
+  it('restores the locked parts by rejecting the violating changes', () => {
+    const contract = createContract(original, { locks: { headers: true, columns: [2], rowKeys: true } });
+    const keyed = diffWithContract(contract, original, edited);
+    const violations = checkContract(contract, keyed);
+    const restored = applyDiff(keyed, new Set(violations.map((violation) => violation.change.id)));
+    expect(contents(restored)).toEqual([
+      ['Name', 'Status', 'Due'],
+      ['Ann', 'Done', 'May 1'],
+      ['Bob', 'Open', 'May 3'],
+      ['Cy', 'Done', 'May 2'],
+    ]);
+  });
+
+  it('reports a removed row or locked column', () => {
+    const shorter = parseMarkdownTable('| Name | Status |\n|---|---|\n| Ann | Open |\n| Cy | Done |');
+    const contract = createContract(original, { locks: { columns: [2], rowKeys: true } });
+    expect(checkContract(contract, diffTables(original, shorter)).map((violation) => violation.message)).toEqual([
+      'Column "Due" removed: the column is locked',
+      'Row "Bob" removed: the row keys are locked',
+    ]);
+  });
+
+  it('pairs reordered rows by their key when the row keys are locked', () => {
+    const reordered = parseMarkdownTable(`
+| Name | Status | Due   |
+|------|--------|-------|
+| Bob  | Open   | May 3 |
+| Ann  | Closed | May 1 |
+| Dee  | Open   | May 5 |
+`);
+    const contract = createContract(original, { locks: { rowKeys: true } });
+    const keyed = diffWithContract(contract, original, reordered);
+    const violations = checkContract(contract, keyed);
+    expect(violations.map((violation) => violation.message)).toEqual([
+      'Row "Dee" added: the row keys are locked',
+      'Row "Cy" removed: the row keys are locked',
+    ]);
+    const restored = applyDiff(keyed, new Set(violations.map((violation) => violation.change.id)));
+    expect(contents(restored)).toEqual([
+      ['Name', 'Status', 'Due'],
+      ['Bob', 'Open', 'May 3'],
+      ['Ann', 'Closed', 'May 1'],
+      ['Cy', 'Done', 'May 2'],
+    ]);
+  });
+
+  it('puts a removed row back in its place and drops an added one', () => {
+    const changed = parseMarkdownTable(`
+| Name | Status | Due   |
+|------|--------|-------|
+| Ann  | Open   | May 1 |
+| Eve  | Open   | May 9 |
+| Cy   | Done   | May 7 |
+`);
+    const contract = createContract(original, { locks: { rowKeys: true } });
+    const keyed = diffWithContract(contract, original, changed);
+    const violations = checkContract(contract, keyed);
+    expect(violations.map((violation) => violation.message)).toEqual([
+      'Row "Eve" added: the row keys are locked',
+      'Row "Bob" removed: the row keys are locked',
+    ]);
+    const restored = applyDiff(keyed, new Set(violations.map((violation) => violation.change.id)));
+    expect(contents(restored)).toEqual([
+      ['Name', 'Status', 'Due'],
+      ['Ann', 'Open', 'May 1'],
+      ['Bob', 'Open', 'May 3'],
+      ['Cy', 'Done', 'May 7'],
+    ]);
+  });
+});
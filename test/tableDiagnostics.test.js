@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { blockingDiagnostics, diagnoseMarkdownTables, formatDiagnostic } from '../src/tableDiagnostics.js';
+
+const codes = (text) => diagnoseMarkdownTables(text).map((d) => `${d.code}@${d.line}:${d.column}`);
+
+describe('diagnoseMarkdownTables', () => {
+  it('reports nothing for a well-formed table', () => {
+    expect(diagnoseMarkdownTables('Intro\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\nOutro')).toEqual([]);
+  });
+
+  it('reports rows with more cells than the header at the first extra cell', () => {
+    const [d] = diagnoseMarkdownTables('| a | b |\n|---|---|\n| 1 | 2 | 3 |');
+    expect(d).toEqual({
+      severity: 'error',
+      code: 'extra-cells',
+      message: 'Row has 3 cells but the header has 2. The extra cells have no column header, and most Markdown renderers drop them.',
+      line: 3,
+      column: 11,
+      table: 0,
+    });
+  });
+
+  it('reports ragged rows as warnings', () => {
+    const [d] = diagnoseMarkdownTables('| a | b |\n|---|---|\n| 1 |');
+    expect(d).toMatchObject({ severity: 'warning', code: 'missing-cells', line: 3, column: 6 });
+  });
+
+  it('reports a separator that does not match the header', () => {
+    expect(codes('| a | b |\n|---|---|---|\n| 1 | 2 |')).toEqual(['separator-mismatch@2:10']);
+    expect(codes('| a | b |\n|---|\n| 1 | 2 |')).toEqual(['separator-mismatch@2:1']);
+  });
+
+  it('reports rows without a separator row as not converted', () => {
+    const diagnostics = diagnoseMarkdownTables('Here:\n\n| a | b |\n| 1 | 2 |\n| 3 | 4 |');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({ severity: 'error', code: 'missing-separator', line: 4, column: 1, table: null });
+    expect(diagnostics[0].message).toContain('these 3 rows are not converted');
+  });
+
+  it('reports a row cut off from its table by a blank line', () => {
+    expect(codes('| a |\n|---|\n| 1 |\n\n| 2 |')).toEqual(['stray-row@5:1']);
+  });
+
+  it('reports unbalanced escapes and unclosed code spans', () => {
+    expect(codes('| a | b |\n|---|---|\n| 1 | 2 \\|')).toEqual(['unbalanced-escape@3:9']);
+    expect(codes('| a | b |\n|---|---|\n| `x | y |')).toEqual(['unclosed-code@3:3']);
+    expect(codes('| a | b |\n|---|---|\n| `x \\| y` | \\\\|')).toEqual([]);
+  });
+
+  it('gives positions in the original text, counting indentation', () => {
+    expect(codes('  | a |\n  |---|\n  | 1 | 2 |')).toEqual(['extra-cells@3:9']);
+  });
+
+  it('tells the tables of a reply apart', () => {
+    const diagnostics = diagnoseMarkdownTables('| a |\n|---|\n| 1 |\n\n| b |\n|---|\n| 1 | 2 |');
+    expect(diagnostics.map((d) => d.table)).toEqual([1]);
+    expect(blockingDiagnostics(diagnostics, 0)).toEqual([]);
+    expect(blockingDiagnostics(diagnostics, 1)).toHaveLength(1);
+  });
+});
+
+describe('formatDiagnostic', () => {
+  it('leads with the position', () => {
+    const [d] = diagnoseMarkdownTables('| a |\n|---|\n| 1 | 2 |');
+    expect(formatDiagnostic(d)).toMatch(/^line 3, column 7: Row has 2 cells/);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { DIALECTS, detectDialect, diagnoseTableText, parseTableText, replaceTableText, writeTableText } from '../src/tableDialects.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+
+const merged = parseMarkdownTable('| Team | <<  |\n|------|-----|\n| Ann  | Bob |');
+
+describe('detectDialect', () => {
+  it('recognizes each dialect', () => {
+    expect(detectDialect('| a |\n|---|\n| 1 |')).toBe('gfm');
+    expect(detectDialect('+---+\n| a |\n+===+\n| 1 |\n+---+')).toBe('pandoc-grid');
+    expect(detectDialect('+-------+\n| ``a`` |\n+-------+')).toBe('rst-grid');
+    expect(detectDialect('.. list-table::\n\n   * - a')).toBe('rst-list');
+    expect(detectDialect('[cols="1"]\n|===\n|a\n|===')).toBe('asciidoc');
+    expect(detectDialect('[{"a": 1}]')).toBe('json');
+    expect(detectDialect('# Rows\n- a: 1\n- a: 2')).toBe('yaml');
+  });
+
+  it('takes JSON and YAML only when the whole text is records', () => {
+    expect(detectDialect('[link](x)\n\n| a |\n|---|\n| 1 |')).toBe('gfm');
+    expect(detectDialect('- first\n- second\n\n| a |\n|---|\n| 1 |')).toBe('gfm');
+    expect(detectDialect('Note: here it is\n\n| a |\n|---|\n| 1 |')).toBe('gfm');
+  });
+});
+
+describe('parseTableText', () => {
+  it('parses every dialect written by writeTableText', () => {
+    for (const dialect of Object.keys(DIALECTS)) {
+      const { text } = writeTableText(merged, dialect, { preserveMerges: true });
+      const parsed = parseTableText(text);
+      // Without reStructuredText-only markup the two grid dialects look the same
+      expect(parsed.dialect).toBe(dialect === 'rst-grid' ? 'pandoc-grid' : dialect);
+      expect(parsed.table.rows[1].cells.map((cell) => cell.content)).toEqual(['Ann', 'Bob']);
+    }
+  });
+
+  it('uses the given dialect instead of detecting one', () => {
+    expect(parseTableText('+---+\n| a |\n+---+', 'rst-grid').dialect).toBe('rst-grid');
+  });
+
+  it('picks one of several Markdown tables by index', () => {
+    const text = 'Intro\n\n| a |\n|---|\n| 1 |\n\nMore text\n\n| b |\n|---|\n| 2 |';
+    const parsed = parseTableText(text, undefined, 1);
+    expect(parsed.tableCount).toBe(2);
+    expect(parsed.table.rows[0].cells[0].content).toBe('b');
+    expect(parseTableText(text, undefined, 2)).toBeNull();
+  });
+
+  it('returns null when no table is found', () => {
+    expect(parseTableText('just text')).toBeNull();
+  });
+});
+
+describe('diagnoseTableText', () => {
+  it('diagnoses Markdown tables only', () => {
+    expect(diagnoseTableText('| a |\n|---|\n| 1 | 2 |').map((d) => d.code)).toEqual(['extra-cells']);
+    expect(diagnoseTableText('[cols="1"]\n|===\n|a\n|===')).toEqual([]);
+  });
+});
+
+describe('writeTableText', () => {
+  it('warns when the dialect cannot keep merged cells', () => {
+    expect(writeTableText(merged, 'gfm').warnings).toEqual(['Merged cells were expanded into separate cells.']);
+    expect(writeTableText(merged, 'gfm', { preserveMerges: true }).warnings).toEqual([]);
+    expect(writeTableText(merged, 'asciidoc').warnings).toEqual([]);
+    expect(writeTableText(merged, 'rst-list', { preserveMerges: true }).warnings).toHaveLength(1);
+  });
+});
+
+describe('replaceTableText', () => {
+  it('rewrites one table of a longer reply in place', () => {
+    const reply = 'Intro\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\nMiddle\n\n| c |\n|---|\n| 3 |\n\nEnd';
+    const table = parseMarkdownTable('| c | d |\n|---|---|\n| 3 | 4 |');
+    expect(replaceTableText(reply, table, 'gfm', 1)).toBe(
+      'Intro\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\nMiddle\n\n| c   | d   |\n|-----|-----|\n| 3   | 4   |\n\nEnd',
+    );
+  });
+
+  it('keeps merged cells', () => {
+    expect(replaceTableText('| x |\n|---|\n| y |', merged)).toBe(writeTableText(merged, 'gfm', { preserveMerges: true }).text);
+  });
+
+  it('replaces the whole text in other dialects', () => {
+    const text = '.. list-table::\n\n   * - a\n';
+    expect(replaceTableText(text, merged)).toBe(writeTableText(merged, 'rst-list').text);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { diffTables, applyDiff, describeChange, renderDiffTable } from '../src/tableDiff.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+
+const original = parseMarkdownTable(`
+| Item   | Owner | Status |
+|--------|-------|--------|
+| Design | Ann   | Done   |
+| Build  | Bob   | Open   |
+| Test   | Cy    | Open   |
+`);
+
+function texts(table) {
+  return table.rows.map((row) => row.cells.map((cell) => cell.content));
+}
+
+describe('diffTables', () => {
+  it('finds no changes between identical tables', () => {
+    const diff = diffTables(original, structuredClone(original));
+    expect(diff.changes).toEqual([]);
+  });
+
+  it('reports changed cells on aligned rows', () => {
+    const edited = parseMarkdownTable(`
+| Item   | Owner | Status |
+|--------|-------|--------|
+| Design | Ann   | Done   |
+| Build  | Bob   | Done   |
+| Test   | Cy    | Open   |
+`);
+    const diff = diffTables(original, edited);
+    expect(diff.changes).toHaveLength(1);
+    expect(diff.changes[0]).toMatchObject({ kind: 'cell', before: 'Open', after: 'Done', label: 'Build' });
+    expect(describeChange(diff, diff.changes[0])).toBe('Row "Build", Status: "Open" → "Done"');
+  });
+
+  it('flags numbers written in a different format', () => {
+    const prices = parseMarkdownTable('| Item | Price |\n|---|---|\n| Tea | $1,200.00 |\n| Cake | 3 |');
+    const edited = parseMarkdownTable('| Item | Price |\n|---|---|\n| Tea | 1200 |\n| Cake | 4 |');
+    const diff = diffTables(prices, edited);
+    expect(diff.changes.map((change) => change.formatChanges)).toEqual([
+      ['thousands separators removed', 'decimal places 2 → 0', 'currency $ removed'],
+      [],
+    ]);
+    expect(describeChange(diff, diff.changes[0])).toBe(
+      'Row "Tea", Price: "$1,200.00" → "1200" (number format: thousands separators removed, decimal places 2 → 0, currency $ removed)',
+    );
+    expect(renderDiffTable(diff)).toContain('<td class="diff-changed diff-format" title="Number format: thousands separators removed');
+  });
+
+  it('aligns inserted and deleted rows', () => {
+    const edited = parseMarkdownTable(`
+| Item   | Owner | Status |
+|--------|-------|--------|
+| Plan   | Dee   | Open   |
+| Design | Ann   | Done   |
+| Test   | Cy    | Open   |
+`);
+    const diff = diffTables(original, edited);
+    const rowChanges = diff.changes.filter((c) => c.kind === 'row');
+    expect(rowChanges.map((c) => [c.type, c.label])).toEqual([
+      ['added', 'Plan'],
+      ['removed', 'Build'],
+    ]);
+    expect(diff.changes.filter((c) => c.kind === 'cell')).toEqual([]);
+  });
+
+  it('matches columns by header and detects added and removed columns', () => {
+    const edited = parseMarkdownTable(`
+| Item   | Status | Due   |
+|--------|--------|-------|
+| Design | Done   | May   |
+| Build  | Open   | June  |
+| Test   | Open   | July  |
+`);
+    const diff = diffTables(original, edited);
+    expect(diff.changes.map((c) => [c.kind, c.type, c.label])).toEqual([
+      ['column', 'removed', 'Owner'],
+      ['column', 'added', 'Due'],
+    ]);
+  });
+
+  it('treats a renamed header as a cell change, not a new column', () => {
+    const edited = parseMarkdownTable(`
+| Item   | Assignee | Status |
+|--------|----------|--------|
+| Design | Ann      | Done   |
+| Build  | Bob      | Open   |
+| Test   | Cy       | Open   |
+`);
+    const diff = diffTables(original, edited);
+    expect(diff.changes).toHaveLength(1);
+    expect(describeChange(diff, diff.changes[0])).toBe('Header, Assignee: "Owner" → "Assignee"');
+  });
+});
+
+describe('applyDiff', () => {
+  const edited = parseMarkdownTable(`
+| Item   | Owner | Status | Due  |
+|--------|-------|--------|------|
+| Build  | Bea   | Open   | June |
+| Test   | Cy    | Open   | July |
+| Ship   | Eve   | Open   | Aug  |
+`);
+  const diff = diffTables(original, edited);
+  const idOf = (predicate) => diff.changes.find(predicate).id;
+
+  it('returns the edited table when everything is accepted', () => {
+    expect(texts(applyDiff(diff))).toEqual(texts(edited));
+  });
+
+  it('reverts rejected changes to the original', () => {
+    const rejected = new Set([
+      idOf((c) => c.kind === 'cell' && c.after === 'Bea'),
+      idOf((c) => c.kind === 'column'),
+      idOf((c) => c.kind === 'row' && c.type === 'added'),
+      idOf((c) => c.kind === 'row' && c.type === 'removed'),
+    ]);
+    expect(texts(applyDiff(diff, rejected))).toEqual(texts(original));
+  });
+});
+
+describe('renderDiffTable', () => {
+  it('marks changed cells and rejected changes', () => {
+    const edited = parseMarkdownTable(`
+| Item   | Owner | Status |
+|--------|-------|--------|
+| Design | Ann   | Done   |
+| Build  | Bob   | <Done> |
+| Test   | Cy    | Open   |
+`);
+    const diff = diffTables(original, edited);
+    const html = renderDiffTable(diff, new Set([diff.changes[0].id]));
+    expect(html).toContain('<td class="diff-changed diff-rejected"><del>Open</del> <ins>&lt;Done&gt;</ins></td>');
+    expect(html).toContain('<td class="diff-same">Design</td>');
+  });
+});
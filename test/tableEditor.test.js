@@ -0,0 +1,149 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createTableEditor } from '../src/tableEditor.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+
+const table = parseMarkdownTable('| Item | Owner |\n|------|-------|\n| Design | **Ann** |\n| Build | Bob |');
+
+function texts(t) {
+  return t.rows.map((row) => row.cells.map((cell) => cell.content));
+}
+
+function setup() {
+  const container = document.createElement('div');
+  document.body.append(container);
+  const onChange = vi.fn();
+  const editor = createTableEditor(container, { onChange });
+  editor.setTable(table);
+  return { container, editor, onChange };
+}
+
+function editCell(container, row, col, value, key = 'Enter') {
+  const cell = container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+  cell.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+  const input = cell.querySelector('textarea');
+  const source = input.value;
+  input.value = value;
+  input.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+  return source;
+}
+
+function clickButton(container, title, index = 0) {
+  container.querySelectorAll(`button[title="${title}"]`)[index].click();
+}
+
+describe('createTableEditor', () => {
+  it('renders the table with header cells and handles', () => {
+    const { container } = setup();
+    expect(container.querySelectorAll('th.editor-cell')).toHaveLength(2);
+    expect(container.querySelectorAll('td.editor-cell')).toHaveLength(4);
+    expect(container.querySelectorAll('.column-handle')).toHaveLength(2);
+    expect(container.querySelectorAll('.row-handle')).toHaveLength(3);
+    expect(container.querySelector('[data-row="1"][data-col="1"]').innerHTML).toBe('<strong>Ann</strong>');
+  });
+
+  it('edits a cell as Markdown', () => {
+    const { container, onChange } = setup();
+    expect(editCell(container, 1, 1, '*Ann*\n- one')).toBe('**Ann**');
+    const edited = onChange.mock.lastCall[0];
+    expect(edited.rows[1].cells[1].paragraphs).toHaveLength(2);
+    expect(edited.rows[1].cells[1].paragraphs[0].runs[0].italic).toBe(true);
+    expect(edited.rows[1].cells[1].paragraphs[1].list).toEqual({ ordered: false, level: 0 });
+  });
+
+  it('leaves the table alone when editing is cancelled or changes nothing', () => {
+    const { container, onChange } = setup();
+    editCell(container, 1, 0, 'Other', 'Escape');
+    editCell(container, 1, 0, 'Design');
+    expect(onChange).not.toHaveBeenCalled();
+    expect(container.querySelector('[data-row="1"][data-col="0"]').textContent).toBe('Design');
+  });
+
+  it('moves, inserts, deletes and aligns rows and columns', () => {
+    const { container, editor } = setup();
+    clickButton(container, 'Move row down', 1);
+    expect(texts(editor.getTable()).map((row) => row[0])).toEqual(['Item', 'Build', 'Design']);
+    clickButton(container, 'Insert a column to the right', 0);
+    expect(texts(editor.getTable())[0]).toEqual(['Item', '', 'Owner']);
+    clickButton(container, 'Delete row', 0);
+    expect(texts(editor.getTable())[0]).toEqual(['Build', '', 'Bob']);
+
+    const align = container.querySelectorAll('.editor-align')[2];
+    align.value = 'right';
+    align.dispatchEvent(new Event('change'));
+    expect(editor.getTable().alignments).toEqual(['left', 'left', 'right']);
+  });
+
+  it('undoes and redoes edits', () => {
+    const { container, editor, onChange } = setup();
+    editCell(container, 2, 0, 'Ship');
+    clickButton(container, 'Delete column', 1);
+    expect(texts(editor.getTable())[2]).toEqual(['Ship']);
+
+    container.querySelector('.editor-cell').dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+    expect(texts(editor.getTable())[2]).toEqual(['Ship', 'Bob']);
+    editor.undo();
+    expect(texts(editor.getTable())).toEqual(texts(table));
+    expect(editor.canUndo()).toBe(false);
+    expect(onChange.mock.lastCall[0]).toBe(editor.getTable());
+
+    clickButton(container, 'Redo (Ctrl+Shift+Z)');
+    expect(texts(editor.getTable())[2]).toEqual(['Ship', 'Bob']);
+  });
+
+  it('undoes consecutive outside changes in one step', () => {
+    const { editor } = setup();
+    editor.setTable(parseMarkdownTable('| Item |\n|---|\n| D |'));
+    editor.setTable(parseMarkdownTable('| Item |\n|---|\n| De |'));
+    editor.undo();
+    expect(texts(editor.getTable())).toEqual(texts(table));
+    editor.redo();
+    expect(texts(editor.getTable())).toEqual([['Item'], ['De']]);
+  });
+
+  it('merges the selected cells and splits them again', () => {
+    const { container, editor } = setup();
+    const merge = container.querySelector('button[title^="Merge"]');
+    expect(merge.disabled).toBe(true);
+    container.querySelector('[data-row="1"][data-col="0"]').click();
+    container.querySelector('[data-row="2"][data-col="0"]').dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+    expect(container.querySelectorAll('.editor-selected')).toHaveLength(2);
+    merge.click();
+    expect(editor.getTable().rows[1].cells[0]).toMatchObject({ content: 'Design\nBuild', rowspan: 2 });
+
+    container.querySelector('[data-row="1"][data-col="0"]').click();
+    clickButton(container, 'Split the selected merged cell');
+    expect(texts(editor.getTable()).map((row) => row[0])).toEqual(['Item', 'Design\nBuild', '']);
+  });
+
+  it('runs table actions', () => {
+    const { container, editor } = setup();
+    clickButton(container, 'Sort rows by this column, ascending', 0);
+    expect(texts(editor.getTable()).map((row) => row[0])).toEqual(['Item', 'Build', 'Design']);
+
+    const query = container.querySelector('.editor-filter');
+    query.value = 'ann';
+    clickButton(container, 'Keep only the header rows and the rows containing the text');
+    expect(texts(editor.getTable())).toEqual([
+      ['Item', 'Owner'],
+      ['Design', 'Ann'],
+    ]);
+
+    clickButton(container, 'Swap rows and columns');
+    expect(texts(editor.getTable())).toEqual([
+      ['Item', 'Design'],
+      ['Owner', 'Ann'],
+    ]);
+  });
+
+  it('styles the grid like the output', () => {
+    const container = document.createElement('div');
+    const editor = createTableEditor(container, {
+      tableCss: () => 'border: none;',
+      cellCss: (t, r) => (t.rows[r].isHeader ? 'color: red;' : 'color: blue;'),
+    });
+    editor.setTable(table);
+    expect(container.querySelector('.table-editor').style.borderStyle).toBe('none');
+    expect(container.querySelector('th.editor-cell').style.color).toBe('red');
+    expect(container.querySelector('td.editor-cell').style.color).toBe('blue');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { extractMarkdownTables, locateCells, splitRow } from '../src/tableExtract.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+
+const contents = (table) => table.rows.map((row) => row.cells.map((cell) => cell.content));
+
+describe('splitRow', () => {
+  it('splits with or without the outer pipes', () => {
+    expect(splitRow('| a | b |')).toEqual(['a', 'b']);
+    expect(splitRow('a | b')).toEqual(['a', 'b']);
+    expect(splitRow('| a |')).toEqual(['a']);
+  });
+
+  it('keeps escaped pipes and pipes inside code spans in the cell', () => {
+    expect(splitRow('| a \\| b | c |')).toEqual(['a \\| b', 'c']);
+    expect(splitRow('| `x | y` | c |')).toEqual(['`x \\| y`', 'c']);
+  });
+
+  it('returns null for a line without pipes', () => {
+    expect(splitRow('Just a sentence.')).toBeNull();
+  });
+});
+
+describe('locateCells', () => {
+  it('gives the offset of each cell source', () => {
+    expect(locateCells('| a |  bc | `x|y` |')).toEqual([
+      { source: 'a', column: 2 },
+      { source: 'bc', column: 7 },
+      { source: '`x\\|y`', column: 12 },
+    ]);
+  });
+});
+
+describe('extractMarkdownTables', () => {
+  it('finds a table between paragraphs of prose', () => {
+    const text = 'Sure! Here is the comparison:\n\n| Name | Age |\n|------|-----|\n| Ann  | 31  |\n\nLet me know if you need more.';
+    const [found, ...rest] = extractMarkdownTables(text);
+    expect(rest).toEqual([]);
+    expect(contents(found.table)).toEqual([['Name', 'Age'], ['Ann', '31']]);
+    expect(found.startLine).toBe(2);
+    expect(found.endLine).toBe(4);
+  });
+
+  it('finds every table in order', () => {
+    const text = '## First\n\n| a |\n|---|\n| 1 |\n\n## Second\n\n| b | c |\n|---|---|\n| 2 | 3 |';
+    expect(extractMarkdownTables(text).map((found) => contents(found.table))).toEqual([
+      [['a'], ['1']],
+      [['b', 'c'], ['2', '3']],
+    ]);
+  });
+
+  it('ends a table at a prose line or a following table', () => {
+    const text = '| a |\n|---|\n| 1 |\nNot a row\n| b |\n|---|\n| 2 |';
+    expect(extractMarkdownTables(text).map((found) => contents(found.table))).toEqual([
+      [['a'], ['1']],
+      [['b'], ['2']],
+    ]);
+  });
+
+  it('finds tables wrapped in code fences', () => {
+    const text = 'Here it is:\n```markdown\n| a |\n|---|\n| 1 |\n```';
+    const [found] = extractMarkdownTables(text);
+    expect(contents(found.table)).toEqual([['a'], ['1']]);
+    expect(found.startLine).toBe(2);
+    expect(found.endLine).toBe(4);
+  });
+
+  it('reads the round-trip comment after a table but leaves it out of its lines', () => {
+    const comment = tableModelToMarkdown(parseMarkdownTable('| a |\n|---|\n| 1 |'), { metadata: { id: 't-1' } }).split('\n').at(-1);
+    const text = `Updated:\n\n| a |\n|---|\n| 2 |\n\n${comment}\n\nAnything else?`;
+    const [found] = extractMarkdownTables(text);
+    expect(found.table.roundTrip).toMatchObject({ status: 'ok', metadata: { id: 't-1' } });
+    expect(found.endLine).toBe(4);
+  });
+
+  it('accepts rows without outer pipes and loose separators', () => {
+    const text = 'Name | Score\n:-: | —:\nAnn | 9';
+    const [found] = extractMarkdownTables(text);
+    expect(contents(found.table)).toEqual([['Name', 'Score'], ['Ann', '9']]);
+    expect(found.table.alignments).toEqual(['center', 'right']);
+    expect(found.markdown).toBe('| Name | Score |\n| :---: | ---: |\n| Ann | 9 |');
+  });
+
+  it('keeps the separator lengths, which can carry column widths', () => {
+    const [found] = extractMarkdownTables('Widths:\n\n| a | b |\n|------|:----------------:|\n| 1 | 2 |', { columnWidths: true });
+    expect(found.markdown.split('\n')[1]).toBe('| ------ | :----------------: |');
+    expect(found.table.columnWidths).toEqual([117, 351]);
+  });
+
+  it('keeps pipes inside code spans in one cell', () => {
+    const [found] = extractMarkdownTables('| Command | Note |\n|---|---|\n| `a | b` | pipe |');
+    expect(found.table.rows[1].cells).toHaveLength(2);
+    expect(found.table.rows[1].cells[0].paragraphs[0].runs[0]).toMatchObject({ text: 'a | b', code: true });
+  });
+
+  it('takes rows of the same width above the separator as header rows', () => {
+    const [found] = extractMarkdownTables('Intro line\n| Q1 | Q2 |\n| Jan | Apr |\n|---|---|\n| 1 | 2 |');
+    expect(found.startLine).toBe(1);
+    expect(found.separatorLine).toBe(3);
+    expect(found.table.rows.filter((row) => row.isHeader)).toHaveLength(2);
+  });
+
+  it('finds nothing in plain text', () => {
+    expect(extractMarkdownTables('No tables here.\n\nA | B is not a table.')).toEqual([]);
+  });
+});
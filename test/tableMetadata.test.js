@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  METADATA_MISSING_WARNING,
+  METADATA_TAMPERED_WARNING,
+  collectMetadata,
+  isMetadataComment,
+  metadataWarnings,
+  readMetadataComment,
+  restoreFromMetadata,
+  writeMetadataComment,
+} from '../src/tableMetadata.js';
+import { htmlToMarkdown, tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+import { parseMarkdownTable, tableModelToHtml } from '../src/markdownToHtml.js';
+
+const mergedHtml =
+  '<table><colgroup><col style="width:72pt"><col style="width:36pt"></colgroup>' +
+  '<tr><th colspan="2" style="background:#ABCDEF">Team</th></tr><tr><td>Ann</td><td>$5</td></tr></table>';
+
+describe('metadata comments', () => {
+  const metadata = { id: 't-abc12345', source: 'word', style: null, rows: 2, columns: 2, merges: [], columnWidths: null, columnTypes: ['text', 'text'] };
+
+  it('writes a single line that reads back the same', () => {
+    const comment = writeMetadataComment(metadata);
+    expect(comment).toMatch(/^<!-- word-md-table v1 t-abc12345 [0-9a-f]{8} [\w-]+ -->$/);
+    expect(isMetadataComment(comment)).toBe(true);
+    expect(readMetadataComment(comment)).toEqual({ status: 'ok', metadata });
+  });
+
+  it('recognises an edited or cut-short comment', () => {
+    const comment = writeMetadataComment(metadata);
+    const [, sum] = comment.match(/ ([0-9a-f]{8}) /);
+    expect(readMetadataComment(comment.replace('t-abc12345', 't-abc12346')).status).toBe('tampered');
+    expect(readMetadataComment(comment.replace(sum, '00000000')).status).toBe('tampered');
+    expect(readMetadataComment(comment.slice(0, 60) + ' -->').status).toBe('tampered');
+    expect(readMetadataComment('<!-- word-md-table -->')).toEqual({ status: 'tampered', metadata: null });
+  });
+
+  it('ignores comments from a newer version and other comments', () => {
+    expect(readMetadataComment(writeMetadataComment(metadata).replace(' v1 ', ' v2 ')).status).toBe('unsupported');
+    expect(readMetadataComment('<!-- a note -->')).toBeNull();
+    expect(isMetadataComment('| a |')).toBe(false);
+  });
+});
+
+describe('collectMetadata', () => {
+  it('records merges, widths and column types', () => {
+    const { table } = htmlToMarkdown(mergedHtml);
+    expect(collectMetadata(table, { id: 't-1', source: 'word' })).toEqual({
+      id: 't-1',
+      source: 'word',
+      style: null,
+      rows: 2,
+      columns: 2,
+      merges: [{ row: 0, col: 0, rowspan: 1, colspan: 2 }],
+      columnWidths: [72, 36],
+      columnTypes: ['text', 'currency'],
+    });
+  });
+});
+
+describe('round trip through Markdown', () => {
+  it('restores merges, widths and styling an LLM edit would lose', () => {
+    const { markdown } = htmlToMarkdown(mergedHtml, { metadata: { id: 't-1' } });
+    const lines = markdown.split('\n');
+    expect(lines.at(-1)).toMatch(/^<!-- word-md-table v1 t-1 /);
+
+    const edited = markdown.replace('| Ann ', '| Eve ');
+    const table = parseMarkdownTable(edited);
+    expect(table.roundTrip.status).toBe('ok');
+    expect(table.roundTrip.metadata.source).toBe('html');
+
+    const restored = restoreFromMetadata(table);
+    expect(restored.rows[0].cells[0].colspan).toBe(2);
+    expect(restored.rows[1].cells[0].content).toBe('Eve');
+    expect(restored.columnWidths).toEqual([72, 36]);
+    expect(restoreFromMetadata(restored)).toEqual(restored);
+
+    const html = tableModelToHtml(table);
+    expect(html).toContain('colspan="2"');
+    expect(html).toContain('#ABCDEF');
+    expect(tableModelToHtml(table, { style: null })).not.toContain('#ABCDEF');
+  });
+
+  it('leaves a merge expanded when the edit filled its slots or changed the columns', () => {
+    const { markdown } = htmlToMarkdown(mergedHtml, { metadata: true });
+    const filled = parseMarkdownTable(markdown.replace(/\| Team \|\s+\|/, '| Team | Lead |'));
+    expect(restoreFromMetadata(filled).rows[0].cells[1].covered).toBe(false);
+
+    const comment = markdown.split('\n').at(-1);
+    const widened = parseMarkdownTable(`| a | b | c |\n|---|---|---|\n| 1 | 2 | 3 |\n${comment}`);
+    expect(restoreFromMetadata(widened)).toBe(widened);
+  });
+
+  it('is left out unless asked for', () => {
+    const table = parseMarkdownTable('| a |\n|---|\n| 1 |');
+    expect(tableModelToMarkdown(table)).not.toContain('<!--');
+    expect(tableModelToMarkdown(table, { metadata: true })).toMatch(/\n<!-- word-md-table v1 t-\w+ /);
+  });
+});
+
+describe('metadataWarnings', () => {
+  it('warns when the comment is missing, tampered with or too new', () => {
+    const table = parseMarkdownTable('| a |\n|---|\n| 1 |');
+    expect(metadataWarnings(table)).toEqual([METADATA_MISSING_WARNING]);
+    expect(metadataWarnings({ ...table, roundTrip: { status: 'tampered', metadata: null } })).toEqual([METADATA_TAMPERED_WARNING]);
+    expect(metadataWarnings({ ...table, roundTrip: { status: 'unsupported', metadata: null } })[0]).toContain('newer version');
+
+    const withComment = parseMarkdownTable(tableModelToMarkdown(table, { metadata: true }));
+    expect(metadataWarnings(withComment)).toEqual([]);
+  });
+});
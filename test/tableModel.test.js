@@ -0,0 +1,306 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createParagraph,
+  createRun,
+  dedupeRows,
+  deleteColumn,
+  deleteRow,
+  filterRows,
+  insertColumn,
+  insertRow,
+  mergeCells,
+  moveColumn,
+  moveRow,
+  setCellParagraphs,
+  setColumnAlignment,
+  sortRows,
+  splitAlignmentBlock,
+  splitCell,
+  transposeTable,
+  voteColumnAlignments,
+} from '../src/tableModel.js';
+import { parseMarkdownTable } from '../src/markdownToHtml.js';
+import { tableModelToMarkdown } from '../src/htmlToMarkdown.js';
+
+const table = parseMarkdownTable(`
+| Item   | Owner | Status |
+|--------|------:|--------|
+| Design | Ann   | Done   |
+| Build  | Bob   | Open   |
+`);
+
+// Region spans two columns; Oslo's row span covers two rows
+const merged = parseMarkdownTable(`
+| Region | <<   | Q1 |
+|--------|------|----|
+| North  | Oslo | 10 |
+| ^^     | ^^   | 12 |
+| South  | Rome | 8  |
+`);
+
+function texts(t) {
+  return t.rows.map((row) => row.cells.map((cell) => (cell.covered ? '·' : cell.content)));
+}
+
+function markdown(t) {
+  return tableModelToMarkdown(t, { preserveMerges: true });
+}
+
+describe('editing rows', () => {
+  it('inserts an empty body or header row', () => {
+    const result = insertRow(table, 2);
+    expect(texts(result)).toEqual([
+      ['Item', 'Owner', 'Status'],
+      ['Design', 'Ann', 'Done'],
+      ['', '', ''],
+      ['Build', 'Bob', 'Open'],
+    ]);
+    expect(result.rows[2].isHeader).toBe(false);
+    expect(insertRow(table, 0).rows.map((row) => row.isHeader)).toEqual([true, true, false, false]);
+    expect(texts(table)[1]).toEqual(['Design', 'Ann', 'Done']);
+  });
+
+  it('extends merges that span the inserted row', () => {
+    const result = insertRow(merged, 2);
+    expect(result.rows[1].cells[0].rowspan).toBe(3);
+    expect(texts(result)[2]).toEqual(['·', '·', '']);
+  });
+
+  it('deletes rows, keeping what is left of a merge', () => {
+    expect(texts(deleteRow(table, 1))).toEqual([
+      ['Item', 'Owner', 'Status'],
+      ['Build', 'Bob', 'Open'],
+    ]);
+    const result = deleteRow(merged, 1);
+    expect(texts(result)[1]).toEqual(['North', 'Oslo', '12']);
+    expect(result.rows[1].cells[0].colspan).toBe(1);
+  });
+
+  it('moves rows, keeping the number of header rows', () => {
+    const result = moveRow(table, 2, 0);
+    expect(texts(result).map((row) => row[0])).toEqual(['Build', 'Item', 'Design']);
+    expect(result.rows.map((row) => row.isHeader)).toEqual([true, false, false]);
+  });
+
+  it('undoes merges a move cuts through', () => {
+    expect(markdown(moveRow(merged, 3, 2))).toBe(
+      [
+        '| Region | <<   | Q1  |',
+        '|--------|------|-----|',
+        '| North  | Oslo | 10  |',
+        '| South  | Rome | 8   |',
+        '|        |      | 12  |',
+      ].join('\n'),
+    );
+  });
+});
+
+describe('editing columns', () => {
+  it('inserts and deletes columns with their alignment', () => {
+    const inserted = insertColumn(table, 1, 'center');
+    expect(texts(inserted)[1]).toEqual(['Design', '', 'Ann', 'Done']);
+    expect(inserted.alignments).toEqual(['left', 'center', 'right', 'left']);
+
+    const deleted = deleteColumn(table, 1);
+    expect(texts(deleted)[1]).toEqual(['Design', 'Done']);
+    expect(deleted.alignments).toEqual(['left', 'left']);
+  });
+
+  it('extends and shrinks merges across columns', () => {
+    expect(insertColumn(merged, 1).rows[0].cells[0].colspan).toBe(3);
+    const deleted = deleteColumn(merged, 0);
+    expect(texts(deleted)[0]).toEqual(['Region', 'Q1']);
+    expect(deleted.rows[0].cells[0].colspan).toBe(1);
+    expect(deleted.rows[1].cells[0]).toMatchObject({ content: 'Oslo', rowspan: 2 });
+  });
+
+  it('moves columns with their alignment', () => {
+    const result = moveColumn(table, 0, 2);
+    expect(texts(result)[0]).toEqual(['Owner', 'Status', 'Item']);
+    expect(result.alignments).toEqual(['right', 'left', 'left']);
+  });
+
+  it('sets a column alignment', () => {
+    expect(setColumnAlignment(table, 2, 'center').alignments).toEqual(['left', 'right', 'center']);
+    expect(table.alignments).toEqual(['left', 'right', 'left']);
+  });
+
+  it('keeps column widths in step, giving a new column the average width', () => {
+    const sized = { ...table, columnWidths: [100, 50, 90] };
+    expect(insertColumn(sized, 1).columnWidths).toEqual([100, 80, 50, 90]);
+    expect(deleteColumn(sized, 0).columnWidths).toEqual([50, 90]);
+    expect(moveColumn(sized, 0, 2).columnWidths).toEqual([50, 90, 100]);
+    expect(insertRow(sized, 1).columnWidths).toEqual([100, 50, 90]);
+    expect(transposeTable(sized).columnWidths).toBeUndefined();
+    expect(insertColumn(table, 1).columnWidths).toBeUndefined();
+  });
+});
+
+describe('setCellParagraphs', () => {
+  it('replaces a cell, or the merge covering a slot', () => {
+    const bold = [createParagraph([createRun('Done!', { bold: true })])];
+    expect(setCellParagraphs(table, 1, 2, bold).rows[1].cells[2]).toMatchObject({ content: 'Done!', paragraphs: bold });
+
+    const result = setCellParagraphs(merged, 2, 1, [createParagraph([createRun('Bergen')])]);
+    expect(result.rows[1].cells[1]).toMatchObject({ content: 'Bergen', rowspan: 2 });
+    expect(result.rows[2].cells[1].covered).toBe(true);
+  });
+});
+
+describe('transposeTable', () => {
+  it('swaps rows and columns, turning the header row into row headers', () => {
+    const result = transposeTable(table);
+    expect(texts(result)).toEqual([
+      ['Item', 'Design', 'Build'],
+      ['Owner', 'Ann', 'Bob'],
+      ['Status', 'Done', 'Open'],
+    ]);
+    expect(result.rows.every((row) => !row.isHeader)).toBe(true);
+    expect(result.rowHeaders).toBe(true);
+    expect(result.alignments).toEqual(['left', 'left', 'left']);
+    expect(texts(transposeTable(result))).toEqual(texts(table));
+    expect(transposeTable(result).rows[0].isHeader).toBe(true);
+  });
+
+  it('turns merges on their side', () => {
+    const result = transposeTable(merged);
+    expect(result.rows[0].cells[0]).toMatchObject({ content: 'Region', rowspan: 2, colspan: 1 });
+    expect(result.rows[1].cells[1]).toMatchObject({ content: 'Oslo', rowspan: 1, colspan: 2 });
+  });
+});
+
+describe('sortRows', () => {
+  const values = (t, c = 0) => t.rows.slice(1).map((row) => row.cells[c].content);
+  const column = (...cells) => parseMarkdownTable(['| v |', '|---|', ...cells.map((cell) => `| ${cell} |`)].join('\n'));
+
+  it('sorts text, with numbers inside it in numeric order', () => {
+    expect(values(sortRows(column('item 10', 'Item 9', '', 'apple'), 0))).toEqual(['apple', 'Item 9', 'item 10', '']);
+    expect(values(sortRows(table, 1, { descending: true }), 1)).toEqual(['Bob', 'Ann']);
+  });
+
+  it('sorts numbers and dates by value', () => {
+    expect(values(sortRows(column('$1,200', '(50)', '99.5', '-3%'), 0))).toEqual(['(50)', '-3%', '99.5', '$1,200']);
+    expect(values(sortRows(column('2024-03-01', 'Jan 5, 2025', '1 February 2024'), 0))).toEqual([
+      '1 February 2024',
+      '2024-03-01',
+      'Jan 5, 2025',
+    ]);
+    expect(values(sortRows(column('10', '9', 'x'), 0, { type: 'text' }))).toEqual(['9', '10', 'x']);
+  });
+
+  it('sorts slash dates in the order the column is written in', () => {
+    expect(values(sortRows(column('01/02/2024', '06/30/2023', '12/25/2023'), 0))).toEqual([
+      '06/30/2023',
+      '12/25/2023',
+      '01/02/2024',
+    ]);
+    expect(values(sortRows(column('01/02/2024', '30/06/2023', '25.12.2023'), 0))).toEqual([
+      '30/06/2023',
+      '25.12.2023',
+      '01/02/2024',
+    ]);
+  });
+
+  it('sorts numbers with decimal commas', () => {
+    expect(values(sortRows(column('1,5', '1,25', '1,234'), 0))).toEqual(['1,234', '1,25', '1,5']);
+    expect(values(sortRows(column('1.234,56 €', '2', '12,5 €'), 0))).toEqual(['2', '12,5 €', '1.234,56 €']);
+  });
+
+  it('keeps equal rows in order and header rows on top', () => {
+    const result = sortRows(parseMarkdownTable('| k | n |\n|---|---|\n| b | 1 |\n| a | 2 |\n| b | 3 |'), 0);
+    expect(texts(result)).toEqual([
+      ['k', 'n'],
+      ['a', '2'],
+      ['b', '1'],
+      ['b', '3'],
+    ]);
+  });
+});
+
+describe('filterRows and dedupeRows', () => {
+  it('keeps the header rows and the matching body rows', () => {
+    const result = filterRows(table, (cells) => cells.includes('Open'));
+    expect(texts(result)).toEqual([
+      ['Item', 'Owner', 'Status'],
+      ['Build', 'Bob', 'Open'],
+    ]);
+    expect(texts(filterRows(merged, (cells) => cells[1] === 'Oslo')).map((row) => row[2])).toEqual(['Q1', '10', '12']);
+  });
+
+  it('removes repeated rows', () => {
+    const repeated = parseMarkdownTable('| a | b |\n|---|---|\n| x | 1 |\n| X  | 1 |\n| x | 2 |\n| a | b |');
+    expect(texts(dedupeRows(repeated))).toEqual([
+      ['a', 'b'],
+      ['x', '1'],
+      ['x', '2'],
+      ['a', 'b'],
+    ]);
+    expect(texts(dedupeRows(repeated, [0]))).toEqual([
+      ['a', 'b'],
+      ['x', '1'],
+      ['a', 'b'],
+    ]);
+  });
+});
+
+describe('mergeCells and splitCell', () => {
+  it('merges a rectangle, joining the text of its cells', () => {
+    const result = mergeCells(table, 1, 1, 2, 2);
+    expect(result.rows[1].cells[1]).toMatchObject({ content: 'Ann\nDone\nBob\nOpen', colspan: 2, rowspan: 2 });
+    expect(texts(result)[2]).toEqual(['Build', '·', '·']);
+  });
+
+  it('grows the rectangle to whole merges', () => {
+    const result = mergeCells(merged, 2, 1, 3, 1);
+    expect(result.rows[1].cells[1]).toMatchObject({ content: 'Oslo\nRome', rowspan: 3 });
+  });
+
+  it('splits a merge, keeping its content in the top-left cell', () => {
+    const result = splitCell(merged, 2, 1);
+    expect(texts(result)).toEqual([
+      ['Region', '·', 'Q1'],
+      ['North', 'Oslo', '10'],
+      ['·', '', '12'],
+      ['South', 'Rome', '8'],
+    ]);
+    expect(result.rows[1].cells[1].rowspan).toBe(1);
+  });
+});
+
+describe('cell alignment', () => {
+  it('aligns columns as most of their body cells are', () => {
+    const table = parseMarkdownTable('| A | B |\n|---|---|\n| 1 {align=right} | x {valign=top} |\n| 2 {align=right} | y {valign=bottom} |\n| 3 | z |');
+    table.rows[0].cells[0].align = 'center';
+    voteColumnAlignments(table);
+    expect(table.alignments).toEqual(['right', 'left']);
+    expect(table.rows.map((row) => row.cells.map((cell) => cell.align || null))).toEqual([
+      ['center', null],
+      [null, null],
+      [null, null],
+      ['left', null],
+    ]);
+    expect(table.rows.map((row) => row.cells[1].valign || null)).toEqual([null, null, 'bottom', null]);
+  });
+
+  it('follows the header when no body cell is aligned', () => {
+    const table = parseMarkdownTable('| A | B |\n|---|---|\n| 1 | 2 |');
+    table.rows[0].cells[1].align = 'center';
+    voteColumnAlignments(table);
+    expect(table.alignments).toEqual(['left', 'center']);
+    expect(table.rows[0].cells[1].align).toBeUndefined();
+  });
+
+  it('reads attribute blocks and leaves unknown ones in the text', () => {
+    expect(splitAlignmentBlock('42 {align=right valign=bottom}')).toEqual({ source: '42', align: 'right', valign: 'bottom' });
+    expect(splitAlignmentBlock('42 {align=up}').align).toBeNull();
+    expect(splitAlignmentBlock('42 \\{align=right}').align).toBeNull();
+    expect(splitAlignmentBlock('{align=left align=right}').source).toBe('{align=left align=right}');
+  });
+
+  it('drops the cell alignments of a column whose alignment is set', () => {
+    const table = parseMarkdownTable('| A |\n|---|\n| 1 {align=center} |');
+    const edited = setColumnAlignment(table, 0, 'right');
+    expect(edited.rows[1].cells[0].align).toBeUndefined();
+    expect(table.rows[1].cells[0].align).toBe('center');
+  });
+});
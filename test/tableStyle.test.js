@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  captureColumnWidths,
+  captureTableStyle,
+  getCapturedCellStyle,
+  parseStyleDeclarations,
+  cellCss,
+  tableCss,
+} from '../src/tableStyle.js';
+import { htmlToMarkdown } from '../src/htmlToMarkdown.js';
+import { markdownToHtml } from '../src/markdownToHtml.js';
+
+const wordTable = `
+  <table class="MsoTableGrid" border="1" cellspacing="0" cellpadding="0"
+    style="border-collapse:collapse;border:none;mso-yfti-tbllook:1184">
+    <tr style="mso-yfti-firstrow:yes">
+      <td style="border:solid windowtext 1.0pt;background:#4472C4;padding:0in 5.4pt 0in 5.4pt">
+        <p class="MsoNormal"><b><span style="font-size:11.0pt;font-family:&quot;Arial&quot;,sans-serif;color:white">Item</span></b></p>
+      </td>
+      <td style="border:solid windowtext 1.0pt;border-left:none;background:#4472C4;padding:0in 5.4pt 0in 5.4pt">
+        <p class="MsoNormal"><b><span style="font-size:11.0pt;color:white">Cost</span></b></p>
+      </td>
+    </tr>
+    <tr>
+      <td style="border:solid windowtext 1.0pt;border-top:none;background:#D9E2F3;padding:0in 5.4pt 0in 5.4pt">
+        <p class="MsoNormal"><span style="font-size:10.0pt">Paper</span></p>
+      </td>
+      <td style="border-top:none;border-left:none;border-bottom:solid windowtext 1.0pt;border-right:solid windowtext 1.0pt;background:#D9E2F3;padding:0in 5.4pt 0in 5.4pt">
+        <p class="MsoNormal">5</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="border:solid windowtext 1.0pt;border-top:none;padding:0in 5.4pt 0in 5.4pt"><p class="MsoNormal">Ink</p></td>
+      <td style="border:solid windowtext 1.0pt;border-top:none;border-left:none;padding:0in 5.4pt 0in 5.4pt"><p class="MsoNormal">9</p></td>
+    </tr>
+  </table>
+`;
+
+function tableFrom(html) {
+  return new DOMParser().parseFromString(html, 'text/html').querySelector('table');
+}
+
+describe('parseStyleDeclarations', () => {
+  it('parses declarations and skips mso-* properties', () => {
+    expect(parseStyleDeclarations('Border: solid 1pt; mso-border-alt: none;color:red;')).toEqual({
+      border: 'solid 1pt',
+      color: 'red',
+    });
+  });
+});
+
+describe('captureTableStyle', () => {
+  it('captures table, cell and text styling by grid position', () => {
+    const style = captureTableStyle(tableFrom(wordTable));
+    expect(style.table).toEqual({ 'border-collapse': 'collapse', border: 'none' });
+    expect(style.rows).toHaveLength(3);
+    expect(style.rows[0].isHeader).toBe(true);
+    expect(style.rows[0].cells[0]).toMatchObject({
+      background: '#4472C4',
+      'font-family': '"Arial",sans-serif',
+      'font-size': '11.0pt',
+      color: 'white',
+    });
+    expect(style.rows[1].cells[1]['border-left']).toBe('none');
+    expect(style.rows[1].cells[0]['font-size']).toBe('10.0pt');
+  });
+
+  it('repeats a merged cell style over the slots it covers', () => {
+    const style = captureTableStyle(
+      tableFrom('<table><tr><td colspan="2" style="background:red">A</td></tr><tr><td>1</td><td>2</td></tr></table>'),
+    );
+    expect(style.rows[0].cells).toEqual([{ background: 'red' }, { background: 'red' }]);
+  });
+});
+
+describe('getCapturedCellStyle', () => {
+  const style = captureTableStyle(tableFrom(wordTable));
+
+  it('picks styles by section row and column', () => {
+    expect(getCapturedCellStyle(style, true, 0, 1).background).toBe('#4472C4');
+    expect(getCapturedCellStyle(style, false, 0, 0).background).toBe('#D9E2F3');
+    expect(getCapturedCellStyle(style, false, 1, 0).background).toBeUndefined();
+  });
+
+  it('continues banding for added rows and reuses the last column', () => {
+    expect(getCapturedCellStyle(style, false, 2, 0).background).toBe('#D9E2F3');
+    expect(getCapturedCellStyle(style, false, 3, 0).background).toBeUndefined();
+    expect(getCapturedCellStyle(style, true, 0, 5).background).toBe('#4472C4');
+  });
+});
+
+describe('css helpers', () => {
+  it('keeps the defaults when nothing is captured', () => {
+    expect(tableCss(null)).toBe('border-collapse: collapse; border: 1px solid black;');
+    expect(cellCss(null)).toBe('border: 1px solid black; padding: 6px 12px;');
+  });
+
+  it('replaces default borders and quotes font names safely', () => {
+    const css = cellCss({ 'border-top': 'none', 'font-family': '"Arial",sans-serif' });
+    expect(css).toBe("padding: 6px 12px; border-top: none; font-family: 'Arial',sans-serif;");
+  });
+});
+
+describe('re-applying captured styling', () => {
+  it('styles the HTML generated from edited Markdown', () => {
+    const { markdown, style } = htmlToMarkdown(wordTable);
+    const edited = markdown + '\n| Glue | 3 |';
+    const html = markdownToHtml(edited, { style });
+
+    const table = tableFrom(html);
+    expect(table.getAttribute('style')).toContain('border: none');
+    const rows = table.querySelectorAll('tr');
+    expect(rows).toHaveLength(4);
+    expect(rows[0].querySelector('th').getAttribute('style')).toContain('background: #4472C4');
+    expect(rows[0].querySelector('th').getAttribute('style')).toContain('color: white');
+    expect(rows[1].querySelector('td').getAttribute('style')).toContain('background: #D9E2F3');
+    expect(rows[3].querySelector('td').getAttribute('style')).toContain('background: #D9E2F3');
+    expect(rows[3].querySelector('td').getAttribute('style')).not.toContain('1px solid black');
+  });
+});
+
+describe('captureColumnWidths', () => {
+  it('reads <col> widths, repeating spanned ones', () => {
+    expect(captureColumnWidths(tableFrom('<table><col width="64" span="2"><col style="width:1in"><tr><td>a</td><td>b</td><td>c</td></tr></table>'))).toEqual([48, 48, 72]);
+  });
+
+  it('falls back to the widths of cells spanning one column', () => {
+    const html = `<table>
+      <tr><td colspan="2" style="width:300pt">Title</td></tr>
+      <tr><td width="200" style="width:150pt">a</td><td style="width:2.54cm">b</td></tr>
+    </table>`;
+    expect(captureColumnWidths(tableFrom(html))).toEqual([150, 72]);
+    expect(captureColumnWidths(tableFrom('<table><tr><td width="25%">a</td><td width="75%">b</td></tr></table>'))).toEqual([117, 351]);
+  });
+
+  it('gives up when a column has no width', () => {
+    expect(captureColumnWidths(tableFrom('<table><tr><td style="width:50pt">a</td><td>b</td></tr></table>'))).toBeNull();
+    expect(captureColumnWidths(tableFrom('<table><col width="128*"><tr><td>a</td></tr></table>'))).toBeNull();
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { completeTheme, THEMES, themeCellDeclarations, themeTableDeclarations } from '../src/tableThemes.js';
+
+describe('completeTheme', () => {
+  it('fills in missing, empty and unknown settings from the default theme', () => {
+    const theme = completeTheme({ borders: 'dotted', borderColor: '', headerBackground: '#eee' });
+    expect(theme).toMatchObject({ label: 'Custom', borders: 'grid', borderColor: 'black', padding: '6px 12px', headerBackground: '#eee' });
+  });
+});
+
+describe('theme declarations', () => {
+  it('turns settings into table and cell CSS', () => {
+    const theme = completeTheme({ borders: 'outer', borderColor: 'red', headerColor: 'white', color: 'gray' });
+    expect(themeTableDeclarations(theme)).toEqual({ 'border-collapse': 'collapse', border: '1px solid red' });
+    expect(themeCellDeclarations(theme, { header: true })).toEqual({ border: 'none', padding: '6px 12px', color: 'white' });
+    expect(themeCellDeclarations(theme)).toEqual({ border: 'none', padding: '6px 12px', color: 'gray' });
+  });
+
+  it('has complete built-in themes', () => {
+    for (const theme of Object.values(THEMES)) expect(completeTheme(theme)).toEqual(theme);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { createUndoHistory } from '../src/undoHistory.js';
+
+describe('createUndoHistory', () => {
+  it('undoes and redoes recorded values', () => {
+    const undo = createUndoHistory('a');
+    expect(undo.canUndo()).toBe(false);
+    undo.record('b');
+    undo.record('c');
+    expect(undo.undo()).toBe('b');
+    expect(undo.undo()).toBe('a');
+    expect(undo.undo()).toBeNull();
+    expect(undo.redo()).toBe('b');
+    expect(undo.canRedo()).toBe(true);
+  });
+
+  it('forgets the redo steps when a new value is recorded', () => {
+    const undo = createUndoHistory('a');
+    undo.record('b');
+    undo.undo();
+    undo.record('c');
+    expect(undo.redo()).toBeNull();
+    expect(undo.undo()).toBe('a');
+  });
+
+  it('joins changes typed in quick succession into one step', () => {
+    const undo = createUndoHistory('');
+    undo.record('H', { typed: true, now: 0 });
+    undo.record('Hi', { typed: true, now: 300 });
+    undo.record('Hi!', { typed: true, now: 2000 });
+    undo.record('[Pasted Word table]');
+    expect(undo.undo()).toBe('Hi!');
+    expect(undo.undo()).toBe('Hi');
+    expect(undo.undo()).toBe('');
+  });
+
+  it('keeps at most `limit` steps and ignores unchanged values', () => {
+    const undo = createUndoHistory('0', { limit: 2 });
+    undo.record('0');
+    expect(undo.canUndo()).toBe(false);
+    for (const value of ['1', '2', '3']) undo.record(value);
+    expect(undo.undo()).toBe('2');
+    expect(undo.undo()).toBe('1');
+    expect(undo.undo()).toBeNull();
+  });
+});
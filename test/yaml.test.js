@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { parseYaml, stringifyYaml, YamlError, yamlScalar } from '../src/yaml.js';
+
+describe('parseYaml', () => {
+  it('reads block sequences and mappings, keeping the order of keys', () => {
+    const value = parseYaml('columns:\n  - key: "2024"\n    align: right\nrows:\n- {"2024": 1, a: x}\n');
+    expect(value).toEqual(
+      new Map([
+        ['columns', [new Map([['key', '2024'], ['align', 'right']])]],
+        ['rows', [new Map([['2024', 1], ['a', 'x']])]],
+      ]),
+    );
+    expect([...value.get('rows')[0].keys()]).toEqual(['2024', 'a']);
+  });
+
+  it('reads scalars the way YAML does', () => {
+    expect(parseYaml('- 12\n- 1.5e3\n- ~\n- True\n- "a\\tb"\n- \'it\'\'s\'\n- 10:30\n- a # note')).toEqual([
+      12,
+      1500,
+      null,
+      true,
+      'a\tb',
+      "it's",
+      '10:30',
+      'a',
+    ]);
+  });
+
+  it('reads JSON', () => {
+    expect(parseYaml('[{"a": "x, y", "b": [1, {"c": null}]}]')).toEqual([
+      new Map([
+        ['a', 'x, y'],
+        ['b', [1, new Map([['c', null]])]],
+      ]),
+    ]);
+  });
+
+  it('rejects what it cannot read', () => {
+    expect(() => parseYaml('a: |\n  text')).toThrow(YamlError);
+    expect(() => parseYaml('- a\nb: 1')).toThrow(YamlError);
+    expect(() => parseYaml('[1, 2')).toThrow(YamlError);
+    expect(() => parseYaml('a: "open')).toThrow(YamlError);
+  });
+});
+
+describe('stringifyYaml', () => {
+  it('quotes scalars that would read back differently', () => {
+    expect(['a b', '', ' a', 'yes', '012', '- a', 'a: b', 'a #b', 'a,b', 'x\ny'].map(yamlScalar)).toEqual([
+      'a b',
+      '""',
+      '" a"',
+      '"yes"',
+      '"012"',
+      '"- a"',
+      '"a: b"',
+      '"a #b"',
+      '"a,b"',
+      '"x\\ny"',
+    ]);
+  });
+
+  it('quotes scalars other YAML readers would not read as strings', () => {
+    const typed = ['2024-03-01', '2024-03-01T10:30:00Z', '0x1F', '0o17', '.inf', '-.Inf', '.NaN', '1_000', '12:30:00', '-1:20'];
+    expect(typed.map(yamlScalar)).toEqual(typed.map((value) => JSON.stringify(value)));
+    expect(['2024-03-01 notes', 'v1_2', '0 x', 'a:b'].map(yamlScalar)).toEqual(['"2024-03-01 notes"', 'v1_2', '0 x', 'a:b']);
+  });
+
+  it('escapes control characters', () => {
+    expect(yamlScalar('a\u0000b')).toBe('"a\\u0000b"');
+    expect(yamlScalar('bell\u0007')).toBe('"bell\\u0007"');
+    expect(yamlScalar('del\u007f')).toBe('"del\\u007f"');
+    expect(parseYaml(stringifyYaml(['a\u0000b']))).toEqual(['a\u0000b']);
+  });
+
+  it('writes what parseYaml reads back', () => {
+    const value = new Map([
+      ['columns', [new Map([['key', 'a: b'], ['align', 'left']])]],
+      ['rows', [[1, 'x'], new Map([['a: b', null]])]],
+    ]);
+    expect(stringifyYaml(value)).toBe('columns:\n  - key: "a: b"\n    align: left\nrows:\n  - [1, x]\n  - "a: b": null');
+    expect(parseYaml(stringifyYaml(value))).toEqual(value);
+  });
+});
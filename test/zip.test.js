@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from '../src/zip.js';
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe('zip', () => {
+  it('reads back what it writes', async () => {
+    const entries = await readZip(createZip([
+      { name: 'a.txt', data: 'héllo' },
+      { name: 'dir/b.bin', data: new Uint8Array([1, 2, 3]) },
+    ]));
+    expect(decode(entries.get('a.txt'))).toBe('héllo');
+    expect([...entries.get('dir/b.bin')]).toEqual([1, 2, 3]);
+  });
+
+  it('inflates deflated entries', async () => {
+    // Turn a stored entry into a deflated one by patching its headers
+    const text = 'compress me '.repeat(50);
+    const deflated = deflateRawSync(Buffer.from(text));
+    const stored = createZip([{ name: 'c.txt', data: deflated }]);
+    const view = new DataView(stored.buffer);
+    const central = view.getUint32(stored.length - 6, true);
+    view.setUint16(8, 8, true);
+    view.setUint16(central + 10, 8, true);
+
+    const entries = await readZip(stored);
+    expect(decode(entries.get('c.txt'))).toBe(text);
+  });
+
+  it('rejects data that is not a ZIP archive', async () => {
+    await expect(readZip(new Uint8Array(40))).rejects.toThrow('Not a ZIP archive.');
+  });
+});